@@ -1,6 +1,6 @@
 /**
  * Multer Middleware Configuration
- * Handles file uploads for logo and prototype images
+ * Handles file uploads for logo and prototype images and music tracks
  * Includes validation for file types and sizes
  */
 
@@ -96,6 +96,73 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+/**
+ * Maximum number of logo files stored per brand kit
+ */
+const MAX_BRAND_LOGOS = 5;
+
+/**
+ * Multer instance for brand kit logo uploads
+ * Same storage and validation, but allows several logos per request
+ */
+const brandLogoUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    files: MAX_BRAND_LOGOS
+  },
+  fileFilter: fileFilter
+});
+
+/**
+ * Maximum size of an uploaded music track, in MB
+ * Uncompressed WAV tracks need more room than images
+ */
+const MAX_TRACK_SIZE_MB = 25;
+
+/**
+ * File filter for music tracks
+ * Only allows common audio formats (mp3, wav, aac/m4a, ogg)
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file object
+ * @param {Function} cb - Callback function
+ */
+const trackFilter = (req, file, cb) => {
+  const allowedMimeTypes = [
+    'audio/mpeg',
+    'audio/mp3',
+    'audio/wav',
+    'audio/x-wav',
+    'audio/wave',
+    'audio/aac',
+    'audio/mp4',
+    'audio/x-m4a',
+    'audio/ogg'
+  ];
+
+  if (allowedMimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    logger.warn('Invalid track type rejected', {
+      filename: file.originalname,
+      mimetype: file.mimetype
+    });
+    cb(new Error('Invalid file type. Only audio files are allowed (mp3, wav, aac/m4a, ogg)'), false);
+  }
+};
+
+/**
+ * Multer instance for music track uploads
+ */
+const trackUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_TRACK_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: trackFilter
+});
+
 /**
  * Middleware to handle multiple file uploads for image generation
  * Expects two files: 'logo' and 'prototype'
@@ -105,6 +172,24 @@ const uploadImages = upload.fields([
   { name: 'prototype', maxCount: 1 }
 ]);
 
+/**
+ * Middleware to handle brand kit logo uploads
+ * Expects up to MAX_BRAND_LOGOS files in the 'logos' field
+ */
+const uploadBrandLogos = brandLogoUpload.array('logos', MAX_BRAND_LOGOS);
+
+/**
+ * Middleware to handle the optional logo upload of overlay and post-production requests
+ * Expects at most one file in the 'logo' field
+ */
+const uploadSingleLogo = upload.single('logo');
+
+/**
+ * Middleware to handle a music track upload
+ * Expects one file in the 'track' field
+ */
+const uploadTrack = trackUpload.single('track');
+
 /**
  * Error handling middleware for multer errors
  * @param {Error} err - Error object
@@ -120,12 +205,12 @@ const handleUploadError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size exceeds the 10MB limit'
+        message: `File size exceeds the ${err.field === 'track' ? MAX_TRACK_SIZE_MB : 10}MB limit`
       });
     } else if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum 2 files allowed'
+        message: 'Too many files uploaded'
       });
     } else if (err.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
@@ -169,7 +254,11 @@ const cleanupFiles = async (filePaths) => {
 };
 
 module.exports = {
+  MAX_BRAND_LOGOS,
   uploadImages,
+  uploadBrandLogos,
+  uploadSingleLogo,
+  uploadTrack,
   handleUploadError,
   cleanupFiles
 };
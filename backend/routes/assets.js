@@ -0,0 +1,96 @@
+/**
+ * Asset Routes
+ * Serves mirrored images and videos from the local asset store
+ */
+
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const assetStore = require('../services/assets');
+const logger = require('../utils/logger');
+
+/**
+ * Looks up the asset of the :id URL parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Asset, or null after sending a 404 response
+ */
+const findAsset = (req, res) => {
+  const asset = assetStore.getAsset(req.params.id);
+  if (!asset) {
+    logger.warn('Asset not found', { assetId: req.params.id });
+    res.status(404).json({
+      success: false,
+      message: 'Asset not found'
+    });
+    return null;
+  }
+  return asset;
+};
+
+/**
+ * GET /api/assets/:id/metadata
+ * Returns the stored metadata of an asset
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "asset": {
+ *     "id": "0d1c...",
+ *     "kind": "image",
+ *     "jobId": "359c...",
+ *     "mimeType": "image/png",
+ *     "size": 1843221,
+ *     "checksum": "sha256:9f86d0...",
+ *     "width": 1344,
+ *     "height": 768,
+ *     "url": "/api/assets/0d1c..."
+ *   }
+ * }
+ */
+router.get('/assets/:id/metadata', (req, res) => {
+  const asset = findAsset(req, res);
+  if (!asset) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    asset
+  });
+});
+
+/**
+ * GET /api/assets/:id
+ * Serves an asset file; supports Range requests so videos can be streamed and seeked
+ *
+ * Query Parameters:
+ * - download: Set to 1 to send the file as an attachment
+ */
+router.get('/assets/:id', (req, res) => {
+  const asset = findAsset(req, res);
+  if (!asset) {
+    return;
+  }
+
+  // Asset files never change, so clients may cache them indefinitely
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.set('ETag', `"${asset.checksum}"`);
+
+  if (req.query.download) {
+    res.attachment(`virtuoso-${asset.kind}-${asset.id.slice(0, 8)}${path.extname(asset.filename)}`);
+  }
+
+  res.type(asset.mimeType).sendFile(assetStore.getAssetPath(asset), { acceptRanges: true, etag: false }, (error) => {
+    if (error && !res.headersSent) {
+      logger.error('Failed to send asset', { assetId: asset.id, error: error.message });
+      res.status(error.status === 404 ? 404 : 500).json({
+        success: false,
+        message: error.status === 404 ? 'Asset file missing' : 'Failed to send asset'
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,354 @@
+/**
+ * Batch Generation Routes
+ * Handles endpoints for generating a product across a matrix of
+ * colors, styles and orientations and aggregating the results
+ */
+
+const express = require('express');
+const router = express.Router();
+const { uploadImages, handleUploadError, cleanupFiles } = require('../middleware/upload');
+const { createBatch, getBatch, BATCH_MAX_SIZE } = require('../services/batches');
+const { projectExists } = require('../services/projects');
+const { parsePalette, assignPaletteRoles } = require('../services/prompts');
+const { listIds, getDefaultId } = require('../services/styles');
+const { describeTask } = require('../services/generation');
+const { getBrand, resolveBrandLogo } = require('../services/brands');
+const { startPolling } = require('../services/poller');
+const { PRIORITIES } = require('../services/queue');
+const { jobEvents } = require('../services/jobs');
+const logger = require('../utils/logger');
+
+// Keep-alive comment interval so proxies do not close idle streams
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Parses a list field from a multipart form
+ * Accepts a JSON array, a comma-separated string or a repeated field
+ * @param {string|string[]} value - Raw form value
+ * @returns {string[]} Unique, trimmed, non-empty entries
+ */
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  let items = value;
+  if (!Array.isArray(value)) {
+    try {
+      items = JSON.parse(value);
+    } catch (error) {
+      items = String(value).split(',');
+    }
+  }
+
+  const list = (Array.isArray(items) ? items : [items])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return [...new Set(list)];
+};
+
+/**
+ * POST /api/generate-image-batch
+ * Starts one image generation per combination of colors, styles and orientations
+ *
+ * Request:
+ * - Form Data:
+ *   - logo: Image file (logo), optional when brandId is given
+ *   - prototype: Image file (prototype design)
+ *   - brandId, logoId: Brand kit whose logo is used (see POST /api/generate-image)
+ *   - colors: Hex colors, as JSON array or comma-separated (e.g., ["#FF5733", "#00D4FF"]), each tried as the primary color
+ *   - palette: Optional secondary/accent colors for every variation (same format as POST /api/generate-image)
+ *   - styles: Image styles, as JSON array or comma-separated (default: realistic)
+ *   - orientations: Orientations, as JSON array or comma-separated (default: landscape)
+ *   - projectId: Project to add the images to (see /api/projects)
+ *   - priority: Queue priority lane of the children (high, normal or low; default low, so single
+ *     generations are not stuck behind a batch)
+ *
+ * Response:
+ * - batch_id: Identifier for GET /api/batches/:id
+ * - children: One entry per combination with its task_id
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "batch_id": "c41e...",
+ *   "status": "PROCESSING",
+ *   "total": 2,
+ *   "children": [
+ *     { "colorScheme": "#FF5733", "imageStyle": "realistic", "orientation": "landscape", "task_id": "9b2f...", "status": "PENDING" },
+ *     { "colorScheme": "#00D4FF", "imageStyle": "realistic", "orientation": "landscape", "task_id": "7a1d...", "status": "PENDING" }
+ *   ]
+ * }
+ */
+router.post('/generate-image-batch', uploadImages, handleUploadError, async (req, res) => {
+  const filesToCleanup = [];
+
+  try {
+    logger.logRequest(req, 'Batch image generation requested');
+
+    // Only uploads are cleaned up; brand logos stay in the brand kit
+    const uploadedLogo = req.files?.logo?.[0];
+    const uploadedPrototype = req.files?.prototype?.[0];
+    filesToCleanup.push(...[uploadedLogo, uploadedPrototype].filter(Boolean).map(file => file.path));
+
+    // Resolve the brand kit, if one was selected
+    const { brandId, logoId } = req.body;
+    const brand = brandId ? getBrand(brandId) : null;
+    if (brandId && !brand) {
+      logger.warn('Unknown brand in batch request', { brandId });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+    const brandLogo = brand && !uploadedLogo ? resolveBrandLogo(brandId, logoId) : null;
+
+    const { projectId } = req.body;
+    if (projectId && !projectExists(projectId)) {
+      logger.warn('Unknown project in batch request', { projectId });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Validate uploaded files
+    if ((!uploadedLogo && !brandLogo) || !uploadedPrototype) {
+      logger.warn('Missing required files for batch', {
+        hasLogo: !!uploadedLogo,
+        hasBrandLogo: !!brandLogo,
+        hasPrototype: !!uploadedPrototype
+      });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: 'A prototype image and either a logo image or a brandId are required'
+      });
+    }
+
+    // Secondary and accent colors shared by every variation (the brand's by default)
+    const brandPalette = brand ? assignPaletteRoles(brand.palette) : [];
+    let palette = brandPalette;
+    if (req.body.palette) {
+      try {
+        palette = parsePalette(req.body.palette, false);
+      } catch (error) {
+        logger.warn('Invalid batch palette', { palette: req.body.palette, error: error.message });
+        await cleanupFiles(filesToCleanup);
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    // Brand palette and defaults fill in lists that were not sent
+    const colors = parseList(req.body.colors || brandPalette.filter(entry => entry.role === 'primary').map(entry => entry.hex));
+    const styles = parseList(req.body.styles || (brand && brand.defaults.imageStyle) || getDefaultId('imageStyles'));
+    const orientations = parseList(req.body.orientations || (brand && brand.defaults.orientation) || getDefaultId('orientations'));
+
+    // Validate colors
+    const hexColorRegex = /^#[0-9A-F]{6}$/i;
+    if (colors.length === 0 || !colors.every(color => hexColorRegex.test(color))) {
+      logger.warn('Invalid batch colors', { colors });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: 'At least one color is required and all colors must be valid hex colors (e.g., #FF5733)'
+      });
+    }
+
+    // Validate styles
+    const validStyles = listIds('imageStyles');
+    const invalidStyles = styles.filter(style => !validStyles.includes(style));
+    if (styles.length === 0 || invalidStyles.length > 0) {
+      logger.warn('Invalid batch styles', { invalidStyles });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid image style. Valid options: ${validStyles.join(', ')}`
+      });
+    }
+
+    // Validate orientations
+    const validOrientations = listIds('orientations');
+    const invalidOrientations = orientations.filter(orientation => !validOrientations.includes(orientation));
+    if (orientations.length === 0 || invalidOrientations.length > 0) {
+      logger.warn('Invalid batch orientations', { invalidOrientations });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid orientation. Valid options: ${validOrientations.join(', ')}`
+      });
+    }
+
+    // Validate queue priority
+    const { priority = 'low' } = req.body;
+    if (!PRIORITIES.includes(priority)) {
+      logger.warn('Invalid queue priority', { priority });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority. Valid options: ${PRIORITIES.join(', ')}`
+      });
+    }
+
+    // Validate batch size before anything is submitted
+    const size = colors.length * styles.length * orientations.length;
+    if (size > BATCH_MAX_SIZE) {
+      logger.warn('Batch too large', { size, max: BATCH_MAX_SIZE });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: `Batch has ${size} combinations; the maximum is ${BATCH_MAX_SIZE}`
+      });
+    }
+
+    logger.info('Processing batch image generation', { colors, styles, orientations, size });
+
+    const batch = await createBatch({
+      logoPath: uploadedLogo ? uploadedLogo.path : brandLogo.path,
+      prototypePath: uploadedPrototype.path,
+      colors,
+      palette,
+      styles,
+      orientations,
+      files: {
+        logo: uploadedLogo ? uploadedLogo.originalname : brandLogo.originalName,
+        prototype: uploadedPrototype.originalname
+      },
+      brandId: brand ? brand.id : undefined,
+      projectId,
+      priority
+    });
+
+    // Every child has been submitted, so the uploads are no longer needed
+    await cleanupFiles(filesToCleanup);
+
+    res.json({
+      success: true,
+      message: 'Batch generation started',
+      ...batch
+    });
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Batch generation request rejected', { error: error.message, status: error.status });
+    } else {
+      logger.error('Batch generation endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    // Cleanup files on error
+    if (filesToCleanup.length > 0) {
+      await cleanupFiles(filesToCleanup);
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to start batch generation'
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id
+ * Returns a batch with the live status of each child and the aggregated status
+ *
+ * Aggregated status:
+ * - PROCESSING: At least one child is still running
+ * - COMPLETED: Every child completed
+ * - PARTIAL: Finished, some children failed or were cancelled
+ * - FAILED: Every child failed
+ * - CANCELLED: Every child was cancelled
+ */
+router.get('/batches/:id', (req, res) => {
+  const batch = getBatch(req.params.id);
+
+  if (!batch) {
+    logger.warn('Batch not found', { batchId: req.params.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...batch
+  });
+});
+
+/**
+ * GET /api/batches/:id/events
+ * Server-Sent Events stream for a whole batch over a single connection
+ *
+ * Sends a `batch` event with the full batch immediately, a `status` event
+ * (same payload as /api/tasks/:id/events) whenever a child changes, and a
+ * final `batch` event before closing once no child is running anymore.
+ */
+router.get('/batches/:id/events', (req, res) => {
+  const batch = getBatch(req.params.id);
+
+  if (!batch) {
+    logger.warn('Batch event stream requested for unknown batch', { batchId: req.params.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  logger.info('Batch event stream opened', { batchId: batch.batch_id });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  /**
+   * Writes the full batch and closes the stream once nothing is running
+   * @param {Object} current - Batch description
+   */
+  const sendBatch = (current) => {
+    res.write(`event: batch\ndata: ${JSON.stringify({ success: true, ...current })}\n\n`);
+    if (current.status !== 'PROCESSING') {
+      res.end();
+    }
+  };
+
+  const onStatus = (job) => {
+    if (job.batchId !== batch.batch_id) {
+      return;
+    }
+    res.write(`event: status\ndata: ${JSON.stringify(describeTask(job))}\n\n`);
+
+    const current = getBatch(batch.batch_id);
+    if (current.status !== 'PROCESSING') {
+      sendBatch(current);
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+  jobEvents.on('status', onStatus);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off('status', onStatus);
+    logger.debug('Batch event stream closed', { batchId: batch.batch_id });
+  });
+
+  // Children from before a restart get their pollers back when someone listens
+  batch.children.filter(child => child.task_id).forEach(child => startPolling(child.task_id));
+  sendBatch(batch);
+});
+
+module.exports = router;
+
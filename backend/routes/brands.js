@@ -0,0 +1,330 @@
+/**
+ * Brand Kit Routes
+ * CRUD endpoints for brands: logo files, named palette and generation defaults
+ */
+
+const express = require('express');
+const router = express.Router();
+const { uploadBrandLogos, handleUploadError, cleanupFiles } = require('../middleware/upload');
+const brandService = require('../services/brands');
+const { PALETTE_ROLES } = require('../services/prompts');
+const { listIds, getRegistry } = require('../services/styles');
+const logger = require('../utils/logger');
+
+/**
+ * Validates and normalizes brand fields from a request body
+ * Palette is a JSON array of { name, hex, role? }; defaults are flat form fields
+ * @param {Object} body - Request body
+ * @param {boolean} requireName - Whether the name field is mandatory
+ * @returns {{error: string|null, values: Object}} Validation error or normalized fields
+ */
+const parseBrandFields = (body, requireName) => {
+  const values = {};
+
+  if (body.name !== undefined || requireName) {
+    const name = String(body.name || '').trim();
+    if (!name) {
+      return { error: 'Brand name is required' };
+    }
+    values.name = name;
+  }
+
+  if (body.palette !== undefined) {
+    let palette;
+    try {
+      palette = typeof body.palette === 'string' ? JSON.parse(body.palette) : body.palette;
+    } catch (error) {
+      return { error: 'Palette must be a JSON array of { name, hex } colors' };
+    }
+
+    const hexColorRegex = /^#[0-9A-F]{6}$/i;
+    if (!Array.isArray(palette) || !palette.every(color => color && hexColorRegex.test(color.hex))) {
+      return { error: 'Palette must be a JSON array of { name, hex } colors with valid hex codes (e.g., #FF5733)' };
+    }
+
+    // Roles are optional; colors without one are assigned the remaining roles in order
+    const roles = palette.map(color => color.role).filter(Boolean);
+    if (!roles.every(role => Object.keys(PALETTE_ROLES).includes(role)) || new Set(roles).size !== roles.length) {
+      return { error: `Palette roles must be unique and one of: ${Object.keys(PALETTE_ROLES).join(', ')}` };
+    }
+
+    values.palette = palette.map((color, index) => ({
+      name: String(color.name || `Color ${index + 1}`).trim(),
+      hex: color.hex.toUpperCase(),
+      ...(color.role && { role: color.role })
+    }));
+  } else if (requireName) {
+    values.palette = [];
+  }
+
+  const defaults = {};
+  const defaultOptions = {
+    imageStyle: listIds('imageStyles'),
+    orientation: listIds('orientations'),
+    videoContentStyle: listIds('videoStyles')
+  };
+  for (const [field, validOptions] of Object.entries(defaultOptions)) {
+    if (body[field]) {
+      if (!validOptions.includes(body[field])) {
+        return { error: `Invalid ${field}. Valid options: ${validOptions.join(', ')}` };
+      }
+      defaults[field] = body[field];
+    }
+  }
+  if (requireName) {
+    // New brands start from the same defaults as the generator form
+    values.defaults = {
+      ...getRegistry().defaults,
+      ...defaults
+    };
+  } else if (Object.keys(defaults).length > 0) {
+    values.defaults = defaults;
+  }
+
+  if (body.defaultLogoId) {
+    values.defaultLogoId = body.defaultLogoId;
+  }
+
+  return { error: null, values };
+};
+
+/**
+ * GET /api/brands
+ * Lists all brand kits
+ */
+router.get('/brands', (req, res) => {
+  res.json({
+    success: true,
+    brands: brandService.listBrands()
+  });
+});
+
+/**
+ * GET /api/brands/:id
+ * Returns a single brand kit
+ */
+router.get('/brands/:id', (req, res) => {
+  const brand = brandService.getBrand(req.params.id);
+
+  if (!brand) {
+    logger.warn('Brand not found', { brandId: req.params.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Brand not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    brand
+  });
+});
+
+/**
+ * GET /api/brands/:id/logos/:logoId
+ * Serves a brand logo file (used for previews in the frontend)
+ */
+router.get('/brands/:id/logos/:logoId', (req, res) => {
+  try {
+    const logo = brandService.resolveBrandLogo(req.params.id, req.params.logoId);
+    res.type(logo.mimeType).sendFile(logo.path);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/brands
+ * Creates a brand kit
+ *
+ * Request:
+ * - Form Data:
+ *   - name: Brand name (required)
+ *   - logos: Up to 5 logo image files (the first becomes the default logo)
+ *   - palette: JSON array of named colors with optional roles (primary, secondary, accent),
+ *     e.g. [{"name": "Ocean", "hex": "#0077FF", "role": "primary"}]
+ *   - imageStyle, orientation, videoContentStyle: Optional generation defaults
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "brand": {
+ *     "id": "5c7a...",
+ *     "name": "Acme",
+ *     "palette": [{ "name": "Ocean", "hex": "#0077FF" }],
+ *     "defaults": { "imageStyle": "realistic", "orientation": "landscape", "videoContentStyle": "showcase" },
+ *     "logos": [{ "id": "e1f0...", "originalName": "acme.png", ... }],
+ *     "defaultLogoId": "e1f0..."
+ *   }
+ * }
+ */
+router.post('/brands', uploadBrandLogos, handleUploadError, async (req, res) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    logger.logRequest(req, 'Brand creation requested');
+
+    const { error, values } = parseBrandFields(req.body, true);
+    if (error) {
+      logger.warn('Invalid brand fields', { error });
+      await cleanupFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const brand = await brandService.createBrand({ ...values, logoFiles: uploadedFiles });
+
+    res.status(201).json({
+      success: true,
+      brand
+    });
+
+  } catch (error) {
+    logger.error('Brand creation endpoint error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    await cleanupFiles(uploadedFiles.map(file => file.path));
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create brand'
+    });
+  }
+});
+
+/**
+ * PUT /api/brands/:id
+ * Updates a brand kit; any fields from POST /api/brands may be sent.
+ * Uploaded logos are added to the existing ones; set defaultLogoId to switch the default.
+ */
+router.put('/brands/:id', uploadBrandLogos, handleUploadError, async (req, res) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    logger.logRequest(req, 'Brand update requested');
+
+    const brand = brandService.getBrand(req.params.id);
+    if (!brand) {
+      await cleanupFiles(uploadedFiles.map(file => file.path));
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const { error, values } = parseBrandFields(req.body, false);
+    if (error) {
+      logger.warn('Invalid brand fields', { error });
+      await cleanupFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (values.defaultLogoId && !brand.logos.some(logo => logo.id === values.defaultLogoId)) {
+      logger.warn('Unknown default logo', { brandId: brand.id, logoId: values.defaultLogoId });
+      await cleanupFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: 'defaultLogoId does not match any logo of this brand'
+      });
+    }
+
+    const updated = await brandService.updateBrand(req.params.id, values, uploadedFiles);
+
+    res.json({
+      success: true,
+      brand: updated
+    });
+
+  } catch (error) {
+    logger.error('Brand update endpoint error', {
+      brandId: req.params.id,
+      error: error.message
+    });
+
+    await cleanupFiles(uploadedFiles.map(file => file.path));
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update brand'
+    });
+  }
+});
+
+/**
+ * DELETE /api/brands/:id/logos/:logoId
+ * Removes one logo from a brand kit
+ */
+router.delete('/brands/:id/logos/:logoId', async (req, res) => {
+  try {
+    const brand = await brandService.removeLogo(req.params.id, req.params.logoId);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand or logo not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      brand
+    });
+  } catch (error) {
+    logger.error('Brand logo removal error', {
+      brandId: req.params.id,
+      logoId: req.params.logoId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to remove logo'
+    });
+  }
+});
+
+/**
+ * DELETE /api/brands/:id
+ * Deletes a brand kit and its logo files
+ */
+router.delete('/brands/:id', async (req, res) => {
+  try {
+    const deleted = await brandService.deleteBrand(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Brand deleted'
+    });
+  } catch (error) {
+    logger.error('Brand deletion error', {
+      brandId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete brand'
+    });
+  }
+});
+
+module.exports = router;
+
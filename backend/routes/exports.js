@@ -0,0 +1,110 @@
+/**
+ * Export Routes
+ * Renders generated images into platform ad sizes, bundled as a ZIP with a manifest
+ */
+
+const express = require('express');
+const router = express.Router();
+const { exportPack, getExportOptions } = require('../services/exports');
+const { getAsset } = require('../services/assets');
+const { getBrand } = require('../services/brands');
+const { parsePalette, assignPaletteRoles } = require('../services/prompts');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/exports/formats
+ * Lists the platform formats and the named packs grouping them
+ */
+router.get('/exports/formats', (req, res) => {
+  res.json({
+    success: true,
+    ...getExportOptions()
+  });
+});
+
+/**
+ * POST /api/assets/:id/export
+ * Renders a stored image into a pack of platform sizes and returns the ZIP as a new asset
+ *
+ * Request Body:
+ * - pack: Pack ID (social, display, all); defaults to the first pack
+ * - formats: Array of format IDs, instead of a pack
+ * - focalPoint: { x, y } as fractions of the image (0-1); crops are centered on it (default 0.5, 0.5)
+ * - fit: auto (crop unless too much of the image would be lost, else pad), crop or pad
+ * - background: Pad color as a hex code, palette role or brand color name;
+ *   defaults to the secondary palette color, then white
+ * - palette: JSON array of { role, hex, name } colors; defaults to the brand's palette
+ * - brandId: Brand kit providing the palette
+ *
+ * @example
+ * Request:
+ * { "pack": "social", "focalPoint": { "x": 0.4, "y": 0.5 }, "brandId": "5c7a..." }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "asset": { "id": "a81f...", "kind": "export", "mimeType": "application/zip", ... },
+ *   "manifest": {
+ *     "source": { "assetId": "0d1c...", "width": 1344, "height": 768, ... },
+ *     "pack": "social",
+ *     "files": [{ "filename": "square-1080x1080.png", "width": 1080, "height": 1080, "fit": "crop", ... }, ...]
+ *   },
+ *   "downloadUrl": "/api/assets/a81f...?download=1"
+ * }
+ */
+router.post('/assets/:id/export', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Export pack requested');
+
+    const asset = getAsset(req.params.id);
+    if (!asset) {
+      logger.warn('Export source asset not found', { assetId: req.params.id });
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const { brandId, pack, formats, focalPoint, fit, background } = req.body;
+    const brand = brandId ? getBrand(brandId) : null;
+    if (brandId && !brand) {
+      logger.warn('Unknown brand in export request', { brandId });
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    // An explicit palette wins over the brand palette
+    const palette = req.body.palette
+      ? parsePalette(req.body.palette, false)
+      : assignPaletteRoles(brand ? brand.palette : []);
+
+    const result = await exportPack({ asset, pack, formats, focalPoint, fit, background, palette });
+
+    res.status(201).json({
+      success: true,
+      asset: result.asset,
+      manifest: result.manifest,
+      downloadUrl: `${result.asset.url}?download=1`
+    });
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid export request', { assetId: req.params.id, error: error.message });
+    } else {
+      logger.error('Export endpoint error', {
+        assetId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to export image'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,18 @@
 /**
  * Image Generation Routes
- * Handles endpoints for AI image generation and status polling
+ * Handles endpoints for AI image generation, refinement of generated images and status polling
  */
 
 const express = require('express');
 const router = express.Router();
 const { uploadImages, handleUploadError, cleanupFiles } = require('../middleware/upload');
-const { generateImage, checkImageStatus } = require('../services/freepik');
+const { REFINE_INSTRUCTION_LIMIT, generateImage, checkImageStatus, refineImage, getVersionTree } = require('../services/generation');
+const { getAsset } = require('../services/assets');
+const { getBrand, resolveBrandLogo } = require('../services/brands');
+const { projectExists } = require('../services/projects');
+const { normalizePalette, parsePalette, assignPaletteRoles } = require('../services/prompts');
+const { listIds, getDefaultId } = require('../services/styles');
+const { PRIORITIES } = require('../services/queue');
 const logger = require('../utils/logger');
 
 /**
@@ -15,13 +21,22 @@ const logger = require('../utils/logger');
  * 
  * Request:
  * - Form Data:
- *   - logo: Image file (logo)
+ *   - logo: Image file (logo), optional when brandId is given
  *   - prototype: Image file (prototype design)
- *   - colorScheme: Hex color code (e.g., #FF5733)
+ *   - palette: JSON array of colors with roles (primary required; secondary and accent optional),
+ *     e.g. [{"role": "primary", "hex": "#FF5733"}, {"role": "accent", "hex": "#FFFFFF", "name": "White"}]
+ *   - colorScheme: Single hex color used as the primary color when no palette is sent (e.g., #FF5733)
+ *   - Without either, the brand's palette is used (first color primary, then secondary, accent)
+ *   - imageStyle, orientation: Optional, default to the brand's defaults
+ *   - brandId: Brand kit to take the logo and defaults from (see /api/brands)
+ *   - logoId: Brand logo to use instead of the brand's default logo
+ *   - projectId: Project to add the image to (see /api/projects)
+ *   - priority: Queue priority lane (high, normal or low; default normal)
  * 
  * Response:
- * - task_id: Unique identifier for polling status
- * - status: Initial status of the generation task
+ * - task_id: Job identifier for polling status (see GET /api/jobs/:id)
+ * - status: Initial status of the generation task (QUEUED while every provider slot is busy)
+ * - queue: Position in the queue and priority lane, while queued
  * 
  * @example
  * Response:
@@ -31,6 +46,16 @@ const logger = require('../utils/logger');
  *   "status": "PENDING",
  *   "message": "Image generation started"
  * }
+ * 
+ * @example
+ * Response (queued):
+ * {
+ *   "success": true,
+ *   "task_id": "abc123",
+ *   "status": "QUEUED",
+ *   "queue": { "position": 2, "priority": "normal" },
+ *   "message": "Image generation queued"
+ * }
  */
 router.post('/generate-image', uploadImages, handleUploadError, async (req, res) => {
   const filesToCleanup = [];
@@ -38,43 +63,113 @@ router.post('/generate-image', uploadImages, handleUploadError, async (req, res)
   try {
     logger.logRequest(req, 'Image generation requested');
     
+    // Track uploads for cleanup (brand logos are stored files and are never removed here)
+    const uploadedLogo = req.files?.logo?.[0];
+    const uploadedPrototype = req.files?.prototype?.[0];
+    filesToCleanup.push(...[uploadedLogo, uploadedPrototype].filter(Boolean).map(file => file.path));
+    
+    // Resolve the brand kit, if one was selected
+    const { brandId, logoId } = req.body;
+    let brand = null;
+    let brandLogo = null;
+    if (brandId) {
+      brand = getBrand(brandId);
+      if (!brand) {
+        logger.warn('Unknown brand in image request', { brandId });
+        await cleanupFiles(filesToCleanup);
+        return res.status(404).json({
+          success: false,
+          message: 'Brand not found'
+        });
+      }
+      if (!uploadedLogo) {
+        brandLogo = resolveBrandLogo(brandId, logoId);
+      }
+    }
+    
+    const { projectId } = req.body;
+    if (projectId && !projectExists(projectId)) {
+      logger.warn('Unknown project in image request', { projectId });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    
+    const { priority = 'normal' } = req.body;
+    if (!PRIORITIES.includes(priority)) {
+      logger.warn('Invalid queue priority', { priority });
+      await cleanupFiles(filesToCleanup);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority. Valid options: ${PRIORITIES.join(', ')}`
+      });
+    }
+    
     // Validate uploaded files
-    if (!req.files || !req.files.logo || !req.files.prototype) {
+    if ((!uploadedLogo && !brandLogo) || !uploadedPrototype) {
       logger.warn('Missing required files', { 
-        hasLogo: !!req.files?.logo, 
-        hasPrototype: !!req.files?.prototype 
+        hasLogo: !!uploadedLogo, 
+        hasBrandLogo: !!brandLogo,
+        hasPrototype: !!uploadedPrototype 
       });
+      await cleanupFiles(filesToCleanup);
       return res.status(400).json({
         success: false,
-        message: 'Both logo and prototype images are required'
+        message: 'A prototype image and either a logo image or a brandId are required'
       });
     }
     
-    // Validate color scheme, style, and orientation
-    const { colorScheme, imageStyle, orientation } = req.body;
-    if (!colorScheme) {
+    // Validate palette, style, and orientation (brand defaults fill in missing values)
+    const { palette: paletteField, colorScheme } = req.body;
+    const imageStyle = req.body.imageStyle || (brand && brand.defaults.imageStyle);
+    const orientation = req.body.orientation || (brand && brand.defaults.orientation);
+    if (!paletteField && !colorScheme && !(brand && brand.palette.length > 0)) {
       logger.warn('Missing color scheme in request');
+      await cleanupFiles(filesToCleanup);
       return res.status(400).json({
         success: false,
-        message: 'Color scheme is required'
+        message: 'A palette or color scheme is required'
       });
     }
     
-    // Validate hex color format
+    // Validate hex color format of a single-color request
     const hexColorRegex = /^#[0-9A-F]{6}$/i;
-    if (!hexColorRegex.test(colorScheme)) {
+    if (!paletteField && colorScheme && !hexColorRegex.test(colorScheme)) {
       logger.warn('Invalid color scheme format', { colorScheme });
+      await cleanupFiles(filesToCleanup);
       return res.status(400).json({
         success: false,
         message: 'Color scheme must be a valid hex color (e.g., #FF5733)'
       });
     }
     
+    // A palette with roles wins over the single color; brand colors get roles in palette order
+    let palette;
+    if (paletteField) {
+      try {
+        palette = parsePalette(paletteField);
+      } catch (error) {
+        logger.warn('Invalid palette', { palette: paletteField, error: error.message });
+        await cleanupFiles(filesToCleanup);
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (colorScheme) {
+      palette = normalizePalette(colorScheme);
+    } else {
+      palette = assignPaletteRoles(brand.palette);
+    }
+    
     // Validate image style
-    const validStyles = ['realistic', 'comic', '3d-render', 'watercolor', 'minimalist', 'vintage', 'neon', 'sketch'];
-    const selectedStyle = imageStyle || 'realistic';
+    const validStyles = listIds('imageStyles');
+    const selectedStyle = imageStyle || getDefaultId('imageStyles');
     if (!validStyles.includes(selectedStyle)) {
       logger.warn('Invalid image style', { imageStyle: selectedStyle });
+      await cleanupFiles(filesToCleanup);
       return res.status(400).json({
         success: false,
         message: `Invalid image style. Valid options: ${validStyles.join(', ')}`
@@ -82,10 +177,11 @@ router.post('/generate-image', uploadImages, handleUploadError, async (req, res)
     }
     
     // Validate orientation
-    const validOrientations = ['landscape', 'portrait'];
-    const selectedOrientation = orientation || 'landscape';
+    const validOrientations = listIds('orientations');
+    const selectedOrientation = orientation || getDefaultId('orientations');
     if (!validOrientations.includes(selectedOrientation)) {
       logger.warn('Invalid orientation', { orientation: selectedOrientation });
+      await cleanupFiles(filesToCleanup);
       return res.status(400).json({
         success: false,
         message: `Invalid orientation. Valid options: ${validOrientations.join(', ')}`
@@ -93,24 +189,36 @@ router.post('/generate-image', uploadImages, handleUploadError, async (req, res)
     }
     
     // Extract file paths
-    const logoPath = req.files.logo[0].path;
-    const prototypePath = req.files.prototype[0].path;
+    const logoPath = uploadedLogo ? uploadedLogo.path : brandLogo.path;
+    const prototypePath = uploadedPrototype.path;
+    const logoName = uploadedLogo ? uploadedLogo.originalname : brandLogo.originalName;
     
     logger.info('Processing image generation', {
-      logo: req.files.logo[0].originalname,
-      prototype: req.files.prototype[0].originalname,
-      colorScheme,
+      logo: logoName,
+      prototype: uploadedPrototype.originalname,
+      brandId: brand ? brand.id : undefined,
+      palette,
       imageStyle: selectedStyle,
       orientation: selectedOrientation,
-      logoSize: req.files.logo[0].size,
-      prototypeSize: req.files.prototype[0].size
+      logoSize: uploadedLogo ? uploadedLogo.size : brandLogo.size,
+      prototypeSize: uploadedPrototype.size
     });
     
-    // Track files for cleanup
-    filesToCleanup.push(logoPath, prototypePath);
-    
-    // Call Freepik API service
-    const result = await generateImage(logoPath, prototypePath, colorScheme, selectedStyle, selectedOrientation);
+    // Call generation service
+    const result = await generateImage({
+      logoPath,
+      prototypePath,
+      palette,
+      style: selectedStyle,
+      orientation: selectedOrientation,
+      files: {
+        logo: logoName,
+        prototype: uploadedPrototype.originalname
+      },
+      brandId: brand ? brand.id : undefined,
+      projectId,
+      priority
+    });
     
     // Cleanup uploaded files after processing
     await cleanupFiles(filesToCleanup);
@@ -120,17 +228,21 @@ router.post('/generate-image', uploadImages, handleUploadError, async (req, res)
     res.json(result);
     
   } catch (error) {
-    logger.error('Image generation endpoint error', { 
-      error: error.message,
-      stack: error.stack 
-    });
+    if (error.status && error.status < 500) {
+      logger.warn('Image generation request rejected', { error: error.message, status: error.status });
+    } else {
+      logger.error('Image generation endpoint error', { 
+        error: error.message,
+        stack: error.stack 
+      });
+    }
     
     // Cleanup files on error
     if (filesToCleanup.length > 0) {
       await cleanupFiles(filesToCleanup);
     }
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to generate image'
     });
@@ -145,7 +257,8 @@ router.post('/generate-image', uploadImages, handleUploadError, async (req, res)
  * - taskId: Task identifier from initial generation request
  * 
  * Response:
- * - status: Current status (PENDING, PROCESSING, COMPLETED, FAILED)
+ * - status: Current status (QUEUED, PENDING, PROCESSING, COMPLETED, FAILED, CANCELLED)
+ * - queue: Position in the queue and priority lane (only when status is QUEUED)
  * - imageUrl: URL of generated image (only when status is COMPLETED)
  * 
  * @example
@@ -162,8 +275,20 @@ router.post('/generate-image', uploadImages, handleUploadError, async (req, res)
  *   "success": true,
  *   "status": "COMPLETED",
  *   "task_id": "abc123",
- *   "imageUrl": "https://example.com/generated-image.jpg"
+ *   "imageUrl": "/api/assets/7e21...",
+ *   "assetId": "7e21...",
+ *   "aspectCheck": {
+ *     "expected": "21:9",
+ *     "actual": "1344x768",
+ *     "deviation": 0.25,
+ *     "action": "cropped",
+ *     "originalAssetId": "0d1c...",
+ *     "croppedTo": "1344x576"
+ *   }
  * }
+ *
+ * `aspectCheck.action` is matched, cropped (the result is a centered crop of the original),
+ * flagged (the result keeps the wrong ratio) or unverified (dimensions unknown)
  */
 router.get('/image-status/:taskId', async (req, res) => {
   try {
@@ -180,7 +305,7 @@ router.get('/image-status/:taskId', async (req, res) => {
       });
     }
     
-    // Check status via Freepik API service
+    // Check status via generation service
     const result = await checkImageStatus(taskId);
     
     // Log status progression
@@ -196,17 +321,132 @@ router.get('/image-status/:taskId', async (req, res) => {
     res.json(result);
     
   } catch (error) {
-    logger.error('Image status check endpoint error', { 
-      taskId: req.params.taskId,
-      error: error.message 
-    });
+    if (error.status && error.status < 500) {
+      logger.warn('Image status check rejected', { taskId: req.params.taskId, error: error.message, status: error.status });
+    } else {
+      logger.error('Image status check endpoint error', { 
+        taskId: req.params.taskId,
+        error: error.message 
+      });
+    }
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to check image status'
     });
   }
 });
 
+/**
+ * POST /api/assets/:id/refine
+ * Refines a generated image with a free-text instruction; the image is sent to the provider as the
+ * reference. The refinement is a new image task (follow it like a generation) recorded as a child
+ * version of the image's task.
+ *
+ * Request Body:
+ * - instruction: Requested change (required, up to 500 characters)
+ * - templateVersion: Refine prompt template version, defaults to the active one
+ *
+ * @example
+ * Request:
+ * { "instruction": "make the background warmer" }
+ *
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "task_id": "b7e2...",
+ *   "status": "PENDING",
+ *   "parentTaskId": "359c...",
+ *   "message": "Image refinement started"
+ * }
+ */
+router.post('/assets/:id/refine', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Image refinement requested');
+
+    const asset = getAsset(req.params.id);
+    if (!asset) {
+      logger.warn('Refinement source asset not found', { assetId: req.params.id });
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const instruction = String(req.body.instruction || '').replace(/\s+/g, ' ').trim();
+    if (!instruction || instruction.length > REFINE_INSTRUCTION_LIMIT) {
+      logger.warn('Invalid refinement instruction', { assetId: asset.id, length: instruction.length });
+      return res.status(400).json({
+        success: false,
+        message: `An instruction of at most ${REFINE_INSTRUCTION_LIMIT} characters is required`
+      });
+    }
+
+    const result = await refineImage({ asset, instruction, templateVersion: req.body.templateVersion });
+    res.status(202).json(result);
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid image refinement request', { assetId: req.params.id, error: error.message });
+    } else {
+      logger.error('Image refinement endpoint error', {
+        assetId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to refine image'
+    });
+  }
+});
+
+/**
+ * GET /api/assets/:id/versions
+ * Returns the version tree of a generated image: the original generation and all refinements under it,
+ * whichever version the asset is
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "currentTaskId": "b7e2...",
+ *   "root": {
+ *     "task_id": "359c...",
+ *     "status": "COMPLETED",
+ *     "imageUrl": "/api/assets/0d1c...",
+ *     "instruction": null,
+ *     "children": [
+ *       { "task_id": "b7e2...", "status": "COMPLETED", "imageUrl": "/api/assets/7e21...",
+ *         "instruction": "make the background warmer", "children": [] }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/assets/:id/versions', (req, res) => {
+  const asset = getAsset(req.params.id);
+  if (!asset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Asset not found'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...getVersionTree(asset)
+    });
+  } catch (error) {
+    logger.warn('Version tree unavailable', { assetId: asset.id, error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to load versions'
+    });
+  }
+});
+
 module.exports = router;
 
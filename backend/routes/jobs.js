@@ -0,0 +1,235 @@
+/**
+ * Job History Routes
+ * Exposes persisted image and video generation jobs for history,
+ * auditing and troubleshooting, and runs historical jobs again
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJob, listJobs } = require('../services/jobs');
+const { regenerateJob, SEED_MAX } = require('../services/generation');
+const { createVariations, BATCH_MAX_SIZE } = require('../services/batches');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/jobs
+ * Lists generation jobs, newest first
+ *
+ * Query Parameters:
+ * - type: Optional job type filter (image, video, postprocess or sequence)
+ * - status: Optional status filter (QUEUED, PENDING, PROCESSING, COMPLETED, FAILED, CANCELLED, ...)
+ * - projectId: Optional project filter
+ * - limit: Maximum number of jobs to return (default 50, max 200)
+ * - offset: Number of jobs to skip (default 0)
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "total": 1,
+ *   "jobs": [{ "id": "9b2f...", "type": "image", "status": "COMPLETED", ... }]
+ * }
+ */
+router.get('/jobs', (req, res) => {
+  const { type, status, projectId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (type && !['image', 'video', 'postprocess', 'sequence'].includes(type)) {
+    logger.warn('Invalid job type filter', { type });
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid job type. Valid options: image, video, postprocess, sequence'
+    });
+  }
+
+  const result = listJobs({ type, status, projectId, limit, offset });
+
+  res.json({
+    success: true,
+    total: result.total,
+    jobs: result.jobs
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Returns a single job with its inputs, prompt, status history, result and error
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "job": {
+ *     "id": "9b2f...",
+ *     "type": "image",
+ *     "provider": "freepik",
+ *     "providerTaskId": "abc123",
+ *     "status": "COMPLETED",
+ *     "statusHistory": [{ "status": "CREATED", "at": "..." }, ...],
+ *     "inputs": { "colorScheme": "#FF5733", "seed": 184467201, "referenceAssetIds": { ... }, ... },
+ *     "prompt": "Create a professional product advertisement...",
+ *     "resultUrl": "https://example.com/generated-image.jpg",
+ *     "error": null
+ *   }
+ * }
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    logger.warn('Job not found', { jobId: req.params.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+/**
+ * POST /api/jobs/:id/regenerate
+ * Runs an image or video job again with the settings it recorded: the same reference images,
+ * palette, style, orientation, prompt template version and seed. With a provider that supports
+ * seeds (see `supportsSeed`) the result is reproduced exactly; otherwise only the settings are.
+ * The new job is followed like any generation (GET /api/image-status/:taskId or /api/video-status/:taskId).
+ *
+ * Answers 422 if the job's inputs are no longer available, 410 if its custom style has been deleted.
+ *
+ * Request Body:
+ * - seed: Optional seed to use instead of the recorded one (integer, 0 to 2147483647)
+ *
+ * @example
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "task_id": "e83a...",
+ *   "status": "PENDING",
+ *   "regeneratedFrom": "9b2f...",
+ *   "message": "Image generation started"
+ * }
+ */
+router.post('/jobs/:id/regenerate', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Job regeneration requested');
+
+    const job = getJob(req.params.id);
+    if (!job) {
+      logger.warn('Job to regenerate not found', { jobId: req.params.id });
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    let seed;
+    if (req.body.seed !== undefined && req.body.seed !== null && req.body.seed !== '') {
+      seed = Number(req.body.seed);
+      if (!Number.isInteger(seed) || seed < 0 || seed > SEED_MAX) {
+        logger.warn('Invalid regeneration seed', { jobId: job.id, seed: req.body.seed });
+        return res.status(400).json({
+          success: false,
+          message: `Seed must be an integer between 0 and ${SEED_MAX}`
+        });
+      }
+    }
+
+    const result = await regenerateJob(job, { seed });
+    res.status(202).json({ ...result, regeneratedFrom: job.id });
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid job regeneration request', { jobId: req.params.id, error: error.message });
+    } else {
+      logger.error('Job regeneration endpoint error', {
+        jobId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to regenerate job'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/variations
+ * Starts variations of an image job: the same settings with a new seed each, run as a batch
+ * (follow it with GET /api/batches/:id or its event stream). Refinements are varied on the image
+ * they refined, so every variation becomes a version in its tree.
+ *
+ * Request Body:
+ * - count: Number of variations (2 to BATCH_MAX_SIZE, default 4)
+ *
+ * @example
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "message": "Variations started",
+ *   "batch_id": "c41e...",
+ *   "status": "PROCESSING",
+ *   "total": 4,
+ *   "variationOf": "9b2f...",
+ *   "children": [
+ *     { "colorScheme": "#FF5733", "imageStyle": "realistic", "orientation": "landscape", "seed": 918273, "task_id": "7a1d...", "status": "PENDING" },
+ *     ...
+ *   ]
+ * }
+ */
+router.post('/jobs/:id/variations', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Job variations requested');
+
+    const job = getJob(req.params.id);
+    if (!job) {
+      logger.warn('Job to vary not found', { jobId: req.params.id });
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const count = req.body.count === undefined ? 4 : Number(req.body.count);
+    if (!Number.isInteger(count) || count < 2 || count > BATCH_MAX_SIZE) {
+      logger.warn('Invalid variation count', { jobId: job.id, count: req.body.count });
+      return res.status(400).json({
+        success: false,
+        message: `Variation count must be between 2 and ${BATCH_MAX_SIZE}`
+      });
+    }
+
+    const batch = await createVariations(job, count);
+    res.status(202).json({
+      success: true,
+      message: 'Variations started',
+      ...batch,
+      variationOf: job.id
+    });
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid job variations request', { jobId: req.params.id, error: error.message });
+    } else {
+      logger.error('Job variations endpoint error', {
+        jobId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to start variations'
+    });
+  }
+});
+
+module.exports = router;
+
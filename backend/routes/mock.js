@@ -0,0 +1,60 @@
+/**
+ * Mock Provider Asset Routes
+ * Serves placeholder images and videos produced by the offline mock provider
+ * Only mounted when GENERATION_PROVIDER=mock
+ */
+
+const express = require('express');
+const router = express.Router();
+const mockProvider = require('../services/providers/mock');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/mock/image/:taskId
+ * Returns the deterministic PNG placeholder for a completed mock image task
+ */
+router.get('/mock/image/:taskId', (req, res) => {
+  const png = mockProvider.renderImage(req.params.taskId);
+
+  if (!png) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mock image not found'
+    });
+  }
+
+  res.type('image/png').send(png);
+});
+
+/**
+ * GET /api/mock/video/:taskId
+ * Returns the placeholder MP4 for a completed mock video task
+ * Videos are rendered with ffmpeg on first request and cached afterwards
+ */
+router.get('/mock/video/:taskId', async (req, res) => {
+  try {
+    const videoPath = await mockProvider.renderVideo(req.params.taskId);
+
+    if (!videoPath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock video not found'
+      });
+    }
+
+    res.sendFile(videoPath);
+  } catch (error) {
+    logger.error('Mock video rendering failed', {
+      taskId: req.params.taskId,
+      error: error.message
+    });
+
+    res.status(503).json({
+      success: false,
+      message: `Mock video unavailable: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
+
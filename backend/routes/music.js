@@ -0,0 +1,169 @@
+/**
+ * Music Library Routes
+ * Manages the royalty-free tracks offered as background music for generated videos
+ */
+
+const express = require('express');
+const router = express.Router();
+const { uploadTrack, handleUploadError, cleanupFiles } = require('../middleware/upload');
+const musicService = require('../services/music');
+const logger = require('../utils/logger');
+
+/**
+ * Validates and normalizes track fields from a request body
+ * @param {Object} body - Request body
+ * @param {Object} file - Uploaded audio file (its name is the default title)
+ * @returns {{error: string|null, values: Object}} Validation error or normalized fields
+ */
+const parseTrackFields = (body, file) => {
+  const values = {
+    title: String(body.title || '').trim() || file.originalname.replace(/\.[^.]+$/, ''),
+    artist: String(body.artist || '').trim(),
+    license: String(body.license || '').trim()
+  };
+
+  for (const [field, limit] of Object.entries(musicService.TRACK_TEXT_LIMITS)) {
+    if (values[field].length > limit) {
+      return { error: `${field} must be at most ${limit} characters` };
+    }
+  }
+
+  return { error: null, values };
+};
+
+/**
+ * GET /api/music
+ * Lists the tracks of the music library, with the fade and volume limits of the track picker
+ */
+router.get('/music', (req, res) => {
+  res.json({
+    success: true,
+    tracks: musicService.listTracks(),
+    options: musicService.getMusicOptions()
+  });
+});
+
+/**
+ * GET /api/music/:id/file
+ * Streams a track (used for previews in the frontend)
+ */
+router.get('/music/:id/file', (req, res) => {
+  const track = musicService.getTrack(req.params.id);
+
+  if (!track) {
+    return res.status(404).json({
+      success: false,
+      message: 'Track not found'
+    });
+  }
+
+  res.type(track.mimeType).sendFile(musicService.getTrackPath(track));
+});
+
+/**
+ * POST /api/music
+ * Adds a track to the music library
+ *
+ * Request:
+ * - Form Data:
+ *   - track: Audio file (mp3, wav, aac/m4a or ogg, up to 25MB; required)
+ *   - title: Track title (default: the file name)
+ *   - artist: Optional artist
+ *   - license: Optional license or source, e.g. "CC BY 4.0, freemusicarchive.org"
+ *
+ * @example
+ * Response (201):
+ * {
+ *   "success": true,
+ *   "track": {
+ *     "id": "8d21...",
+ *     "title": "Morning Drive",
+ *     "artist": "",
+ *     "license": "CC0",
+ *     "duration": 94.2,
+ *     "url": "/api/music/8d21.../file",
+ *     ...
+ *   }
+ * }
+ */
+router.post('/music', uploadTrack, handleUploadError, async (req, res) => {
+  const uploadedFile = req.file;
+
+  try {
+    logger.logRequest(req, 'Music track upload requested');
+
+    if (!uploadedFile) {
+      logger.warn('Music track upload without file');
+      return res.status(400).json({
+        success: false,
+        message: 'An audio file is required in the track field'
+      });
+    }
+
+    const { error, values } = parseTrackFields(req.body, uploadedFile);
+    if (error) {
+      logger.warn('Invalid track fields', { error });
+      await cleanupFiles([uploadedFile.path]);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const track = await musicService.addTrack({ ...values, file: uploadedFile });
+
+    res.status(201).json({
+      success: true,
+      track
+    });
+
+  } catch (error) {
+    logger.error('Music track upload endpoint error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (uploadedFile) {
+      await cleanupFiles([uploadedFile.path]);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to add track'
+    });
+  }
+});
+
+/**
+ * DELETE /api/music/:id
+ * Removes a track from the music library
+ */
+router.delete('/music/:id', async (req, res) => {
+  try {
+    const deleted = await musicService.deleteTrack(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Track not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Track deleted'
+    });
+  } catch (error) {
+    logger.error('Music track deletion error', {
+      trackId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete track'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Overlay Routes
+ * Composites headline, price, logo and call-to-action layers onto generated images
+ */
+
+const express = require('express');
+const router = express.Router();
+const { uploadSingleLogo, handleUploadError, cleanupFiles } = require('../middleware/upload');
+const { composeOverlay, getOverlayOptions } = require('../services/overlays');
+const { getAsset } = require('../services/assets');
+const { getBrand, resolveBrandLogo } = require('../services/brands');
+const { parsePalette, assignPaletteRoles } = require('../services/prompts');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/overlays/options
+ * Returns the fonts, positions and layer defaults the overlay editor offers
+ */
+router.get('/overlays/options', (req, res) => {
+  res.json({
+    success: true,
+    ...getOverlayOptions()
+  });
+});
+
+/**
+ * POST /api/assets/:id/overlay
+ * Composites layers onto a stored image and returns the result as a new asset
+ *
+ * Request:
+ * - Form Data or JSON:
+ *   - layers: JSON array of layers, drawn in order. Every layer has a `position`
+ *     (top-left, top, top-right, left, center, right, bottom-left, bottom, bottom-right),
+ *     optional `offsetX`/`offsetY` (fractions of the image size) and `safeArea`
+ *     (margin as a fraction of the image size, default 0.05):
+ *     - { type: "text", text, font, size, color }: headline, price or other copy
+ *     - { type: "cta", text, font, size, color, background, padding }: call-to-action button
+ *     - { type: "logo", width, opacity }: logo lockup (width as a fraction of the image width, opacity 0.05-1)
+ *     `size` is the font size as a fraction of the image height. Colors are hex codes,
+ *     palette roles (primary, secondary, accent) or brand color names.
+ *   - palette: JSON array of { role, hex, name } colors; defaults to the brand's palette
+ *   - brandId, logoId: Brand kit providing the palette and the logo
+ *   - logo: Logo image file (instead of a brand logo)
+ *
+ * @example
+ * Request:
+ * {
+ *   "brandId": "5c7a...",
+ *   "layers": [
+ *     { "type": "text", "text": "Summer Sale", "position": "top", "color": "primary" },
+ *     { "type": "cta", "text": "Shop now", "position": "bottom-right", "background": "accent" },
+ *     { "type": "logo", "position": "top-left", "width": 0.15 }
+ *   ]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "asset": { "id": "7e21...", "url": "/api/assets/7e21...", "sourceAssetId": "0d1c...", ... },
+ *   "imageUrl": "/api/assets/7e21..."
+ * }
+ */
+router.post('/assets/:id/overlay', uploadSingleLogo, handleUploadError, async (req, res) => {
+  const uploadedLogo = req.file;
+  const filesToCleanup = uploadedLogo ? [uploadedLogo.path] : [];
+
+  try {
+    logger.logRequest(req, 'Overlay requested');
+
+    const asset = getAsset(req.params.id);
+    if (!asset) {
+      logger.warn('Overlay source asset not found', { assetId: req.params.id });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    // Resolve the brand kit, if one was selected
+    const { brandId, logoId } = req.body;
+    const brand = brandId ? getBrand(brandId) : null;
+    if (brandId && !brand) {
+      logger.warn('Unknown brand in overlay request', { brandId });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    let layers;
+    try {
+      layers = typeof req.body.layers === 'string' ? JSON.parse(req.body.layers) : req.body.layers;
+    } catch (error) {
+      layers = null;
+    }
+
+    // An explicit palette wins over the brand palette
+    const palette = req.body.palette
+      ? parsePalette(req.body.palette, false)
+      : assignPaletteRoles(brand ? brand.palette : []);
+
+    const needsLogo = Array.isArray(layers) && layers.some(layer => layer && layer.type === 'logo');
+    let logoPath = uploadedLogo ? uploadedLogo.path : null;
+    if (needsLogo && !logoPath && brand) {
+      logoPath = resolveBrandLogo(brand.id, logoId).path;
+    }
+
+    const result = await composeOverlay({ asset, layers, palette, logoPath });
+    await cleanupFiles(filesToCleanup);
+
+    res.status(201).json({
+      success: true,
+      asset: result,
+      imageUrl: result.url
+    });
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid overlay request', { assetId: req.params.id, error: error.message });
+    } else {
+      logger.error('Overlay endpoint error', {
+        assetId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    await cleanupFiles(filesToCleanup);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to apply overlay'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+/**
+ * Post-Production Routes
+ * Finishes generated videos with branded intro/end cards, a logo watermark, captions and background music,
+ * and exports the captions as subtitle files
+ */
+
+const express = require('express');
+const router = express.Router();
+const { uploadSingleLogo, handleUploadError, cleanupFiles } = require('../middleware/upload');
+const { startPostProduction, getSubtitles, getPostProductionOptions } = require('../services/postproduction');
+const { describeTask } = require('../services/generation');
+const { getAsset } = require('../services/assets');
+const { getBrand, resolveBrandLogo } = require('../services/brands');
+const { parsePalette, assignPaletteRoles } = require('../services/prompts');
+const logger = require('../utils/logger');
+
+/**
+ * Parses an options section sent as JSON in a form field
+ * @param {*} value - Field value (object, boolean or JSON string)
+ * @param {string} label - Field name for the error message
+ * @returns {*} Parsed value
+ * @throws {Error} With status 400 if the JSON is malformed
+ */
+const parseSection = (value, label) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const invalid = new Error(`${label} must be JSON`);
+    invalid.status = 400;
+    throw invalid;
+  }
+};
+
+/**
+ * GET /api/post-production/options
+ * Returns the card duration limits, watermark positions, caption limits and music fade/volume limits
+ */
+router.get('/post-production/options', (req, res) => {
+  res.json({
+    success: true,
+    ...getPostProductionOptions()
+  });
+});
+
+/**
+ * POST /api/assets/:id/post-production
+ * Starts rendering a finished MP4 from a stored video: optional intro card, branded end card,
+ * optional corner watermark, optional burned-in captions and optional background music. The render runs
+ * as a job; follow it with GET /api/tasks/:task_id/events (status updates carry `progress`, the result a
+ * `videoUrl`). Captioned videos also export their captions as subtitles (GET /api/assets/:id/captions.srt).
+ *
+ * Request:
+ * - Form Data or JSON:
+ *   - intro: { duration (0.5-3s, default 1), title } to add an intro card with the logo and title
+ *   - outro: { duration (1-3s, default 2), tagline, cta } for the end card;
+ *     on by default when no other section is given
+ *   - watermark: { position (top-left, top-right, bottom-left, bottom-right), width, opacity } to add a corner logo
+ *   - captions: { lines: [{ start, end, text }] } with times in seconds of the clip, or { tagline } to spread one
+ *     line over the whole clip; styled with font, color, background (false for no box), size (0.02-0.1 of the
+ *     height) and position (top, center, bottom). Defaults to white text on the primary brand color
+ *   - music: { trackId, startAt, fadeIn (0-5s, default 1), fadeOut (0-5s, default 2), volume } to add a library
+ *     track under the whole video; it is trimmed (or looped) to the video length and the audio is loudness-normalized.
+ *     volume (0.1-1, default 0.5) sets the music level when the clip has audio of its own
+ *   - background, textColor, ctaBackground: Card colors as hex codes, palette roles or brand color names
+ *     (default: primary background, white text, accent or secondary CTA button)
+ *   - palette: JSON array of { role, hex, name } colors; defaults to the brand's palette
+ *   - brandId, logoId: Brand kit providing the palette and the logo
+ *   - logo: Logo image file (instead of a brand logo)
+ *
+ * @example
+ * Request:
+ * {
+ *   "brandId": "5c7a...",
+ *   "outro": { "duration": 2, "tagline": "Made to last", "cta": "Shop now" },
+ *   "watermark": { "position": "bottom-right" },
+ *   "captions": { "tagline": "Made to last. Built for every day." },
+ *   "music": { "trackId": "8d21..." }
+ * }
+ *
+ * Response (202):
+ * { "success": true, "status": "CREATED", "task_id": "e4b0..." }
+ */
+router.post('/assets/:id/post-production', uploadSingleLogo, handleUploadError, async (req, res) => {
+  const uploadedLogo = req.file;
+  const filesToCleanup = uploadedLogo ? [uploadedLogo.path] : [];
+
+  try {
+    logger.logRequest(req, 'Post-production requested');
+
+    const asset = getAsset(req.params.id);
+    if (!asset) {
+      logger.warn('Post-production source asset not found', { assetId: req.params.id });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    // Resolve the brand kit, if one was selected
+    const { brandId, logoId } = req.body;
+    const brand = brandId ? getBrand(brandId) : null;
+    if (brandId && !brand) {
+      logger.warn('Unknown brand in post-production request', { brandId });
+      await cleanupFiles(filesToCleanup);
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    // An explicit palette wins over the brand palette
+    const palette = req.body.palette
+      ? parsePalette(req.body.palette, false)
+      : assignPaletteRoles(brand ? brand.palette : []);
+
+    let logoPath = uploadedLogo ? uploadedLogo.path : null;
+    if (!logoPath && brand && brand.logos.length > 0) {
+      logoPath = resolveBrandLogo(brand.id, logoId).path;
+    }
+
+    const job = await startPostProduction({
+      asset,
+      options: {
+        intro: parseSection(req.body.intro, 'intro'),
+        outro: parseSection(req.body.outro, 'outro'),
+        watermark: parseSection(req.body.watermark, 'watermark'),
+        captions: parseSection(req.body.captions, 'captions'),
+        music: parseSection(req.body.music, 'music'),
+        background: req.body.background,
+        textColor: req.body.textColor,
+        ctaBackground: req.body.ctaBackground
+      },
+      palette,
+      logoPath,
+      brandId: brand ? brand.id : null
+    });
+
+    // The service copied the logo, so the upload can go
+    await cleanupFiles(filesToCleanup);
+
+    res.status(202).json(describeTask(job));
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid post-production request', { assetId: req.params.id, error: error.message });
+    } else {
+      logger.error('Post-production endpoint error', {
+        assetId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    await cleanupFiles(filesToCleanup);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to start post-production'
+    });
+  }
+});
+
+/**
+ * GET /api/assets/:id/captions.:format
+ * Exports the captions of a finished video as SRT or WebVTT subtitles, timed to the finished video
+ *
+ * Query Parameters:
+ * - download: Set to 1 to send the file as an attachment
+ *
+ * @example
+ * GET /api/assets/7f3e.../captions.vtt
+ * WEBVTT
+ *
+ * 00:00:01.000 --> 00:00:03.400
+ * Made to last.
+ */
+router.get('/assets/:id/captions.:format', (req, res) => {
+  const asset = getAsset(req.params.id);
+  if (!asset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Asset not found'
+    });
+  }
+
+  try {
+    const { content, mimeType } = getSubtitles(asset, req.params.format);
+
+    if (req.query.download) {
+      res.attachment(`virtuoso-captions-${asset.id.slice(0, 8)}.${req.params.format}`);
+    }
+    res.type(mimeType).send(content);
+  } catch (error) {
+    logger.warn('Subtitle export failed', { assetId: asset.id, error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to export subtitles'
+    });
+  }
+});
+
+module.exports = router;
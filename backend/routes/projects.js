@@ -0,0 +1,169 @@
+/**
+ * Project Routes
+ * CRUD endpoints for projects (campaigns) and the history gallery of their generations
+ */
+
+const express = require('express');
+const router = express.Router();
+const projectService = require('../services/projects');
+const logger = require('../utils/logger');
+
+/**
+ * Validates a project name from a request body
+ * @param {Object} body - Request body
+ * @returns {{error: string|null, name: string}} Validation error or trimmed name
+ */
+const parseProjectName = (body) => {
+  const name = String(body.name || '').replace(/\s+/g, ' ').trim();
+  if (!name || name.length > projectService.PROJECT_NAME_LIMIT) {
+    return { error: `A project name of at most ${projectService.PROJECT_NAME_LIMIT} characters is required`, name };
+  }
+  return { error: null, name };
+};
+
+/**
+ * GET /api/projects
+ * Lists projects for the history gallery, most recently active first
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "projects": [{
+ *     "id": "5f0a...",
+ *     "name": "Summer launch",
+ *     "counts": { "images": 6, "videos": 2 },
+ *     "thumbnailUrl": "/api/assets/7e21...",
+ *     "lastActivityAt": "2026-06-02T10:14:03.512Z",
+ *     "createdAt": "...",
+ *     "updatedAt": "..."
+ *   }]
+ * }
+ */
+router.get('/projects', (req, res) => {
+  res.json({
+    success: true,
+    projects: projectService.listProjects()
+  });
+});
+
+/**
+ * GET /api/projects/:id
+ * Returns a project with the inputs it was last generated from and every image and video, newest first
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "project": {
+ *     "id": "5f0a...",
+ *     "name": "Summer launch",
+ *     "inputs": {
+ *       "logo": { "assetId": "6a70...", "url": "/api/assets/6a70...", "name": "logo.png" },
+ *       "prototype": { "assetId": "7bdc...", "url": "/api/assets/7bdc...", "name": "can.png" },
+ *       "palette": [{ "role": "primary", "hex": "#FF5733" }],
+ *       "imageStyle": "realistic",
+ *       "orientation": "landscape",
+ *       "brandId": null
+ *     },
+ *     "images": [{ "task_id": "9b2f...", "type": "image", "status": "COMPLETED", "url": "/api/assets/7e21...",
+ *                  "settings": { "colorScheme": "#FF5733", "imageStyle": "realistic", ... }, ... }],
+ *     "videos": [{ "task_id": "c1d4...", "type": "video", "status": "COMPLETED", "url": "/api/assets/0d1c...",
+ *                  "settings": { "imageUrl": "/api/assets/7e21...", "duration": 6, ... }, ... }],
+ *     ...
+ *   }
+ * }
+ */
+router.get('/projects/:id', (req, res) => {
+  const project = projectService.getProject(req.params.id);
+
+  if (!project) {
+    logger.warn('Project not found', { projectId: req.params.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    project
+  });
+});
+
+/**
+ * POST /api/projects
+ * Creates a project; pass its id as `projectId` to POST /api/generate-image or
+ * /api/generate-image-batch to add generations to it
+ *
+ * Request Body (JSON):
+ * - name: Project name (required, up to 100 characters)
+ */
+router.post('/projects', (req, res) => {
+  logger.logRequest(req, 'Project creation requested');
+
+  const { error, name } = parseProjectName(req.body);
+  if (error) {
+    logger.warn('Invalid project name', { length: name.length });
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    project: projectService.createProject({ name })
+  });
+});
+
+/**
+ * PUT /api/projects/:id
+ * Renames a project
+ *
+ * Request Body (JSON):
+ * - name: New project name (required, up to 100 characters)
+ */
+router.put('/projects/:id', (req, res) => {
+  const { error, name } = parseProjectName(req.body);
+  if (error) {
+    logger.warn('Invalid project name', { projectId: req.params.id, length: name.length });
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const project = projectService.renameProject(req.params.id, name);
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    project
+  });
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Deletes a project; its jobs and generated files stay available in the job history
+ */
+router.delete('/projects/:id', (req, res) => {
+  if (!projectService.deleteProject(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Project deleted'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * Prompt Template Routes
+ * Lists the versioned prompt templates and renders them without calling the provider
+ */
+
+const express = require('express');
+const router = express.Router();
+const { normalizePalette, parsePalette, createImagePrompt, createVideoPrompt, createRefinePrompt } = require('../services/prompts');
+const { listTemplates } = require('../services/templates');
+const { listIds, getDefaultId } = require('../services/styles');
+const logger = require('../utils/logger');
+
+/**
+ * Validates a registry selection, falling back to the kind's default
+ * @param {string} kind - Registry kind (imageStyles, orientations, videoStyles)
+ * @param {string} [value] - Requested ID
+ * @param {string} field - Request field name, used in the error message
+ * @returns {string} Valid ID
+ * @throws {Error} With status 400 if the ID is not registered
+ */
+const resolveSelection = (kind, value, field) => {
+  const validOptions = listIds(kind);
+  const selected = value || getDefaultId(kind);
+  if (!validOptions.includes(selected)) {
+    const error = new Error(`Invalid ${field}. Valid options: ${validOptions.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return selected;
+};
+
+/**
+ * GET /api/prompts/templates
+ * Lists the available template versions per type and which one new jobs use
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "templates": {
+ *     "image": { "versions": ["v1", "v2"], "active": "v2", "placeholders": ["orientation", ...] },
+ *     "video": { "versions": ["v1"], "active": "v1", "placeholders": ["contentDescription", ...] }
+ *   }
+ * }
+ */
+router.get('/prompts/templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates()
+  });
+});
+
+/**
+ * POST /api/prompts/preview
+ * Dry run: returns the exact prompt a generation request would send, without calling the provider
+ *
+ * Request Body:
+ * - type: "image", "video" or "refine" (required)
+ * - templateVersion: Template version to render (e.g. "v2"), defaults to the active one
+ * - Image: palette (array of { role, hex, name }) or colorScheme (hex), imageStyle, orientation
+ * - Video: videoContentStyle, imageStyle, shotPrompt (direction of a sequence shot)
+ * - Refine: instruction, plus the image fields of the refined image
+ *
+ * @example
+ * Request:
+ * { "type": "image", "colorScheme": "#FF5733", "imageStyle": "comic", "templateVersion": "v1" }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "type": "image",
+ *   "templateVersion": "v1",
+ *   "prompt": "Create a professional product advertisement image in ..."
+ * }
+ */
+router.post('/prompts/preview', (req, res) => {
+  const { type, templateVersion, palette: paletteField, colorScheme } = req.body;
+
+  try {
+    let rendered;
+
+    if (type === 'image' || type === 'refine') {
+      if (!paletteField && !colorScheme) {
+        logger.warn('Missing color scheme in prompt preview');
+        return res.status(400).json({
+          success: false,
+          message: 'A palette or color scheme is required'
+        });
+      }
+
+      const hexColorRegex = /^#[0-9A-F]{6}$/i;
+      if (!paletteField && !hexColorRegex.test(colorScheme)) {
+        logger.warn('Invalid color scheme format', { colorScheme });
+        return res.status(400).json({
+          success: false,
+          message: 'Color scheme must be a valid hex color (e.g., #FF5733)'
+        });
+      }
+
+      const palette = paletteField ? parsePalette(paletteField) : normalizePalette(colorScheme);
+      const imageStyle = resolveSelection('imageStyles', req.body.imageStyle, 'image style');
+      const orientation = resolveSelection('orientations', req.body.orientation, 'orientation');
+
+      if (type === 'refine') {
+        if (!req.body.instruction) {
+          logger.warn('Missing instruction in prompt preview');
+          return res.status(400).json({
+            success: false,
+            message: 'An instruction is required'
+          });
+        }
+        rendered = createRefinePrompt(req.body.instruction, palette, imageStyle, orientation, templateVersion);
+      } else {
+        rendered = createImagePrompt(palette, imageStyle, orientation, templateVersion);
+      }
+    } else if (type === 'video') {
+      rendered = createVideoPrompt(
+        resolveSelection('videoStyles', req.body.videoContentStyle, 'video content style'),
+        resolveSelection('imageStyles', req.body.imageStyle, 'image style'),
+        templateVersion,
+        req.body.shotPrompt
+      );
+    } else {
+      logger.warn('Invalid prompt preview type', { type });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid type. Valid options: image, video, refine'
+      });
+    }
+
+    res.json({
+      success: true,
+      type,
+      templateVersion: rendered.templateVersion,
+      prompt: rendered.prompt
+    });
+
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      logger.error('Prompt preview endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+    } else {
+      logger.warn('Invalid prompt preview request', { error: error.message });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to render prompt'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Sequence Routes
+ * Generates long-form spots from several shots stitched into one video
+ */
+
+const express = require('express');
+const router = express.Router();
+const { startSequence, getSequenceOptions } = require('../services/sequences');
+const { describeTask } = require('../services/generation');
+const { listIds, getDefaultId } = require('../services/styles');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/sequences/options
+ * Returns the shot limits, clip durations and transitions the sequence editor offers
+ */
+router.get('/sequences/options', (req, res) => {
+  res.json({
+    success: true,
+    ...getSequenceOptions()
+  });
+});
+
+/**
+ * POST /api/generate-sequence
+ * Generates one clip per shot and stitches them, with transitions, into one video.
+ * The sequence runs as a task; follow it with GET /api/tasks/:task_id/events. Its status
+ * updates carry `progress` and `shots` (per-shot task_id, status and videoUrl), the
+ * result a `videoUrl`. The sequence fails as soon as one of its shots fails.
+ *
+ * Request Body (JSON):
+ * - shots: 2 to SEQUENCE_MAX_SHOTS (default 6) shots, each with
+ *   - imageUrl: First frame; a stored asset URL (/api/assets/:id) or an absolute public URL
+ *   - videoContentStyle: Video content style (showcase, coming-soon, lifestyle)
+ *   - prompt: Optional direction for the shot (up to 300 characters)
+ *   - duration: Clip duration in seconds (6 or 10)
+ *   - transition: Optional transition into the next shot, overriding the default
+ * - transition: Default transition between shots: { type, duration } with type cut, fade,
+ *   fadeblack, dissolve, wipeleft, wiperight, slideleft, slideright or circleopen
+ *   and duration 0.2-2 seconds (default: 0.5 second fade)
+ * - imageStyle: Image style every shot is aligned with (default: realistic)
+ *
+ * @example
+ * Request:
+ * {
+ *   "shots": [
+ *     { "imageUrl": "/api/assets/3f9c...", "videoContentStyle": "coming-soon", "duration": 6 },
+ *     { "imageUrl": "/api/assets/3f9c...", "videoContentStyle": "lifestyle", "prompt": "Close-up of the label", "duration": 10 },
+ *     { "imageUrl": "/api/assets/a07e...", "videoContentStyle": "showcase", "duration": 6, "transition": "cut" }
+ *   ],
+ *   "transition": { "type": "dissolve", "duration": 0.5 }
+ * }
+ *
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "status": "PROCESSING",
+ *   "task_id": "5e1d...",
+ *   "progress": { "percent": 0, "step": "Generating clips (0 of 3 ready)" },
+ *   "shots": [{ "index": 0, "task_id": "9b2f...", "status": "PENDING" }, ...]
+ * }
+ */
+router.post('/generate-sequence', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Sequence generation requested');
+
+    const { shots, transition, imageStyle } = req.body;
+
+    const validImageStyles = listIds('imageStyles');
+    const selectedImageStyle = imageStyle || getDefaultId('imageStyles');
+    if (!validImageStyles.includes(selectedImageStyle)) {
+      logger.warn('Invalid image style in sequence request', { imageStyle });
+      return res.status(400).json({
+        success: false,
+        message: `Invalid image style. Valid options: ${validImageStyles.join(', ')}`
+      });
+    }
+
+    const sequence = await startSequence({
+      shots,
+      transition,
+      imageStyle: selectedImageStyle
+    });
+
+    res.status(202).json(describeTask(sequence));
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid sequence request', { error: error.message });
+    } else {
+      logger.error('Sequence generation endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to generate sequence'
+    });
+  }
+});
+
+module.exports = router;
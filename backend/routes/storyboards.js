@@ -0,0 +1,370 @@
+/**
+ * Storyboard Routes
+ * CRUD endpoints for storyboards (reusable multi-scene timelines) and rendering them
+ * for a product image
+ */
+
+const express = require('express');
+const router = express.Router();
+const storyboardService = require('../services/storyboards');
+const { TRANSITION_DEFAULTS, normalizeTransition, getSequenceOptions } = require('../services/sequences');
+const { describeTask } = require('../services/generation');
+const { listIds, getDefaultId } = require('../services/styles');
+const logger = require('../utils/logger');
+
+const DESCRIPTION_LIMIT = 500;
+
+/**
+ * Validates and normalizes the scenes of a storyboard
+ * The last scene's transition is dropped, since there is no scene to lead into
+ * @param {Object[]} scenes - Submitted scenes
+ * @param {Object} transition - Default transition the scene transitions fall back to
+ * @returns {{error: string|null, scenes: Object[]}} Validation error or normalized scenes
+ */
+const parseScenes = (scenes, transition) => {
+  const { maxShots, durations, promptLimit, overlayTextLimit } = getSequenceOptions();
+  const videoStyles = listIds('videoStyles');
+
+  if (!Array.isArray(scenes) || scenes.length < 2 || scenes.length > maxShots) {
+    return { error: `A storyboard needs 2 to ${maxShots} scenes` };
+  }
+
+  const normalized = [];
+  for (const [index, scene] of scenes.entries()) {
+    const label = `Scene ${index + 1}`;
+    if (!scene || typeof scene !== 'object') {
+      return { error: `${label} must be an object` };
+    }
+
+    const duration = parseInt(scene.duration || durations[0]);
+    if (!durations.includes(duration)) {
+      return { error: `${label} duration must be one of ${durations.join(', ')} seconds` };
+    }
+
+    const videoContentStyle = scene.videoContentStyle || getDefaultId('videoStyles');
+    if (!videoStyles.includes(videoContentStyle)) {
+      return { error: `${label} has an invalid video content style. Valid options: ${videoStyles.join(', ')}` };
+    }
+
+    const cameraNotes = String(scene.cameraNotes || '').trim();
+    if (cameraNotes.length > promptLimit) {
+      return { error: `${label} camera notes must be at most ${promptLimit} characters` };
+    }
+
+    const overlayText = String(scene.overlayText || '').trim();
+    if (overlayText.length > overlayTextLimit) {
+      return { error: `${label} overlay text must be at most ${overlayTextLimit} characters` };
+    }
+
+    const isLast = index === scenes.length - 1;
+    let sceneTransition = null;
+    if (!isLast && scene.transition) {
+      try {
+        sceneTransition = normalizeTransition(scene.transition, transition, `${label} transition`);
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    normalized.push({
+      duration,
+      videoContentStyle,
+      cameraNotes,
+      overlayText,
+      ...(sceneTransition && { transition: sceneTransition })
+    });
+  }
+
+  return { error: null, scenes: normalized };
+};
+
+/**
+ * Validates and normalizes storyboard fields from a request body
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Stored storyboard when updating, null when creating
+ * @returns {{error: string|null, values: Object}} Validation error or normalized fields
+ */
+const parseStoryboardFields = (body, existing) => {
+  const values = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = String(body.name || '').trim();
+    if (!name) {
+      return { error: 'Storyboard name is required' };
+    }
+    values.name = name;
+  }
+
+  if (body.description !== undefined || !existing) {
+    const description = String(body.description || '').trim();
+    if (description.length > DESCRIPTION_LIMIT) {
+      return { error: `Description must be at most ${DESCRIPTION_LIMIT} characters` };
+    }
+    values.description = description;
+  }
+
+  if (body.transition !== undefined || !existing) {
+    try {
+      values.transition = normalizeTransition(body.transition, TRANSITION_DEFAULTS, 'Transition');
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Scene transitions fall back to the default transition, so a new default revalidates them too
+  if (body.scenes !== undefined || !existing || values.transition) {
+    const { error, scenes } = parseScenes(
+      body.scenes !== undefined ? body.scenes : existing.scenes,
+      values.transition || existing.transition
+    );
+    if (error) {
+      return { error };
+    }
+    values.scenes = scenes;
+  }
+
+  return { error: null, values };
+};
+
+/**
+ * GET /api/storyboards
+ * Lists all storyboards
+ */
+router.get('/storyboards', (req, res) => {
+  res.json({
+    success: true,
+    storyboards: storyboardService.listStoryboards()
+  });
+});
+
+/**
+ * GET /api/storyboards/:id
+ * Returns a single storyboard
+ */
+router.get('/storyboards/:id', (req, res) => {
+  const storyboard = storyboardService.getStoryboard(req.params.id);
+
+  if (!storyboard) {
+    logger.warn('Storyboard not found', { storyboardId: req.params.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Storyboard not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    storyboard
+  });
+});
+
+/**
+ * POST /api/storyboards
+ * Creates a storyboard
+ *
+ * Request Body (JSON):
+ * - name: Storyboard name (required)
+ * - description: Optional description (up to 500 characters)
+ * - transition: Default transition between scenes, as for POST /api/generate-sequence
+ *   (default: 0.5 second fade)
+ * - scenes: 2 to SEQUENCE_MAX_SHOTS (default 6) scenes, each with
+ *   - duration: Scene duration in seconds (6 or 10)
+ *   - videoContentStyle: Video content style (showcase, coming-soon, lifestyle)
+ *   - cameraNotes: Optional camera direction (up to 300 characters)
+ *   - overlayText: Optional text burned into the scene (up to 80 characters)
+ *   - transition: Optional transition into the next scene, overriding the default
+ *
+ * @example
+ * Response (201):
+ * {
+ *   "success": true,
+ *   "storyboard": {
+ *     "id": "b41c...",
+ *     "name": "Teaser",
+ *     "description": "",
+ *     "transition": { "type": "fade", "duration": 0.5 },
+ *     "scenes": [
+ *       { "duration": 6, "videoContentStyle": "coming-soon", "cameraNotes": "Slow push-in",
+ *         "overlayText": "Something new", "start": 0 },
+ *       { "duration": 6, "videoContentStyle": "showcase", "cameraNotes": "", "overlayText": "Available now",
+ *         "start": 5.5 }
+ *     ],
+ *     "totalDuration": 11.5
+ *   }
+ * }
+ */
+router.post('/storyboards', (req, res) => {
+  try {
+    logger.logRequest(req, 'Storyboard creation requested');
+
+    const { error, values } = parseStoryboardFields(req.body, null);
+    if (error) {
+      logger.warn('Invalid storyboard fields', { error });
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      storyboard: storyboardService.createStoryboard(values)
+    });
+
+  } catch (error) {
+    logger.error('Storyboard creation endpoint error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create storyboard'
+    });
+  }
+});
+
+/**
+ * PUT /api/storyboards/:id
+ * Updates a storyboard; any fields from POST /api/storyboards may be sent.
+ * Scenes are replaced as a whole.
+ */
+router.put('/storyboards/:id', (req, res) => {
+  try {
+    logger.logRequest(req, 'Storyboard update requested');
+
+    const storyboard = storyboardService.getStoryboard(req.params.id);
+    if (!storyboard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Storyboard not found'
+      });
+    }
+
+    const { error, values } = parseStoryboardFields(req.body, storyboard);
+    if (error) {
+      logger.warn('Invalid storyboard fields', { error });
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      storyboard: storyboardService.updateStoryboard(req.params.id, values)
+    });
+
+  } catch (error) {
+    logger.error('Storyboard update endpoint error', {
+      storyboardId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update storyboard'
+    });
+  }
+});
+
+/**
+ * DELETE /api/storyboards/:id
+ * Deletes a storyboard
+ */
+router.delete('/storyboards/:id', (req, res) => {
+  if (!storyboardService.deleteStoryboard(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Storyboard not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Storyboard deleted'
+  });
+});
+
+/**
+ * POST /api/storyboards/:id/render
+ * Applies a storyboard to a product image and renders it as a sequence task: one clip
+ * per scene, with the scene's camera notes as shot direction and its overlay text
+ * burned in, stitched with the storyboard's transitions. Follow it like
+ * POST /api/generate-sequence.
+ *
+ * Request Body (JSON):
+ * - imageUrl: Product image used as every scene's first frame; a stored asset URL
+ *   (/api/assets/:id) or an absolute public URL
+ * - sceneImages: Optional array of per-scene first frames; empty entries use imageUrl
+ * - imageStyle: Image style every scene is aligned with (default: realistic)
+ *
+ * Response (202): the sequence task, with "storyboardId" linking it back
+ */
+router.post('/storyboards/:id/render', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Storyboard render requested');
+
+    const storyboard = storyboardService.getStoryboard(req.params.id);
+    if (!storyboard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Storyboard not found'
+      });
+    }
+
+    const { imageUrl, sceneImages, imageStyle } = req.body;
+
+    if (!imageUrl) {
+      logger.warn('Storyboard render without image');
+      return res.status(400).json({
+        success: false,
+        message: 'imageUrl is required'
+      });
+    }
+
+    if (sceneImages !== undefined && !Array.isArray(sceneImages)) {
+      logger.warn('Invalid scene images in storyboard render', { storyboardId: storyboard.id });
+      return res.status(400).json({
+        success: false,
+        message: 'sceneImages must be an array of image URLs'
+      });
+    }
+
+    const validImageStyles = listIds('imageStyles');
+    const selectedImageStyle = imageStyle || getDefaultId('imageStyles');
+    if (!validImageStyles.includes(selectedImageStyle)) {
+      logger.warn('Invalid image style in storyboard render', { imageStyle });
+      return res.status(400).json({
+        success: false,
+        message: `Invalid image style. Valid options: ${validImageStyles.join(', ')}`
+      });
+    }
+
+    const sequence = await storyboardService.renderStoryboard(storyboard, {
+      imageUrl,
+      sceneImages,
+      imageStyle: selectedImageStyle
+    });
+
+    res.status(202).json(describeTask(sequence));
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Invalid storyboard render request', { error: error.message });
+    } else {
+      logger.error('Storyboard render endpoint error', {
+        storyboardId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to render storyboard'
+    });
+  }
+});
+
+module.exports = router;
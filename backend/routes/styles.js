@@ -0,0 +1,154 @@
+/**
+ * Style Registry Routes
+ * Exposes the image styles, orientations and video content styles the server accepts
+ * and manages team-defined image and video styles
+ */
+
+const express = require('express');
+const router = express.Router();
+const styleService = require('../services/styles');
+const logger = require('../utils/logger');
+
+/**
+ * URL kinds that accept custom styles, mapped to registry kinds
+ */
+const CUSTOM_KINDS = {
+  image: 'imageStyles',
+  video: 'videoStyles'
+};
+
+/**
+ * Resolves the registry kind from the :kind URL parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string|null} Registry kind, or null after sending a 400 response
+ */
+const resolveKind = (req, res) => {
+  const kind = CUSTOM_KINDS[req.params.kind];
+  if (!kind) {
+    logger.warn('Invalid custom style kind', { kind: req.params.kind });
+    res.status(400).json({
+      success: false,
+      message: `Invalid style kind. Valid options: ${Object.keys(CUSTOM_KINDS).join(', ')}`
+    });
+    return null;
+  }
+  return kind;
+};
+
+/**
+ * GET /api/styles
+ * Returns the style registry the frontend renders its style chips, orientation
+ * buttons and video style cards from; every entry is flagged with `builtIn`
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "imageStyles": [{ "id": "realistic", "label": "Realistic", "description": "...", "prompt": "..." }],
+ *   "orientations": [{ "id": "landscape", "label": "Landscape", "aspectRatio": "16:9", ... }],
+ *   "videoStyles": [{ "id": "showcase", "label": "Product Showcase", "icon": "✨", ... }],
+ *   "defaults": { "imageStyle": "realistic", "orientation": "landscape", "videoContentStyle": "showcase" }
+ * }
+ */
+router.get('/styles', (req, res) => {
+  res.json({
+    success: true,
+    ...styleService.getRegistry()
+  });
+});
+
+/**
+ * POST /api/styles/:kind
+ * Creates a custom style (kind: image or video), usable right away in
+ * /api/generate-image (imageStyle) and /api/generate-video (videoContentStyle)
+ *
+ * Request Body:
+ * - id: Optional slug (lowercase letters, digits, dashes); defaults to a slug of the label
+ * - label: Display name (required)
+ * - prompt: Prompt fragment sent to the model (required)
+ * - description: Short description shown in the UI
+ * - icon: Emoji shown on video style cards
+ *
+ * @example
+ * Request:
+ * { "label": "Holiday Campaign", "prompt": "festive winter setting, warm fairy lights, snow accents" }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "style": { "id": "holiday-campaign", "label": "Holiday Campaign", "prompt": "...", "builtIn": false }
+ * }
+ */
+router.post('/styles/:kind', (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) {
+    return;
+  }
+
+  try {
+    const style = styleService.createCustomStyle(kind, req.body || {});
+    res.status(201).json({
+      success: true,
+      style
+    });
+  } catch (error) {
+    logger.warn('Custom style creation rejected', { kind, error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/styles/:kind/:id
+ * Updates a custom style; built-in styles are read-only (403)
+ */
+router.put('/styles/:kind/:id', (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) {
+    return;
+  }
+
+  try {
+    const style = styleService.updateCustomStyle(kind, req.params.id, req.body || {});
+    res.json({
+      success: true,
+      style
+    });
+  } catch (error) {
+    logger.warn('Custom style update rejected', { kind, id: req.params.id, error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/styles/:kind/:id
+ * Deletes a custom style; built-in styles are read-only (403)
+ */
+router.delete('/styles/:kind/:id', (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) {
+    return;
+  }
+
+  try {
+    styleService.deleteCustomStyle(kind, req.params.id);
+    res.json({
+      success: true,
+      message: 'Style deleted'
+    });
+  } catch (error) {
+    logger.warn('Custom style deletion rejected', { kind, id: req.params.id, error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
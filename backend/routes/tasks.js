@@ -0,0 +1,130 @@
+/**
+ * Task Event Routes
+ * Streams task status changes to clients over Server-Sent Events, and cancels tasks
+ * Polling of the provider happens once on the server (see services/poller.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireJob, describeTask, cancelTask } = require('../services/generation');
+const { startPolling } = require('../services/poller');
+const { jobEvents, isTerminal } = require('../services/jobs');
+const logger = require('../utils/logger');
+
+// Keep-alive comment interval so proxies do not close idle streams
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * GET /api/tasks/:id/events
+ * Server-Sent Events stream of status updates for an image or video task
+ *
+ * Sends a `status` event with the current state immediately, then one per
+ * status change. The stream is closed by the server once the task reaches
+ * COMPLETED, FAILED or CANCELLED.
+ *
+ * @example
+ * Event:
+ * event: status
+ * data: {"success":true,"status":"COMPLETED","task_id":"9b2f...","imageUrl":"https://..."}
+ */
+router.get('/tasks/:id/events', (req, res) => {
+  let job;
+  try {
+    job = requireJob(req.params.id);
+  } catch (error) {
+    logger.warn('Task event stream requested for unknown task', { taskId: req.params.id });
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.info('Task event stream opened', { taskId: job.id });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  /**
+   * Writes a status event for a job and closes the stream once it is final
+   * @param {Object} current - Job record
+   */
+  const sendStatus = (current) => {
+    res.write(`event: status\ndata: ${JSON.stringify(describeTask(current))}\n\n`);
+    if (isTerminal(current.status)) {
+      res.end();
+    }
+  };
+
+  const onStatus = (updated) => {
+    if (updated.id === job.id) {
+      sendStatus(updated);
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEvents.off('status', onStatus);
+  };
+
+  jobEvents.on('status', onStatus);
+  res.on('close', () => {
+    cleanup();
+    logger.debug('Task event stream closed', { taskId: job.id });
+  });
+
+  // Jobs from before a restart get their poller back when someone listens
+  startPolling(job.id);
+  sendStatus(job);
+});
+
+/**
+ * DELETE /api/tasks/:id
+ * Cancels an unfinished image, video, sequence or post-production task
+ *
+ * The provider is asked to stop the generation where it supports that
+ * (`cancelledWithProvider` in the job record); otherwise the task is only marked
+ * CANCELLED and its result is discarded when it arrives. Cancelling a sequence
+ * cancels its clips. Open event streams receive the CANCELLED status and close.
+ *
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "status": "CANCELLED",
+ *   "task_id": "9b2f..."
+ * }
+ */
+router.delete('/tasks/:id', async (req, res) => {
+  try {
+    logger.logRequest(req, 'Task cancellation requested');
+
+    const job = requireJob(req.params.id);
+    res.json(await cancelTask(job));
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      logger.warn('Task cannot be cancelled', { taskId: req.params.id, error: error.message });
+    } else {
+      logger.error('Task cancellation endpoint error', {
+        taskId: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to cancel task'
+    });
+  }
+});
+
+module.exports = router;
+
@@ -5,7 +5,10 @@
 
 const express = require('express');
 const router = express.Router();
-const { generateVideo, checkVideoStatus } = require('../services/freepik');
+const { generateVideo, checkVideoStatus } = require('../services/generation');
+const { listIds, getDefaultId } = require('../services/styles');
+const { findAssetByUrl } = require('../services/assets');
+const { PRIORITIES } = require('../services/queue');
 const logger = require('../utils/logger');
 
 /**
@@ -13,13 +16,16 @@ const logger = require('../utils/logger');
  * Initiates AI video generation from a product image
  * 
  * Request Body (JSON):
- * - imageUrl: URL of the product image (from image generation step)
+ * - imageUrl: URL of the product image; either a stable asset URL from the image
+ *   generation step (/api/assets/:id) or an absolute public URL
  * - duration: Video duration in seconds (6 or 10)
  * - prompt: Optional custom prompt for video generation
+ * - priority: Queue priority lane (high, normal or low; default normal)
  * 
  * Response:
- * - task_id: Unique identifier for polling status
- * - status: Initial status of the generation task
+ * - task_id: Job identifier for polling status (see GET /api/jobs/:id)
+ * - status: Initial status of the generation task (QUEUED while every provider slot is busy)
+ * - queue: Position in the queue and priority lane, while queued
  * 
  * @example
  * Request:
@@ -43,7 +49,7 @@ router.post('/generate-video', async (req, res) => {
     logger.logRequest(req, 'Video generation requested');
     
     // Extract and validate request data
-    const { imageUrl, duration = 6, videoContentStyle = 'showcase', imageStyle = 'realistic' } = req.body;
+    const { imageUrl, duration = 6, videoContentStyle = 'showcase', imageStyle = 'realistic', priority = 'normal' } = req.body;
     
     // Validate required fields
     if (!imageUrl) {
@@ -54,9 +60,11 @@ router.post('/generate-video', async (req, res) => {
       });
     }
     
-    // Validate image URL format
+    // Validate image URL format (stored assets may be referenced by their relative URL)
     try {
-      new URL(imageUrl);
+      if (!findAssetByUrl(imageUrl)) {
+        new URL(imageUrl);
+      }
     } catch (error) {
       logger.warn('Invalid image URL format', { imageUrl });
       return res.status(400).json({
@@ -76,8 +84,8 @@ router.post('/generate-video', async (req, res) => {
     }
     
     // Validate video content style
-    const validVideoStyles = ['showcase', 'coming-soon', 'lifestyle'];
-    const selectedVideoStyle = videoContentStyle || 'showcase';
+    const validVideoStyles = listIds('videoStyles');
+    const selectedVideoStyle = videoContentStyle || getDefaultId('videoStyles');
     if (!validVideoStyles.includes(selectedVideoStyle)) {
       logger.warn('Invalid video content style', { videoContentStyle: selectedVideoStyle });
       return res.status(400).json({
@@ -86,26 +94,56 @@ router.post('/generate-video', async (req, res) => {
       });
     }
     
+    // Validate image style
+    const validImageStyles = listIds('imageStyles');
+    const selectedImageStyle = imageStyle || getDefaultId('imageStyles');
+    if (!validImageStyles.includes(selectedImageStyle)) {
+      logger.warn('Invalid image style', { imageStyle: selectedImageStyle });
+      return res.status(400).json({
+        success: false,
+        message: `Invalid image style. Valid options: ${validImageStyles.join(', ')}`
+      });
+    }
+    
+    // Validate queue priority
+    if (!PRIORITIES.includes(priority)) {
+      logger.warn('Invalid queue priority', { priority });
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority. Valid options: ${PRIORITIES.join(', ')}`
+      });
+    }
+    
     logger.info('Processing video generation', {
       imageUrl,
       duration: durationNum,
       videoContentStyle: selectedVideoStyle,
-      imageStyle
+      imageStyle: selectedImageStyle
     });
     
-    // Call Freepik API service
-    const result = await generateVideo(imageUrl, durationNum, selectedVideoStyle, imageStyle);
+    // Call generation service
+    const result = await generateVideo({
+      imageUrl,
+      duration: durationNum,
+      videoContentStyle: selectedVideoStyle,
+      imageStyle: selectedImageStyle,
+      priority
+    });
     
     // Return task ID for status polling
     res.json(result);
     
   } catch (error) {
-    logger.error('Video generation endpoint error', { 
-      error: error.message,
-      stack: error.stack 
-    });
+    if (error.status && error.status < 500) {
+      logger.warn('Video generation request rejected', { error: error.message, status: error.status });
+    } else {
+      logger.error('Video generation endpoint error', { 
+        error: error.message,
+        stack: error.stack 
+      });
+    }
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to generate video'
     });
@@ -120,7 +158,8 @@ router.post('/generate-video', async (req, res) => {
  * - taskId: Task identifier from initial generation request
  * 
  * Response:
- * - status: Current status (PENDING, PROCESSING, COMPLETED, FAILED)
+ * - status: Current status (QUEUED, PENDING, PROCESSING, COMPLETED, FAILED, CANCELLED)
+ * - queue: Position in the queue and priority lane (only when status is QUEUED)
  * - videoUrl: URL of generated video (only when status is COMPLETED)
  * 
  * @example
@@ -155,7 +194,7 @@ router.get('/video-status/:taskId', async (req, res) => {
       });
     }
     
-    // Check status via Freepik API service
+    // Check status via generation service
     const result = await checkVideoStatus(taskId);
     
     // Log status progression
@@ -171,12 +210,16 @@ router.get('/video-status/:taskId', async (req, res) => {
     res.json(result);
     
   } catch (error) {
-    logger.error('Video status check endpoint error', { 
-      taskId: req.params.taskId,
-      error: error.message 
-    });
+    if (error.status && error.status < 500) {
+      logger.warn('Video status check rejected', { taskId: req.params.taskId, error: error.message, status: error.status });
+    } else {
+      logger.error('Video status check endpoint error', { 
+        taskId: req.params.taskId,
+        error: error.message 
+      });
+    }
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to check video status'
     });
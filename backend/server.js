@@ -9,6 +9,11 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const logger = require('./utils/logger');
+const { providerName, providerSupportsSeed, getProviderCircuitState } = require('./services/generation');
+const { resumePolling } = require('./services/poller');
+const { failInterruptedRenders } = require('./services/postproduction');
+const { resumeSequences } = require('./services/sequences');
+const { resumeQueue, getQueueStats } = require('./services/queue');
 
 // Initialize Express app
 const app = express();
@@ -23,7 +28,7 @@ const PORT = process.env.PORT || 3000;
  */
 app.use(cors({
   origin: '*', // In production, specify exact frontend URL
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -67,10 +72,29 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    service: 'AI Product Generator API'
+    service: 'AI Product Generator API',
+    provider: providerName,
+    providerSupportsSeed,
+    // null for providers that make no remote calls
+    circuitBreaker: getProviderCircuitState(),
+    queue: getQueueStats()
   });
 });
 
+/**
+ * Style registry routes
+ * Lists the image styles, orientations and video content styles
+ */
+const styleRoutes = require('./routes/styles');
+app.use('/api', styleRoutes);
+
+/**
+ * Prompt template routes
+ * Lists versioned prompt templates and renders dry-run previews
+ */
+const promptRoutes = require('./routes/prompts');
+app.use('/api', promptRoutes);
+
 /**
  * Image generation routes
  * Handles AI image generation requests and status polling
@@ -78,6 +102,13 @@ app.get('/api/health', (req, res) => {
 const imageRoutes = require('./routes/image');
 app.use('/api', imageRoutes);
 
+/**
+ * Batch generation routes
+ * Handles matrix generation across colors, styles and orientations
+ */
+const batchRoutes = require('./routes/batch');
+app.use('/api', batchRoutes);
+
 /**
  * Video generation routes
  * Handles AI video generation requests and status polling
@@ -85,6 +116,92 @@ app.use('/api', imageRoutes);
 const videoRoutes = require('./routes/video');
 app.use('/api', videoRoutes);
 
+/**
+ * Sequence routes
+ * Generates multi-shot spots stitched from several video clips
+ */
+const sequenceRoutes = require('./routes/sequences');
+app.use('/api', sequenceRoutes);
+
+/**
+ * Storyboard routes
+ * Manages reusable multi-scene timelines and renders them for a product image
+ */
+const storyboardRoutes = require('./routes/storyboards');
+app.use('/api', storyboardRoutes);
+
+/**
+ * Brand kit routes
+ * Manages saved logos, palettes and generation defaults per brand
+ */
+const brandRoutes = require('./routes/brands');
+app.use('/api', brandRoutes);
+
+/**
+ * Job history routes
+ * Exposes persisted generation jobs
+ */
+const jobRoutes = require('./routes/jobs');
+app.use('/api', jobRoutes);
+
+/**
+ * Project routes
+ * Groups generations into projects and lists them for the history gallery
+ */
+const projectRoutes = require('./routes/projects');
+app.use('/api', projectRoutes);
+
+/**
+ * Asset routes
+ * Serves generated images and videos mirrored from the provider
+ */
+const assetRoutes = require('./routes/assets');
+app.use('/api', assetRoutes);
+
+/**
+ * Overlay routes
+ * Composites text, logo and call-to-action layers onto stored images
+ */
+const overlayRoutes = require('./routes/overlays');
+app.use('/api', overlayRoutes);
+
+/**
+ * Export routes
+ * Renders stored images into ZIP packs of platform ad sizes
+ */
+const exportRoutes = require('./routes/exports');
+app.use('/api', exportRoutes);
+
+/**
+ * Post-production routes
+ * Renders branded intro/end cards, watermarks and background music onto generated videos
+ */
+const postProductionRoutes = require('./routes/postproduction');
+app.use('/api', postProductionRoutes);
+
+/**
+ * Music library routes
+ * Manages the background tracks offered for generated videos
+ */
+const musicRoutes = require('./routes/music');
+app.use('/api', musicRoutes);
+
+/**
+ * Task event routes
+ * Streams task status changes over Server-Sent Events and cancels tasks
+ */
+const taskRoutes = require('./routes/tasks');
+app.use('/api', taskRoutes);
+
+/**
+ * Mock provider asset routes
+ * Serves placeholder outputs when running with the offline mock provider
+ */
+if (providerName === 'mock') {
+  const mockRoutes = require('./routes/mock');
+  app.use('/api', mockRoutes);
+}
+
 /**
  * Root endpoint - serves the main HTML page
  */
@@ -149,12 +266,19 @@ if (process.env.NODE_ENV === 'production') {
     logger.info('Virtuoso Ads Server Started', {
       port: PORT,
       environment: process.env.NODE_ENV || 'development',
+      provider: providerName,
       nodeVersion: process.version
     });
     logger.info(`Server running at http://localhost:${PORT}`);
     logger.info(`Virtuoso Ads available at http://localhost:${PORT}`);
     logger.info(`API endpoints at http://localhost:${PORT}/api`);
     logger.info('='.repeat(60));
+
+    // Pick up jobs that were still running when the server stopped
+    failInterruptedRenders();
+    resumePolling();
+    resumeQueue();
+    resumeSequences();
   });
 }
 
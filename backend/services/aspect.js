@@ -0,0 +1,147 @@
+/**
+ * Aspect Ratio Verification Service
+ * The orientation only reaches the model as a sentence in the prompt, so completed images are
+ * measured against the aspect ratio their orientation declares. An output that is off by more
+ * than ASPECT_RATIO_TOLERANCE is either center-cropped to the requested ratio (stored as a new
+ * asset, the original is kept) or flagged, depending on ASPECT_MISMATCH_ACTION (crop or flag).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ffmpeg } = require('../utils/ffmpeg');
+const assetStore = require('./assets');
+const styles = require('./styles');
+const logger = require('../utils/logger');
+
+// Allowed relative deviation between requested and measured ratio (2%)
+const ASPECT_RATIO_TOLERANCE = parseFloat(process.env.ASPECT_RATIO_TOLERANCE) || 0.02;
+
+// What to do with mismatched outputs: crop (default) or flag
+const ASPECT_MISMATCH_ACTION = process.env.ASPECT_MISMATCH_ACTION === 'flag' ? 'flag' : 'crop';
+
+/**
+ * Converts a "width:height" aspect ratio to a number
+ * @param {string} aspectRatio - Aspect ratio such as "21:9"
+ * @returns {number} Width divided by height
+ */
+const parseAspectRatio = (aspectRatio) => {
+  const [width, height] = aspectRatio.split(':').map(Number);
+  return width / height;
+};
+
+/**
+ * Computes the largest centered crop of an image with the requested ratio
+ * Dimensions are kept even so the crop also suits video encoders
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} ratio - Requested width / height
+ * @returns {{width: number, height: number, x: number, y: number}} Crop rectangle
+ */
+const centeredCrop = (width, height, ratio) => {
+  const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+  const cropWidth = width / height > ratio ? even(height * ratio) : even(width);
+  const cropHeight = width / height > ratio ? even(height) : even(width / ratio);
+  return {
+    width: cropWidth,
+    height: cropHeight,
+    x: Math.floor((width - cropWidth) / 2),
+    y: Math.floor((height - cropHeight) / 2)
+  };
+};
+
+/**
+ * Crops an image asset to the requested ratio and stores the result as a new asset
+ * @param {Object} asset - Mismatched image asset
+ * @param {Object} crop - Crop rectangle from centeredCrop
+ * @param {string} aspectRatio - Requested aspect ratio
+ * @returns {Promise<Object>} Cropped image asset
+ */
+const cropAsset = async (asset, crop, aspectRatio) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'virtuoso-crop-'));
+  const outputPath = path.join(workDir, `${crypto.randomUUID()}.png`);
+
+  try {
+    await ffmpeg([
+      '-i', assetStore.getAssetPath(asset),
+      '-vf', `crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`,
+      '-frames:v', '1',
+      outputPath
+    ]);
+
+    return await assetStore.storeFile({
+      filePath: outputPath,
+      kind: 'image',
+      jobId: asset.jobId,
+      sourceAssetId: asset.id,
+      extra: { crop: { ...crop, aspectRatio } }
+    });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Verifies that a completed image matches the aspect ratio of its orientation
+ * @param {Object} job - Image job (its inputs name the orientation)
+ * @param {Object} asset - Mirrored output asset
+ * @returns {Promise<{asset: Object, aspectCheck: Object}>} Asset to use as the result (the cropped one,
+ *   if cropped) and the check: { expected, actual, deviation, action } where action is
+ *   matched, cropped, flagged or unverified
+ */
+const verifyAspectRatio = async (job, asset) => {
+  const orientation = styles.getStyle('orientations', job.inputs && job.inputs.orientation);
+  if (!orientation || !asset.width || !asset.height) {
+    return {
+      asset,
+      aspectCheck: {
+        expected: orientation ? orientation.aspectRatio : null,
+        actual: null,
+        action: 'unverified',
+        reason: orientation ? 'Output dimensions are unknown' : 'Unknown orientation'
+      }
+    };
+  }
+
+  const expected = parseAspectRatio(orientation.aspectRatio);
+  const actual = asset.width / asset.height;
+  const deviation = Math.round((Math.abs(actual - expected) / expected) * 1000) / 1000;
+  const aspectCheck = {
+    expected: orientation.aspectRatio,
+    actual: `${asset.width}x${asset.height}`,
+    deviation
+  };
+
+  if (deviation <= ASPECT_RATIO_TOLERANCE) {
+    return { asset, aspectCheck: { ...aspectCheck, action: 'matched' } };
+  }
+
+  logger.warn('Output aspect ratio does not match the orientation', {
+    jobId: job.id,
+    orientation: orientation.id,
+    ...aspectCheck,
+    action: ASPECT_MISMATCH_ACTION
+  });
+
+  if (ASPECT_MISMATCH_ACTION === 'crop') {
+    const crop = centeredCrop(asset.width, asset.height, expected);
+    try {
+      const cropped = await cropAsset(asset, crop, orientation.aspectRatio);
+      return {
+        asset: cropped,
+        aspectCheck: { ...aspectCheck, action: 'cropped', originalAssetId: asset.id, croppedTo: `${crop.width}x${crop.height}` }
+      };
+    } catch (error) {
+      // Without a working ffmpeg the mismatch is reported instead
+      logger.error('Cropping mismatched output failed, flagging it instead', { jobId: job.id, error: error.message });
+      return { asset, aspectCheck: { ...aspectCheck, action: 'flagged', reason: `Auto-crop failed: ${error.message}` } };
+    }
+  }
+
+  return { asset, aspectCheck: { ...aspectCheck, action: 'flagged' } };
+};
+
+module.exports = {
+  verifyAspectRatio
+};
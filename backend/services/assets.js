@@ -0,0 +1,409 @@
+/**
+ * Asset Store Service
+ * Mirrors completed provider outputs into the data directory, because provider URLs expire,
+ * stores files rendered locally from them, and keeps the reference images generations were made from.
+ * Each asset records its checksum, size, MIME type and dimensions and is served
+ * from the stable URL /api/assets/:id
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createCollection, ensureDataDir } = require('../utils/storage');
+const { probe } = require('../utils/ffmpeg');
+const logger = require('../utils/logger');
+
+const assets = createCollection('assets');
+
+// Download limits
+const ASSET_DOWNLOAD_TIMEOUT = parseInt(process.env.ASSET_DOWNLOAD_TIMEOUT) || 120000; // 2 minutes
+const MAX_ASSET_SIZE = parseInt(process.env.MAX_ASSET_SIZE) || 500 * 1024 * 1024; // 500MB
+
+/**
+ * File extensions per MIME type
+ */
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+  'application/zip': '.zip'
+};
+
+// Matches stable asset URLs, absolute or relative
+const ASSET_URL_PATTERN = /^(?:https?:\/\/[^/]+)?\/api\/assets\/([0-9a-f-]{36})(?:[?#].*)?$/i;
+
+/**
+ * Gets the directory holding mirrored asset files
+ * @returns {string} Absolute directory path (created if missing)
+ */
+const getAssetDir = () => ensureDataDir('assets');
+
+/**
+ * Builds the stable URL of an asset
+ * @param {string} id - Asset identifier
+ * @returns {string} Relative URL served by GET /api/assets/:id
+ */
+const getAssetUrl = (id) => `/api/assets/${id}`;
+
+/**
+ * Detects the MIME type of a file from its first bytes
+ * Used when the provider sends no or a generic Content-Type
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string|null} MIME type or null if unknown
+ */
+const sniffMimeType = (head) => {
+  if (head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (head[0] === 0xff && head[1] === 0xd8) {
+    return 'image/jpeg';
+  }
+  if (head.slice(0, 3).toString('ascii') === 'GIF') {
+    return 'image/gif';
+  }
+  if (head.slice(0, 4).toString('ascii') === 'RIFF' && head.slice(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  if (head.slice(4, 8).toString('ascii') === 'ftyp') {
+    return head.slice(8, 10).toString('ascii') === 'qt' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) {
+    return 'video/webm';
+  }
+  if (head.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    return 'application/zip';
+  }
+  if (/<svg[\s>]/i.test(head.toString('utf8'))) {
+    return 'image/svg+xml';
+  }
+  return null;
+};
+
+/**
+ * Reads the pixel dimensions of an image from its header
+ * @param {Buffer} data - Image file contents
+ * @param {string} mimeType - Image MIME type
+ * @returns {{width: number, height: number}|null} Dimensions or null if they cannot be read
+ */
+const readImageDimensions = (data, mimeType) => {
+  switch (mimeType) {
+    case 'image/png':
+      return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+
+    case 'image/gif':
+      return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+
+    case 'image/jpeg': {
+      // Walk the segments up to the first start-of-frame marker
+      let offset = 2;
+      while (offset + 9 < data.length) {
+        const marker = data[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+      }
+      return null;
+    }
+
+    case 'image/webp': {
+      const chunk = data.slice(12, 16).toString('ascii');
+      if (chunk === 'VP8X') {
+        return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+      }
+      if (chunk === 'VP8L') {
+        const bits = data.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8 ') {
+        return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+      }
+      return null;
+    }
+
+    case 'image/svg+xml': {
+      const tag = /<svg[^>]*>/i.exec(data.toString('utf8'));
+      const width = tag && /\swidth="(\d+(?:\.\d+)?)(?:px)?"/.exec(tag[0]);
+      const height = tag && /\sheight="(\d+(?:\.\d+)?)(?:px)?"/.exec(tag[0]);
+      return width && height ? { width: Math.round(width[1]), height: Math.round(height[1]) } : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Reads the dimensions and duration of a video with ffprobe
+ * Mirroring does not depend on ffprobe; without it the metadata is left empty
+ * @param {string} filePath - Video file path
+ * @returns {Promise<{width: number, height: number, duration: number}|null>} Metadata or null
+ */
+const readVideoMetadata = async (filePath) => {
+  try {
+    const info = await probe(filePath);
+    const stream = info.streams.find(item => item.codec_type === 'video');
+    return stream ? {
+      width: stream.width,
+      height: stream.height,
+      duration: parseFloat(info.format.duration) || null
+    } : null;
+  } catch (error) {
+    logger.warn('Could not probe mirrored video', { filePath, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Reads the metadata of a downloaded file
+ * @param {string} filePath - Downloaded file
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<Object>} { width, height, duration? } with null values when unknown
+ */
+const readMetadata = async (filePath, mimeType) => {
+  if (mimeType.startsWith('video/')) {
+    return (await readVideoMetadata(filePath)) || { width: null, height: null, duration: null };
+  }
+  if (!mimeType.startsWith('image/')) {
+    return {};
+  }
+
+  const data = await fs.promises.readFile(filePath);
+  try {
+    return readImageDimensions(data, mimeType) || { width: null, height: null };
+  } catch (error) {
+    logger.warn('Could not read image dimensions', { filePath, mimeType, error: error.message });
+    return { width: null, height: null };
+  }
+};
+
+/**
+ * Downloads a provider output into the asset store
+ * @param {Object} options - Mirror options
+ * @param {string} options.url - Provider URL of the output
+ * @param {string} options.kind - Asset kind (image or video)
+ * @param {string} [options.jobId] - Job the output belongs to
+ * @returns {Promise<Object>} Stored asset record including its stable `url`
+ * @throws {Error} If the download fails or the file is too large
+ */
+const mirrorAsset = async ({ url, kind, jobId }) => {
+  const id = crypto.randomUUID();
+  const partialPath = path.join(getAssetDir(), `${id}.part`);
+
+  logger.info('Mirroring asset', { assetId: id, jobId, kind, url });
+
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: ASSET_DOWNLOAD_TIMEOUT,
+    maxContentLength: MAX_ASSET_SIZE
+  });
+
+  // Hash and size the file while it streams to disk
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(partialPath);
+      response.data.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_ASSET_SIZE) {
+          response.data.destroy(new Error(`Asset exceeds ${MAX_ASSET_SIZE} bytes`));
+          return;
+        }
+        hash.update(chunk);
+        if (head.length < 64) {
+          head = Buffer.concat([head, chunk]).slice(0, 64);
+        }
+      });
+      response.data.on('error', reject);
+      output.on('error', reject);
+      output.on('finish', resolve);
+      response.data.pipe(output);
+    });
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw error;
+  }
+
+  // Prefer the file's own signature; providers often send application/octet-stream
+  const headerType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const mimeType = sniffMimeType(head) || (EXTENSIONS[headerType] ? headerType : 'application/octet-stream');
+  const filename = `${id}${EXTENSIONS[mimeType] || ''}`;
+  const filePath = path.join(getAssetDir(), filename);
+  await fs.promises.rename(partialPath, filePath);
+
+  const metadata = await readMetadata(filePath, mimeType);
+  const asset = assets.insert({
+    id,
+    kind,
+    jobId: jobId || null,
+    filename,
+    mimeType,
+    size,
+    checksum: `sha256:${hash.digest('hex')}`,
+    ...metadata,
+    sourceUrl: url,
+    url: getAssetUrl(id)
+  });
+
+  logger.info('Asset mirrored', {
+    assetId: id,
+    jobId,
+    mimeType,
+    size,
+    width: asset.width,
+    height: asset.height
+  });
+  return asset;
+};
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Checksum as `sha256:<hex>`
+ */
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(`sha256:${hash.digest('hex')}`));
+  });
+};
+
+/**
+ * Moves a locally rendered file into the asset store (e.g. composited images or export packs)
+ * @param {Object} options - Store options
+ * @param {string} options.filePath - Rendered file; it is moved, not copied
+ * @param {string} options.kind - Asset kind (image, video, export or reference)
+ * @param {string} [options.jobId] - Job the file belongs to
+ * @param {string} [options.sourceAssetId] - Asset the file was derived from
+ * @param {Object} [options.extra] - Additional fields describing how the file was made
+ * @returns {Promise<Object>} Stored asset record including its stable `url`
+ */
+const storeFile = async ({ filePath, kind, jobId, sourceAssetId, extra = {} }) => {
+  const id = crypto.randomUUID();
+
+  const handle = await fs.promises.open(filePath, 'r');
+  const head = Buffer.alloc(64);
+  await handle.read(head, 0, 64, 0);
+  await handle.close();
+
+  const mimeType = sniffMimeType(head) || 'application/octet-stream';
+  const filename = `${id}${EXTENSIONS[mimeType] || path.extname(filePath)}`;
+  const targetPath = path.join(getAssetDir(), filename);
+
+  // Copy then unlink, since temporary files and data may live on different filesystems
+  await fs.promises.copyFile(filePath, targetPath);
+  await fs.promises.unlink(filePath);
+
+  const { size } = await fs.promises.stat(targetPath);
+  const metadata = await readMetadata(targetPath, mimeType);
+  const asset = assets.insert({
+    id,
+    kind,
+    jobId: jobId || null,
+    filename,
+    mimeType,
+    size,
+    checksum: await hashFile(targetPath),
+    ...metadata,
+    ...(sourceAssetId && { sourceAssetId }),
+    ...extra,
+    url: getAssetUrl(id)
+  });
+
+  logger.info('Asset stored', { assetId: id, sourceAssetId, mimeType, size });
+  return asset;
+};
+
+/**
+ * Keeps a copy of a reference image (logo or prototype) so its generation can be repeated later
+ * Identical files are stored once, so regenerating or batching does not pile up copies
+ * @param {string} filePath - Reference image file; it is copied, the original stays in place
+ * @returns {Promise<Object>} Asset of kind `reference`
+ */
+const storeReference = async (filePath) => {
+  const checksum = await hashFile(filePath);
+  const existing = assets.find(asset => asset.kind === 'reference' && asset.checksum === checksum);
+  if (existing) {
+    return existing;
+  }
+
+  const copyPath = path.join(getAssetDir(), `${crypto.randomUUID()}.tmp`);
+  await fs.promises.copyFile(filePath, copyPath);
+  return storeFile({ filePath: copyPath, kind: 'reference' });
+};
+
+/**
+ * Gets an asset by ID
+ * @param {string} id - Asset identifier
+ * @returns {Object|null} Asset or null if not found
+ */
+const getAsset = (id) => assets.get(id);
+
+/**
+ * Finds the asset behind a stable asset URL
+ * @param {string} url - Absolute or relative /api/assets/:id URL
+ * @returns {Object|null} Asset or null if the URL is not a known asset
+ */
+const findAssetByUrl = (url) => {
+  const match = ASSET_URL_PATTERN.exec(String(url || ''));
+  return match ? assets.get(match[1].toLowerCase()) : null;
+};
+
+/**
+ * Gets the absolute path of an asset file
+ * @param {Object} asset - Asset record
+ * @returns {string} File path
+ */
+const getAssetPath = (asset) => path.join(getAssetDir(), asset.filename);
+
+/**
+ * Reads an asset file as base64, for providers that take inline images
+ * @param {Object} asset - Asset record
+ * @returns {Promise<string>} Base64 encoded file contents
+ */
+const readAssetBase64 = async (asset) => {
+  const data = await fs.promises.readFile(getAssetPath(asset));
+  return data.toString('base64');
+};
+
+/**
+ * Deletes an asset and its file
+ * Used to discard outputs nobody will see, such as the result of a cancelled job
+ * @param {string} id - Asset identifier
+ * @returns {Promise<boolean>} True if the asset existed
+ */
+const deleteAsset = async (id) => {
+  const asset = assets.get(id);
+  if (!asset) {
+    return false;
+  }
+
+  await fs.promises.rm(getAssetPath(asset), { force: true });
+  assets.remove(id);
+  logger.info('Asset deleted', { assetId: id });
+  return true;
+};
+
+module.exports = {
+  mirrorAsset,
+  storeFile,
+  storeReference,
+  getAsset,
+  getAssetUrl,
+  findAssetByUrl,
+  getAssetPath,
+  readAssetBase64,
+  deleteAsset
+};
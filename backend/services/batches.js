@@ -0,0 +1,232 @@
+/**
+ * Batch Generation Service
+ * Fans one logo/prototype pair out into an image job per combination
+ * of colors, styles and orientations, and aggregates their status.
+ * Variations are batches too: one image job repeated with the same settings and different seeds.
+ */
+
+const crypto = require('crypto');
+const { createCollection } = require('../utils/storage');
+const logger = require('../utils/logger');
+const jobStore = require('./jobs');
+const { generateImage, regenerateJob, SEED_MAX } = require('./generation');
+const { getQueuePosition } = require('./queue');
+
+const batches = createCollection('batches');
+
+// Upper bound on combinations per batch, to protect provider credits and rate limits
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE) || 12;
+
+/**
+ * Expands lists of options into every combination
+ * @param {string[]} colors - Hex color codes
+ * @param {string[]} styles - Image styles
+ * @param {string[]} orientations - Image orientations
+ * @returns {Object[]} Combinations of { colorScheme, imageStyle, orientation }
+ */
+const expandMatrix = (colors, styles, orientations) => {
+  const combinations = [];
+  colors.forEach(colorScheme => {
+    styles.forEach(imageStyle => {
+      orientations.forEach(orientation => {
+        combinations.push({ colorScheme, imageStyle, orientation });
+      });
+    });
+  });
+  return combinations;
+};
+
+/**
+ * Aggregates the status of a batch from its child jobs
+ * - PROCESSING while any child is still running (or none was submitted yet)
+ * - COMPLETED when every child completed
+ * - PARTIAL when finished with some failures or cancellations
+ * - FAILED when every child failed
+ * - CANCELLED when every child was cancelled
+ * @param {string[]} statuses - Child job statuses
+ * @returns {string} Aggregated status
+ */
+const aggregateStatus = (statuses) => {
+  if (statuses.length === 0 || statuses.some(status => !jobStore.isTerminal(status))) {
+    return 'PROCESSING';
+  }
+  if (statuses.every(status => status === 'CANCELLED')) {
+    return 'CANCELLED';
+  }
+
+  const completed = statuses.filter(status => status === 'COMPLETED').length;
+  if (completed === statuses.length) {
+    return 'COMPLETED';
+  }
+  return completed > 0 ? 'PARTIAL' : 'FAILED';
+};
+
+/**
+ * Builds the client-facing view of a batch with live child status
+ * @param {Object} batch - Batch record
+ * @returns {Object} Batch with aggregated status, counts and children
+ */
+const describeBatch = (batch) => {
+  const children = batch.children.map((child) => {
+    const job = child.task_id ? jobStore.getJob(child.task_id) : null;
+    return {
+      ...child,
+      status: job ? job.status : 'FAILED',
+      queue: job ? getQueuePosition(job) || undefined : undefined,
+      imageUrl: job && job.status === 'COMPLETED' ? job.resultUrl : undefined,
+      aspectCheck: job && job.status === 'COMPLETED' ? job.aspectCheck : undefined,
+      error: job ? job.error || undefined : child.error
+    };
+  });
+
+  const counts = children.reduce((totals, child) => {
+    totals[child.status] = (totals[child.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  return {
+    batch_id: batch.id,
+    status: aggregateStatus(children.map(child => child.status)),
+    total: children.length,
+    counts,
+    children,
+    createdAt: batch.createdAt
+  };
+};
+
+/**
+ * Starts a batch of image generations
+ * Children are queued one after another, in the low priority lane unless asked otherwise
+ * @param {Object} options - Batch options
+ * @param {string} options.logoPath - Path to logo image file
+ * @param {string} options.prototypePath - Path to prototype design image file
+ * @param {string[]} options.colors - Hex color codes, each used as the primary color
+ * @param {Object[]} [options.palette] - Secondary and accent colors shared by every child
+ * @param {string[]} options.styles - Image styles
+ * @param {string[]} options.orientations - Image orientations
+ * @param {Object} [options.files] - Original upload names, recorded with each job
+ * @param {string} [options.brandId] - Brand kit the logo came from
+ * @param {string} [options.projectId] - Project the images are generated for
+ * @param {string} [options.priority] - Queue priority lane of the children (defaults to low)
+ * @returns {Promise<Object>} Batch description with child task IDs
+ */
+const createBatch = async ({ logoPath, prototypePath, colors, palette = [], styles, orientations, files = {}, brandId, projectId, priority = 'low' }) => {
+  const combinations = expandMatrix(colors, styles, orientations);
+
+  if (combinations.length > BATCH_MAX_SIZE) {
+    const error = new Error(`Batch has ${combinations.length} combinations; the maximum is ${BATCH_MAX_SIZE}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const batch = batches.insert({
+    inputs: { files, colors, palette, styles, orientations },
+    ...(brandId && { brandId }),
+    ...(projectId && { projectId }),
+    children: []
+  });
+  logger.info('Batch generation started', { batchId: batch.id, size: combinations.length });
+
+  const children = [];
+  for (const combination of combinations) {
+    try {
+      const result = await generateImage({
+        logoPath,
+        prototypePath,
+        palette: [
+          { role: 'primary', hex: combination.colorScheme },
+          ...palette.filter(entry => entry.role !== 'primary')
+        ],
+        style: combination.imageStyle,
+        orientation: combination.orientation,
+        files,
+        batchId: batch.id,
+        brandId,
+        projectId,
+        priority
+      });
+      children.push({ ...combination, task_id: result.task_id });
+    } catch (error) {
+      // A rejected child does not abort the rest of the batch
+      logger.error('Batch child submission failed', {
+        batchId: batch.id,
+        ...combination,
+        error: error.message
+      });
+      children.push({ ...combination, task_id: null, error: error.message });
+    }
+  }
+
+  const stored = batches.update(batch.id, { children });
+  return describeBatch(stored);
+};
+
+/**
+ * Starts variations of an image job: the same settings (references, palette, style, orientation,
+ * prompt template and instruction for refinements), each with a new seed
+ * @param {Object} job - Image job to vary
+ * @param {number} count - Number of variations
+ * @returns {Promise<Object>} Batch description with child task IDs and seeds
+ * @throws {Error} With status 400 for an invalid count, 422 if the job is not an image job
+ */
+const createVariations = async (job, count) => {
+  if (!Number.isInteger(count) || count < 2 || count > BATCH_MAX_SIZE) {
+    const error = new Error(`Variation count must be between 2 and ${BATCH_MAX_SIZE}`);
+    error.status = 400;
+    throw error;
+  }
+  if (job.type !== 'image') {
+    const error = new Error('Only image jobs have variations');
+    error.status = 422;
+    throw error;
+  }
+
+  const { colorScheme, imageStyle, orientation } = job.inputs;
+  const batch = batches.insert({
+    inputs: { variationOf: job.id, count },
+    ...(job.brandId && { brandId: job.brandId }),
+    ...(job.projectId && { projectId: job.projectId }),
+    children: []
+  });
+  logger.info('Variations started', { batchId: batch.id, jobId: job.id, count });
+
+  const children = [];
+  for (let index = 0; index < count; index++) {
+    // Providers without seed support ignore it; their results vary on their own
+    const seed = crypto.randomInt(0, SEED_MAX);
+    const combination = { colorScheme, imageStyle, orientation };
+    try {
+      const result = await regenerateJob(job, { seed, kind: 'variation', batchId: batch.id, priority: 'low' });
+      children.push({ ...combination, seed: jobStore.getJob(result.task_id).inputs.seed, task_id: result.task_id });
+    } catch (error) {
+      if (error.status === 410 || error.status === 422) {
+        // The job cannot be repeated at all, so there is no point in trying the other seeds
+        batches.remove(batch.id);
+        throw error;
+      }
+      logger.error('Variation submission failed', { batchId: batch.id, jobId: job.id, error: error.message });
+      children.push({ ...combination, seed: null, task_id: null, error: error.message });
+    }
+  }
+
+  const stored = batches.update(batch.id, { children });
+  return describeBatch(stored);
+};
+
+/**
+ * Gets a batch with aggregated child status
+ * @param {string} id - Batch identifier
+ * @returns {Object|null} Batch description or null if not found
+ */
+const getBatch = (id) => {
+  const batch = batches.get(id);
+  return batch ? describeBatch(batch) : null;
+};
+
+module.exports = {
+  BATCH_MAX_SIZE,
+  createBatch,
+  createVariations,
+  getBatch
+};
+
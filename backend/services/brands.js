@@ -0,0 +1,198 @@
+/**
+ * Brand Kit Service
+ * Stores brands with their logo files, named color palette and
+ * default image style, orientation and video content style
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createCollection, ensureDataDir } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+const brands = createCollection('brands');
+
+/**
+ * Gets the directory holding a brand's logo files
+ * @param {string} brandId - Brand identifier
+ * @returns {string} Absolute directory path (created if missing)
+ */
+const getBrandDir = (brandId) => ensureDataDir('brands', brandId);
+
+/**
+ * Moves uploaded logo files into the brand's directory
+ * @param {string} brandId - Brand identifier
+ * @param {Object[]} files - Multer file objects
+ * @returns {Promise<Object[]>} Stored logo descriptors
+ */
+const storeLogos = async (brandId, files) => {
+  const dir = getBrandDir(brandId);
+  const logos = [];
+
+  for (const file of files) {
+    const id = crypto.randomUUID();
+    const filename = `${id}${path.extname(file.originalname).toLowerCase()}`;
+
+    // Copy then unlink, since uploads and data may live on different filesystems
+    await fs.promises.copyFile(file.path, path.join(dir, filename));
+    await fs.promises.unlink(file.path);
+
+    logos.push({
+      id,
+      filename,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    });
+  }
+
+  return logos;
+};
+
+/**
+ * Lists all brands, sorted by name
+ * @returns {Object[]} Brands
+ */
+const listBrands = () => {
+  return brands.list().sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Gets a brand by ID
+ * @param {string} id - Brand identifier
+ * @returns {Object|null} Brand or null if not found
+ */
+const getBrand = (id) => brands.get(id);
+
+/**
+ * Creates a brand kit
+ * @param {Object} data - Brand data
+ * @param {string} data.name - Brand name
+ * @param {Object[]} data.palette - Named colors ({ name, hex })
+ * @param {Object} data.defaults - Default imageStyle, orientation and videoContentStyle
+ * @param {Object[]} [data.logoFiles] - Uploaded logo files (multer objects)
+ * @returns {Promise<Object>} Created brand
+ */
+const createBrand = async ({ name, palette, defaults, logoFiles = [] }) => {
+  const brand = brands.insert({
+    name,
+    palette,
+    defaults,
+    logos: [],
+    defaultLogoId: null
+  });
+
+  const logos = await storeLogos(brand.id, logoFiles);
+  const created = brands.update(brand.id, {
+    logos,
+    defaultLogoId: logos.length > 0 ? logos[0].id : null
+  });
+
+  logger.info('Brand created', { brandId: created.id, name, logos: logos.length });
+  return created;
+};
+
+/**
+ * Updates a brand kit; new logo files are added to the existing ones
+ * @param {string} id - Brand identifier
+ * @param {Object} changes - Fields to update (name, palette, defaults, defaultLogoId)
+ * @param {Object[]} [logoFiles] - Additional uploaded logo files
+ * @returns {Promise<Object|null>} Updated brand or null if not found
+ */
+const updateBrand = async (id, changes, logoFiles = []) => {
+  const existing = brands.get(id);
+  if (!existing) {
+    return null;
+  }
+
+  const newLogos = await storeLogos(id, logoFiles);
+  const logos = [...existing.logos, ...newLogos];
+
+  const updated = brands.update(id, {
+    ...changes,
+    defaults: { ...existing.defaults, ...changes.defaults },
+    logos,
+    defaultLogoId: changes.defaultLogoId || existing.defaultLogoId || (logos[0] && logos[0].id) || null
+  });
+
+  logger.info('Brand updated', { brandId: id, addedLogos: newLogos.length });
+  return updated;
+};
+
+/**
+ * Removes a logo from a brand and deletes its file
+ * @param {string} id - Brand identifier
+ * @param {string} logoId - Logo identifier
+ * @returns {Promise<Object|null>} Updated brand or null if brand or logo not found
+ */
+const removeLogo = async (id, logoId) => {
+  const existing = brands.get(id);
+  const logo = existing && existing.logos.find(item => item.id === logoId);
+  if (!logo) {
+    return null;
+  }
+
+  await fs.promises.rm(path.join(getBrandDir(id), logo.filename), { force: true });
+
+  const logos = existing.logos.filter(item => item.id !== logoId);
+  return brands.update(id, {
+    logos,
+    defaultLogoId: existing.defaultLogoId === logoId ? (logos[0] && logos[0].id) || null : existing.defaultLogoId
+  });
+};
+
+/**
+ * Deletes a brand kit and all of its logo files
+ * @param {string} id - Brand identifier
+ * @returns {Promise<boolean>} True if the brand existed
+ */
+const deleteBrand = async (id) => {
+  if (!brands.get(id)) {
+    return false;
+  }
+
+  await fs.promises.rm(getBrandDir(id), { recursive: true, force: true });
+  brands.remove(id);
+  logger.info('Brand deleted', { brandId: id });
+  return true;
+};
+
+/**
+ * Resolves the file of a brand logo
+ * @param {string} brandId - Brand identifier
+ * @param {string} [logoId] - Logo identifier (defaults to the brand's default logo)
+ * @returns {Object} Logo descriptor with absolute `path`
+ * @throws {Error} With status 404 if the brand or logo does not exist
+ */
+const resolveBrandLogo = (brandId, logoId) => {
+  const brand = brands.get(brandId);
+  if (!brand) {
+    const error = new Error(`Brand not found: ${brandId}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const wantedId = logoId || brand.defaultLogoId;
+  const logo = brand.logos.find(item => item.id === wantedId);
+  if (!logo) {
+    const error = new Error(logoId ? `Logo not found: ${logoId}` : `Brand "${brand.name}" has no logo`);
+    error.status = logoId ? 404 : 400;
+    throw error;
+  }
+
+  return {
+    ...logo,
+    path: path.join(getBrandDir(brandId), logo.filename)
+  };
+};
+
+module.exports = {
+  listBrands,
+  getBrand,
+  createBrand,
+  updateBrand,
+  removeLogo,
+  deleteBrand,
+  resolveBrandLogo
+};
+
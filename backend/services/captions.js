@@ -0,0 +1,315 @@
+/**
+ * Captions Service
+ * Validates timed caption lines for a video clip, auto-times a single tagline across the clip,
+ * builds the drawtext filters burning the captions in, and writes them as SRT or WebVTT subtitles.
+ *
+ * Cue times are relative to the clip; the finished video may start with an intro card, so the
+ * subtitle writers take the offset of the clip inside the video.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FONTS, buildTextFilter } = require('./overlays');
+const { resolvePaletteColor } = require('./prompts');
+
+/**
+ * Limits of caption input
+ * minCue: shortest cue in seconds, so every line stays readable
+ */
+const CAPTION_LIMITS = { maxLines: 20, lineLength: 120, taglineLength: 200, minCue: 0.5 };
+
+const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+
+/**
+ * Default caption style
+ * size: font size as a fraction of the video height; padding: box padding as a fraction of the font size
+ */
+const CAPTION_DEFAULTS = { font: 'sans-bold', color: '#FFFFFF', size: 0.05, position: 'bottom', padding: 0.3 };
+
+// Words per cue when a tagline is split up
+const TAGLINE_CHUNK_WORDS = 6;
+
+// Average glyph width relative to the font size, used to wrap lines to the frame
+const GLYPH_WIDTH = 0.55;
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Rounds a time to milliseconds
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Rounded time
+ */
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Reads a caption time within the clip
+ * @param {*} value - Submitted time in seconds
+ * @param {number} clipDuration - Clip duration in seconds
+ * @param {string} label - Field description for the error message
+ * @returns {number} Time in seconds
+ * @throws {Error} With status 400 if the time is missing or outside the clip
+ */
+const readTime = (value, clipDuration, label) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0 || number > clipDuration) {
+    throw httpError(400, `${label} must be a time between 0 and ${clipDuration} seconds`);
+  }
+  return roundTime(number);
+};
+
+/**
+ * Validates timed caption lines
+ * @param {Object[]} lines - Submitted lines ({ start, end, text })
+ * @param {number} clipDuration - Clip duration in seconds
+ * @returns {Object[]} Cues sorted by start time
+ * @throws {Error} With status 400 on an invalid, too short or overlapping line
+ */
+const normalizeLines = (lines, clipDuration) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw httpError(400, 'Caption lines must be a non-empty array');
+  }
+  if (lines.length > CAPTION_LIMITS.maxLines) {
+    throw httpError(400, `At most ${CAPTION_LIMITS.maxLines} caption lines are allowed`);
+  }
+
+  const cues = lines.map((line, index) => {
+    const label = `Caption line ${index + 1}`;
+    const text = String((line && line.text) || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > CAPTION_LIMITS.lineLength) {
+      throw httpError(400, `${label}: text is required and must be at most ${CAPTION_LIMITS.lineLength} characters`);
+    }
+    const start = readTime(line.start, clipDuration, `${label}: start`);
+    const end = readTime(line.end, clipDuration, `${label}: end`);
+    if (end - start < CAPTION_LIMITS.minCue) {
+      throw httpError(400, `${label}: must end at least ${CAPTION_LIMITS.minCue} seconds after it starts`);
+    }
+    return { start, end, text };
+  }).sort((a, b) => a.start - b.start);
+
+  cues.forEach((cue, index) => {
+    if (index > 0 && cue.start < cues[index - 1].end) {
+      throw httpError(400, `Caption lines overlap at ${cue.start} seconds`);
+    }
+  });
+
+  return cues;
+};
+
+/**
+ * Splits a tagline into cues spread over the whole clip
+ * The tagline is broken at sentence ends, long sentences into chunks of a few words,
+ * and each chunk is shown for a share of the clip proportional to its length
+ * @param {string} tagline - Tagline text
+ * @param {number} clipDuration - Clip duration in seconds
+ * @returns {Object[]} Cues covering the clip
+ * @throws {Error} With status 400 if the tagline is empty or too long
+ */
+const timeTagline = (tagline, clipDuration) => {
+  const text = String(tagline || '').replace(/\s+/g, ' ').trim();
+  if (!text || text.length > CAPTION_LIMITS.taglineLength) {
+    throw httpError(400, `The caption tagline is required and must be at most ${CAPTION_LIMITS.taglineLength} characters`);
+  }
+
+  const chunks = [];
+  for (const phrase of text.match(/[^.!?]+[.!?]*/g) || [text]) {
+    const words = phrase.trim().split(' ').filter(Boolean);
+    for (let index = 0; index < words.length; index += TAGLINE_CHUNK_WORDS) {
+      chunks.push(words.slice(index, index + TAGLINE_CHUNK_WORDS).join(' '));
+    }
+  }
+
+  // Merge chunks until each one gets at least the minimum cue length
+  const maxCues = Math.max(1, Math.floor(clipDuration / CAPTION_LIMITS.minCue));
+  while (chunks.length > maxCues) {
+    const shortest = chunks.reduce((best, chunk, index) => (
+      index < chunks.length - 1 && chunk.length + chunks[index + 1].length < chunks[best].length + chunks[best + 1].length ? index : best
+    ), 0);
+    chunks.splice(shortest, 2, `${chunks[shortest]} ${chunks[shortest + 1]}`);
+  }
+
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  let start = 0;
+  return chunks.map((chunk, index) => {
+    const end = index === chunks.length - 1 ? clipDuration : start + clipDuration * (chunk.length / totalLength);
+    const cue = { start: roundTime(start), end: roundTime(end), text: chunk };
+    start = end;
+    return cue;
+  });
+};
+
+/**
+ * Validates caption options and fills in the style defaults
+ * @param {Object} section - Submitted captions ({ lines } or { tagline }, plus font, color, background, size, position)
+ * @param {number} clipDuration - Duration of the captioned clip in seconds
+ * @param {Object[]} palette - Palette the colors may refer to
+ * @returns {Object} Captions plan ({ cues, font, color, background, size, position })
+ * @throws {Error} With status 400 on invalid captions
+ */
+const normalizeCaptions = (section, clipDuration, palette) => {
+  if (section.lines !== undefined && section.tagline !== undefined) {
+    throw httpError(400, 'Captions take either timed lines or a tagline, not both');
+  }
+  if (section.lines === undefined && section.tagline === undefined) {
+    throw httpError(400, 'Captions need timed lines or a tagline');
+  }
+
+  const cues = section.lines !== undefined
+    ? normalizeLines(section.lines, clipDuration)
+    : timeTagline(section.tagline, clipDuration);
+
+  const font = section.font || CAPTION_DEFAULTS.font;
+  if (!FONTS[font]) {
+    throw httpError(400, `Caption font must be one of ${Object.keys(FONTS).join(', ')}`);
+  }
+  const position = section.position || CAPTION_DEFAULTS.position;
+  if (!CAPTION_POSITIONS.includes(position)) {
+    throw httpError(400, `Caption position must be one of ${CAPTION_POSITIONS.join(', ')}`);
+  }
+  const size = section.size === undefined || section.size === '' ? CAPTION_DEFAULTS.size : Number(section.size);
+  if (!Number.isFinite(size) || size < 0.02 || size > 0.1) {
+    throw httpError(400, 'Caption size must be a number between 0.02 and 0.1');
+  }
+
+  // Captions sit on a box in the primary brand color unless the background is switched off
+  const roles = palette.map(color => color.role);
+  const background = section.background === false || section.background === 'none'
+    ? null
+    : resolvePaletteColor(section.background || (roles.includes('primary') ? 'primary' : '#000000'), palette, 'Caption background');
+
+  return {
+    source: section.lines !== undefined ? 'lines' : 'tagline',
+    cues,
+    font,
+    color: resolvePaletteColor(section.color || CAPTION_DEFAULTS.color, palette, 'Caption color'),
+    background,
+    size,
+    position
+  };
+};
+
+/**
+ * Wraps caption text to the width of the frame
+ * @param {string} text - Caption text
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} width - Usable width in pixels
+ * @returns {string} Text with line breaks
+ */
+const wrapText = (text, fontSize, width) => {
+  const maxChars = Math.max(10, Math.floor(width / (fontSize * GLYPH_WIDTH)));
+  const lines = [];
+  for (const word of text.split(' ')) {
+    const last = lines.length - 1;
+    if (last >= 0 && lines[last].length + word.length + 1 <= maxChars) {
+      lines[last] += ` ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Builds the filter chain burning captions into a clip
+ * Each cue is a drawtext filter enabled during its time span; texts are written to files in workDir
+ * @param {Object} captions - Captions plan
+ * @param {string} source - Label of the clip to draw on (timestamps starting at 0)
+ * @param {string} label - Label for the result
+ * @param {Object} image - { width, height } of the clip
+ * @param {string} workDir - Directory for the caption text files
+ * @returns {Promise<string>} Filter chain
+ */
+const buildCaptionFilter = async (captions, source, label, image, workDir) => {
+  const fontSize = Math.max(1, Math.round(captions.size * image.height));
+  const layer = {
+    type: captions.background ? 'cta' : 'text',
+    position: captions.position,
+    offsetX: 0,
+    offsetY: 0,
+    safeArea: 0.05,
+    font: captions.font,
+    size: captions.size,
+    color: captions.color,
+    ...(captions.background && { background: captions.background, padding: CAPTION_DEFAULTS.padding })
+  };
+  const padding = captions.background ? Math.round(fontSize * CAPTION_DEFAULTS.padding) : 0;
+  const usableWidth = image.width * (1 - 2 * layer.safeArea) - 2 * padding;
+
+  const filters = [];
+  for (const [index, cue] of captions.cues.entries()) {
+    const textFile = path.join(workDir, `caption${index}.txt`);
+    await fs.promises.writeFile(textFile, wrapText(cue.text, fontSize, usableWidth));
+    // Half-open spans, so back-to-back cues never share a frame
+    filters.push(`${buildTextFilter(layer, textFile, image)}:enable='gte(t,${cue.start})*lt(t,${cue.end})'`);
+  }
+  return `[${source}]${filters.join(',')}[${label}]`;
+};
+
+/**
+ * Formats a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before the milliseconds ("," for SRT, "." for WebVTT)
+ * @returns {string} HH:MM:SS,mmm timestamp
+ */
+const formatTimestamp = (seconds, separator) => {
+  const total = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:` +
+    `${pad(Math.floor(total / 1000) % 60)}${separator}${pad(total % 1000, 3)}`;
+};
+
+/**
+ * Writes cues as an SRT subtitle file
+ * @param {Object[]} cues - Cues ({ start, end, text })
+ * @param {number} [offset] - Start of the clip in the video, in seconds
+ * @returns {string} SRT content
+ */
+const toSrt = (cues, offset = 0) => {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start + offset, ',')} --> ${formatTimestamp(cue.end + offset, ',')}`,
+    cue.text
+  ].join('\n')).join('\n\n') + '\n';
+};
+
+/**
+ * Writes cues as a WebVTT subtitle file
+ * @param {Object[]} cues - Cues ({ start, end, text })
+ * @param {number} [offset] - Start of the clip in the video, in seconds
+ * @returns {string} WebVTT content
+ */
+const toVtt = (cues, offset = 0) => {
+  const body = cues.map(cue => [
+    `${formatTimestamp(cue.start + offset, '.')} --> ${formatTimestamp(cue.end + offset, '.')}`,
+    // "&" and "<" start entities and tags in cue text, and "-->" would end the cue timing
+    cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '->')
+  ].join('\n')).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+};
+
+/**
+ * Lists the options the caption editor offers
+ * @returns {Object} { limits, positions, defaults }
+ */
+const getCaptionOptions = () => ({
+  limits: CAPTION_LIMITS,
+  positions: CAPTION_POSITIONS,
+  defaults: CAPTION_DEFAULTS
+});
+
+module.exports = {
+  normalizeCaptions,
+  buildCaptionFilter,
+  toSrt,
+  toVtt,
+  getCaptionOptions
+};
@@ -0,0 +1,308 @@
+/**
+ * Export Pack Service
+ * Renders a stored image into a named set of platform ad sizes and bundles them as a ZIP
+ * with a manifest.json describing every file.
+ *
+ * Each size is either cropped around a focal point (x/y as fractions of the image, default
+ * center) or letterboxed onto a background color. In `auto` mode an image is cropped as long as
+ * the crop keeps at least MIN_CROP_COVERAGE of it, and padded otherwise (e.g. a landscape shot
+ * squeezed into a 728x90 leaderboard).
+ * Formats and packs are loaded from config/export-formats.json (override with EXPORT_FORMATS_FILE).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ffmpeg } = require('../utils/ffmpeg');
+const { createZip } = require('../utils/zip');
+const assetStore = require('./assets');
+const { resolvePaletteColor } = require('./prompts');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMATS_FILE = process.env.EXPORT_FORMATS_FILE || path.join(__dirname, '../config/export-formats.json');
+
+// Share of the scaled image a crop must keep in auto mode
+const MIN_CROP_COVERAGE = 0.5;
+
+// Pad color when neither the request nor the brand palette provides one
+const DEFAULT_BACKGROUND = '#FFFFFF';
+
+const FIT_MODES = ['auto', 'crop', 'pad'];
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Loads and validates the export format registry
+ * @returns {{formats: Object[], packs: Object[]}} Formats ({ id, label, platform, width, height }) and packs ({ id, label, formats })
+ * @throws {Error} If the file is missing or a format or pack is invalid
+ */
+const loadRegistry = () => {
+  const registry = JSON.parse(fs.readFileSync(EXPORT_FORMATS_FILE, 'utf8'));
+  const formatIds = new Set();
+
+  registry.formats.forEach(format => {
+    if (!format.id || !Number.isInteger(format.width) || !Number.isInteger(format.height) ||
+      format.width <= 0 || format.height <= 0) {
+      throw new Error(`Invalid export format in ${EXPORT_FORMATS_FILE}: ${JSON.stringify(format)}`);
+    }
+    formatIds.add(format.id);
+  });
+  registry.packs.forEach(pack => {
+    const unknown = (pack.formats || []).filter(id => !formatIds.has(id));
+    if (!pack.id || !pack.formats || pack.formats.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid export pack "${pack.id}" in ${EXPORT_FORMATS_FILE}`);
+    }
+  });
+
+  logger.info('Export formats loaded', { formats: registry.formats.length, packs: registry.packs.length });
+  return registry;
+};
+
+const registry = loadRegistry();
+
+/**
+ * Greatest common divisor, for aspect ratio labels
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} GCD
+ */
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Describes the aspect ratio of a size (e.g. "4:5", or "1.91:1" when the reduced ratio is unwieldy)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} Aspect ratio label
+ */
+const describeAspectRatio = (width, height) => {
+  const divisor = gcd(width, height);
+  const [w, h] = [width / divisor, height / divisor];
+  return w <= 21 && h <= 21 ? `${w}:${h}` : `${Math.round((width / height) * 100) / 100}:1`;
+};
+
+/**
+ * Resolves the formats of an export request
+ * @param {string} [pack] - Pack ID
+ * @param {string[]} [formatIds] - Explicit format IDs (win over the pack)
+ * @returns {{pack: string|null, formats: Object[]}} Selected pack and formats
+ * @throws {Error} With status 400 on an unknown pack or format
+ */
+const resolveFormats = (pack, formatIds) => {
+  if (Array.isArray(formatIds) && formatIds.length > 0) {
+    const formats = formatIds.map(id => {
+      const format = registry.formats.find(item => item.id === id);
+      if (!format) {
+        throw httpError(400, `Unknown export format "${id}". Valid formats: ${registry.formats.map(item => item.id).join(', ')}`);
+      }
+      return format;
+    });
+    return { pack: null, formats };
+  }
+
+  const packId = pack || registry.packs[0].id;
+  const selected = registry.packs.find(item => item.id === packId);
+  if (!selected) {
+    throw httpError(400, `Unknown export pack "${packId}". Valid packs: ${registry.packs.map(item => item.id).join(', ')}`);
+  }
+  return {
+    pack: selected.id,
+    formats: selected.formats.map(id => registry.formats.find(item => item.id === id))
+  };
+};
+
+/**
+ * Validates a focal point
+ * @param {Object} [focalPoint] - { x, y } as fractions of the image (0 = left/top, 1 = right/bottom)
+ * @returns {{x: number, y: number}} Focal point, centered by default
+ * @throws {Error} With status 400 if a coordinate is out of range
+ */
+const normalizeFocalPoint = (focalPoint) => {
+  const point = { x: 0.5, y: 0.5 };
+  ['x', 'y'].forEach(axis => {
+    const value = focalPoint ? focalPoint[axis] : undefined;
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 1) {
+      throw httpError(400, `Focal point ${axis} must be a number between 0 and 1`);
+    }
+    point[axis] = number;
+  });
+  return point;
+};
+
+/**
+ * Plans how one format is cut from the source image
+ * @param {Object} source - { width, height } of the source image
+ * @param {Object} format - Target format ({ width, height })
+ * @param {string} fit - auto, crop or pad
+ * @param {Object} focalPoint - { x, y } focal point
+ * @param {string} background - Pad color (hex)
+ * @returns {{fit: string, filter: string}} Chosen fit and the ffmpeg filter producing it
+ */
+const planFormat = (source, format, fit, focalPoint, background) => {
+  const { width, height } = format;
+  const coverScale = Math.max(width / source.width, height / source.height);
+  const containScale = Math.min(width / source.width, height / source.height);
+  // Share of the scaled-to-cover image that survives the crop
+  const coverage = (width * height) / (source.width * coverScale * source.height * coverScale);
+  const chosen = fit === 'auto' ? (coverage >= MIN_CROP_COVERAGE ? 'crop' : 'pad') : fit;
+
+  if (chosen === 'crop') {
+    // Scale to cover, then center the crop window on the focal point, clamped to the image
+    const scaledWidth = Math.max(width, Math.ceil(source.width * coverScale));
+    const scaledHeight = Math.max(height, Math.ceil(source.height * coverScale));
+    const x = Math.min(Math.max(Math.round(focalPoint.x * scaledWidth - width / 2), 0), scaledWidth - width);
+    const y = Math.min(Math.max(Math.round(focalPoint.y * scaledHeight - height / 2), 0), scaledHeight - height);
+    return {
+      fit: chosen,
+      filter: `scale=${scaledWidth}:${scaledHeight},crop=${width}:${height}:${x}:${y},setsar=1`
+    };
+  }
+
+  // Scale to fit and center on the background color
+  const scaledWidth = Math.min(width, Math.max(1, Math.floor(source.width * containScale)));
+  const scaledHeight = Math.min(height, Math.max(1, Math.floor(source.height * containScale)));
+  return {
+    fit: chosen,
+    filter: `scale=${scaledWidth}:${scaledHeight},pad=${width}:${height}:` +
+      `${Math.floor((width - scaledWidth) / 2)}:${Math.floor((height - scaledHeight) / 2)}:` +
+      `color=0x${background.slice(1)},setsar=1`
+  };
+};
+
+/**
+ * Renders an export pack from a stored image and stores the ZIP as a new asset
+ * @param {Object} options - Export options
+ * @param {Object} options.asset - Source image asset
+ * @param {string} [options.pack] - Pack ID (defaults to the first pack)
+ * @param {string[]} [options.formats] - Format IDs, instead of a pack
+ * @param {Object} [options.focalPoint] - { x, y } crop focus as fractions of the image
+ * @param {string} [options.fit] - auto (default), crop or pad
+ * @param {string} [options.background] - Pad color: hex code, palette role or palette color name
+ * @param {Object[]} [options.palette] - Palette the background may refer to
+ * @returns {Promise<{asset: Object, manifest: Object}>} Stored ZIP asset and its manifest
+ * @throws {Error} With status 400 on invalid options, 422 if the source cannot be exported
+ */
+const exportPack = async ({ asset, pack, formats: formatIds, focalPoint, fit = 'auto', background, palette = [] }) => {
+  if (asset.kind !== 'image') {
+    throw httpError(422, 'Only images can be exported for platforms');
+  }
+  if (!asset.width || !asset.height) {
+    throw httpError(422, 'The dimensions of this image are unknown, so it cannot be resized');
+  }
+  if (!FIT_MODES.includes(fit)) {
+    throw httpError(400, `Fit must be one of ${FIT_MODES.join(', ')}`);
+  }
+
+  const selection = resolveFormats(pack, formatIds);
+  const focus = normalizeFocalPoint(focalPoint);
+  const backgroundHex = background
+    ? resolvePaletteColor(background, palette, 'Background')
+    : (palette.find(color => color.role === 'secondary') || { hex: DEFAULT_BACKGROUND }).hex.toUpperCase();
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'virtuoso-export-'));
+  const source = { width: asset.width, height: asset.height };
+
+  try {
+    logger.info('Rendering export pack', {
+      assetId: asset.id,
+      pack: selection.pack,
+      formats: selection.formats.length,
+      fit
+    });
+
+    const entries = [];
+    const files = [];
+    for (const format of selection.formats) {
+      const plan = planFormat(source, format, fit, focus, backgroundHex);
+      const filename = `${format.id}-${format.width}x${format.height}.png`;
+      const outputPath = path.join(workDir, filename);
+
+      await ffmpeg([
+        '-i', assetStore.getAssetPath(asset),
+        '-vf', plan.filter,
+        '-frames:v', '1',
+        outputPath
+      ]);
+
+      const data = await fs.promises.readFile(outputPath);
+      entries.push({ name: filename, data });
+      files.push({
+        filename,
+        format: format.id,
+        label: format.label,
+        platform: format.platform,
+        width: format.width,
+        height: format.height,
+        aspectRatio: describeAspectRatio(format.width, format.height),
+        fit: plan.fit,
+        size: data.length,
+        checksum: `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`
+      });
+    }
+
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      source: {
+        assetId: asset.id,
+        jobId: asset.jobId,
+        width: asset.width,
+        height: asset.height,
+        checksum: asset.checksum
+      },
+      pack: selection.pack,
+      focalPoint: focus,
+      fit,
+      background: backgroundHex,
+      files
+    };
+    entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    const zipPath = path.join(workDir, `${crypto.randomUUID()}.zip`);
+    await fs.promises.writeFile(zipPath, createZip(entries));
+
+    const stored = await assetStore.storeFile({
+      filePath: zipPath,
+      kind: 'export',
+      jobId: asset.jobId,
+      sourceAssetId: asset.id,
+      extra: { export: { pack: selection.pack, formats: files.map(file => file.format), fit, focalPoint: focus, background: backgroundHex } }
+    });
+
+    return { asset: stored, manifest };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Lists the export formats and packs
+ * @returns {Object} { formats (with aspectRatio), packs, fitModes, defaultPack }
+ */
+const getExportOptions = () => ({
+  formats: registry.formats.map(format => ({
+    ...format,
+    aspectRatio: describeAspectRatio(format.width, format.height)
+  })),
+  packs: registry.packs,
+  fitModes: FIT_MODES,
+  defaultPack: registry.packs[0].id
+});
+
+module.exports = {
+  exportPack,
+  getExportOptions
+};
@@ -0,0 +1,559 @@
+/**
+ * Generation Service Module
+ * Entry point for image and video generation (and image refinement) used by the routes
+ * Builds prompts, delegates to the configured generation provider,
+ * records every task in the job store and hands it to the server-side poller.
+ * Jobs record everything needed to run them again (reference images as assets, and the seed when
+ * the provider supports seeds), so any historical job can be regenerated with the same settings.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const provider = require('./providers');
+const jobStore = require('./jobs');
+const poller = require('./poller');
+const queue = require('./queue');
+const assetStore = require('./assets');
+const { findAssetProjectId } = require('./projects');
+const { createImagePrompt, createVideoPrompt, createRefinePrompt } = require('./prompts');
+const { isValidStyle } = require('./styles');
+
+// Upper bound on the length of a refinement instruction
+const REFINE_INSTRUCTION_LIMIT = 500;
+
+// Seeds are kept within a signed 32-bit integer, the range most generation APIs accept
+const SEED_MAX = 2 ** 31 - 1;
+
+/**
+ * Picks the seed for a new job
+ * @param {number} [seed] - Requested seed (e.g. the seed of the job being regenerated)
+ * @returns {number|null} The requested or a random seed, or null if the provider ignores seeds
+ */
+const resolveSeed = (seed) => {
+  if (!provider.supportsSeed) {
+    return null;
+  }
+  return Number.isInteger(seed) ? seed : crypto.randomInt(0, SEED_MAX);
+};
+
+/**
+ * Reads the template version a job was rendered with
+ * @param {Object} job - Job record with promptTemplate (e.g. "image.v2")
+ * @returns {string|undefined} Template version, or undefined for the active one
+ */
+const getTemplateVersion = (job) => (job.promptTemplate ? job.promptTemplate.split('.')[1] : undefined);
+
+/**
+ * Looks up the job behind a task ID
+ * @param {string} taskId - Job ID (or provider task ID)
+ * @param {string} [type] - Expected job type (image or video), any type if omitted
+ * @returns {Object} Job record
+ * @throws {Error} With status 404 if no matching job exists
+ */
+const requireJob = (taskId, type) => {
+  const job = jobStore.findJobByTaskId(taskId);
+  if (!job || (type && job.type !== type)) {
+    const error = new Error(`No ${type ? `${type} ` : ''}task found with ID ${taskId}`);
+    error.status = 404;
+    throw error;
+  }
+  return job;
+};
+
+/**
+ * Builds the client-facing status payload for a job
+ * @param {Object} job - Job record
+ * @returns {Object} Status response (task_id, status, progress of local renders, per-shot status of
+ *   sequences, and result URL or error)
+ */
+const describeTask = (job) => {
+  const result = {
+    success: true,
+    status: job.status,
+    task_id: job.id
+  };
+
+  if (job.status === 'COMPLETED' && job.resultUrl) {
+    result[job.type === 'image' ? 'imageUrl' : 'videoUrl'] = job.resultUrl;
+    if (job.assetId) {
+      result.assetId = job.assetId;
+    }
+    if (job.aspectCheck) {
+      result.aspectCheck = job.aspectCheck;
+    }
+  }
+
+  if (!jobStore.isTerminal(job.status) && job.progress) {
+    result.progress = job.progress;
+  }
+
+  const queuePosition = queue.getQueuePosition(job);
+  if (queuePosition) {
+    result.queue = queuePosition;
+  }
+
+  if (job.type === 'sequence') {
+    result.shots = job.shots.map((shot) => {
+      const clip = shot.task_id ? jobStore.getJob(shot.task_id) : null;
+      return {
+        index: shot.index,
+        task_id: shot.task_id,
+        status: clip ? clip.status : 'FAILED',
+        ...(clip && clip.status === 'QUEUED' && { queue: queue.getQueuePosition(clip) || undefined }),
+        ...(clip && clip.status === 'COMPLETED' && { videoUrl: clip.resultUrl }),
+        ...((clip ? clip.error : shot.error) && { error: clip ? clip.error : shot.error })
+      };
+    });
+    if (job.storyboardId) {
+      result.storyboardId = job.storyboardId;
+    }
+  }
+
+  if (job.status === 'FAILED' && job.error) {
+    result.error = job.error;
+  }
+
+  return result;
+};
+
+/**
+ * Builds the response for a job that was just queued or submitted
+ * @param {Object} job - Job record
+ * @param {string} label - What the job does, for the message (e.g. "Image generation")
+ * @param {Object} [extra] - Extra response fields
+ * @returns {Object} Response containing task_id, status, queue position while queued, and message
+ */
+const describeStart = (job, label, extra = {}) => {
+  const queuePosition = queue.getQueuePosition(job);
+  return {
+    success: true,
+    task_id: job.id,
+    status: job.status,
+    ...(queuePosition && { queue: queuePosition }),
+    ...extra,
+    message: `${label} ${queuePosition ? 'queued' : 'started'}`
+  };
+};
+
+/**
+ * Initiates image generation with the active provider
+ * @param {Object} options - Generation options
+ * @param {string} options.logoPath - Path to logo image file
+ * @param {string} options.prototypePath - Path to prototype design image file
+ * @param {Object[]} options.palette - Brand palette entries with roles ({ role, hex, name })
+ * @param {string} [options.style] - Selected image style (realistic, comic, etc.)
+ * @param {string} [options.orientation] - Image orientation (an orientation ID from the style registry)
+ * @param {Object} [options.files] - Original upload names, recorded with the job
+ * @param {string} [options.batchId] - Batch the job belongs to
+ * @param {string} [options.brandId] - Brand kit the logo and defaults came from
+ * @param {string} [options.projectId] - Project the image is generated for
+ * @param {string} [options.templateVersion] - Prompt template version (defaults to the active one)
+ * @param {number} [options.seed] - Seed to reuse (a random one is picked if the provider supports seeds)
+ * @param {Object} [options.derivedFrom] - Job this one repeats ({ jobId, kind: regenerate or variation })
+ * @param {string} [options.priority] - Queue priority lane (high, normal or low; defaults to normal)
+ * @returns {Promise<Object>} Response containing task_id, initial status and queue position while queued
+ */
+const generateImage = async ({ logoPath, prototypePath, palette, style = 'realistic', orientation = 'landscape', files = {}, batchId, brandId, projectId, templateVersion, seed, derivedFrom, priority }) => {
+  logger.info('Starting image generation', {
+    provider: provider.name,
+    logoPath,
+    prototypePath,
+    palette,
+    style,
+    orientation
+  });
+
+  const { prompt, templateVersion: promptTemplate } = createImagePrompt(palette, style, orientation, templateVersion);
+  const colorScheme = palette.find(entry => entry.role === 'primary').hex;
+  // One after the other, so a logo that is also the prototype is stored once
+  const logoAsset = await assetStore.storeReference(logoPath);
+  const prototypeAsset = await assetStore.storeReference(prototypePath);
+  const jobSeed = resolveSeed(seed);
+  const job = jobStore.createJob({
+    type: 'image',
+    provider: provider.name,
+    inputs: {
+      files,
+      referenceAssetIds: { logo: logoAsset.id, prototype: prototypeAsset.id },
+      colorScheme,
+      palette,
+      imageStyle: style,
+      orientation,
+      seed: jobSeed
+    },
+    prompt,
+    promptTemplate: `image.${promptTemplate}`,
+    ...(batchId && { batchId }),
+    ...(brandId && { brandId }),
+    ...(projectId && { projectId }),
+    ...(derivedFrom && { derivedFrom })
+  });
+
+  const submitted = await queue.enqueue(job, priority);
+
+  logger.info('Image generation initiated successfully', {
+    taskId: submitted.id,
+    providerTaskId: submitted.providerTaskId,
+    status: submitted.status
+  });
+
+  return describeStart(submitted, 'Image generation');
+};
+
+/**
+ * Checks the status of an image generation task
+ * Answered from the job store; the server-side poller keeps it up to date
+ * @param {string} taskId - Task ID from initial generation request
+ * @returns {Promise<Object>} Current task status and generated image URL (if complete)
+ */
+const checkImageStatus = async (taskId) => {
+  const job = requireJob(taskId, 'image');
+
+  // Jobs from before a restart get their poller back on first access
+  poller.startPolling(job.id);
+
+  return describeTask(job);
+};
+
+/**
+ * Initiates video generation with the active provider
+ * @param {Object} options - Generation options
+ * @param {string} options.imageUrl - URL of the product image: a stored asset URL or a public URL
+ * @param {number} [options.duration] - Video duration (6 or 10 seconds)
+ * @param {string} [options.videoContentStyle] - Video content style (showcase, coming-soon, lifestyle)
+ * @param {string} [options.imageStyle] - Image style to align video aesthetics with
+ * @param {string} [options.templateVersion] - Prompt template version (defaults to the active one)
+ * @param {string} [options.shotPrompt] - Direction for this shot, when the clip is part of a sequence
+ * @param {string} [options.sequenceId] - Sequence the clip belongs to
+ * @param {string} [options.projectId] - Project the video belongs to (defaults to the project of the image)
+ * @param {number} [options.seed] - Seed to reuse (a random one is picked if the provider supports seeds)
+ * @param {Object} [options.derivedFrom] - Job this one repeats ({ jobId, kind: regenerate })
+ * @param {string} [options.priority] - Queue priority lane (high, normal or low; defaults to normal)
+ * @returns {Promise<Object>} Response containing task_id, initial status and queue position while queued
+ */
+const generateVideo = async ({ imageUrl, duration = 6, videoContentStyle = 'showcase', imageStyle = 'realistic', templateVersion, shotPrompt, sequenceId, projectId, seed, derivedFrom, priority }) => {
+  logger.info('Starting video generation', {
+    provider: provider.name,
+    imageUrl,
+    duration,
+    videoContentStyle,
+    imageStyle
+  });
+
+  // Validate duration
+  if (![6, 10].includes(parseInt(duration))) {
+    throw new Error('Duration must be either 6 or 10 seconds');
+  }
+
+  // Stored assets are sent to the provider inline when the job is submitted (see queue.js)
+  const imageAsset = assetStore.findAssetByUrl(imageUrl);
+
+  const { prompt, templateVersion: promptTemplate } = createVideoPrompt(videoContentStyle, imageStyle, templateVersion, shotPrompt);
+  const jobSeed = resolveSeed(seed);
+  const videoProjectId = projectId || findAssetProjectId(imageAsset);
+  const job = jobStore.createJob({
+    type: 'video',
+    provider: provider.name,
+    inputs: {
+      imageUrl,
+      ...(imageAsset && { imageAssetId: imageAsset.id }),
+      duration: parseInt(duration),
+      videoContentStyle,
+      imageStyle,
+      ...(shotPrompt && { shotPrompt }),
+      seed: jobSeed
+    },
+    prompt,
+    promptTemplate: `video.${promptTemplate}`,
+    ...(sequenceId && { sequenceId }),
+    ...(videoProjectId && { projectId: videoProjectId }),
+    ...(derivedFrom && { derivedFrom })
+  });
+
+  const submitted = await queue.enqueue(job, priority);
+
+  logger.info('Video generation initiated successfully', {
+    taskId: submitted.id,
+    providerTaskId: submitted.providerTaskId,
+    status: submitted.status
+  });
+
+  return describeStart(submitted, 'Video generation');
+};
+
+/**
+ * Checks the status of a video generation task
+ * Answered from the job store; the server-side poller keeps it up to date
+ * @param {string} taskId - Task ID from initial generation request
+ * @returns {Promise<Object>} Current task status and generated video URL (if complete)
+ */
+const checkVideoStatus = async (taskId) => {
+  const job = requireJob(taskId, 'video');
+
+  // Jobs from before a restart get their poller back on first access
+  poller.startPolling(job.id);
+
+  return describeTask(job);
+};
+
+/**
+ * Refines a generated image with a free-text instruction
+ * The image is sent to the provider as the reference image, with the palette, style and orientation
+ * of the generation it came from. The refinement is an image job linked to its parent, so refinements
+ * of refinements form a version tree under the original generation.
+ * @param {Object} options - Refinement options
+ * @param {Object} options.asset - Stored image to refine
+ * @param {string} options.instruction - Requested change (e.g. "move the logo higher")
+ * @param {string} [options.templateVersion] - Refine template version (defaults to the active one)
+ * @param {number} [options.seed] - Seed to reuse (a random one is picked if the provider supports seeds)
+ * @param {Object} [options.derivedFrom] - Job this one repeats ({ jobId, kind: regenerate or variation })
+ * @param {string} [options.batchId] - Batch the refinement belongs to
+ * @param {string} [options.priority] - Queue priority lane (high, normal or low; defaults to normal)
+ * @returns {Promise<Object>} Response containing task_id, initial status, queue position while queued and the parent task ID
+ * @throws {Error} With status 422 if the asset is not an image made by an image job
+ */
+const refineImage = async ({ asset, instruction, templateVersion, seed, derivedFrom, batchId, priority }) => {
+  const parent = asset.kind === 'image' && asset.jobId ? jobStore.getJob(asset.jobId) : null;
+  if (!parent || parent.type !== 'image') {
+    const error = new Error('Only generated images can be refined');
+    error.status = 422;
+    throw error;
+  }
+
+  const { colorScheme, palette, imageStyle, orientation } = parent.inputs;
+  logger.info('Starting image refinement', {
+    provider: provider.name,
+    assetId: asset.id,
+    parentTaskId: parent.id,
+    instruction
+  });
+
+  const { prompt, templateVersion: promptTemplate } = createRefinePrompt(
+    instruction,
+    palette || colorScheme,
+    imageStyle,
+    orientation,
+    templateVersion
+  );
+  const jobSeed = resolveSeed(seed);
+  const job = jobStore.createJob({
+    type: 'image',
+    provider: provider.name,
+    inputs: { instruction, sourceAssetId: asset.id, colorScheme, palette, imageStyle, orientation, seed: jobSeed },
+    prompt,
+    promptTemplate: `refine.${promptTemplate}`,
+    parentJobId: parent.id,
+    rootJobId: parent.rootJobId || parent.id,
+    ...(parent.brandId && { brandId: parent.brandId }),
+    ...(parent.projectId && { projectId: parent.projectId }),
+    ...(batchId && { batchId }),
+    ...(derivedFrom && { derivedFrom })
+  });
+
+  const submitted = await queue.enqueue(job, priority);
+
+  logger.info('Image refinement initiated successfully', {
+    taskId: submitted.id,
+    parentTaskId: parent.id,
+    status: submitted.status
+  });
+
+  return describeStart(submitted, 'Image refinement', { parentTaskId: parent.id });
+};
+
+/**
+ * Builds the version tree an image belongs to: the original generation and every refinement under it
+ * @param {Object} asset - Stored image (any version of the tree)
+ * @returns {Object} { root, currentTaskId }; each node has task_id, status, instruction (null for the
+ *   original), createdAt, imageUrl/assetId once completed, and its child versions in `children`
+ * @throws {Error} With status 404 if the image was not made by an image job
+ */
+const getVersionTree = (asset) => {
+  const current = asset.kind === 'image' && asset.jobId ? jobStore.getJob(asset.jobId) : null;
+  if (!current || current.type !== 'image') {
+    const error = new Error('This image has no version history');
+    error.status = 404;
+    throw error;
+  }
+
+  const root = jobStore.getJob(current.rootJobId || current.id);
+  const refinements = jobStore.listRefinements(root.id);
+
+  const toNode = (job) => {
+    const { success, ...status } = describeTask(job);
+    return {
+      ...status,
+      instruction: job.inputs.instruction || null,
+      createdAt: job.createdAt,
+      children: refinements.filter(child => child.parentJobId === job.id).map(toNode)
+    };
+  };
+
+  return { root: toNode(root), currentTaskId: current.id };
+};
+
+/**
+ * Runs a historical image or video job again with the settings it recorded
+ * The prompt is rendered from the same template version, and the recorded seed is reused unless
+ * another one is given, so with a seeded provider the result is reproduced exactly.
+ * Refinements are repeated on the image they refined, as a new version next to the original refinement.
+ * @param {Object} job - Job to repeat
+ * @param {Object} [options] - Regeneration options
+ * @param {number} [options.seed] - Seed to use instead of the recorded one
+ * @param {string} [options.kind] - Why the job is repeated (regenerate or variation), recorded as derivedFrom
+ * @param {string} [options.batchId] - Batch the new job belongs to
+ * @param {string} [options.priority] - Queue priority lane (high, normal or low; defaults to normal)
+ * @returns {Promise<Object>} Response containing task_id and initial status of the new job
+ * @throws {Error} With status 422 if the job type cannot be repeated or its inputs are no longer available,
+ *   410 if a custom style it used has been deleted
+ */
+const regenerateJob = async (job, { seed, kind = 'regenerate', batchId, priority } = {}) => {
+  const inputs = job.inputs || {};
+  const derivedFrom = { jobId: job.id, kind };
+  const templateVersion = getTemplateVersion(job);
+  const jobSeed = Number.isInteger(seed) ? seed : (Number.isInteger(inputs.seed) ? inputs.seed : undefined);
+
+  const unavailable = (message) => {
+    const error = new Error(message);
+    error.status = 422;
+    return error;
+  };
+
+  logger.info('Regenerating job', { jobId: job.id, type: job.type, kind, seed: jobSeed });
+
+  // The prompt would silently fall back to the default style, giving a different result
+  const deletedStyle = [
+    { kind: 'imageStyles', id: inputs.imageStyle, label: 'image style' },
+    { kind: 'videoStyles', id: inputs.videoContentStyle, label: 'video content style' }
+  ].find(style => style.id && !isValidStyle(style.kind, style.id));
+  if (deletedStyle) {
+    const error = new Error(`The ${deletedStyle.label} "${deletedStyle.id}" this job used has been deleted, so it cannot be regenerated`);
+    error.status = 410;
+    throw error;
+  }
+
+  if (job.type === 'image' && inputs.instruction) {
+    const asset = assetStore.getAsset(inputs.sourceAssetId);
+    if (!asset) {
+      throw unavailable('The image this refinement was made from is no longer available');
+    }
+    return refineImage({
+      asset,
+      instruction: inputs.instruction,
+      templateVersion,
+      seed: jobSeed,
+      derivedFrom,
+      batchId,
+      priority
+    });
+  }
+
+  if (job.type === 'image') {
+    const references = inputs.referenceAssetIds || {};
+    const logo = references.logo && assetStore.getAsset(references.logo);
+    const prototype = references.prototype && assetStore.getAsset(references.prototype);
+    if (!logo || !prototype) {
+      throw unavailable('The reference images of this job were not kept, so it cannot be regenerated');
+    }
+    return generateImage({
+      logoPath: assetStore.getAssetPath(logo),
+      prototypePath: assetStore.getAssetPath(prototype),
+      palette: inputs.palette || [{ role: 'primary', hex: inputs.colorScheme }],
+      style: inputs.imageStyle,
+      orientation: inputs.orientation,
+      files: inputs.files,
+      batchId,
+      brandId: job.brandId,
+      projectId: job.projectId,
+      templateVersion,
+      seed: jobSeed,
+      derivedFrom,
+      priority
+    });
+  }
+
+  if (job.type === 'video') {
+    return generateVideo({
+      imageUrl: inputs.imageUrl,
+      duration: inputs.duration,
+      videoContentStyle: inputs.videoContentStyle,
+      imageStyle: inputs.imageStyle,
+      templateVersion,
+      shotPrompt: inputs.shotPrompt,
+      projectId: job.projectId,
+      seed: jobSeed,
+      derivedFrom,
+      priority
+    });
+  }
+
+  throw unavailable(`Only image and video jobs can be regenerated, not ${job.type} jobs`);
+};
+
+/**
+ * Cancels an unfinished job
+ * The provider is asked to stop the generation when it supports that; otherwise the job is only
+ * marked cancelled and its result is discarded when it arrives. Cancelling a sequence cancels its clips.
+ * @param {Object} job - Job to cancel
+ * @returns {Promise<Object>} Status of the cancelled task (see describeTask)
+ * @throws {Error} With status 409 if the job already finished
+ */
+const cancelTask = async (job) => {
+  const finished = () => {
+    const error = new Error(`This task already finished (${jobStore.getJob(job.id).status})`);
+    error.status = 409;
+    return error;
+  };
+
+  if (jobStore.isTerminal(job.status)) {
+    throw finished();
+  }
+
+  poller.stopPolling(job.id);
+
+  let cancelledWithProvider = false;
+  if (job.providerTaskId && provider.cancelTask) {
+    try {
+      await provider.cancelTask(job.providerTaskId);
+      cancelledWithProvider = true;
+    } catch (error) {
+      logger.warn('Provider could not cancel task, its result will be discarded', { jobId: job.id, error: error.message });
+    }
+  }
+
+  // The job may have finished while the provider was being asked
+  const cancelled = jobStore.cancelJob(job.id, { cancelledWithProvider });
+  if (cancelled.status !== 'CANCELLED') {
+    throw finished();
+  }
+  logger.info('Job cancelled', { jobId: job.id, type: job.type, cancelledWithProvider });
+
+  if (job.type === 'sequence') {
+    const clips = (cancelled.shots || [])
+      .map(shot => (shot.task_id ? jobStore.getJob(shot.task_id) : null))
+      .filter(clip => clip && !jobStore.isTerminal(clip.status));
+    // A clip finishing in the meantime is not an error: the sequence is cancelled either way
+    await Promise.all(clips.map(clip => cancelTask(clip).catch(() => null)));
+  }
+
+  return describeTask(cancelled);
+};
+
+module.exports = {
+  REFINE_INSTRUCTION_LIMIT,
+  SEED_MAX,
+  generateImage,
+  checkImageStatus,
+  refineImage,
+  getVersionTree,
+  regenerateJob,
+  cancelTask,
+  generateVideo,
+  checkVideoStatus,
+  requireJob,
+  describeTask,
+  providerName: provider.name,
+  providerSupportsSeed: Boolean(provider.supportsSeed),
+  getProviderCircuitState: () => (provider.getCircuitState ? provider.getCircuitState() : null)
+};
+
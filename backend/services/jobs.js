@@ -0,0 +1,215 @@
+/**
+ * Job Store Service
+ * Persists every image and video generation job with its inputs,
+ * prompt, provider task ID, status history, result and errors,
+ * as well as local rendering jobs (video post-production, sequence stitching)
+ */
+
+const { EventEmitter } = require('events');
+const { createCollection } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+const jobs = createCollection('jobs');
+
+/**
+ * Job event bus
+ * Emits 'status' with the updated job whenever a job changes status or reports progress
+ */
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per connected status stream
+
+/**
+ * Statuses after which a job no longer changes
+ */
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+/**
+ * Checks whether a status is final
+ * @param {string} status - Job status
+ * @returns {boolean} True if the job will not change anymore
+ */
+const isTerminal = (status) => TERMINAL_STATUSES.includes(status);
+
+/**
+ * Creates a new job record in CREATED state
+ * @param {Object} data - Job data
+ * @param {string} data.type - Job type (image, video, postprocess or sequence)
+ * @param {string} data.provider - Name of the generation provider (ffmpeg for local rendering)
+ * @param {Object} data.inputs - Request inputs (files, settings)
+ * @param {string} data.prompt - Rendered prompt sent to the provider
+ * @param {...*} data.extra - Additional fields linking the job to other records (e.g. batchId)
+ * @returns {Object} Created job
+ */
+const createJob = ({ type, provider, inputs, prompt, ...extra }) => {
+  const now = new Date().toISOString();
+  const job = jobs.insert({
+    ...extra,
+    type,
+    provider,
+    providerTaskId: null,
+    status: 'CREATED',
+    statusHistory: [{ status: 'CREATED', at: now }],
+    inputs,
+    prompt,
+    resultUrl: null,
+    error: null
+  });
+
+  logger.info('Job created', { jobId: job.id, type });
+  return job;
+};
+
+/**
+ * Records a status for a job, appending to its history when it changed
+ * Cancelled jobs keep their status: results arriving after the cancellation are dropped
+ * @param {string} id - Job identifier
+ * @param {string} status - New status
+ * @param {Object} [details] - Extra fields to store (providerTaskId, resultUrl, error)
+ * @returns {Object|null} Updated job or null if not found
+ */
+const recordStatus = (id, status, details = {}) => {
+  let changed = false;
+
+  const updated = jobs.update(id, (job) => {
+    if (job.status === 'CANCELLED') {
+      return job;
+    }
+
+    const last = job.statusHistory[job.statusHistory.length - 1];
+    if (!last || last.status !== status) {
+      changed = true;
+      job.statusHistory.push({
+        status,
+        at: new Date().toISOString(),
+        ...(details.error && { error: details.error })
+      });
+      logger.logTaskStatus(id, status, job.type);
+    }
+    return { ...job, ...details, status };
+  });
+
+  if (updated && changed) {
+    jobEvents.emit('status', updated);
+  }
+
+  return updated;
+};
+
+/**
+ * Records the progress of a running job without changing its status
+ * Progress is broadcast like a status change, so open status streams can show it
+ * @param {string} id - Job identifier
+ * @param {Object} progress - { percent (0-100), step } describing the current stage
+ * @returns {Object|null} Updated job or null if not found
+ */
+const recordProgress = (id, progress) => {
+  const updated = jobs.update(id, { progress });
+  if (updated) {
+    jobEvents.emit('status', updated);
+  }
+  return updated;
+};
+
+/**
+ * Marks a job as failed with an error message
+ * @param {string} id - Job identifier
+ * @param {string} message - Error message
+ * @returns {Object|null} Updated job or null if not found
+ */
+const failJob = (id, message) => recordStatus(id, 'FAILED', { error: message });
+
+/**
+ * Marks an unfinished job as cancelled
+ * Jobs that already finished are left as they are
+ * @param {string} id - Job identifier
+ * @param {Object} [details] - Extra fields to store (e.g. cancelledWithProvider)
+ * @returns {Object|null} Updated job, the unchanged job if it had finished, or null if not found
+ */
+const cancelJob = (id, details = {}) => {
+  const job = jobs.get(id);
+  if (!job || isTerminal(job.status)) {
+    return job;
+  }
+  return recordStatus(id, 'CANCELLED', details);
+};
+
+/**
+ * Checks whether a job has been cancelled
+ * Long-running steps check this before storing their output
+ * @param {string} id - Job identifier
+ * @returns {boolean} True if the job was cancelled
+ */
+const isCancelled = (id) => {
+  const job = jobs.get(id);
+  return !!job && job.status === 'CANCELLED';
+};
+
+/**
+ * Gets a job by ID
+ * @param {string} id - Job identifier
+ * @returns {Object|null} Job or null if not found
+ */
+const getJob = (id) => jobs.get(id);
+
+/**
+ * Finds a job by its own ID or by the provider's task ID
+ * Provider task IDs are accepted so that older clients keep working
+ * @param {string} taskId - Job ID or provider task ID
+ * @returns {Object|null} Job or null if not found
+ */
+const findJobByTaskId = (taskId) => {
+  return jobs.get(taskId) || jobs.find(job => job.providerTaskId === taskId);
+};
+
+/**
+ * Lists jobs that have not reached a terminal status
+ * @returns {Object[]} Active jobs, oldest first
+ */
+const listActiveJobs = () => jobs.list(job => !isTerminal(job.status));
+
+/**
+ * Lists the refinements made from an image generation, at any depth
+ * @param {string} rootJobId - ID of the original image generation job
+ * @returns {Object[]} Refinement jobs, oldest first
+ */
+const listRefinements = (rootJobId) => jobs.list(job => job.rootJobId === rootJobId);
+
+/**
+ * Lists jobs, newest first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.type] - Only jobs of this type
+ * @param {string} [filters.status] - Only jobs in this status
+ * @param {string} [filters.projectId] - Only jobs of this project
+ * @param {number} [filters.limit] - Maximum number of jobs to return
+ * @param {number} [filters.offset] - Number of jobs to skip
+ * @returns {{total: number, jobs: Object[]}} Total count and requested page
+ */
+const listJobs = ({ type, status, projectId, limit = 50, offset = 0 } = {}) => {
+  const matching = jobs
+    .list(job => (!type || job.type === type) && (!status || job.status === status) &&
+      (!projectId || job.projectId === projectId))
+    .reverse();
+
+  return {
+    total: matching.length,
+    jobs: matching.slice(offset, offset + limit)
+  };
+};
+
+module.exports = {
+  TERMINAL_STATUSES,
+  isTerminal,
+  createJob,
+  recordStatus,
+  recordProgress,
+  failJob,
+  cancelJob,
+  isCancelled,
+  getJob,
+  findJobByTaskId,
+  listJobs,
+  listActiveJobs,
+  listRefinements,
+  jobEvents
+};
+
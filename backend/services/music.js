@@ -0,0 +1,197 @@
+/**
+ * Music Library Service
+ * Stores royalty-free background tracks that are mixed under generated videos, and builds the
+ * ffmpeg audio filters fitting a track to a video: trimmed (or looped) to its length, faded in
+ * and out, and loudness-normalized.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createCollection, ensureDataDir } = require('../utils/storage');
+const { probe } = require('../utils/ffmpeg');
+const logger = require('../utils/logger');
+
+const tracks = createCollection('tracks');
+
+/**
+ * Text limits of the track fields
+ */
+const TRACK_TEXT_LIMITS = { title: 100, artist: 100, license: 200 };
+
+/**
+ * Fade limits and defaults, in seconds
+ */
+const MUSIC_FADE = { min: 0, max: 5, fadeIn: 1, fadeOut: 2 };
+
+// Level of the music under a clip's own audio (1 keeps it as loud as the clip)
+const MUSIC_VOLUME = { min: 0.1, max: 1, volume: 0.5 };
+
+// Loudness target of the finished audio (EBU R128 style, as used by most ad platforms)
+const LOUDNESS = { integrated: -16, truePeak: -1.5, range: 11 };
+
+/**
+ * Gets the directory holding the track files
+ * @returns {string} Absolute directory path (created if missing)
+ */
+const getMusicDir = () => ensureDataDir('music');
+
+/**
+ * Reads the duration of an audio file
+ * Without ffprobe the duration stays unknown; tracks are looped as needed either way
+ * @param {string} filePath - Audio file
+ * @returns {Promise<number|null>} Duration in seconds, or null if unknown
+ */
+const probeDuration = async (filePath) => {
+  try {
+    const info = await probe(filePath);
+    const duration = parseFloat(info.format && info.format.duration);
+    return Number.isFinite(duration) ? Math.round(duration * 100) / 100 : null;
+  } catch (error) {
+    logger.warn('Could not probe music track', { filePath, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Adds the public URL to a stored track
+ * @param {Object} track - Stored track
+ * @returns {Object} Track with `url` to stream it
+ */
+const withUrl = (track) => ({ ...track, url: `/api/music/${track.id}/file` });
+
+/**
+ * Lists all tracks, sorted by title
+ * @returns {Object[]} Tracks
+ */
+const listTracks = () => {
+  return tracks.list()
+    .sort((a, b) => a.title.localeCompare(b.title))
+    .map(withUrl);
+};
+
+/**
+ * Gets a track by ID
+ * @param {string} id - Track identifier
+ * @returns {Object|null} Track or null if not found
+ */
+const getTrack = (id) => {
+  const track = tracks.get(id);
+  return track ? withUrl(track) : null;
+};
+
+/**
+ * Adds an uploaded audio file to the library
+ * @param {Object} data - Track data
+ * @param {Object} data.file - Uploaded audio file (multer object)
+ * @param {string} data.title - Track title
+ * @param {string} data.artist - Artist, empty if unknown
+ * @param {string} data.license - License or source note, empty if unknown
+ * @returns {Promise<Object>} Created track
+ */
+const addTrack = async ({ file, title, artist, license }) => {
+  const id = crypto.randomUUID();
+  const filename = `${id}${path.extname(file.originalname).toLowerCase()}`;
+  const filePath = path.join(getMusicDir(), filename);
+
+  // Copy then unlink, since uploads and data may live on different filesystems
+  await fs.promises.copyFile(file.path, filePath);
+  await fs.promises.unlink(file.path);
+
+  const track = tracks.insert({
+    id,
+    title,
+    artist,
+    license,
+    filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    duration: await probeDuration(filePath)
+  });
+
+  logger.info('Music track added', { trackId: track.id, title, duration: track.duration });
+  return withUrl(track);
+};
+
+/**
+ * Gets the file of a track
+ * @param {Object} track - Stored track
+ * @returns {string} Absolute file path
+ */
+const getTrackPath = (track) => path.join(getMusicDir(), track.filename);
+
+/**
+ * Deletes a track and its file; videos already rendered with it are kept
+ * @param {string} id - Track identifier
+ * @returns {Promise<boolean>} True if the track existed
+ */
+const deleteTrack = async (id) => {
+  const track = tracks.get(id);
+  if (!track) {
+    return false;
+  }
+
+  await fs.promises.rm(getTrackPath(track), { force: true });
+  tracks.remove(id);
+  logger.info('Music track deleted', { trackId: id });
+  return true;
+};
+
+/**
+ * Builds the filter fitting a track to a video
+ * The track input is expected to loop (-stream_loop -1), so short tracks fill long videos
+ * @param {Object} music - Music options ({ startAt, fadeIn, fadeOut })
+ * @param {number} inputIndex - ffmpeg input index of the track
+ * @param {number} duration - Video duration in seconds
+ * @param {string} label - Output label
+ * @returns {string} Filter chain
+ */
+const buildMusicFilter = (music, inputIndex, duration, label) => {
+  const filters = [
+    `atrim=start=${music.startAt}:duration=${duration}`,
+    'asetpts=PTS-STARTPTS',
+    'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo'
+  ];
+  if (music.fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${music.fadeIn}`);
+  }
+  if (music.fadeOut > 0) {
+    filters.push(`afade=t=out:st=${Math.max(0, duration - music.fadeOut)}:d=${music.fadeOut}`);
+  }
+  return `[${inputIndex}:a]${filters.join(',')}[${label}]`;
+};
+
+/**
+ * Builds the loudness normalization applied to the finished audio
+ * loudnorm works at 192 kHz internally, so the result is resampled for AAC
+ * @returns {string} Filter chain
+ */
+const buildLoudnessFilter = () => {
+  return `loudnorm=I=${LOUDNESS.integrated}:TP=${LOUDNESS.truePeak}:LRA=${LOUDNESS.range},aresample=48000`;
+};
+
+/**
+ * Lists the options the track picker offers
+ * @returns {Object} { fade, volume, loudness, textLimits }
+ */
+const getMusicOptions = () => ({
+  fade: MUSIC_FADE,
+  volume: MUSIC_VOLUME,
+  loudness: LOUDNESS,
+  textLimits: TRACK_TEXT_LIMITS
+});
+
+module.exports = {
+  TRACK_TEXT_LIMITS,
+  MUSIC_FADE,
+  MUSIC_VOLUME,
+  listTracks,
+  getTrack,
+  addTrack,
+  deleteTrack,
+  getTrackPath,
+  buildMusicFilter,
+  buildLoudnessFilter,
+  getMusicOptions
+};
@@ -0,0 +1,338 @@
+/**
+ * Overlay Compositing Service
+ * Composites headline/price text, a logo lockup and a call-to-action button onto a
+ * stored image with ffmpeg, and stores the result as a new asset.
+ *
+ * Layer geometry is resolution independent: font sizes are fractions of the image height,
+ * logo widths and offsets fractions of the image size, and every layer is kept inside its
+ * safe area (a margin, as a fraction of the image size) so nothing is cut off.
+ * The frontend preview (ui.js renderOverlayPreview) follows the same rules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ffmpeg } = require('../utils/ffmpeg');
+const assetStore = require('./assets');
+const { resolvePaletteColor } = require('./prompts');
+const logger = require('../utils/logger');
+
+// Upper bound on layers per overlay request
+const MAX_OVERLAY_LAYERS = 10;
+
+/**
+ * Fonts available to text and CTA layers
+ * `fontconfig` is the pattern ffmpeg renders with, `css` the font the preview uses
+ */
+const FONTS = {
+  'sans': { label: 'Sans', fontconfig: 'Sans', css: 'sans-serif', weight: 'normal' },
+  'sans-bold': { label: 'Sans Bold', fontconfig: 'Sans:style=Bold', css: 'sans-serif', weight: 'bold' },
+  'serif': { label: 'Serif', fontconfig: 'Serif', css: 'serif', weight: 'normal' },
+  'serif-bold': { label: 'Serif Bold', fontconfig: 'Serif:style=Bold', css: 'serif', weight: 'bold' },
+  'mono': { label: 'Monospace', fontconfig: 'Monospace', css: 'monospace', weight: 'normal' }
+};
+
+/**
+ * Anchor positions as [horizontal, vertical] alignment
+ */
+const POSITIONS = {
+  'top-left': ['start', 'start'],
+  'top': ['center', 'start'],
+  'top-right': ['end', 'start'],
+  'left': ['start', 'center'],
+  'center': ['center', 'center'],
+  'right': ['end', 'center'],
+  'bottom-left': ['start', 'end'],
+  'bottom': ['center', 'end'],
+  'bottom-right': ['end', 'end']
+};
+
+/**
+ * Defaults and limits per layer type
+ * size: font size as a fraction of the image height; width: logo width as a fraction of the image width;
+ * opacity: logo opacity (1 = opaque)
+ */
+const LAYER_TYPES = {
+  'text': { maxLength: 200, size: 0.06, font: 'sans-bold', color: '#FFFFFF', position: 'top' },
+  'cta': { maxLength: 60, size: 0.045, font: 'sans-bold', color: '#FFFFFF', background: 'primary', padding: 0.6, position: 'bottom' },
+  'logo': { width: 0.18, opacity: 1, position: 'top-left' }
+};
+
+const DEFAULT_SAFE_AREA = 0.05;
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Reads a numeric layer field within bounds
+ * @param {*} value - Submitted value
+ * @param {number} fallback - Value used when the field is missing
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {string} label - Field description for the error message
+ * @returns {number} Validated number
+ * @throws {Error} With status 400 if the value is out of range
+ */
+const readNumber = (value, fallback, min, max, label) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw httpError(400, `${label} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Validates overlay layers and fills in defaults
+ * @param {Object[]} layers - Submitted layers
+ * @param {Object[]} palette - Palette the layer colors may refer to
+ * @returns {Object[]} Normalized layers with resolved hex colors
+ * @throws {Error} With status 400 on an invalid layer
+ */
+const normalizeLayers = (layers, palette) => {
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw httpError(400, 'Layers must be a non-empty JSON array');
+  }
+  if (layers.length > MAX_OVERLAY_LAYERS) {
+    throw httpError(400, `At most ${MAX_OVERLAY_LAYERS} layers are allowed`);
+  }
+
+  return layers.map((layer, index) => {
+    const label = `Layer ${index + 1}`;
+    const defaults = layer && LAYER_TYPES[layer.type];
+    if (!defaults) {
+      throw httpError(400, `${label}: type must be one of ${Object.keys(LAYER_TYPES).join(', ')}`);
+    }
+
+    const position = layer.position || defaults.position;
+    if (!POSITIONS[position]) {
+      throw httpError(400, `${label}: position must be one of ${Object.keys(POSITIONS).join(', ')}`);
+    }
+
+    const normalized = {
+      type: layer.type,
+      position,
+      offsetX: readNumber(layer.offsetX, 0, -0.5, 0.5, `${label}: offsetX`),
+      offsetY: readNumber(layer.offsetY, 0, -0.5, 0.5, `${label}: offsetY`),
+      safeArea: readNumber(layer.safeArea, DEFAULT_SAFE_AREA, 0, 0.25, `${label}: safeArea`)
+    };
+
+    if (layer.type === 'logo') {
+      return {
+        ...normalized,
+        width: readNumber(layer.width, defaults.width, 0.02, 0.6, `${label}: width`),
+        opacity: readNumber(layer.opacity, defaults.opacity, 0.05, 1, `${label}: opacity`)
+      };
+    }
+
+    const text = String(layer.text || '').trim();
+    if (!text || text.length > defaults.maxLength) {
+      throw httpError(400, `${label}: text is required and must be at most ${defaults.maxLength} characters`);
+    }
+    const font = layer.font || defaults.font;
+    if (!FONTS[font]) {
+      throw httpError(400, `${label}: font must be one of ${Object.keys(FONTS).join(', ')}`);
+    }
+
+    const textLayer = {
+      ...normalized,
+      text,
+      font,
+      size: readNumber(layer.size, defaults.size, 0.01, 0.3, `${label}: size`),
+      color: resolvePaletteColor(layer.color || defaults.color, palette, `${label}: color`)
+    };
+
+    if (layer.type === 'cta') {
+      textLayer.background = resolvePaletteColor(layer.background || defaults.background, palette, `${label}: background`);
+      textLayer.padding = readNumber(layer.padding, defaults.padding, 0, 2, `${label}: padding`);
+    }
+
+    return textLayer;
+  });
+};
+
+/**
+ * Builds an ffmpeg position expression along one axis
+ * The layer is aligned inside the safe area, shifted by its offset and clamped back into the safe area
+ * @param {string} align - start, center or end
+ * @param {string} total - Expression for the image size along the axis
+ * @param {string} size - Expression for the layer size along the axis
+ * @param {number} margin - Safe-area margin in pixels (including any box padding)
+ * @param {number} offset - Offset in pixels
+ * @returns {string} Position expression
+ */
+const positionExpr = (align, total, size, margin, offset) => {
+  const low = `${margin}`;
+  const high = `${total}-${size}-${margin}`;
+  const base = { start: low, center: `(${total}-${size})/2`, end: high }[align];
+  return `max(${low},min(${base}+${offset},${high}))`;
+};
+
+/**
+ * Converts a hex color to ffmpeg's color syntax
+ * @param {string} hex - Hex color code (#RRGGBB)
+ * @returns {string} ffmpeg color (0xRRGGBB)
+ */
+const toFfmpegColor = (hex) => `0x${hex.slice(1)}`;
+
+/**
+ * Escapes a value for a quoted filter option
+ * The filtergraph parser drops the quotes, then the filter splits its options on `:`,
+ * so `:` and `\` must also be escaped (e.g. the fontconfig pattern `Sans:style=Bold`)
+ * @param {string} value - Option value
+ * @returns {string} Escaped value, to be wrapped in single quotes
+ */
+const escapeFilterValue = (value) => value.replace(/[\\:]/g, '\\$&');
+
+/**
+ * Builds the ffmpeg filter of a text or CTA layer
+ * Text is read from a file so user input never has to be escaped for the filtergraph
+ * @param {Object} layer - Normalized layer
+ * @param {string} textFile - File holding the layer text
+ * @param {Object} image - { width, height } of the base image
+ * @returns {string} drawtext filter
+ */
+const buildTextFilter = (layer, textFile, image) => {
+  const [alignX, alignY] = POSITIONS[layer.position];
+  const fontSize = Math.max(1, Math.round(layer.size * image.height));
+  const padding = layer.type === 'cta' ? Math.round(fontSize * layer.padding) : 0;
+  const marginX = Math.round(layer.safeArea * image.width) + padding;
+  const marginY = Math.round(layer.safeArea * image.height) + padding;
+
+  const options = [
+    `textfile='${escapeFilterValue(textFile)}'`,
+    'expansion=none',
+    `font='${escapeFilterValue(FONTS[layer.font].fontconfig)}'`,
+    `fontsize=${fontSize}`,
+    `fontcolor=${toFfmpegColor(layer.color)}`,
+    `x='${positionExpr(alignX, 'w', 'text_w', marginX, Math.round(layer.offsetX * image.width))}'`,
+    `y='${positionExpr(alignY, 'h', 'text_h', marginY, Math.round(layer.offsetY * image.height))}'`
+  ];
+  if (layer.type === 'cta') {
+    options.push('box=1', `boxcolor=${toFfmpegColor(layer.background)}`, `boxborderw=${padding}`);
+  }
+
+  return `drawtext=${options.join(':')}`;
+};
+
+/**
+ * Builds the ffmpeg filters placing a logo layer
+ * @param {Object} layer - Normalized logo layer
+ * @param {number} inputIndex - ffmpeg input index of the logo file
+ * @param {string} source - Label of the image to draw on
+ * @param {string} label - Label for the result
+ * @param {Object} image - { width, height } of the base image
+ * @returns {string} Filter chain scaling and overlaying the logo
+ */
+const buildLogoFilter = (layer, inputIndex, source, label, image) => {
+  const [alignX, alignY] = POSITIONS[layer.position];
+  const width = Math.max(1, Math.round(layer.width * image.width));
+  const x = positionExpr(alignX, 'main_w', 'overlay_w', Math.round(layer.safeArea * image.width), Math.round(layer.offsetX * image.width));
+  const y = positionExpr(alignY, 'main_h', 'overlay_h', Math.round(layer.safeArea * image.height), Math.round(layer.offsetY * image.height));
+
+  const fade = layer.opacity < 1 ? `,format=rgba,colorchannelmixer=aa=${layer.opacity}` : '';
+
+  return `[${inputIndex}:v]scale=${width}:-1${fade}[logo${inputIndex}];` +
+    `[${source}][logo${inputIndex}]overlay=x='${x}':y='${y}'[${label}]`;
+};
+
+/**
+ * Composites overlay layers onto a stored image and stores the result as a new asset
+ * @param {Object} options - Overlay options
+ * @param {Object} options.asset - Source image asset
+ * @param {Object[]} options.layers - Layers in drawing order (text, cta, logo)
+ * @param {Object[]} [options.palette] - Palette that layer colors may refer to
+ * @param {string} [options.logoPath] - Logo file used by logo layers
+ * @returns {Promise<Object>} New image asset
+ * @throws {Error} With status 400 on invalid layers, 422 if the source cannot be composited
+ */
+const composeOverlay = async ({ asset, layers, palette = [], logoPath }) => {
+  if (asset.kind !== 'image') {
+    throw httpError(422, 'Overlays can only be applied to images');
+  }
+  if (!asset.width || !asset.height) {
+    throw httpError(422, 'The dimensions of this image are unknown, so overlays cannot be placed');
+  }
+
+  const normalized = normalizeLayers(layers, palette);
+  if (normalized.some(layer => layer.type === 'logo') && !logoPath) {
+    throw httpError(400, 'Logo layers need a logo upload or a brandId');
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'virtuoso-overlay-'));
+  const outputPath = path.join(workDir, `${crypto.randomUUID()}.png`);
+  const image = { width: asset.width, height: asset.height };
+
+  try {
+    const inputs = ['-i', assetStore.getAssetPath(asset)];
+    const filters = [];
+    let current = '0:v';
+
+    for (const [index, layer] of normalized.entries()) {
+      const label = `layer${index}`;
+
+      if (layer.type === 'logo') {
+        inputs.push('-i', logoPath);
+        filters.push(buildLogoFilter(layer, inputs.length / 2 - 1, current, label, image));
+      } else {
+        const textFile = path.join(workDir, `${label}.txt`);
+        await fs.promises.writeFile(textFile, layer.text);
+        filters.push(`[${current}]${buildTextFilter(layer, textFile, image)}[${label}]`);
+      }
+      current = label;
+    }
+
+    logger.info('Compositing overlay', { assetId: asset.id, layers: normalized.length });
+    await ffmpeg([
+      ...inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', `[${current}]`,
+      '-frames:v', '1',
+      outputPath
+    ]);
+
+    return await assetStore.storeFile({
+      filePath: outputPath,
+      kind: 'image',
+      jobId: asset.jobId,
+      sourceAssetId: asset.id,
+      extra: { overlay: { layers: normalized } }
+    });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Lists the options the overlay editor offers
+ * @returns {Object} { fonts, positions (anchor -> [horizontal, vertical] alignment), layerTypes, defaultSafeArea, maxLayers }
+ */
+const getOverlayOptions = () => ({
+  fonts: Object.entries(FONTS).map(([id, font]) => ({ id, label: font.label, css: font.css, weight: font.weight })),
+  positions: POSITIONS,
+  layerTypes: LAYER_TYPES,
+  defaultSafeArea: DEFAULT_SAFE_AREA,
+  maxLayers: MAX_OVERLAY_LAYERS
+});
+
+module.exports = {
+  composeOverlay,
+  getOverlayOptions,
+  // Layer building blocks, shared with video post-production end cards and captions
+  FONTS,
+  normalizeLayers,
+  buildTextFilter,
+  buildLogoFilter
+};
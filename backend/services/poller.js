@@ -0,0 +1,224 @@
+/**
+ * Task Poller Service
+ * Owns provider status polling on the server: one poller per active job,
+ * with exponential backoff while the status does not change.
+ * Status changes are written to the job store, which broadcasts them
+ * to connected clients (see routes/tasks.js).
+ * Completed outputs are mirrored into the asset store before the job is marked completed,
+ * and images are checked against the aspect ratio of their orientation
+ */
+
+const logger = require('../utils/logger');
+const provider = require('./providers');
+const jobStore = require('./jobs');
+const assetStore = require('./assets');
+const { verifyAspectRatio } = require('./aspect');
+
+// Timeout configurations (in milliseconds)
+const IMAGE_TIMEOUT = parseInt(process.env.IMAGE_GENERATION_TIMEOUT) || 300000; // 5 minutes
+const VIDEO_TIMEOUT = parseInt(process.env.VIDEO_GENERATION_TIMEOUT) || 600000; // 10 minutes
+
+// Backoff configuration (in milliseconds)
+const POLL_INITIAL_INTERVAL = parseInt(process.env.POLL_INITIAL_INTERVAL) || 2000;
+const POLL_MAX_INTERVAL = parseInt(process.env.POLL_MAX_INTERVAL) || 15000;
+const POLL_BACKOFF_FACTOR = 1.5;
+
+/**
+ * Active pollers keyed by job ID
+ * Each entry holds the pending timer and the current backoff step
+ */
+const pollers = new Map();
+
+/**
+ * Provider status check per job type
+ */
+const STATUS_CHECKS = {
+  'image': async (taskId) => {
+    const { status, imageUrl } = await provider.checkImageStatus(taskId);
+    return { status, resultUrl: imageUrl };
+  },
+  'video': async (taskId) => {
+    const { status, videoUrl } = await provider.checkVideoStatus(taskId);
+    return { status, resultUrl: videoUrl };
+  }
+};
+
+/**
+ * Gets the generation timeout for a job type
+ * @param {string} type - Job type (image or video)
+ * @returns {number} Timeout in milliseconds
+ */
+const getTimeout = (type) => (type === 'video' ? VIDEO_TIMEOUT : IMAGE_TIMEOUT);
+
+/**
+ * Computes the delay before the next poll
+ * @param {number} step - Number of consecutive polls without a status change
+ * @returns {number} Delay in milliseconds
+ */
+const getInterval = (step) => {
+  return Math.min(POLL_INITIAL_INTERVAL * Math.pow(POLL_BACKOFF_FACTOR, step), POLL_MAX_INTERVAL);
+};
+
+/**
+ * Stops polling a job
+ * @param {string} jobId - Job identifier
+ */
+const stopPolling = (jobId) => {
+  const poller = pollers.get(jobId);
+  if (poller) {
+    clearTimeout(poller.timer);
+    pollers.delete(jobId);
+    logger.debug('Stopped polling job', { jobId });
+  }
+};
+
+/**
+ * Downloads a completed output into the asset store
+ * If mirroring fails the job still completes, with the provider URL as its result
+ * Image outputs with the wrong aspect ratio are cropped or flagged (see aspect.js)
+ * @param {Object} job - Job record
+ * @param {string} providerUrl - Temporary URL returned by the provider
+ * @returns {Promise<Object>} Job fields to record (resultUrl, providerResultUrl, assetId or assetError, aspectCheck)
+ */
+const mirrorResult = async (job, providerUrl) => {
+  let asset;
+  try {
+    asset = await assetStore.mirrorAsset({ url: providerUrl, kind: job.type, jobId: job.id });
+  } catch (error) {
+    logger.error('Mirroring job output failed, keeping provider URL', { jobId: job.id, error: error.message });
+    return {
+      resultUrl: providerUrl,
+      providerResultUrl: providerUrl,
+      assetError: error.message,
+      ...(job.type === 'image' && { aspectCheck: { action: 'unverified', reason: 'The output could not be downloaded' } })
+    };
+  }
+
+  if (job.type !== 'image') {
+    return { resultUrl: asset.url, providerResultUrl: providerUrl, assetId: asset.id };
+  }
+
+  const verified = await verifyAspectRatio(job, asset);
+  return {
+    resultUrl: verified.asset.url,
+    providerResultUrl: providerUrl,
+    assetId: verified.asset.id,
+    aspectCheck: verified.aspectCheck
+  };
+};
+
+/**
+ * Deletes the mirrored output of a job that was cancelled while it was being downloaded
+ * @param {Object} job - Job record
+ * @param {Object} result - Fields returned by mirrorResult
+ * @returns {Promise<void>}
+ */
+const discardResult = async (job, result) => {
+  const assetIds = [result.assetId, result.aspectCheck && result.aspectCheck.originalAssetId].filter(Boolean);
+  await Promise.all(assetIds.map(id => assetStore.deleteAsset(id)));
+  logger.info('Discarded output of cancelled job', { jobId: job.id, assetIds });
+};
+
+/**
+ * Checks a job once with the provider and records the result
+ * @param {Object} job - Job record
+ * @returns {Promise<Object>} Updated job
+ */
+const refreshJob = async (job) => {
+  const { status, resultUrl } = await STATUS_CHECKS[job.type](job.providerTaskId);
+  if (status === 'COMPLETED' && resultUrl) {
+    const result = await mirrorResult(job, resultUrl);
+    if (jobStore.isCancelled(job.id)) {
+      await discardResult(job, result);
+      return jobStore.getJob(job.id);
+    }
+    return jobStore.recordStatus(job.id, status, result);
+  }
+  return jobStore.recordStatus(job.id, status, resultUrl ? { resultUrl } : {});
+};
+
+/**
+ * Runs one polling cycle and schedules the next one
+ * @param {string} jobId - Job identifier
+ */
+const poll = async (jobId) => {
+  const poller = pollers.get(jobId);
+  const job = jobStore.getJob(jobId);
+
+  if (!poller || !job || jobStore.isTerminal(job.status)) {
+    stopPolling(jobId);
+    return;
+  }
+
+  // Give up once the job has been running longer than its timeout; time spent queued does not count
+  const elapsed = Date.now() - new Date(job.submittedAt || job.createdAt).getTime();
+  if (elapsed > getTimeout(job.type)) {
+    logger.warn('Job timed out while polling', { jobId, type: job.type, elapsed });
+    jobStore.failJob(jobId, `${job.type === 'video' ? 'Video' : 'Image'} generation timed out`);
+    stopPolling(jobId);
+    return;
+  }
+
+  try {
+    const updated = await refreshJob(job);
+
+    if (jobStore.isTerminal(updated.status)) {
+      stopPolling(jobId);
+      return;
+    }
+
+    // Back off while nothing changes, poll quickly again after a change
+    poller.step = updated.status === job.status ? poller.step + 1 : 0;
+  } catch (error) {
+    logger.error('Polling job status failed', { jobId, error: error.message, kind: error.kind });
+    poller.step += 1;
+    // A rate-limited provider or an open circuit breaker says when to come back
+    poller.retryAfter = error.retryAfter || 0;
+  }
+
+  // The poller may have been stopped while the provider call was in flight
+  if (pollers.get(jobId) === poller) {
+    poller.timer = setTimeout(() => poll(jobId), Math.max(getInterval(poller.step), poller.retryAfter || 0));
+    poller.retryAfter = 0;
+  }
+};
+
+/**
+ * Starts polling a job unless it is already being polled or finished
+ * @param {string} jobId - Job identifier
+ */
+const startPolling = (jobId) => {
+  const job = jobStore.getJob(jobId);
+  if (pollers.has(jobId) || !job || !job.providerTaskId || jobStore.isTerminal(job.status)) {
+    return;
+  }
+
+  logger.debug('Started polling job', { jobId, type: job.type });
+  const poller = { step: 0, timer: null };
+  pollers.set(jobId, poller);
+  poller.timer = setTimeout(() => poll(jobId), getInterval(0));
+};
+
+/**
+ * Resumes polling for every unfinished job (e.g. after a server restart)
+ * @returns {number} Number of jobs being polled
+ */
+const resumePolling = () => {
+  // Queued jobs have no provider task yet; the queue submits them (see queue.js)
+  const activeJobs = jobStore.listActiveJobs().filter(job => job.providerTaskId);
+  activeJobs.forEach(job => startPolling(job.id));
+
+  if (activeJobs.length > 0) {
+    logger.info('Resumed polling for unfinished jobs', { count: activeJobs.length });
+  }
+  return activeJobs.length;
+};
+
+module.exports = {
+  startPolling,
+  stopPolling,
+  resumePolling,
+  IMAGE_TIMEOUT,
+  VIDEO_TIMEOUT
+};
+
@@ -0,0 +1,566 @@
+/**
+ * Video Post-Production Service
+ * Finishes a generated clip locally with ffmpeg: an optional intro card, a branded end card
+ * (logo, tagline and call to action on the brand color), an optional corner logo watermark,
+ * optional burned-in captions and an optional background music track from the library, rendered into
+ * one MP4 in a single ffmpeg pass.
+ *
+ * Every render is a job of type `postprocess` that reports its progress, so clients follow it
+ * like a generation task (GET /api/tasks/:id/events). Card text and logos are placed with the
+ * overlay layer rules (see overlays.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ffmpeg, hasAudioTrack } = require('../utils/ffmpeg');
+const assetStore = require('./assets');
+const jobStore = require('./jobs');
+const { findAssetProjectId } = require('./projects');
+const { normalizeLayers, buildTextFilter, buildLogoFilter } = require('./overlays');
+const { resolvePaletteColor } = require('./prompts');
+const music = require('./music');
+const { normalizeCaptions, buildCaptionFilter, toSrt, toVtt, getCaptionOptions } = require('./captions');
+const logger = require('../utils/logger');
+
+// Frame rate of the finished video; the source clip is converted to it
+const OUTPUT_FPS = 25;
+
+// Length of the fade in and out of each card, in seconds
+const CARD_FADE = 0.3;
+
+/**
+ * Duration limits and defaults per card, in seconds
+ */
+const CARDS = {
+  'intro': { min: 0.5, max: 3, duration: 1 },
+  'outro': { min: 1, max: 3, duration: 2 }
+};
+
+/**
+ * Text limits of the card fields
+ */
+const TEXT_LIMITS = { title: 80, tagline: 120, cta: 40 };
+
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const WATERMARK_DEFAULTS = { position: 'bottom-right', width: 0.12, opacity: 0.8 };
+
+/**
+ * Subtitle formats exported for captioned videos
+ */
+const SUBTITLE_FORMATS = {
+  'srt': { mimeType: 'application/x-subrip', write: toSrt },
+  'vtt': { mimeType: 'text/vtt', write: toVtt }
+};
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Reads a numeric option within bounds
+ * @param {*} value - Submitted value
+ * @param {number} fallback - Value used when the option is missing
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {string} label - Option description for the error message
+ * @returns {number} Validated number
+ * @throws {Error} With status 400 if the value is out of range
+ */
+const readNumber = (value, fallback, min, max, label) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw httpError(400, `${label} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Reads an optional card text field
+ * @param {*} value - Submitted text
+ * @param {string} field - Field name (title, tagline, cta)
+ * @returns {string} Trimmed text, empty when missing
+ * @throws {Error} With status 400 if the text is too long
+ */
+const readText = (value, field) => {
+  const text = String(value || '').trim();
+  if (text.length > TEXT_LIMITS[field]) {
+    throw httpError(400, `${field} must be at most ${TEXT_LIMITS[field]} characters`);
+  }
+  return text;
+};
+
+/**
+ * Reads a section of the post-production options
+ * @param {*} value - false/null to disable, true for defaults, or an options object
+ * @param {string} label - Section name for the error message
+ * @returns {Object|null} Section options or null when disabled
+ * @throws {Error} With status 400 if the section is not an object
+ */
+const readSection = (value, label) => {
+  if (value === undefined || value === null || value === false) {
+    return null;
+  }
+  if (value === true) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw httpError(400, `${label} must be an object, true or false`);
+  }
+  return value;
+};
+
+/**
+ * Validates post-production options and fills in defaults
+ * Intro, outro, watermark, captions and music are off unless given; a request with none of them gets the default end card
+ * @param {Object} options - Submitted options ({ intro, outro, watermark, captions, music, background, textColor, ctaBackground })
+ * @param {Object[]} palette - Palette the colors may refer to
+ * @param {boolean} hasLogo - Whether a logo is available
+ * @param {number} clipDuration - Duration of the source clip in seconds (captions are timed against it)
+ * @returns {Object} Render plan
+ * @throws {Error} With status 400 on invalid options
+ */
+const normalizePlan = (options, palette, hasLogo, clipDuration) => {
+  const intro = readSection(options.intro, 'intro');
+  const watermark = readSection(options.watermark, 'watermark');
+  const captions = readSection(options.captions, 'captions');
+  const soundtrack = readSection(options.music, 'music');
+  // The end card is only implied when nothing else was asked for
+  const outro = readSection(
+    options.outro === undefined && !intro && !watermark && !captions && !soundtrack ? true : options.outro,
+    'outro'
+  );
+
+  if (!intro && !outro && !watermark && !captions && !soundtrack) {
+    throw httpError(400, 'Enable at least one of intro, outro, watermark, captions or music');
+  }
+
+  const roles = palette.map(color => color.role);
+  const plan = {
+    background: resolvePaletteColor(options.background || (roles.includes('primary') ? 'primary' : '#000000'), palette, 'Background'),
+    textColor: resolvePaletteColor(options.textColor || '#FFFFFF', palette, 'Text color'),
+    ctaBackground: resolvePaletteColor(
+      options.ctaBackground || ['accent', 'secondary'].find(role => roles.includes(role)) || '#000000',
+      palette,
+      'CTA background'
+    ),
+    intro: null,
+    outro: null,
+    watermark: null,
+    captions: captions ? normalizeCaptions(captions, clipDuration, palette) : null,
+    music: null
+  };
+
+  if (intro) {
+    plan.intro = {
+      duration: readNumber(intro.duration, CARDS.intro.duration, CARDS.intro.min, CARDS.intro.max, 'Intro duration'),
+      title: readText(intro.title, 'title')
+    };
+    if (!plan.intro.title && !hasLogo) {
+      throw httpError(400, 'The intro card needs a title or a logo');
+    }
+  }
+
+  if (outro) {
+    plan.outro = {
+      duration: readNumber(outro.duration, CARDS.outro.duration, CARDS.outro.min, CARDS.outro.max, 'Outro duration'),
+      tagline: readText(outro.tagline, 'tagline'),
+      cta: readText(outro.cta, 'cta')
+    };
+    if (!plan.outro.tagline && !plan.outro.cta && !hasLogo) {
+      throw httpError(400, 'The end card needs a logo, a tagline or a call to action');
+    }
+  }
+
+  if (watermark) {
+    if (!hasLogo) {
+      throw httpError(400, 'The watermark needs a logo upload or a brandId');
+    }
+    const position = watermark.position || WATERMARK_DEFAULTS.position;
+    if (!WATERMARK_POSITIONS.includes(position)) {
+      throw httpError(400, `Watermark position must be one of ${WATERMARK_POSITIONS.join(', ')}`);
+    }
+    plan.watermark = {
+      position,
+      width: readNumber(watermark.width, WATERMARK_DEFAULTS.width, 0.05, 0.3, 'Watermark width'),
+      opacity: readNumber(watermark.opacity, WATERMARK_DEFAULTS.opacity, 0.1, 1, 'Watermark opacity')
+    };
+  }
+
+  if (soundtrack) {
+    const track = soundtrack.trackId ? music.getTrack(soundtrack.trackId) : null;
+    if (!track) {
+      throw httpError(400, 'Music needs the trackId of a track in the music library');
+    }
+    const { fade, volume } = music.getMusicOptions();
+    plan.music = {
+      trackId: track.id,
+      title: track.title,
+      // Unknown track lengths allow any start; the track loops when it runs out
+      startAt: readNumber(soundtrack.startAt, 0, 0, track.duration || 3600, 'Music start'),
+      fadeIn: readNumber(soundtrack.fadeIn, fade.fadeIn, fade.min, fade.max, 'Music fade in'),
+      fadeOut: readNumber(soundtrack.fadeOut, fade.fadeOut, fade.min, fade.max, 'Music fade out'),
+      volume: readNumber(soundtrack.volume, volume.volume, volume.min, volume.max, 'Music volume')
+    };
+  }
+
+  return plan;
+};
+
+/**
+ * Lays out the layers of a card, stacked around the center
+ * @param {string} name - Card name (intro or outro)
+ * @param {Object} card - Card options from the plan
+ * @param {Object} plan - Render plan (colors)
+ * @param {boolean} hasLogo - Whether a logo is available
+ * @returns {Object[]} Overlay layers
+ */
+const layoutCard = (name, card, plan, hasLogo) => {
+  const layers = [];
+  const texts = name === 'intro'
+    ? [card.title && { type: 'text', text: card.title, size: 0.07 }]
+    : [
+      card.tagline && { type: 'text', text: card.tagline, size: 0.06 },
+      card.cta && { type: 'cta', text: card.cta, size: 0.05, background: plan.ctaBackground }
+    ];
+  const blocks = [hasLogo && { type: 'logo', width: name === 'intro' ? 0.3 : 0.22 }, ...texts].filter(Boolean);
+
+  // Spread the blocks evenly around the vertical center
+  const spacing = 0.18;
+  blocks.forEach((block, index) => {
+    layers.push({
+      ...block,
+      position: 'center',
+      offsetY: (index - (blocks.length - 1) / 2) * spacing,
+      ...(block.type !== 'logo' && { font: 'sans-bold', color: plan.textColor })
+    });
+  });
+  return layers;
+};
+
+/**
+ * Builds the ffmpeg arguments rendering the finished video
+ * @param {Object} options - Render options
+ * @param {Object} options.plan - Render plan
+ * @param {Object} options.source - Source asset ({ width, height, duration })
+ * @param {string} options.sourcePath - Source video file
+ * @param {string} [options.logoPath] - Logo file
+ * @param {string} [options.musicPath] - Music track file
+ * @param {boolean} options.hasAudio - Whether the source has an audio track to keep
+ * @param {string} options.workDir - Directory for card and caption text files
+ * @param {string} options.outputPath - Finished MP4
+ * @returns {Promise<{args: string[], duration: number}>} ffmpeg arguments and the output duration
+ */
+const buildRenderArgs = async ({ plan, source, sourcePath, logoPath, musicPath, hasAudio, workDir, outputPath }) => {
+  const image = { width: source.width, height: source.height };
+  const inputs = ['-i', sourcePath];
+  const filters = [];
+  const segments = [];
+  let inputCount = 1;
+
+  const addInput = (...args) => {
+    inputs.push(...args);
+    return inputCount++;
+  };
+
+  const audioFormat = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+  const addCard = async (name, card) => {
+    const colorIndex = addInput('-f', 'lavfi', '-i',
+      `color=c=0x${plan.background.slice(1)}:s=${image.width}x${image.height}:r=${OUTPUT_FPS}:d=${card.duration}`);
+    const layers = normalizeLayers(layoutCard(name, card, plan, !!logoPath), []);
+    let current = `${colorIndex}:v`;
+
+    for (const [index, layer] of layers.entries()) {
+      const label = `${name}${index}`;
+      if (layer.type === 'logo') {
+        filters.push(buildLogoFilter(layer, addInput('-i', logoPath), current, label, image));
+      } else {
+        const textFile = path.join(workDir, `${label}.txt`);
+        await fs.promises.writeFile(textFile, layer.text);
+        filters.push(`[${current}]${buildTextFilter(layer, textFile, image)}[${label}]`);
+      }
+      current = label;
+    }
+
+    filters.push(`[${current}]fade=t=in:st=0:d=${CARD_FADE},` +
+      `fade=t=out:st=${card.duration - CARD_FADE}:d=${CARD_FADE},setsar=1,format=yuv420p[${name}v]`);
+
+    let audio = null;
+    if (hasAudio) {
+      const silenceIndex = addInput('-f', 'lavfi', '-t', `${card.duration}`, '-i', 'anullsrc=r=48000:cl=stereo');
+      filters.push(`[${silenceIndex}:a]${audioFormat}[${name}a]`);
+      audio = `${name}a`;
+    }
+    segments.push([`${name}v`, audio]);
+  };
+
+  if (plan.intro) {
+    await addCard('intro', plan.intro);
+  }
+
+  // The clip itself, converted to the output frame rate, with the optional captions and watermark
+  filters.push(`[0:v]scale=${image.width}:${image.height},setsar=1,fps=${OUTPUT_FPS}[clip]`);
+  let clip = 'clip';
+  if (plan.captions) {
+    filters.push(await buildCaptionFilter(plan.captions, clip, 'captioned', image, workDir));
+    clip = 'captioned';
+  }
+  if (plan.watermark) {
+    const [layer] = normalizeLayers([{ type: 'logo', ...plan.watermark }], []);
+    filters.push(buildLogoFilter(layer, addInput('-i', logoPath), clip, 'watermarked', image));
+    clip = 'watermarked';
+  }
+  filters.push(`[${clip}]format=yuv420p[mainv]`);
+  if (hasAudio) {
+    filters.push(`[0:a]${audioFormat}[maina]`);
+  }
+  segments.push(['mainv', hasAudio ? 'maina' : null]);
+
+  if (plan.outro) {
+    await addCard('outro', plan.outro);
+  }
+
+  const pads = segments.map(([video, audio]) => `[${video}]${audio ? `[${audio}]` : ''}`).join('');
+  filters.push(`${pads}concat=n=${segments.length}:v=1:a=${hasAudio ? 1 : 0}[outv]${hasAudio ? '[outa]' : ''}`);
+
+  const duration = (plan.intro ? plan.intro.duration : 0) + source.duration + (plan.outro ? plan.outro.duration : 0);
+
+  // Music runs under the whole video, cards included, and is mixed below the clip's own audio
+  let audioOutput = hasAudio ? 'outa' : null;
+  if (plan.music) {
+    const musicIndex = addInput('-stream_loop', '-1', '-i', musicPath);
+    filters.push(music.buildMusicFilter(plan.music, musicIndex, duration, 'music'));
+    filters.push(hasAudio
+      ? `[outa][music]amix=inputs=2:duration=first:normalize=0:weights='1 ${plan.music.volume}',${music.buildLoudnessFilter()}[mixa]`
+      : `[music]${music.buildLoudnessFilter()}[mixa]`);
+    audioOutput = 'mixa';
+  }
+
+  const args = [
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '[outv]',
+    ...(audioOutput ? ['-map', `[${audioOutput}]`, '-c:a', 'aac', '-b:a', '128k'] : []),
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '20',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    outputPath
+  ];
+
+  return { args, duration };
+};
+
+/**
+ * Renders a post-production job and records its progress and result
+ * @param {Object} job - Post-production job
+ * @param {Object} asset - Source video asset
+ * @param {Object} plan - Render plan
+ * @param {string|null} logoPath - Logo copy inside the work directory
+ * @param {string|null} musicPath - Music track copy inside the work directory
+ * @param {string} workDir - Work directory, removed afterwards
+ * @returns {Promise<void>}
+ */
+const render = async (job, asset, plan, logoPath, musicPath, workDir) => {
+  // Cancelling the job stops ffmpeg instead of letting it render to the end
+  const abort = new AbortController();
+  const onStatus = (updated) => {
+    if (updated.id === job.id && updated.status === 'CANCELLED') {
+      abort.abort();
+    }
+  };
+  jobStore.jobEvents.on('status', onStatus);
+
+  try {
+    jobStore.recordStatus(job.id, 'PROCESSING', { progress: { percent: 0, step: 'Preparing' } });
+
+    const sourcePath = assetStore.getAssetPath(asset);
+    const outputPath = path.join(workDir, 'finished.mp4');
+    const { args, duration } = await buildRenderArgs({
+      plan,
+      source: asset,
+      sourcePath,
+      logoPath,
+      musicPath,
+      hasAudio: await hasAudioTrack(sourcePath),
+      workDir,
+      outputPath
+    });
+
+    logger.info('Rendering post-production', { jobId: job.id, assetId: asset.id, duration });
+    jobStore.recordProgress(job.id, { percent: 0, step: 'Rendering' });
+
+    // Only broadcast whole-percent changes
+    let lastPercent = 0;
+    await ffmpeg(args, (seconds) => {
+      const percent = Math.min(99, Math.floor((seconds / duration) * 100));
+      if (percent > lastPercent) {
+        lastPercent = percent;
+        jobStore.recordProgress(job.id, { percent, step: 'Rendering' });
+      }
+    }, { signal: abort.signal });
+
+    if (jobStore.isCancelled(job.id)) {
+      logger.info('Post-production cancelled while rendering, discarding the result', { jobId: job.id });
+      return;
+    }
+
+    jobStore.recordProgress(job.id, { percent: 100, step: 'Saving' });
+    const finished = await assetStore.storeFile({
+      filePath: outputPath,
+      kind: 'video',
+      jobId: job.id,
+      sourceAssetId: asset.id,
+      extra: { postProduction: plan }
+    });
+
+    jobStore.recordStatus(job.id, 'COMPLETED', { resultUrl: finished.url, assetId: finished.id });
+    logger.info('Post-production finished', { jobId: job.id, assetId: finished.id });
+  } catch (error) {
+    if (jobStore.isCancelled(job.id)) {
+      logger.info('Post-production render stopped after cancellation', { jobId: job.id });
+      return;
+    }
+    logger.error('Post-production failed', { jobId: job.id, error: error.message });
+    jobStore.failJob(job.id, error.message);
+  } finally {
+    jobStore.jobEvents.off('status', onStatus);
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Starts a post-production job for a stored video
+ * Validation happens up front; the render itself runs in the background
+ * @param {Object} options - Post-production options
+ * @param {Object} options.asset - Source video asset
+ * @param {Object} [options.options] - { intro, outro, watermark, captions, music, background, textColor, ctaBackground }
+ * @param {Object[]} [options.palette] - Palette the colors may refer to
+ * @param {string} [options.logoPath] - Logo file (copied, so uploads may be removed afterwards)
+ * @param {string} [options.brandId] - Brand kit the inputs came from
+ * @returns {Promise<Object>} Created job
+ * @throws {Error} With status 400 on invalid options or a music track that is gone, 422 if the source
+ *   cannot be processed
+ */
+const startPostProduction = async ({ asset, options = {}, palette = [], logoPath, brandId }) => {
+  if (asset.kind !== 'video') {
+    throw httpError(422, 'Post-production can only be applied to videos');
+  }
+  if (!asset.width || !asset.height || !asset.duration) {
+    throw httpError(422, 'The dimensions or duration of this video are unknown (ffprobe is needed to read them)');
+  }
+
+  const plan = normalizePlan(options, palette, !!logoPath, asset.duration);
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'virtuoso-post-'));
+  let logoCopy = null;
+  let musicCopy = null;
+  try {
+    if (logoPath) {
+      logoCopy = path.join(workDir, `logo${path.extname(logoPath)}`);
+      await fs.promises.copyFile(logoPath, logoCopy);
+    }
+
+    // The track is copied as well, so deleting it from the library cannot break the render
+    if (plan.music) {
+      // It may have been deleted since the plan was checked
+      const track = music.getTrack(plan.music.trackId);
+      if (!track) {
+        throw httpError(400, 'Music needs the trackId of a track in the music library');
+      }
+      musicCopy = path.join(workDir, `music${path.extname(track.filename)}`);
+      await fs.promises.copyFile(music.getTrackPath(track), musicCopy);
+    }
+  } catch (error) {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const projectId = findAssetProjectId(asset);
+  const job = jobStore.createJob({
+    type: 'postprocess',
+    provider: 'ffmpeg',
+    inputs: { videoAssetId: asset.id, brandId: brandId || null, ...plan },
+    prompt: null,
+    sourceAssetId: asset.id,
+    ...(projectId && { projectId })
+  });
+
+  // Not awaited: clients follow the job through its status updates
+  render(job, asset, plan, logoCopy, musicCopy, workDir);
+  return job;
+};
+
+/**
+ * Fails post-production jobs that were still rendering when the server stopped
+ * Renders run in this process, so they cannot be picked up again like provider tasks
+ * @returns {number} Number of interrupted jobs
+ */
+const failInterruptedRenders = () => {
+  const interrupted = jobStore.listActiveJobs().filter(job => job.type === 'postprocess');
+  interrupted.forEach(job => jobStore.failJob(job.id, 'Rendering was interrupted by a server restart'));
+
+  if (interrupted.length > 0) {
+    logger.warn('Failed interrupted post-production jobs', { count: interrupted.length });
+  }
+  return interrupted.length;
+};
+
+/**
+ * Writes the captions of a finished video as a subtitle file
+ * Cue times are shifted by the intro card, so they match the finished video
+ * @param {Object} asset - Finished video asset
+ * @param {string} format - Subtitle format (srt or vtt)
+ * @returns {{content: string, mimeType: string}} Subtitle file content and its MIME type
+ * @throws {Error} With status 400 on an unknown format, 404 if the video has no captions
+ */
+const getSubtitles = (asset, format) => {
+  const subtitleFormat = SUBTITLE_FORMATS[format];
+  if (!subtitleFormat) {
+    throw httpError(400, `Subtitle format must be one of ${Object.keys(SUBTITLE_FORMATS).join(', ')}`);
+  }
+
+  const plan = asset.postProduction;
+  if (!plan || !plan.captions) {
+    throw httpError(404, 'This video has no captions');
+  }
+
+  const offset = plan.intro ? plan.intro.duration : 0;
+  return {
+    content: subtitleFormat.write(plan.captions.cues, offset),
+    mimeType: subtitleFormat.mimeType
+  };
+};
+
+/**
+ * Lists the options the post-production panel offers
+ * @returns {Object} { cards (duration limits), watermarkPositions, watermarkDefaults, textLimits, captions, music }
+ */
+const getPostProductionOptions = () => ({
+  cards: CARDS,
+  watermarkPositions: WATERMARK_POSITIONS,
+  watermarkDefaults: WATERMARK_DEFAULTS,
+  textLimits: TEXT_LIMITS,
+  captions: getCaptionOptions(),
+  music: music.getMusicOptions()
+});
+
+module.exports = {
+  startPostProduction,
+  failInterruptedRenders,
+  getSubtitles,
+  getPostProductionOptions
+};
@@ -0,0 +1,207 @@
+/**
+ * Project Service
+ * Stores projects (campaigns): named groups of generations. Jobs started for a project record its
+ * `projectId`, and jobs made from a project's images (videos, refinements, post-production) inherit it,
+ * so a project gathers its uploaded inputs, every generated image and video, and their settings.
+ */
+
+const { createCollection } = require('../utils/storage');
+const jobStore = require('./jobs');
+const assetStore = require('./assets');
+const logger = require('../utils/logger');
+
+const projects = createCollection('projects');
+
+// Upper bound on the length of a project name
+const PROJECT_NAME_LIMIT = 100;
+
+/**
+ * Lists the jobs of a project, newest first
+ * Clips of a sequence are left out; the sequence stands for them
+ * @param {string} projectId - Project identifier
+ * @returns {Object[]} Jobs
+ */
+const listProjectJobs = (projectId) => {
+  return jobStore.listJobs({ projectId, limit: Infinity }).jobs.filter(job => !job.sequenceId);
+};
+
+/**
+ * Builds the gallery entry of a job: its result and the settings it was made with
+ * @param {Object} job - Job record
+ * @returns {Object} { task_id, type, status, url, assetId, createdAt, settings }
+ */
+const toItem = (job) => {
+  const inputs = job.inputs || {};
+  const settings = {
+    image: () => ({
+      colorScheme: inputs.colorScheme,
+      imageStyle: inputs.imageStyle,
+      orientation: inputs.orientation,
+      instruction: inputs.instruction || null,
+      seed: inputs.seed === undefined ? null : inputs.seed
+    }),
+    video: () => ({
+      imageUrl: inputs.imageUrl,
+      duration: inputs.duration,
+      videoContentStyle: inputs.videoContentStyle,
+      imageStyle: inputs.imageStyle
+    }),
+    sequence: () => ({
+      shots: inputs.shots.length,
+      imageStyle: inputs.imageStyle
+    }),
+    postprocess: () => ({
+      videoAssetId: inputs.videoAssetId
+    })
+  }[job.type];
+
+  return {
+    task_id: job.id,
+    type: job.type,
+    status: job.status,
+    url: job.status === 'COMPLETED' ? job.resultUrl : null,
+    assetId: job.status === 'COMPLETED' ? job.assetId || null : null,
+    createdAt: job.createdAt,
+    settings: settings ? settings() : {}
+  };
+};
+
+/**
+ * Describes the inputs a project was last generated from: its logo and prototype (as reference
+ * assets), palette, style and orientation
+ * @param {Object[]} jobs - Project jobs, newest first
+ * @returns {Object|null} Inputs, or null before the first image generation
+ */
+const describeInputs = (jobs) => {
+  const latest = jobs.find(job => job.type === 'image' && !job.inputs.instruction && job.inputs.referenceAssetIds);
+  if (!latest) {
+    return null;
+  }
+
+  const { files = {}, referenceAssetIds, palette, colorScheme, imageStyle, orientation } = latest.inputs;
+  const reference = (role) => {
+    const asset = assetStore.getAsset(referenceAssetIds[role]);
+    return asset ? { assetId: asset.id, url: assetStore.getAssetUrl(asset.id), name: files[role] || null } : null;
+  };
+
+  return {
+    logo: reference('logo'),
+    prototype: reference('prototype'),
+    palette: palette || [{ role: 'primary', hex: colorScheme }],
+    imageStyle,
+    orientation,
+    brandId: latest.brandId || null
+  };
+};
+
+/**
+ * Builds the gallery summary of a project
+ * @param {Object} project - Stored project
+ * @param {Object[]} jobs - Project jobs, newest first
+ * @returns {Object} Project with counts, thumbnail and time of the last generation
+ */
+const summarize = (project, jobs) => {
+  const images = jobs.filter(job => job.type === 'image');
+  const thumbnail = images.find(job => job.status === 'COMPLETED' && job.resultUrl);
+
+  return {
+    ...project,
+    counts: { images: images.length, videos: jobs.length - images.length },
+    thumbnailUrl: thumbnail ? thumbnail.resultUrl : null,
+    lastActivityAt: jobs.length > 0 ? jobs[0].createdAt : project.createdAt
+  };
+};
+
+/**
+ * Lists all projects, most recently active first
+ * @returns {Object[]} Project summaries
+ */
+const listProjects = () => {
+  return projects.list()
+    .map(project => summarize(project, listProjectJobs(project.id)))
+    .sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt));
+};
+
+/**
+ * Gets a project with its inputs and every generated image and video
+ * @param {string} id - Project identifier
+ * @returns {Object|null} Project summary with `inputs`, `images` and `videos`, or null if not found
+ */
+const getProject = (id) => {
+  const project = projects.get(id);
+  if (!project) {
+    return null;
+  }
+
+  const jobs = listProjectJobs(id);
+  return {
+    ...summarize(project, jobs),
+    inputs: describeInputs(jobs),
+    images: jobs.filter(job => job.type === 'image').map(toItem),
+    videos: jobs.filter(job => job.type !== 'image').map(toItem)
+  };
+};
+
+/**
+ * Checks whether a project exists
+ * @param {string} id - Project identifier
+ * @returns {boolean} True if the project exists
+ */
+const projectExists = (id) => !!projects.get(id);
+
+/**
+ * Creates a project
+ * @param {Object} data - Project data
+ * @param {string} data.name - Project name
+ * @returns {Object} Created project summary
+ */
+const createProject = ({ name }) => {
+  const project = projects.insert({ name });
+  logger.info('Project created', { projectId: project.id, name });
+  return summarize(project, []);
+};
+
+/**
+ * Renames a project
+ * @param {string} id - Project identifier
+ * @param {string} name - New name
+ * @returns {Object|null} Updated project summary or null if not found
+ */
+const renameProject = (id, name) => {
+  const updated = projects.update(id, { name });
+  return updated ? summarize(updated, listProjectJobs(id)) : null;
+};
+
+/**
+ * Deletes a project; its jobs and assets stay in the job history
+ * @param {string} id - Project identifier
+ * @returns {boolean} True if the project existed
+ */
+const deleteProject = (id) => {
+  const deleted = projects.remove(id);
+  if (deleted) {
+    logger.info('Project deleted', { projectId: id });
+  }
+  return deleted;
+};
+
+/**
+ * Finds the project an asset belongs to, through the job that made it
+ * @param {Object|null} asset - Stored asset
+ * @returns {string|null} Project identifier, or null if the asset is not part of a project
+ */
+const findAssetProjectId = (asset) => {
+  const job = asset && asset.jobId ? jobStore.getJob(asset.jobId) : null;
+  return (job && job.projectId) || null;
+};
+
+module.exports = {
+  PROJECT_NAME_LIMIT,
+  listProjects,
+  getProject,
+  projectExists,
+  createProject,
+  renameProject,
+  deleteProject,
+  findAssetProjectId
+};
@@ -0,0 +1,247 @@
+/**
+ * Prompt Builder Module
+ * Provider-agnostic prompt construction for image and video generation
+ * Combines style, orientation, color and content descriptions (from the style registry) into AI prompts
+ * The prompt text itself lives in versioned templates (see templates.js)
+ */
+
+const logger = require('../utils/logger');
+const styles = require('./styles');
+const { renderTemplate } = require('./templates');
+
+/**
+ * Gets the prompt fragment of a registry entry, falling back to the kind's default
+ * @param {string} kind - Registry kind (imageStyles, orientations, videoStyles)
+ * @param {string} id - Entry ID
+ * @returns {string} Prompt fragment
+ */
+const getPromptFragment = (kind, id) => {
+  const entry = styles.getStyle(kind, id) || styles.getStyle(kind, styles.getDefaultId(kind));
+  return entry.prompt;
+};
+
+/**
+ * Palette roles and where each color goes on the product
+ * Primary is required; secondary and accent are optional
+ */
+const PALETTE_ROLES = {
+  'primary': 'the PRODUCT BODY (packaging, casing or main surface)',
+  'secondary': 'the LABEL area, packaging band or the backdrop directly behind the logo',
+  'accent': 'small ACCENTS only (caps, trims, buttons, edges, stitching or highlights)'
+};
+
+/**
+ * Normalizes a color scheme into an ordered palette with roles
+ * Accepts a single hex color (treated as primary) or a list of { role, hex, name }
+ * @param {string|Object[]} colors - Hex color code or palette entries
+ * @returns {Object[]} Palette entries ({ role, hex, name? }) in primary, secondary, accent order
+ */
+const normalizePalette = (colors) => {
+  const entries = Array.isArray(colors) ? colors : [{ role: 'primary', hex: colors }];
+  const roles = Object.keys(PALETTE_ROLES);
+
+  return entries
+    .filter(entry => entry && roles.includes(entry.role))
+    .map(entry => ({ ...entry, hex: entry.hex.toUpperCase() }))
+    .sort((a, b) => roles.indexOf(a.role) - roles.indexOf(b.role));
+};
+
+/**
+ * Parses and validates a palette sent by a client
+ * @param {string|Object[]} value - JSON string or array of { role, hex, name }
+ * @param {boolean} [requirePrimary] - Whether a primary color must be present
+ * @returns {Object[]} Normalized palette entries
+ * @throws {Error} With status 400 if the palette is malformed, repeats a role or lacks a primary color
+ */
+const parsePalette = (value, requirePrimary = true) => {
+  let entries = value;
+  try {
+    entries = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    entries = null;
+  }
+
+  const roles = Object.keys(PALETTE_ROLES);
+  const hexColorRegex = /^#[0-9A-F]{6}$/i;
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  if (!Array.isArray(entries) || (requirePrimary && entries.length === 0)) {
+    fail('Palette must be a JSON array of { role, hex } colors');
+  }
+  entries.forEach(entry => {
+    if (!entry || !roles.includes(entry.role)) {
+      fail(`Invalid palette role. Valid roles: ${roles.join(', ')}`);
+    }
+    if (!hexColorRegex.test(entry.hex)) {
+      fail(`Palette color for ${entry.role} must be a valid hex color (e.g., #FF5733)`);
+    }
+  });
+  if (new Set(entries.map(entry => entry.role)).size !== entries.length) {
+    fail('Each palette role can only be used once');
+  }
+  if (requirePrimary && !entries.some(entry => entry.role === 'primary')) {
+    fail('Palette must include a primary color');
+  }
+
+  return normalizePalette(entries.map(({ role, hex, name }) => ({ role, hex, ...(name && { name: String(name) }) })));
+};
+
+/**
+ * Assigns roles to named brand colors that have none, in palette order
+ * @param {Object[]} colors - Brand palette entries ({ name, hex, role? })
+ * @returns {Object[]} Palette entries with roles (colors beyond the available roles are dropped)
+ */
+const assignPaletteRoles = (colors) => {
+  const taken = colors.map(color => color.role).filter(Boolean);
+  const free = Object.keys(PALETTE_ROLES).filter(role => !taken.includes(role));
+
+  return normalizePalette(colors
+    .map(color => (color.role ? color : { ...color, role: free.shift() }))
+    .filter(color => color.role));
+};
+
+/**
+ * Resolves a color reference: a hex code, a palette role (primary, secondary, accent) or a palette color name
+ * @param {string} value - Requested color
+ * @param {Object[]} palette - Palette entries with roles ({ role, hex, name })
+ * @param {string} label - Field description for the error message
+ * @returns {string} Hex color code
+ * @throws {Error} With status 400 if the color cannot be resolved
+ */
+const resolvePaletteColor = (value, palette, label) => {
+  if (/^#[0-9A-F]{6}$/i.test(value)) {
+    return value.toUpperCase();
+  }
+
+  const wanted = String(value).toLowerCase();
+  const entry = palette.find(color => color.role === wanted) ||
+    palette.find(color => color.name && color.name.toLowerCase() === wanted);
+  if (!entry) {
+    const error = new Error(`${label} "${value}" is not a hex color or a color of the palette`);
+    error.status = 400;
+    throw error;
+  }
+  return entry.hex.toUpperCase();
+};
+
+/**
+ * Describes the secondary and accent colors of a palette as prompt lines
+ * @param {Object[]} palette - Palette entries with roles ({ role, hex, name })
+ * @returns {string} One placement line per extra color plus a palette summary, empty for a single color
+ */
+const describePalette = (palette) => {
+  const extras = palette.filter(entry => entry.role !== 'primary');
+  
+  // Secondary and accent colors get one placement line each
+  const extraInstructions = extras.map(entry => {
+    const label = entry.name ? `${entry.hex} (${entry.name})` : entry.hex;
+    return `\n- Use the ${entry.role} color ${label} for ${PALETTE_ROLES[entry.role]}`;
+  }).join('');
+  const paletteSummary = extras.length > 0
+    ? `\n- Keep the palette to these colors: ${palette.map(entry => `${entry.role} ${entry.hex}`).join(', ')}; do not swap their roles`
+    : '';
+  
+  return `${extraInstructions}${paletteSummary}`;
+};
+
+/**
+ * Creates a prompt for image generation incorporating the brand palette, style, and orientation
+ * @param {string|Object[]} colorScheme - Hex color code, or palette entries with roles ({ role, hex, name })
+ * @param {string} style - Selected image style
+ * @param {string} orientation - Image orientation (an orientation ID from the style registry)
+ * @param {string} [templateVersion] - Image template version (defaults to the active one)
+ * @returns {{prompt: string, templateVersion: string}} Formatted prompt for AI image generation and the template version used
+ */
+const createImagePrompt = (colorScheme, style = 'realistic', orientation = 'landscape', templateVersion) => {
+  const palette = normalizePalette(colorScheme);
+  
+  const rendered = renderTemplate('image', {
+    orientation: getPromptFragment('orientations', orientation),
+    style,
+    styleDescription: getPromptFragment('imageStyles', style),
+    primaryColor: palette.find(entry => entry.role === 'primary').hex,
+    paletteInstructions: describePalette(palette)
+  }, templateVersion);
+  
+  logger.debug('Generated image prompt', {
+    palette,
+    style,
+    orientation,
+    templateVersion: rendered.templateVersion,
+    promptLength: rendered.prompt.length
+  });
+  return rendered;
+};
+
+/**
+ * Creates a prompt for video generation based on content style and image style
+ * @param {string} videoContentStyle - Selected video content style (showcase, coming-soon, lifestyle)
+ * @param {string} imageStyle - The image style used for generation (to align video aesthetics)
+ * @param {string} [templateVersion] - Video template version (defaults to the active one)
+ * @param {string} [shotPrompt] - Direction for this particular shot (sequence shots), added after the content description
+ * @returns {{prompt: string, templateVersion: string}} Formatted prompt for AI video generation and the template version used
+ */
+const createVideoPrompt = (videoContentStyle = 'showcase', imageStyle = 'realistic', templateVersion, shotPrompt) => {
+  const rendered = renderTemplate('video', {
+    contentDescription: getPromptFragment('videoStyles', videoContentStyle),
+    imageStyle,
+    styleDescription: getPromptFragment('imageStyles', imageStyle),
+    shotDirection: shotPrompt ? `\n\nShot direction: ${shotPrompt}` : ''
+  }, templateVersion);
+  
+  logger.debug('Generated video prompt', { 
+    videoContentStyle,
+    imageStyle,
+    shotPrompt,
+    templateVersion: rendered.templateVersion,
+    promptLength: rendered.prompt.length 
+  });
+  return rendered;
+};
+
+/**
+ * Creates a prompt refining a generated image with a free-text instruction
+ * The generated image is sent as the reference image; palette, style and orientation are those it was made with
+ * @param {string} instruction - Requested change (e.g. "make the background warmer")
+ * @param {string|Object[]} colorScheme - Hex color code, or palette entries with roles ({ role, hex, name })
+ * @param {string} style - Image style of the refined image
+ * @param {string} orientation - Orientation of the refined image
+ * @param {string} [templateVersion] - Refine template version (defaults to the active one)
+ * @returns {{prompt: string, templateVersion: string}} Formatted refinement prompt and the template version used
+ */
+const createRefinePrompt = (instruction, colorScheme, style = 'realistic', orientation = 'landscape', templateVersion) => {
+  const palette = normalizePalette(colorScheme);
+  
+  const rendered = renderTemplate('refine', {
+    instruction,
+    orientation: getPromptFragment('orientations', orientation),
+    styleDescription: getPromptFragment('imageStyles', style),
+    primaryColor: palette.find(entry => entry.role === 'primary').hex,
+    paletteInstructions: describePalette(palette)
+  }, templateVersion);
+  
+  logger.debug('Generated refine prompt', {
+    instruction,
+    style,
+    orientation,
+    templateVersion: rendered.templateVersion,
+    promptLength: rendered.prompt.length
+  });
+  return rendered;
+};
+
+module.exports = {
+  PALETTE_ROLES,
+  normalizePalette,
+  parsePalette,
+  assignPaletteRoles,
+  resolvePaletteColor,
+  createImagePrompt,
+  createVideoPrompt,
+  createRefinePrompt
+};
+
@@ -0,0 +1,258 @@
+/**
+ * Freepik Provider
+ * Generation provider backed by the Freepik AI APIs
+ * Includes image generation (Gemini) and video generation (Minimax Hailuo)
+ * Calls go through a resilient client: rate limits and transient failures are retried, and
+ * repeated outages open a circuit breaker that fails further calls fast
+ */
+
+const logger = require('../../utils/logger');
+const { createResilientClient, ProviderError, AuthError } = require('../../utils/http');
+const fs = require('fs').promises;
+
+// API Configuration
+const FREEPIK_API_KEY = process.env.FREEPIK_API_KEY;
+const IMAGE_API_URL = 'https://api.freepik.com/v1/ai/gemini-2-5-flash-image-preview';
+const VIDEO_API_URL = 'https://api.freepik.com/v1/ai/image-to-video/minimax-hailuo-02-768p';
+
+const client = createResilientClient({ name: 'Freepik' });
+
+/**
+ * Validates that Freepik API key is configured
+ * @throws {AuthError} If API key is missing
+ */
+const validateApiKey = () => {
+  if (!FREEPIK_API_KEY) {
+    logger.error('Freepik API key is not configured');
+    throw new AuthError('FREEPIK_API_KEY is not configured in environment variables');
+  }
+};
+
+/**
+ * Converts an image file to base64 encoding
+ * @param {string} filePath - Path to the image file
+ * @returns {Promise<string>} Base64 encoded image string
+ */
+const convertImageToBase64 = async (filePath) => {
+  try {
+    logger.debug('Converting image to base64', { filePath });
+    const imageBuffer = await fs.readFile(filePath);
+    const base64Image = imageBuffer.toString('base64');
+    logger.debug('Image converted to base64 successfully', {
+      filePath,
+      size: base64Image.length
+    });
+    return base64Image;
+  } catch (error) {
+    logger.error('Failed to convert image to base64', {
+      filePath,
+      error: error.message
+    });
+    throw new Error(`Failed to read image file: ${error.message}`);
+  }
+};
+
+/**
+ * Initiates image generation request to Freepik API
+ * @param {Object} options - Generation options
+ * @param {string} options.prompt - Fully rendered image prompt
+ * @param {string[]} options.referenceImages - Paths to reference image files (logo first, prototype second)
+ * @returns {Promise<Object>} Response containing task_id and initial status
+ */
+const generateImage = async ({ prompt, referenceImages = [] }) => {
+  validateApiKey();
+
+  try {
+    // Convert uploaded images to base64
+    const encodedImages = [];
+    for (const imagePath of referenceImages) {
+      encodedImages.push(await convertImageToBase64(imagePath));
+    }
+
+    // Prepare request payload
+    const payload = {
+      prompt,
+      reference_images: encodedImages
+    };
+
+    // Make API request
+    logger.logApiCall('Freepik Image Generation', IMAGE_API_URL, 'POST');
+    const response = await client.request({
+      method: 'post',
+      url: IMAGE_API_URL,
+      data: payload,
+      headers: {
+        'x-freepik-api-key': FREEPIK_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000 // 30 second timeout for initial request
+    });
+
+    if (response.status === 200) {
+      const { task_id, status } = response.data.data;
+      return { task_id, status };
+    } else {
+      throw new Error(`Unexpected response status: ${response.status}`);
+    }
+  } catch (error) {
+    logger.error('Freepik image generation request failed', {
+      error: error.message,
+      kind: error.kind,
+      providerStatus: error.providerStatus
+    });
+
+    // Classified provider errors carry their status and retry hint up to the caller
+    throw error instanceof ProviderError ? error : new Error(`Failed to generate image: ${error.message}`);
+  }
+};
+
+/**
+ * Checks the status of an image generation task
+ * @param {string} taskId - Task ID from initial generation request
+ * @returns {Promise<Object>} Current task status and generated image URL (if complete)
+ */
+const checkImageStatus = async (taskId) => {
+  validateApiKey();
+
+  try {
+    const statusUrl = `${IMAGE_API_URL}/${taskId}`;
+    const response = await client.request({
+      method: 'get',
+      url: statusUrl,
+      headers: {
+        'x-freepik-api-key': FREEPIK_API_KEY
+      },
+      timeout: 10000 // 10 second timeout
+    });
+
+    if (response.status === 200) {
+      const { status, generated } = response.data.data;
+      const result = { status };
+
+      // If completed, extract the image URL
+      if (status === 'COMPLETED' && generated) {
+        // Filter for HTTPS URLs only
+        result.imageUrl = generated.find(url => url.startsWith('https://'));
+      }
+
+      return result;
+    } else {
+      throw new Error(`Unexpected response status: ${response.status}`);
+    }
+  } catch (error) {
+    logger.error('Freepik image status request failed', {
+      taskId,
+      error: error.message,
+      kind: error.kind
+    });
+
+    throw error instanceof ProviderError ? error : new Error(`Failed to check status: ${error.message}`);
+  }
+};
+
+/**
+ * Initiates video generation request to Freepik API
+ * @param {Object} options - Generation options
+ * @param {string} options.prompt - Fully rendered video prompt
+ * @param {string} options.firstFrameImage - URL or base64 data of the image used as the first frame
+ * @param {number} options.duration - Video duration (6 or 10 seconds)
+ * @returns {Promise<Object>} Response containing task_id and initial status
+ */
+const generateVideo = async ({ prompt, firstFrameImage, duration }) => {
+  validateApiKey();
+
+  try {
+    // Prepare request payload
+    const payload = {
+      first_frame_image: firstFrameImage,
+      prompt,
+      prompt_optimizer: true, // Enable automatic prompt optimization
+      duration: duration.toString()
+    };
+
+    // Make API request
+    logger.logApiCall('Freepik Video Generation', VIDEO_API_URL, 'POST');
+    const response = await client.request({
+      method: 'post',
+      url: VIDEO_API_URL,
+      data: payload,
+      headers: {
+        'x-freepik-api-key': FREEPIK_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000 // 30 second timeout for initial request
+    });
+
+    if (response.status === 200) {
+      const { task_id, status } = response.data.data;
+      return { task_id, status };
+    } else {
+      throw new Error(`Unexpected response status: ${response.status}`);
+    }
+  } catch (error) {
+    logger.error('Freepik video generation request failed', {
+      error: error.message,
+      kind: error.kind,
+      providerStatus: error.providerStatus
+    });
+
+    // Classified provider errors carry their status and retry hint up to the caller
+    throw error instanceof ProviderError ? error : new Error(`Failed to generate video: ${error.message}`);
+  }
+};
+
+/**
+ * Checks the status of a video generation task
+ * @param {string} taskId - Task ID from initial generation request
+ * @returns {Promise<Object>} Current task status and generated video URL (if complete)
+ */
+const checkVideoStatus = async (taskId) => {
+  validateApiKey();
+
+  try {
+    const statusUrl = `${VIDEO_API_URL}/${taskId}`;
+    const response = await client.request({
+      method: 'get',
+      url: statusUrl,
+      headers: {
+        'x-freepik-api-key': FREEPIK_API_KEY
+      },
+      timeout: 10000 // 10 second timeout
+    });
+
+    if (response.status === 200) {
+      const { status, generated } = response.data.data;
+      const result = { status };
+
+      // If completed, extract the video URL
+      if (status === 'COMPLETED' && generated && generated.length > 0) {
+        result.videoUrl = generated[0];
+      }
+
+      return result;
+    } else {
+      throw new Error(`Unexpected response status: ${response.status}`);
+    }
+  } catch (error) {
+    logger.error('Freepik video status request failed', {
+      taskId,
+      error: error.message,
+      kind: error.kind
+    });
+
+    throw error instanceof ProviderError ? error : new Error(`Failed to check status: ${error.message}`);
+  }
+};
+
+module.exports = {
+  // Neither the Gemini image nor the Hailuo video endpoint accepts a seed,
+  // and there is no endpoint to cancel a task (so no cancelTask either)
+  supportsSeed: false,
+  name: 'freepik',
+  getCircuitState: client.getState,
+  generateImage,
+  checkImageStatus,
+  generateVideo,
+  checkVideoStatus
+};
+
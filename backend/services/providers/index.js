@@ -0,0 +1,39 @@
+/**
+ * Generation Provider Registry
+ * Selects the active image/video generation provider
+ *
+ * Every provider implements the same interface:
+ * - generateImage({ prompt, referenceImages, orientation, seed }) -> { task_id, status }
+ * - checkImageStatus(taskId) -> { status, imageUrl? }
+ * - generateVideo({ prompt, firstFrameImage, duration, seed }) -> { task_id, status }
+ * - checkVideoStatus(taskId) -> { status, videoUrl? }
+ * - supportsSeed: whether the same seed reproduces the same output (seed is ignored otherwise)
+ * - cancelTask(taskId) -> void (optional; without it a cancelled job keeps running at the
+ *   provider and its result is discarded when it arrives)
+ * - getCircuitState() -> circuit breaker state (optional; for providers calling a remote API
+ *   through the resilient client in utils/http)
+ *
+ * The provider is chosen with the GENERATION_PROVIDER environment variable
+ * (freepik or mock, defaults to freepik)
+ */
+
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  'freepik': () => require('./freepik'),
+  'mock': () => require('./mock')
+};
+
+const providerName = (process.env.GENERATION_PROVIDER || 'freepik').toLowerCase();
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(
+    `Unknown GENERATION_PROVIDER "${providerName}". Valid options: ${Object.keys(PROVIDERS).join(', ')}`
+  );
+}
+
+const provider = PROVIDERS[providerName]();
+logger.info('Generation provider selected', { provider: provider.name });
+
+module.exports = provider;
+
@@ -0,0 +1,352 @@
+/**
+ * Mock Provider
+ * Offline generation provider for local development and demos
+ * Returns deterministic placeholder images/videos and simulates
+ * PENDING -> PROCESSING -> COMPLETED status transitions without network access
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const zlib = require('zlib');
+const logger = require('../../utils/logger');
+const { ffmpeg } = require('../../utils/ffmpeg');
+const { crc32 } = require('../../utils/zip');
+
+// Simulated processing times (in milliseconds)
+const MOCK_IMAGE_DELAY = parseInt(process.env.MOCK_IMAGE_DELAY) || 6000;
+const MOCK_VIDEO_DELAY = parseInt(process.env.MOCK_VIDEO_DELAY) || 12000;
+
+// Time spent in PENDING before switching to PROCESSING
+const PENDING_PHASE = 1500;
+
+// Placeholder assets are served by this server, so URLs must be absolute for the video step
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Rendered placeholder videos are cached here
+const cacheDir = path.join(os.tmpdir(), 'virtuoso-mock');
+
+// In-flight renders, so concurrent requests for one video share a single ffmpeg run
+const pendingRenders = new Map();
+
+// Cancelled task IDs; task IDs carry no state, so cancellations are forgotten on restart
+const cancelledTasks = new Set();
+
+/**
+ * Placeholder dimensions per orientation
+ * Ultrawide deliberately comes back as 16:9, like models that cannot go wider,
+ * so the aspect ratio verification (see services/aspect.js) can be exercised offline
+ */
+const IMAGE_SIZES = {
+  'landscape': { width: 1344, height: 768 },
+  'portrait': { width: 768, height: 1344 },
+  'square': { width: 1024, height: 1024 },
+  'portrait-4-5': { width: 896, height: 1120 },
+  'landscape-3-2': { width: 1248, height: 832 },
+  'ultrawide': { width: 1344, height: 768 }
+};
+
+// Matches image task IDs; orientations are listed explicitly since their IDs contain dashes
+const IMAGE_TASK_PATTERN = new RegExp(`^mock-image-(${Object.keys(IMAGE_SIZES).join('|')})-([0-9a-f]{6})-([0-9a-z]+)-([0-9a-f]{8})$`);
+
+/**
+ * Derives a short deterministic seed from arbitrary inputs
+ * @param {Array<string|Buffer>} parts - Values that identify the request
+ * @returns {string} 8 character hex seed
+ */
+const createSeed = (parts) => {
+  const hash = crypto.createHash('sha1');
+  parts.forEach(part => hash.update(part));
+  return hash.digest('hex').slice(0, 8);
+};
+
+/**
+ * Parses a mock task ID back into its components
+ * Task IDs encode everything needed to answer status checks statelessly,
+ * so tasks survive server restarts:
+ *   mock-image-<orientation>-<color>-<createdAt>-<seed>
+ *   mock-video-<duration>-<createdAt>-<seed>
+ * @param {string} taskId - Mock task identifier
+ * @returns {Object|null} Parsed task or null if the ID is not a mock task
+ */
+const parseTaskId = (taskId) => {
+  const imageMatch = IMAGE_TASK_PATTERN.exec(taskId);
+  if (imageMatch) {
+    return {
+      type: 'image',
+      orientation: imageMatch[1],
+      color: `#${imageMatch[2]}`,
+      createdAt: parseInt(imageMatch[3], 36),
+      seed: imageMatch[4]
+    };
+  }
+
+  const videoMatch = /^mock-video-(\d+)-([0-9a-z]+)-([0-9a-f]{8})$/.exec(taskId);
+  if (videoMatch) {
+    return {
+      type: 'video',
+      duration: parseInt(videoMatch[1]),
+      createdAt: parseInt(videoMatch[2], 36),
+      seed: videoMatch[3]
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Computes the simulated status of a task from its age
+ * @param {Object} task - Parsed mock task
+ * @param {number} delay - Total simulated processing time
+ * @returns {string} PENDING, PROCESSING or COMPLETED
+ */
+const simulateStatus = (task, delay) => {
+  const elapsed = Date.now() - task.createdAt;
+
+  if (elapsed < Math.min(PENDING_PHASE, delay)) {
+    return 'PENDING';
+  }
+  return elapsed < delay ? 'PROCESSING' : 'COMPLETED';
+};
+
+/**
+ * Starts a simulated image generation
+ * The first hex color found in the prompt tints the placeholder so
+ * brand color choices remain visible in the mock output
+ * @param {Object} options - Generation options
+ * @param {string} options.prompt - Fully rendered image prompt
+ * @param {string[]} options.referenceImages - Paths to reference image files
+ * @param {string} options.orientation - Requested orientation (see IMAGE_SIZES; unknown ones fall back to landscape)
+ * @param {number} [options.seed] - Seed; the same seed and inputs give the same placeholder
+ * @returns {Promise<Object>} Response containing task_id and initial status
+ */
+const generateImage = async ({ prompt, referenceImages = [], orientation = 'landscape', seed: requestSeed }) => {
+  const references = await Promise.all(referenceImages.map(file => fs.promises.readFile(file)));
+  const seed = createSeed([prompt, ...references, requestSeed === undefined ? '' : String(requestSeed)]);
+  const colorMatch = prompt.match(/#([0-9A-F]{6})/i);
+  const color = colorMatch ? colorMatch[1].toLowerCase() : seed.slice(0, 6);
+  const size = IMAGE_SIZES[orientation] ? orientation : 'landscape';
+
+  const taskId = `mock-image-${size}-${color}-${Date.now().toString(36)}-${seed}`;
+  logger.info('Mock image generation started', { taskId });
+
+  return { task_id: taskId, status: 'PENDING' };
+};
+
+/**
+ * Reports the simulated status of an image task
+ * @param {string} taskId - Mock task identifier
+ * @returns {Promise<Object>} Current task status and placeholder image URL (if complete)
+ */
+const checkImageStatus = async (taskId) => {
+  const task = parseTaskId(taskId);
+  if (!task || task.type !== 'image') {
+    throw new Error(`Unknown mock image task: ${taskId}`);
+  }
+  if (cancelledTasks.has(taskId)) {
+    return { status: 'CANCELLED' };
+  }
+
+  const result = { status: simulateStatus(task, MOCK_IMAGE_DELAY) };
+  if (result.status === 'COMPLETED') {
+    result.imageUrl = `${PUBLIC_BASE_URL}/api/mock/image/${taskId}`;
+  }
+  return result;
+};
+
+/**
+ * Starts a simulated video generation
+ * @param {Object} options - Generation options
+ * @param {string} options.prompt - Fully rendered video prompt
+ * @param {string} options.firstFrameImage - URL or base64 data of the first frame image
+ * @param {number} options.duration - Video duration in seconds
+ * @param {number} [options.seed] - Seed; the same seed and inputs give the same placeholder
+ * @returns {Promise<Object>} Response containing task_id and initial status
+ */
+const generateVideo = async ({ prompt, firstFrameImage, duration, seed: requestSeed }) => {
+  const seed = createSeed([prompt, firstFrameImage, requestSeed === undefined ? '' : String(requestSeed)]);
+  const taskId = `mock-video-${parseInt(duration)}-${Date.now().toString(36)}-${seed}`;
+  logger.info('Mock video generation started', { taskId });
+
+  return { task_id: taskId, status: 'PENDING' };
+};
+
+/**
+ * Reports the simulated status of a video task
+ * @param {string} taskId - Mock task identifier
+ * @returns {Promise<Object>} Current task status and placeholder video URL (if complete)
+ */
+const checkVideoStatus = async (taskId) => {
+  const task = parseTaskId(taskId);
+  if (!task || task.type !== 'video') {
+    throw new Error(`Unknown mock video task: ${taskId}`);
+  }
+  if (cancelledTasks.has(taskId)) {
+    return { status: 'CANCELLED' };
+  }
+
+  const result = { status: simulateStatus(task, MOCK_VIDEO_DELAY) };
+  if (result.status === 'COMPLETED') {
+    result.videoUrl = `${PUBLIC_BASE_URL}/api/mock/video/${taskId}`;
+  }
+  return result;
+};
+
+/**
+ * Cancels a simulated image or video generation
+ * Later status checks of the task report CANCELLED
+ * @param {string} taskId - Mock task identifier
+ * @returns {Promise<void>}
+ * @throws {Error} If the task ID is not a mock task
+ */
+const cancelTask = async (taskId) => {
+  if (!parseTaskId(taskId)) {
+    throw new Error(`Unknown mock task: ${taskId}`);
+  }
+
+  cancelledTasks.add(taskId);
+  logger.info('Mock generation cancelled', { taskId });
+};
+
+/**
+ * Parses a #RRGGBB color into its channels
+ * @param {string} hex - Hex color code
+ * @returns {number[]} [red, green, blue]
+ */
+const toRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+/**
+ * Encodes RGB pixels as a PNG file
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} pixels - Rows of RGB bytes, top to bottom
+ * @returns {Buffer} PNG file contents
+ */
+const encodePng = (width, height, pixels) => {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  // Every scanline starts with its filter type (0: none)
+  const rowLength = width * 3;
+  const scanlines = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(scanlines, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(scanlines)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+/**
+ * Renders the placeholder image for a mock image task as PNG
+ * A product-shaped block in the prompt color on a background tinted by the seed;
+ * PNG rather than SVG so ffmpeg can decode it for overlays, exports and crops
+ * @param {string} taskId - Mock task identifier
+ * @returns {Buffer|null} PNG file contents or null if the task is unknown
+ */
+const renderImage = (taskId) => {
+  const task = parseTaskId(taskId);
+  if (!task || task.type !== 'image') {
+    return null;
+  }
+
+  const { width, height } = IMAGE_SIZES[task.orientation];
+  const base = toRgb('#1a1a24');
+  const accent = toRgb(`#${task.seed.slice(0, 6)}`);
+  const product = toRgb(task.color);
+  const block = { left: width * 0.35, right: width * 0.65, top: height * 0.2, bottom: height * 0.8 };
+  const radius = 24;
+
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Distance past the nearest rounded corner; inside the block when within the radius
+      const dx = Math.max(block.left + radius - x, 0, x - (block.right - radius));
+      const dy = Math.max(block.top + radius - y, 0, y - (block.bottom - radius));
+      const inBlock = x >= block.left && x < block.right && y >= block.top && y < block.bottom &&
+        dx * dx + dy * dy <= radius * radius;
+
+      // Diagonal gradient from the base color to 35% of the accent
+      const mix = 0.35 * (x / width + y / height) / 2;
+      const color = inBlock ? product : base.map((channel, i) => Math.round(channel + (accent[i] - channel) * mix));
+      const offset = (y * width + x) * 3;
+      pixels[offset] = color[0];
+      pixels[offset + 1] = color[1];
+      pixels[offset + 2] = color[2];
+    }
+  }
+
+  return encodePng(width, height, pixels);
+};
+
+/**
+ * Renders (or reuses a cached) placeholder video for a mock video task
+ * Uses ffmpeg's test source, hue-shifted by the task seed
+ * @param {string} taskId - Mock task identifier
+ * @returns {Promise<string|null>} Path to the MP4 file or null if the task is unknown
+ */
+const renderVideo = async (taskId) => {
+  const task = parseTaskId(taskId);
+  if (!task || task.type !== 'video') {
+    return null;
+  }
+
+  const outputPath = path.join(cacheDir, `${taskId}.mp4`);
+  if (fs.existsSync(outputPath)) {
+    return outputPath;
+  }
+
+  if (!pendingRenders.has(taskId)) {
+    const hue = parseInt(task.seed, 16) % 360;
+    const partialPath = `${outputPath}.part`;
+
+    logger.info('Rendering mock video', { taskId, duration: task.duration });
+    const render = fs.promises.mkdir(cacheDir, { recursive: true })
+      .then(() => ffmpeg([
+        '-f', 'lavfi',
+        '-i', `testsrc2=size=1360x768:rate=24:duration=${task.duration}`,
+        '-vf', `hue=h=${hue}`,
+        '-c:v', 'libx264',
+        '-pix_fmt', 'yuv420p',
+        '-f', 'mp4',
+        partialPath
+      ]))
+      .then(() => fs.promises.rename(partialPath, outputPath))
+      .finally(() => pendingRenders.delete(taskId));
+
+    pendingRenders.set(taskId, render);
+  }
+
+  await pendingRenders.get(taskId);
+  return outputPath;
+};
+
+module.exports = {
+  name: 'mock',
+  supportsSeed: true,
+  generateImage,
+  checkImageStatus,
+  generateVideo,
+  checkVideoStatus,
+  cancelTask,
+  renderImage,
+  renderVideo
+};
+
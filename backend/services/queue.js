@@ -0,0 +1,297 @@
+/**
+ * Generation Queue Service
+ * Sits between the service layer and the provider: image and video jobs wait in QUEUED state
+ * until a slot is free, so bursts of clicks or batches do not trip provider rate limits.
+ * At most QUEUE_MAX_IMAGE_JOBS image and QUEUE_MAX_VIDEO_JOBS video jobs run at the provider at once.
+ * Waiting jobs are taken by priority lane (high, normal, low), oldest first within a lane.
+ * The queue lives in the job store: a queued job carries everything needed to submit it,
+ * so queued jobs survive a restart (see resumeQueue).
+ * When the provider is rate limiting or its circuit breaker is open, a job that could not be
+ * submitted keeps its place and the queue of its type pauses until the provider is expected back.
+ */
+
+const logger = require('../utils/logger');
+const provider = require('./providers');
+const jobStore = require('./jobs');
+const poller = require('./poller');
+const assetStore = require('./assets');
+const { CircuitOpenError } = require('../utils/http');
+
+/**
+ * Maximum number of jobs running at the provider at the same time, per job type
+ */
+const CONCURRENCY = {
+  'image': parseInt(process.env.QUEUE_MAX_IMAGE_JOBS) || 3,
+  'video': parseInt(process.env.QUEUE_MAX_VIDEO_JOBS) || 2
+};
+
+/**
+ * Priority lanes, most urgent first
+ */
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Pause after a rate limit that did not say how long to wait, in milliseconds
+const DEFAULT_HOLD = 10000;
+
+/**
+ * Jobs taken from the queue whose provider submission is still in flight, keyed by job ID
+ * They hold a slot until the provider answers
+ */
+const dispatching = new Map();
+
+/**
+ * Time (ms since epoch) until which submissions are paused, per job type
+ */
+const pausedUntil = {};
+
+/**
+ * Provider submission per job type, built from the stored job alone
+ * Reference images are read from the asset store, since uploads are removed after the request
+ */
+const SUBMITTERS = {
+  'image': async (job) => {
+    const { instruction, sourceAssetId, referenceAssetIds = {}, orientation, seed } = job.inputs;
+    const references = (instruction ? [sourceAssetId] : [referenceAssetIds.logo, referenceAssetIds.prototype])
+      .map(id => assetStore.getAsset(id));
+    if (references.some(asset => !asset)) {
+      throw new Error('A reference image of this job is no longer available');
+    }
+
+    return provider.generateImage({
+      prompt: job.prompt,
+      referenceImages: references.map(asset => assetStore.getAssetPath(asset)),
+      orientation,
+      ...(Number.isInteger(seed) && { seed })
+    });
+  },
+  'video': async (job) => {
+    const { imageUrl, imageAssetId, duration, seed } = job.inputs;
+    // Stored assets are only reachable through this server, so the provider gets the file inline
+    const imageAsset = imageAssetId ? assetStore.getAsset(imageAssetId) : null;
+    if (imageAssetId && !imageAsset) {
+      throw new Error('The image this video starts from is no longer available');
+    }
+
+    return provider.generateVideo({
+      prompt: job.prompt,
+      firstFrameImage: imageAsset ? await assetStore.readAssetBase64(imageAsset) : imageUrl,
+      duration,
+      ...(Number.isInteger(seed) && { seed })
+    });
+  }
+};
+
+/**
+ * Lists the queued jobs of a type in the order they will be submitted
+ * @param {string} type - Job type (image or video)
+ * @returns {Object[]} Queued jobs, next one first
+ */
+const listQueued = (type) => {
+  const rank = (job) => PRIORITIES.indexOf(job.queue.priority);
+  return jobStore.listActiveJobs()
+    .filter(job => job.type === type && job.status === 'QUEUED' && !dispatching.has(job.id))
+    .sort((a, b) => (rank(a) - rank(b)) || a.queue.enqueuedAt.localeCompare(b.queue.enqueuedAt));
+};
+
+/**
+ * Counts the jobs of a type holding a slot: submitted and unfinished, or being submitted
+ * @param {string} type - Job type (image or video)
+ * @returns {number} Number of running jobs
+ */
+const countRunning = (type) => {
+  const submitted = jobStore.listActiveJobs().filter(job => job.type === type && job.providerTaskId).length;
+  const inFlight = [...dispatching.values()].filter(entry => entry.type === type).length;
+  return submitted + inFlight;
+};
+
+/**
+ * Pauses submissions of a job type; the queue drains again once the pause is over
+ * @param {string} type - Job type (image or video)
+ * @param {number} delay - Pause in milliseconds
+ */
+const pause = (type, delay) => {
+  const until = Date.now() + delay;
+  if (until <= (pausedUntil[type] || 0)) {
+    return;
+  }
+
+  pausedUntil[type] = until;
+  logger.warn('Generation queue paused', { type, delay });
+  setTimeout(() => {
+    if (pausedUntil[type] === until) {
+      delete pausedUntil[type];
+      drain(type);
+    }
+  }, delay);
+};
+
+/**
+ * Submits a queued job to the provider and starts polling it
+ * Marks the job as failed if the provider rejects it; a rate limit or an open circuit leaves it queued
+ * @param {Object} job - Queued job
+ * @returns {Promise<Object>} Updated job
+ */
+const dispatch = async (job) => {
+  logger.info('Submitting queued job', { jobId: job.id, type: job.type, priority: job.queue.priority });
+
+  try {
+    const { task_id, status } = await SUBMITTERS[job.type](job);
+
+    // Cancelled while the provider was being called: the task is not needed anymore
+    if (jobStore.isCancelled(job.id)) {
+      if (provider.cancelTask) {
+        await provider.cancelTask(task_id).catch(() => null);
+      }
+      return jobStore.getJob(job.id);
+    }
+
+    const submitted = jobStore.recordStatus(job.id, status || 'PENDING', {
+      providerTaskId: task_id,
+      submittedAt: new Date().toISOString()
+    });
+    poller.startPolling(submitted.id);
+    return submitted;
+  } catch (error) {
+    if ((error.kind === 'rate-limit' || error instanceof CircuitOpenError) && !jobStore.isCancelled(job.id)) {
+      logger.warn('Provider unavailable, job stays queued', { jobId: job.id, kind: error.kind, retryAfter: error.retryAfter });
+      pause(job.type, error.retryAfter || DEFAULT_HOLD);
+      // Back in the queue right away, so the caller already sees its position
+      dispatching.delete(job.id);
+      return jobStore.getJob(job.id);
+    }
+
+    logger.error('Submitting queued job failed', { jobId: job.id, error: error.message });
+    jobStore.failJob(job.id, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Tells open status streams of the queued jobs of a type about their new positions
+ * @param {string} type - Job type (image or video)
+ */
+const broadcastPositions = (type) => {
+  listQueued(type).forEach(job => jobStore.jobEvents.emit('status', job));
+};
+
+/**
+ * Submits queued jobs while slots are free
+ * @param {string} type - Job type (image or video)
+ */
+const drain = (type) => {
+  if (pausedUntil[type]) {
+    return;
+  }
+
+  let started = 0;
+
+  while (countRunning(type) < CONCURRENCY[type]) {
+    const [next] = listQueued(type);
+    if (!next) {
+      break;
+    }
+
+    const entry = { type, submission: null };
+    dispatching.set(next.id, entry);
+    entry.submission = dispatch(next);
+    started += 1;
+
+    // Errors are recorded on the job; whoever enqueued it awaits the submission itself
+    entry.submission
+      .catch(() => null)
+      .then(() => {
+        dispatching.delete(next.id);
+        drain(type);
+      });
+  }
+
+  if (started > 0) {
+    broadcastPositions(type);
+  }
+};
+
+/**
+ * Adds a created job to the queue and submits it right away if a slot is free
+ * @param {Object} job - Created image or video job
+ * @param {string} [priority] - Priority lane (high, normal or low)
+ * @returns {Promise<Object>} The job: submitted (PENDING) if a slot was free and the provider took it,
+ *   otherwise QUEUED
+ * @throws {Error} The provider error if the job was submitted right away and rejected
+ */
+const enqueue = async (job, priority = 'normal') => {
+  const lane = PRIORITIES.includes(priority) ? priority : 'normal';
+  jobStore.recordStatus(job.id, 'QUEUED', { queue: { priority: lane, enqueuedAt: new Date().toISOString() } });
+  drain(job.type);
+
+  // Submitted right away: wait for the provider, so a rejection reaches the caller
+  const entry = dispatching.get(job.id);
+  if (entry) {
+    return entry.submission;
+  }
+
+  const queued = jobStore.getJob(job.id);
+  logger.info('Job queued', { jobId: job.id, type: job.type, priority: lane, position: getQueuePosition(queued).position });
+  return queued;
+};
+
+/**
+ * Describes where a queued job stands
+ * @param {Object} job - Job record
+ * @returns {{position: number, priority: string}|null} 1-based position among queued jobs of its type,
+ *   or null if the job is not waiting in the queue
+ */
+const getQueuePosition = (job) => {
+  // Jobs being submitted have left the queue but not recorded their provider task yet
+  if (job.status !== 'QUEUED' || !job.queue || dispatching.has(job.id)) {
+    return null;
+  }
+
+  const index = listQueued(job.type).findIndex(queued => queued.id === job.id);
+  return { position: index + 1, priority: job.queue.priority };
+};
+
+/**
+ * Summarizes the queue per job type, for the health endpoint
+ * @returns {Object} { image: { running, queued, limit, pausedUntil }, video: { ... } }
+ */
+const getQueueStats = () => {
+  return Object.keys(CONCURRENCY).reduce((stats, type) => {
+    stats[type] = {
+      running: countRunning(type),
+      queued: listQueued(type).length,
+      limit: CONCURRENCY[type],
+      pausedUntil: pausedUntil[type] ? new Date(pausedUntil[type]).toISOString() : null
+    };
+    return stats;
+  }, {});
+};
+
+/**
+ * Submits the jobs still queued when the server stopped
+ * Jobs interrupted while being submitted are still QUEUED, so they are submitted again
+ * @returns {number} Number of queued jobs
+ */
+const resumeQueue = () => {
+  const queued = Object.keys(CONCURRENCY).reduce((total, type) => total + listQueued(type).length, 0);
+  Object.keys(CONCURRENCY).forEach(drain);
+
+  if (queued > 0) {
+    logger.info('Resumed generation queue', { queued });
+  }
+  return queued;
+};
+
+// A finished job frees its slot for the next queued one
+jobStore.jobEvents.on('status', (job) => {
+  if (CONCURRENCY[job.type] && jobStore.isTerminal(job.status)) {
+    drain(job.type);
+  }
+});
+
+module.exports = {
+  PRIORITIES,
+  enqueue,
+  getQueuePosition,
+  getQueueStats,
+  resumeQueue
+};
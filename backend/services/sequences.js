@@ -0,0 +1,507 @@
+/**
+ * Sequence Service
+ * Builds long-form spots from several shots: each shot (content style, direction and first frame)
+ * is generated as its own video job, and once every clip is ready they are stitched locally with
+ * ffmpeg, joined by cuts or crossfade-style transitions, into one video asset. A shot may carry an
+ * overlay text, burned into the bottom of its clip with the overlay text rules (see overlays.js).
+ *
+ * A sequence is a job of type `sequence` whose `shots` point at the clip jobs (which carry the
+ * `sequenceId`). Clip status changes are folded into the sequence's progress, so clients follow
+ * the whole spot, shot by shot, through GET /api/tasks/:id/events.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ffmpeg, getFfmpegInfo, hasAudioTrack } = require('../utils/ffmpeg');
+const assetStore = require('./assets');
+const jobStore = require('./jobs');
+const { generateVideo, cancelTask } = require('./generation');
+const { findAssetProjectId } = require('./projects');
+const { normalizeLayers, buildTextFilter } = require('./overlays');
+const { listIds, getDefaultId } = require('./styles');
+const logger = require('../utils/logger');
+
+// Upper bound on shots per sequence, to protect provider credits
+const SEQUENCE_MAX_SHOTS = parseInt(process.env.SEQUENCE_MAX_SHOTS) || 6;
+
+// Clip durations the provider supports, in seconds
+const SHOT_DURATIONS = [6, 10];
+
+const SHOT_PROMPT_LIMIT = 300;
+const OVERLAY_TEXT_LIMIT = 80;
+
+// Frame rate of the stitched video; every clip is converted to it
+const OUTPUT_FPS = 25;
+
+// Share of the progress bar spent waiting for clips; stitching fills the rest
+const GENERATION_SHARE = 80;
+
+/**
+ * Transitions between shots: `cut` joins clips directly, the others are ffmpeg xfade transitions
+ */
+const TRANSITIONS = ['cut', 'fade', 'fadeblack', 'dissolve', 'wipeleft', 'wiperight', 'slideleft', 'slideright', 'circleopen'];
+const TRANSITION_DEFAULTS = { type: 'fade', duration: 0.5 };
+const TRANSITION_DURATION = { min: 0.2, max: 2 };
+
+/**
+ * Sequences currently being stitched, so a late clip update does not start a second render
+ */
+const stitching = new Set();
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validates a transition, filling in defaults
+ * @param {Object|string} [value] - Transition ({ type, duration }) or just its type
+ * @param {Object} fallback - Transition used for missing fields
+ * @param {string} label - Transition description for the error message
+ * @returns {{type: string, duration: number}} Transition (duration 0 for cuts)
+ * @throws {Error} With status 400 on an unknown type or duration out of range
+ */
+const normalizeTransition = (value, fallback, label) => {
+  const transition = typeof value === 'string' ? { type: value } : (value || {});
+  const type = transition.type || fallback.type;
+  if (!TRANSITIONS.includes(type)) {
+    throw httpError(400, `${label} must be one of ${TRANSITIONS.join(', ')}`);
+  }
+  if (type === 'cut') {
+    return { type, duration: 0 };
+  }
+
+  const duration = transition.duration === undefined || transition.duration === null || transition.duration === ''
+    ? (fallback.duration || TRANSITION_DEFAULTS.duration)
+    : Number(transition.duration);
+  if (!Number.isFinite(duration) || duration < TRANSITION_DURATION.min || duration > TRANSITION_DURATION.max) {
+    throw httpError(400, `${label} duration must be between ${TRANSITION_DURATION.min} and ${TRANSITION_DURATION.max} seconds`);
+  }
+  return { type, duration };
+};
+
+/**
+ * Checks a first-frame URL: a stored asset URL (absolute or relative) or an absolute public URL
+ * @param {string} imageUrl - Submitted URL
+ * @returns {boolean} True if the URL can be handed to generateVideo
+ */
+const isValidImageUrl = (imageUrl) => {
+  if (assetStore.findAssetByUrl(imageUrl)) {
+    return true;
+  }
+  try {
+    new URL(imageUrl);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validates the shots of a sequence
+ * Each shot's transition leads into the next shot; the last shot has none
+ * @param {Object[]} shots - Submitted shots ({ imageUrl, videoContentStyle, prompt, overlayText, duration, transition })
+ * @param {Object} transition - Default transition between shots
+ * @returns {Object[]} Normalized shots
+ * @throws {Error} With status 400 on invalid shots
+ */
+const normalizeShots = (shots, transition) => {
+  if (!Array.isArray(shots) || shots.length < 2) {
+    throw httpError(400, 'A sequence needs at least 2 shots');
+  }
+  if (shots.length > SEQUENCE_MAX_SHOTS) {
+    throw httpError(400, `A sequence has at most ${SEQUENCE_MAX_SHOTS} shots`);
+  }
+
+  const videoStyles = listIds('videoStyles');
+  const defaultTransition = normalizeTransition(transition, TRANSITION_DEFAULTS, 'Transition');
+
+  return shots.map((shot, index) => {
+    const label = `Shot ${index + 1}`;
+    if (!shot || typeof shot !== 'object') {
+      throw httpError(400, `${label} must be an object`);
+    }
+    if (typeof shot.imageUrl !== 'string' || !isValidImageUrl(shot.imageUrl)) {
+      throw httpError(400, `${label} needs a valid first frame imageUrl`);
+    }
+
+    const videoContentStyle = shot.videoContentStyle || getDefaultId('videoStyles');
+    if (!videoStyles.includes(videoContentStyle)) {
+      throw httpError(400, `${label} has an invalid video content style. Valid options: ${videoStyles.join(', ')}`);
+    }
+
+    const duration = parseInt(shot.duration || SHOT_DURATIONS[0]);
+    if (!SHOT_DURATIONS.includes(duration)) {
+      throw httpError(400, `${label} duration must be either 6 or 10 seconds`);
+    }
+
+    const prompt = String(shot.prompt || '').trim();
+    if (prompt.length > SHOT_PROMPT_LIMIT) {
+      throw httpError(400, `${label} prompt must be at most ${SHOT_PROMPT_LIMIT} characters`);
+    }
+
+    const overlayText = String(shot.overlayText || '').trim();
+    if (overlayText.length > OVERLAY_TEXT_LIMIT) {
+      throw httpError(400, `${label} overlay text must be at most ${OVERLAY_TEXT_LIMIT} characters`);
+    }
+
+    const isLast = index === shots.length - 1;
+    return {
+      index,
+      imageUrl: shot.imageUrl,
+      videoContentStyle,
+      duration,
+      ...(prompt && { prompt }),
+      ...(overlayText && { overlayText }),
+      transition: isLast ? null : normalizeTransition(shot.transition, defaultTransition, `${label} transition`)
+    };
+  });
+};
+
+/**
+ * Checks that the installed ffmpeg can stitch the shots, before any clip is generated and paid for
+ * Transitions other than cut need the xfade filter (ffmpeg 4.3 or later), overlay text needs drawtext
+ * @param {Object[]} shots - Normalized shots
+ * @returns {Promise<void>}
+ * @throws {Error} With status 503 if ffmpeg is missing or lacks a filter the shots need
+ */
+const assertCanStitch = async (shots) => {
+  const { version, filters } = await getFfmpegInfo();
+
+  if (shots.some(shot => shot.transition && shot.transition.type !== 'cut') && !filters.has('xfade')) {
+    throw httpError(503, `Transitions other than cut need ffmpeg 4.3 or later (xfade filter); this server has ffmpeg ${version}. Use cut transitions or upgrade ffmpeg`);
+  }
+  if (shots.some(shot => shot.overlayText) && !filters.has('drawtext')) {
+    throw httpError(503, `Overlay text needs an ffmpeg built with the drawtext filter (libfreetype); this server has ffmpeg ${version}`);
+  }
+};
+
+/**
+ * Builds the ffmpeg arguments stitching the clips into one video
+ * Clips are scaled and padded to the first clip's frame, captioned with their overlay text,
+ * then joined pairwise: concat for cuts, xfade (and acrossfade for audio) for transitions
+ * @param {Object[]} clips - { path, duration, transition, overlayText } per shot, in order
+ * @param {{width: number, height: number}} frame - Output dimensions
+ * @param {boolean} hasAudio - Whether every clip has an audio track to keep
+ * @param {string} workDir - Directory for overlay text files
+ * @param {string} outputPath - Stitched MP4
+ * @returns {Promise<{args: string[], duration: number}>} ffmpeg arguments and the output duration
+ */
+const buildStitchArgs = async (clips, frame, hasAudio, workDir, outputPath) => {
+  const { width, height } = frame;
+  const inputs = [];
+  const filters = [];
+  const audioFormat = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+  for (const [index, clip] of clips.entries()) {
+    let caption = '';
+    if (clip.overlayText) {
+      const textFile = path.join(workDir, `shot${index}.txt`);
+      await fs.promises.writeFile(textFile, clip.overlayText);
+      const [layer] = normalizeLayers([{ type: 'text', text: clip.overlayText, position: 'bottom' }], []);
+      caption = `${buildTextFilter(layer, textFile, frame)},`;
+    }
+
+    inputs.push('-i', clip.path);
+    filters.push(`[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${OUTPUT_FPS},${caption}format=yuv420p,` +
+      `trim=duration=${clip.duration},setpts=PTS-STARTPTS[v${index}]`);
+    if (hasAudio) {
+      filters.push(`[${index}:a]${audioFormat},atrim=duration=${clip.duration},asetpts=PTS-STARTPTS[a${index}]`);
+    }
+  }
+
+  // Join the clips one by one; a transition overlaps the end of the joined video with the next clip
+  let video = 'v0';
+  let audio = 'a0';
+  let duration = clips[0].duration;
+
+  clips.slice(1).forEach((clip, offset) => {
+    const index = offset + 1;
+    const { type, duration: overlap } = clips[index - 1].transition;
+
+    if (type === 'cut') {
+      filters.push(`[${video}][v${index}]concat=n=2:v=1:a=0[xv${index}]`);
+      if (hasAudio) {
+        filters.push(`[${audio}][a${index}]concat=n=2:v=0:a=1[xa${index}]`);
+      }
+    } else {
+      const start = Math.round((duration - overlap) * 1000) / 1000;
+      filters.push(`[${video}][v${index}]xfade=transition=${type}:duration=${overlap}:offset=${start}[xv${index}]`);
+      if (hasAudio) {
+        filters.push(`[${audio}][a${index}]acrossfade=d=${overlap}[xa${index}]`);
+      }
+    }
+
+    video = `xv${index}`;
+    audio = `xa${index}`;
+    duration += clip.duration - overlap;
+  });
+
+  const args = [
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', `[${video}]`,
+    ...(hasAudio ? ['-map', `[${audio}]`, '-c:a', 'aac', '-b:a', '128k'] : []),
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '20',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    outputPath
+  ];
+
+  return { args, duration: Math.round(duration * 1000) / 1000 };
+};
+
+/**
+ * Stitches the completed clips of a sequence and records the result
+ * @param {Object} sequence - Sequence job
+ * @param {Object[]} clipJobs - Completed clip jobs, in shot order
+ * @returns {Promise<void>}
+ */
+const stitch = async (sequence, clipJobs) => {
+  stitching.add(sequence.id);
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'virtuoso-sequence-'));
+
+  try {
+    jobStore.recordProgress(sequence.id, { percent: GENERATION_SHARE, step: 'Stitching' });
+
+    const assets = clipJobs.map((clip, index) => {
+      const asset = clip.assetId ? assetStore.getAsset(clip.assetId) : null;
+      if (!asset) {
+        throw new Error(`Shot ${index + 1} was not stored on the server and cannot be stitched`);
+      }
+      return asset;
+    });
+
+    // The spot takes the frame of its first shot; other shots are letterboxed into it
+    if (!assets[0].width || !assets[0].height) {
+      throw new Error('The dimensions of the first shot are unknown (ffprobe is needed to read them)');
+    }
+    const frame = { width: assets[0].width, height: assets[0].height };
+
+    const clips = assets.map((asset, index) => ({
+      path: assetStore.getAssetPath(asset),
+      // Without ffprobe the requested clip length stands in for the measured one
+      duration: asset.duration || clipJobs[index].inputs.duration,
+      transition: sequence.inputs.shots[index].transition,
+      overlayText: sequence.inputs.shots[index].overlayText
+    }));
+
+    const audioTracks = await Promise.all(clips.map(clip => hasAudioTrack(clip.path)));
+    const outputPath = path.join(workDir, 'sequence.mp4');
+    const { args, duration } = await buildStitchArgs(clips, frame, audioTracks.every(Boolean), workDir, outputPath);
+
+    logger.info('Stitching sequence', { sequenceId: sequence.id, shots: clips.length, duration });
+
+    // Only broadcast whole-percent changes
+    let lastPercent = GENERATION_SHARE;
+    await ffmpeg(args, (seconds) => {
+      const percent = GENERATION_SHARE + Math.min(99 - GENERATION_SHARE, Math.floor((seconds / duration) * (100 - GENERATION_SHARE)));
+      if (percent > lastPercent) {
+        lastPercent = percent;
+        jobStore.recordProgress(sequence.id, { percent, step: 'Stitching' });
+      }
+    });
+
+    if (jobStore.isCancelled(sequence.id)) {
+      logger.info('Sequence cancelled while stitching, discarding the result', { sequenceId: sequence.id });
+      return;
+    }
+
+    jobStore.recordProgress(sequence.id, { percent: 100, step: 'Saving' });
+    const stitched = await assetStore.storeFile({
+      filePath: outputPath,
+      kind: 'video',
+      jobId: sequence.id,
+      extra: {
+        sequence: {
+          shotAssetIds: assets.map(asset => asset.id),
+          transitions: clips.slice(0, -1).map(clip => clip.transition)
+        }
+      }
+    });
+
+    jobStore.recordStatus(sequence.id, 'COMPLETED', { resultUrl: stitched.url, assetId: stitched.id });
+    logger.info('Sequence finished', { sequenceId: sequence.id, assetId: stitched.id });
+  } catch (error) {
+    logger.error('Stitching sequence failed', { sequenceId: sequence.id, error: error.message });
+    jobStore.failJob(sequence.id, error.message);
+  } finally {
+    stitching.delete(sequence.id);
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Moves a sequence forward after one of its clips changed
+ * Fails the sequence when a clip failed or was cancelled, stitches once every clip completed,
+ * and otherwise reports how many clips are ready
+ * @param {string} sequenceId - Sequence job ID
+ */
+const advanceSequence = (sequenceId) => {
+  const sequence = jobStore.getJob(sequenceId);
+  if (!sequence || jobStore.isTerminal(sequence.status) || stitching.has(sequenceId)) {
+    return;
+  }
+
+  // Still submitting shots; startSequence advances once every shot is in
+  if (sequence.shots.length < sequence.inputs.shots.length) {
+    return;
+  }
+
+  const clipJobs = sequence.shots.map(shot => (shot.task_id ? jobStore.getJob(shot.task_id) : null));
+  const failedIndex = clipJobs.findIndex(clip => !clip || clip.status === 'FAILED' || clip.status === 'CANCELLED');
+  if (failedIndex !== -1) {
+    const clip = clipJobs[failedIndex];
+    if (clip && clip.status === 'CANCELLED') {
+      jobStore.failJob(sequenceId, `Shot ${failedIndex + 1} was cancelled`);
+      return;
+    }
+    const reason = clip ? clip.error : sequence.shots[failedIndex].error;
+    jobStore.failJob(sequenceId, `Shot ${failedIndex + 1} failed${reason ? `: ${reason}` : ''}`);
+    return;
+  }
+
+  const ready = clipJobs.filter(clip => clip.status === 'COMPLETED').length;
+  if (ready === clipJobs.length) {
+    stitch(sequence, clipJobs);
+    return;
+  }
+
+  jobStore.recordProgress(sequenceId, {
+    percent: Math.floor((ready / clipJobs.length) * GENERATION_SHARE),
+    step: `Generating clips (${ready} of ${clipJobs.length} ready)`
+  });
+};
+
+// Clip status changes drive their sequence
+jobStore.jobEvents.on('status', (job) => {
+  if (job.sequenceId) {
+    advanceSequence(job.sequenceId);
+  }
+});
+
+/**
+ * Starts a sequence: validates the shots and submits one video generation per shot
+ * Shots are submitted one after another so a sequence does not burst the provider
+ * @param {Object} options - Sequence options
+ * @param {Object[]} options.shots - Shots ({ imageUrl, videoContentStyle, prompt, overlayText, duration, transition })
+ * @param {Object|string} [options.transition] - Default transition between shots ({ type, duration })
+ * @param {string} [options.imageStyle] - Image style to align every shot's aesthetics with
+ * @param {string} [options.storyboardId] - Storyboard the shots were planned in
+ * @param {string} [options.projectId] - Project the sequence belongs to (defaults to the project of the first shot's image)
+ * @returns {Promise<Object>} Sequence job
+ * @throws {Error} With status 400 on invalid shots, 503 if ffmpeg cannot stitch them;
+ *   the provider error if a shot cannot be submitted
+ */
+const startSequence = async ({ shots, transition, imageStyle = 'realistic', storyboardId, projectId }) => {
+  const normalized = normalizeShots(shots, transition);
+  await assertCanStitch(normalized);
+  const sequenceProjectId = projectId || findAssetProjectId(assetStore.findAssetByUrl(normalized[0].imageUrl));
+
+  const sequence = jobStore.createJob({
+    type: 'sequence',
+    provider: 'ffmpeg',
+    inputs: { shots: normalized, imageStyle },
+    prompt: null,
+    shots: [],
+    ...(storyboardId && { storyboardId }),
+    ...(sequenceProjectId && { projectId: sequenceProjectId })
+  });
+  jobStore.recordStatus(sequence.id, 'PROCESSING', { progress: { percent: 0, step: 'Submitting shots' } });
+  logger.info('Sequence started', { sequenceId: sequence.id, shots: normalized.length });
+
+  const submitted = [];
+  for (const shot of normalized) {
+    try {
+      const result = await generateVideo({
+        imageUrl: shot.imageUrl,
+        duration: shot.duration,
+        videoContentStyle: shot.videoContentStyle,
+        imageStyle,
+        shotPrompt: shot.prompt,
+        sequenceId: sequence.id
+      });
+      submitted.push({ index: shot.index, task_id: result.task_id });
+    } catch (error) {
+      // Without every shot there is nothing to stitch, so the clips submitted so far are cancelled
+      logger.error('Sequence shot submission failed', { sequenceId: sequence.id, shot: shot.index, error: error.message });
+      submitted.push({ index: shot.index, task_id: null, error: error.message });
+      jobStore.recordStatus(sequence.id, 'FAILED', {
+        shots: submitted,
+        error: `Shot ${shot.index + 1} could not be started: ${error.message}`
+      });
+      await Promise.all(submitted
+        .filter(clip => clip.task_id)
+        .map(clip => cancelTask(jobStore.getJob(clip.task_id)).catch(() => null)));
+      throw error;
+    }
+
+    // Cancelled while shots were being submitted: the clips started so far are not needed anymore
+    if (jobStore.isCancelled(sequence.id)) {
+      logger.info('Sequence cancelled while submitting shots', { sequenceId: sequence.id, submitted: submitted.length });
+      await Promise.all(submitted.map(clip => cancelTask(jobStore.getJob(clip.task_id)).catch(() => null)));
+      return jobStore.getJob(sequence.id);
+    }
+  }
+
+  jobStore.recordStatus(sequence.id, 'PROCESSING', { shots: submitted });
+  advanceSequence(sequence.id);
+  return jobStore.getJob(sequence.id);
+};
+
+/**
+ * Picks up sequences that were unfinished when the server stopped
+ * Sequences waiting for clips continue with the resumed pollers, interrupted stitches are
+ * started again, and sequences interrupted while submitting shots are failed
+ * @returns {number} Number of resumed sequences
+ */
+const resumeSequences = () => {
+  const active = jobStore.listActiveJobs().filter(job => job.type === 'sequence');
+
+  active.forEach((sequence) => {
+    if (sequence.shots.length < sequence.inputs.shots.length) {
+      jobStore.failJob(sequence.id, 'Submitting shots was interrupted by a server restart');
+    } else {
+      advanceSequence(sequence.id);
+    }
+  });
+
+  if (active.length > 0) {
+    logger.info('Resumed unfinished sequences', { count: active.length });
+  }
+  return active.length;
+};
+
+/**
+ * Lists the options the sequence editor offers
+ * @returns {Object} { maxShots, durations, transitions, transitionDefaults, transitionDuration, promptLimit, overlayTextLimit }
+ */
+const getSequenceOptions = () => ({
+  maxShots: SEQUENCE_MAX_SHOTS,
+  durations: SHOT_DURATIONS,
+  transitions: TRANSITIONS,
+  transitionDefaults: TRANSITION_DEFAULTS,
+  transitionDuration: TRANSITION_DURATION,
+  promptLimit: SHOT_PROMPT_LIMIT,
+  overlayTextLimit: OVERLAY_TEXT_LIMIT
+});
+
+module.exports = {
+  SEQUENCE_MAX_SHOTS,
+  TRANSITION_DEFAULTS,
+  normalizeTransition,
+  startSequence,
+  resumeSequences,
+  getSequenceOptions
+};
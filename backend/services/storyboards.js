@@ -0,0 +1,141 @@
+/**
+ * Storyboard Service
+ * Stores storyboards: reusable timelines of scenes (duration, video content style, camera notes,
+ * overlay text and the transition into the next scene) that are not tied to a product image.
+ * Rendering a storyboard applies it to an image and runs it as a sequence (see sequences.js).
+ */
+
+const { createCollection } = require('../utils/storage');
+const { startSequence } = require('./sequences');
+const logger = require('../utils/logger');
+
+const storyboards = createCollection('storyboards');
+
+/**
+ * Adds the computed timeline to a storyboard
+ * Transitions overlap the scenes they join, so each one shortens the spot by its duration
+ * @param {Object} storyboard - Stored storyboard
+ * @returns {Object} Storyboard with `totalDuration` and a `start` time (seconds) per scene
+ */
+const withTimeline = (storyboard) => {
+  let start = 0;
+  const scenes = storyboard.scenes.map((scene, index) => {
+    const isLast = index === storyboard.scenes.length - 1;
+    const transition = isLast ? null : (scene.transition || storyboard.transition);
+    const timed = { ...scene, start: Math.round(start * 100) / 100 };
+    start += scene.duration - (transition ? transition.duration : 0);
+    return timed;
+  });
+
+  return {
+    ...storyboard,
+    scenes,
+    totalDuration: Math.round(start * 100) / 100
+  };
+};
+
+/**
+ * Lists all storyboards, sorted by name
+ * @returns {Object[]} Storyboards with their timeline
+ */
+const listStoryboards = () => {
+  return storyboards.list()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(withTimeline);
+};
+
+/**
+ * Gets a storyboard by ID
+ * @param {string} id - Storyboard identifier
+ * @returns {Object|null} Storyboard with its timeline, or null if not found
+ */
+const getStoryboard = (id) => {
+  const storyboard = storyboards.get(id);
+  return storyboard ? withTimeline(storyboard) : null;
+};
+
+/**
+ * Creates a storyboard
+ * @param {Object} data - Storyboard data
+ * @param {string} data.name - Storyboard name
+ * @param {string} data.description - Short description
+ * @param {Object} data.transition - Default transition between scenes ({ type, duration })
+ * @param {Object[]} data.scenes - Scenes ({ duration, videoContentStyle, cameraNotes, overlayText, transition })
+ * @returns {Object} Created storyboard
+ */
+const createStoryboard = ({ name, description, transition, scenes }) => {
+  const storyboard = storyboards.insert({ name, description, transition, scenes });
+
+  logger.info('Storyboard created', { storyboardId: storyboard.id, name, scenes: scenes.length });
+  return withTimeline(storyboard);
+};
+
+/**
+ * Updates a storyboard
+ * @param {string} id - Storyboard identifier
+ * @param {Object} changes - Fields to update (name, description, transition, scenes)
+ * @returns {Object|null} Updated storyboard or null if not found
+ */
+const updateStoryboard = (id, changes) => {
+  if (!storyboards.get(id)) {
+    return null;
+  }
+
+  const updated = storyboards.update(id, changes);
+  logger.info('Storyboard updated', { storyboardId: id, fields: Object.keys(changes) });
+  return withTimeline(updated);
+};
+
+/**
+ * Deletes a storyboard; sequences already rendered from it are kept
+ * @param {string} id - Storyboard identifier
+ * @returns {boolean} True if the storyboard existed
+ */
+const deleteStoryboard = (id) => {
+  if (!storyboards.remove(id)) {
+    return false;
+  }
+
+  logger.info('Storyboard deleted', { storyboardId: id });
+  return true;
+};
+
+/**
+ * Renders a storyboard for a product image
+ * Every scene starts from the product image unless a scene image is given for it
+ * @param {Object} storyboard - Stored storyboard
+ * @param {Object} options - Render options
+ * @param {string} options.imageUrl - Product image used as every scene's first frame
+ * @param {Array<string|null>} [options.sceneImages] - Per-scene first frames overriding imageUrl
+ * @param {string} [options.imageStyle] - Image style to align every scene's aesthetics with
+ * @returns {Promise<Object>} Sequence job
+ * @throws {Error} With status 400 on an invalid image; the provider error if a scene cannot be submitted
+ */
+const renderStoryboard = async (storyboard, { imageUrl, sceneImages = [], imageStyle }) => {
+  const shots = storyboard.scenes.map((scene, index) => ({
+    imageUrl: sceneImages[index] || imageUrl,
+    videoContentStyle: scene.videoContentStyle,
+    duration: scene.duration,
+    prompt: scene.cameraNotes,
+    overlayText: scene.overlayText,
+    transition: scene.transition
+  }));
+
+  logger.info('Rendering storyboard', { storyboardId: storyboard.id, scenes: shots.length });
+
+  return startSequence({
+    shots,
+    transition: storyboard.transition,
+    imageStyle,
+    storyboardId: storyboard.id
+  });
+};
+
+module.exports = {
+  listStoryboards,
+  getStoryboard,
+  createStoryboard,
+  updateStoryboard,
+  deleteStoryboard,
+  renderStoryboard
+};
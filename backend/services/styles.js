@@ -0,0 +1,291 @@
+/**
+ * Style Registry Module
+ * Single source of truth for image styles, orientations and video content styles
+ * Built-in entries are loaded from JSON files in config/styles (override with STYLES_DIR),
+ * so adding a style is a config change: each entry has an id, label, description and prompt fragment.
+ * Team-defined image and video styles are stored in the data directory and listed after the
+ * built-ins; built-in entries are read-only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCollection } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+const STYLES_DIR = process.env.STYLES_DIR || path.join(__dirname, '../config/styles');
+
+/**
+ * Registry kinds and the file each one is loaded from
+ * The first entry of each file is the default for its kind
+ */
+const REGISTRY_FILES = {
+  imageStyles: 'image-styles.json',
+  orientations: 'orientations.json',
+  videoStyles: 'video-styles.json'
+};
+
+// Fields every registry entry must define
+const REQUIRED_FIELDS = ['id', 'label', 'prompt'];
+
+// Orientations also declare the aspect ratio outputs are verified against (width:height)
+const ASPECT_RATIO_PATTERN = /^\d+:\d+$/;
+
+/**
+ * Loads and validates one registry file
+ * @param {string} kind - Registry kind (imageStyles, orientations, videoStyles)
+ * @returns {Object[]} Registry entries in file order
+ * @throws {Error} If the file is missing, not an array, or has invalid entries
+ */
+const loadRegistryFile = (kind) => {
+  const filePath = path.join(STYLES_DIR, REGISTRY_FILES[kind]);
+  const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Style registry ${filePath} must be a non-empty array`);
+  }
+
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    const missing = REQUIRED_FIELDS.filter(field => !entry || typeof entry[field] !== 'string' || !entry[field].trim());
+    if (missing.length > 0) {
+      throw new Error(`Style registry ${filePath} entry ${index} is missing: ${missing.join(', ')}`);
+    }
+    if (kind === 'orientations' && !ASPECT_RATIO_PATTERN.test(entry.aspectRatio || '')) {
+      throw new Error(`Style registry ${filePath} entry "${entry.id}" needs an aspectRatio like "16:9"`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`Style registry ${filePath} has duplicate id "${entry.id}"`);
+    }
+    seen.add(entry.id);
+  });
+
+  return entries;
+};
+
+/**
+ * Loads the whole registry from disk
+ * An invalid file stops the server at startup rather than failing requests later
+ * @returns {Object} Entries keyed by kind
+ */
+const loadRegistry = () => {
+  const loaded = {};
+  Object.keys(REGISTRY_FILES).forEach(kind => {
+    loaded[kind] = loadRegistryFile(kind);
+  });
+
+  logger.info('Style registry loaded', {
+    dir: STYLES_DIR,
+    imageStyles: loaded.imageStyles.length,
+    orientations: loaded.orientations.length,
+    videoStyles: loaded.videoStyles.length
+  });
+  return loaded;
+};
+
+const registry = loadRegistry();
+
+/**
+ * Custom style collections for the kinds teams can extend
+ */
+const customStyles = {
+  imageStyles: createCollection('custom-image-styles'),
+  videoStyles: createCollection('custom-video-styles')
+};
+
+// Limits for team-defined style fields
+const STYLE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FIELD_LIMITS = { id: 40, label: 60, description: 200, prompt: 1500, icon: 8 };
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Gets all entries of a kind: built-ins first, then custom styles in creation order
+ * @param {string} kind - Registry kind (imageStyles, orientations, videoStyles)
+ * @returns {Object[]} Entries in display order, each flagged with `builtIn`
+ */
+const listStyles = (kind) => {
+  const builtIns = registry[kind].map(entry => ({ ...entry, builtIn: true }));
+  const custom = customStyles[kind] ? customStyles[kind].list().map(entry => ({ ...entry, builtIn: false })) : [];
+  return [...builtIns, ...custom];
+};
+
+/**
+ * Gets the valid IDs of a kind
+ * @param {string} kind - Registry kind
+ * @returns {string[]} Entry IDs
+ */
+const listIds = (kind) => listStyles(kind).map(entry => entry.id);
+
+/**
+ * Gets a single entry
+ * @param {string} kind - Registry kind
+ * @param {string} id - Entry ID
+ * @returns {Object|null} Entry or null if unknown
+ */
+const getStyle = (kind, id) => listStyles(kind).find(entry => entry.id === id) || null;
+
+/**
+ * Gets the default ID of a kind (the first entry in its file)
+ * @param {string} kind - Registry kind
+ * @returns {string} Default entry ID
+ */
+const getDefaultId = (kind) => registry[kind][0].id;
+
+/**
+ * Checks whether an ID exists in a kind
+ * @param {string} kind - Registry kind
+ * @param {string} id - Entry ID
+ * @returns {boolean} True if the ID is registered
+ */
+const isValidStyle = (kind, id) => !!getStyle(kind, id);
+
+/**
+ * Gets the full registry, as served by GET /api/styles
+ * @returns {Object} { imageStyles, orientations, videoStyles, defaults }
+ */
+const getRegistry = () => ({
+  imageStyles: listStyles('imageStyles'),
+  orientations: listStyles('orientations'),
+  videoStyles: listStyles('videoStyles'),
+  defaults: {
+    imageStyle: getDefaultId('imageStyles'),
+    orientation: getDefaultId('orientations'),
+    videoContentStyle: getDefaultId('videoStyles')
+  }
+});
+
+/**
+ * Validates the fields of a custom style
+ * @param {Object} fields - Submitted fields
+ * @param {boolean} partial - Whether missing required fields are allowed (updates)
+ * @returns {Object} Trimmed fields that were provided
+ * @throws {Error} With status 400 on a missing or oversized field
+ */
+const validateStyleFields = (fields, partial) => {
+  const values = {};
+
+  for (const field of ['label', 'description', 'prompt', 'icon']) {
+    if (fields[field] === undefined || fields[field] === null) {
+      continue;
+    }
+    const value = String(fields[field]).trim();
+    if (value.length > FIELD_LIMITS[field]) {
+      throw httpError(400, `${field} must be at most ${FIELD_LIMITS[field]} characters`);
+    }
+    values[field] = value;
+  }
+
+  if (!partial) {
+    const missing = ['label', 'prompt'].filter(field => !values[field]);
+    if (missing.length > 0) {
+      throw httpError(400, `Missing required fields: ${missing.join(', ')}`);
+    }
+  } else if (values.label === '' || values.prompt === '') {
+    throw httpError(400, 'label and prompt cannot be empty');
+  }
+
+  return values;
+};
+
+/**
+ * Gets the custom style collection of a kind
+ * @param {string} kind - Registry kind
+ * @returns {Object} Collection
+ * @throws {Error} With status 400 if the kind cannot have custom styles
+ */
+const getCustomCollection = (kind) => {
+  if (!customStyles[kind]) {
+    throw httpError(400, `Custom styles are not supported for ${kind}`);
+  }
+  return customStyles[kind];
+};
+
+/**
+ * Creates a team-defined style
+ * @param {string} kind - Registry kind (imageStyles or videoStyles)
+ * @param {Object} fields - { id?, label, description?, prompt, icon? }; id defaults to a slug of the label
+ * @returns {Object} Created style
+ * @throws {Error} With status 400 on invalid fields, 409 if the id is taken
+ */
+const createCustomStyle = (kind, fields) => {
+  const collection = getCustomCollection(kind);
+  const values = validateStyleFields(fields, false);
+
+  const id = fields.id
+    ? String(fields.id).trim()
+    : values.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!STYLE_ID_PATTERN.test(id) || id.length > FIELD_LIMITS.id) {
+    throw httpError(400, `Style id must be lowercase letters, digits and dashes (at most ${FIELD_LIMITS.id} characters)`);
+  }
+  if (getStyle(kind, id)) {
+    throw httpError(409, `A style with id "${id}" already exists`);
+  }
+
+  const style = collection.insert({ id, ...values });
+  logger.info('Custom style created', { kind, id });
+  return { ...style, builtIn: false };
+};
+
+/**
+ * Updates a team-defined style
+ * @param {string} kind - Registry kind (imageStyles or videoStyles)
+ * @param {string} id - Style ID
+ * @param {Object} fields - Fields to change (label, description, prompt, icon)
+ * @returns {Object} Updated style
+ * @throws {Error} With status 403 for built-in styles, 404 if unknown, 400 on invalid fields
+ */
+const updateCustomStyle = (kind, id, fields) => {
+  const collection = getCustomCollection(kind);
+
+  if (registry[kind].some(entry => entry.id === id)) {
+    throw httpError(403, `Built-in style "${id}" is read-only`);
+  }
+  if (!collection.get(id)) {
+    throw httpError(404, `Style not found: ${id}`);
+  }
+
+  const style = collection.update(id, validateStyleFields(fields, true));
+  logger.info('Custom style updated', { kind, id });
+  return { ...style, builtIn: false };
+};
+
+/**
+ * Deletes a team-defined style
+ * @param {string} kind - Registry kind (imageStyles or videoStyles)
+ * @param {string} id - Style ID
+ * @throws {Error} With status 403 for built-in styles, 404 if unknown
+ */
+const deleteCustomStyle = (kind, id) => {
+  const collection = getCustomCollection(kind);
+
+  if (registry[kind].some(entry => entry.id === id)) {
+    throw httpError(403, `Built-in style "${id}" is read-only`);
+  }
+  if (!collection.remove(id)) {
+    throw httpError(404, `Style not found: ${id}`);
+  }
+
+  logger.info('Custom style deleted', { kind, id });
+};
+
+module.exports = {
+  listStyles,
+  listIds,
+  getStyle,
+  getDefaultId,
+  isValidStyle,
+  getRegistry,
+  createCustomStyle,
+  updateCustomStyle,
+  deleteCustomStyle
+};
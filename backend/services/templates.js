@@ -0,0 +1,126 @@
+/**
+ * Prompt Template Module
+ * Loads versioned prompt templates from config/prompts (override with PROMPT_TEMPLATES_DIR)
+ * Files are named <type>.v<N>.txt (e.g. image.v2.txt) and use {{placeholder}} markers.
+ * The highest version is active unless pinned with PROMPT_TEMPLATE_IMAGE / PROMPT_TEMPLATE_VIDEO /
+ * PROMPT_TEMPLATE_REFINE.
+ * Files are read on every render, so a template edit takes effect without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '../config/prompts');
+
+/**
+ * Placeholders each template type may use
+ */
+const TEMPLATE_PLACEHOLDERS = {
+  image: ['orientation', 'style', 'styleDescription', 'primaryColor', 'paletteInstructions'],
+  video: ['contentDescription', 'imageStyle', 'styleDescription', 'shotDirection'],
+  refine: ['instruction', 'orientation', 'styleDescription', 'primaryColor', 'paletteInstructions']
+};
+
+/**
+ * Versions pinned through the environment, per template type
+ */
+const PINNED_VERSIONS = {
+  image: process.env.PROMPT_TEMPLATE_IMAGE,
+  video: process.env.PROMPT_TEMPLATE_VIDEO,
+  refine: process.env.PROMPT_TEMPLATE_REFINE
+};
+
+const TEMPLATE_FILE_PATTERN = /^(image|video|refine)\.(v\d+)\.txt$/;
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Lists the available versions of a template type, oldest first
+ * @param {string} type - Template type (image, video or refine)
+ * @returns {string[]} Versions (e.g. ['v1', 'v2'])
+ */
+const listVersions = (type) => {
+  return fs.readdirSync(TEMPLATES_DIR)
+    .map(file => TEMPLATE_FILE_PATTERN.exec(file))
+    .filter(match => match && match[1] === type)
+    .map(match => match[2])
+    .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+};
+
+/**
+ * Gets the version used for new jobs of a template type
+ * @param {string} type - Template type (image, video or refine)
+ * @returns {string} Active version
+ */
+const getActiveVersion = (type) => {
+  const versions = listVersions(type);
+  if (PINNED_VERSIONS[type] && versions.includes(PINNED_VERSIONS[type])) {
+    return PINNED_VERSIONS[type];
+  }
+  if (PINNED_VERSIONS[type]) {
+    logger.warn('Pinned prompt template not found, using latest', { type, pinned: PINNED_VERSIONS[type] });
+  }
+  return versions[versions.length - 1];
+};
+
+/**
+ * Lists every template type with its versions and active version
+ * @returns {Object} { image: { versions, active }, video: { versions, active }, refine: { versions, active } }
+ */
+const listTemplates = () => {
+  const templates = {};
+  Object.keys(TEMPLATE_PLACEHOLDERS).forEach(type => {
+    templates[type] = {
+      versions: listVersions(type),
+      active: getActiveVersion(type),
+      placeholders: TEMPLATE_PLACEHOLDERS[type]
+    };
+  });
+  return templates;
+};
+
+/**
+ * Renders a template with values for its placeholders
+ * @param {string} type - Template type (image, video or refine)
+ * @param {Object} values - Placeholder values
+ * @param {string} [version] - Template version (defaults to the active version)
+ * @returns {{prompt: string, templateVersion: string}} Rendered prompt and the version used
+ * @throws {Error} With status 404 for an unknown version, 500 if the template uses an unknown placeholder
+ */
+const renderTemplate = (type, values, version) => {
+  const templateVersion = version || getActiveVersion(type);
+  if (!templateVersion || !listVersions(type).includes(templateVersion)) {
+    throw httpError(404, `Prompt template not found: ${type} ${version || '(no versions)'}`);
+  }
+
+  const filePath = path.join(TEMPLATES_DIR, `${type}.${templateVersion}.txt`);
+  const template = fs.readFileSync(filePath, 'utf8');
+
+  const prompt = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (marker, name) => {
+    if (!TEMPLATE_PLACEHOLDERS[type].includes(name)) {
+      throw httpError(500, `Prompt template ${type}.${templateVersion} uses unknown placeholder {{${name}}}`);
+    }
+    return values[name] === undefined || values[name] === null ? '' : String(values[name]);
+  }).trimEnd();
+
+  return { prompt, templateVersion };
+};
+
+module.exports = {
+  TEMPLATE_PLACEHOLDERS,
+  listVersions,
+  getActiveVersion,
+  listTemplates,
+  renderTemplate
+};
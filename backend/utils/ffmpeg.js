@@ -0,0 +1,161 @@
+/**
+ * FFmpeg Helper Module
+ * Thin wrapper around locally installed ffmpeg/ffprobe binaries
+ * Used for all local video rendering and media inspection
+ */
+
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+// Binary locations (override when ffmpeg is not on PATH)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Version and filters of the installed ffmpeg, read once
+let infoPromise = null;
+
+/**
+ * Spawns a binary and collects its output
+ * @param {string} binary - Executable to run
+ * @param {string[]} args - Command line arguments
+ * @param {Function} [onStdout] - Called with each stdout chunk as it arrives
+ * @param {AbortSignal} [signal] - Kills the process when aborted
+ * @returns {Promise<{stdout: string, stderr: string}>} Collected process output
+ */
+const run = (binary, args, onStdout = null, signal = null) => {
+  return new Promise((resolve, reject) => {
+    logger.debug('Spawning media process', { binary, args: args.join(' ') });
+
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'], ...(signal && { signal }) });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+      if (onStdout) {
+        onStdout(chunk.toString());
+      }
+    });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        // Reported as 503: the feature is unavailable on this server rather than broken
+        const missing = new Error(`${binary} is not installed or not on PATH`);
+        missing.status = 503;
+        reject(missing);
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        // The last lines of stderr carry the actual ffmpeg error
+        const detail = stderr.trim().split('\n').slice(-3).join(' ');
+        reject(new Error(`${binary} exited with code ${code}: ${detail}`));
+      }
+    });
+  });
+};
+
+/**
+ * Runs ffmpeg with the given arguments
+ * Always overwrites outputs and suppresses the interactive banner
+ * @param {string[]} args - ffmpeg arguments
+ * @param {Function} [onProgress] - Called with the output time rendered so far, in seconds
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops ffmpeg when aborted; the promise then rejects with an AbortError
+ * @returns {Promise<{stdout: string, stderr: string}>} Collected process output
+ */
+const ffmpeg = (args, onProgress = null, { signal = null } = {}) => {
+  if (!onProgress) {
+    return run(FFMPEG_PATH, ['-hide_banner', '-y', ...args], null, signal);
+  }
+
+  // Machine-readable progress goes to stdout as key=value lines; chunks may end mid-line
+  let pending = '';
+  return run(FFMPEG_PATH, ['-hide_banner', '-y', '-nostats', '-progress', 'pipe:1', ...args], (chunk) => {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    lines.forEach(line => {
+      const match = /^out_time_us=(\d+)$/.exec(line.trim());
+      if (match) {
+        onProgress(parseInt(match[1]) / 1000000);
+      }
+    });
+  }, signal);
+};
+
+/**
+ * Reads the version and the available filters of the installed ffmpeg
+ * Features are checked by filter rather than by version number, since builds from git
+ * report a revision (e.g. N-47683-g0e8eb07980) instead of a release
+ * @returns {Promise<{version: string, filters: Set<string>}>} ffmpeg version and filter names
+ * @throws {Error} With status 503 if ffmpeg is not installed
+ */
+const getFfmpegInfo = () => {
+  if (!infoPromise) {
+    infoPromise = Promise.all([
+      run(FFMPEG_PATH, ['-hide_banner', '-version']),
+      run(FFMPEG_PATH, ['-hide_banner', '-filters'])
+    ])
+      .then(([versionOutput, filterOutput]) => {
+        const version = /ffmpeg version (\S+)/.exec(versionOutput.stdout);
+        // Filter lines look like " T.C drawtext          V->V       Draw text ..."
+        const filters = filterOutput.stdout.split('\n')
+          .map(line => /^\s*\S{2,3}\s+(\w+)\s+\S*->\S*/.exec(line))
+          .filter(Boolean)
+          .map(match => match[1]);
+        return { version: version ? version[1] : 'unknown', filters: new Set(filters) };
+      })
+      .catch((error) => {
+        // Not cached, so installing ffmpeg does not need a restart
+        infoPromise = null;
+        throw error;
+      });
+  }
+  return infoPromise;
+};
+
+/**
+ * Runs ffprobe and parses its JSON output
+ * @param {string} input - File path or URL to inspect
+ * @returns {Promise<Object>} Parsed ffprobe format and stream information
+ */
+const probe = async (input) => {
+  const { stdout } = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    input
+  ]);
+  return JSON.parse(stdout);
+};
+
+/**
+ * Checks whether a video has an audio track
+ * Generated clips are usually silent; without ffprobe they are treated as silent
+ * @param {string} filePath - Video file
+ * @returns {Promise<boolean>} True if there is an audio stream
+ */
+const hasAudioTrack = async (filePath) => {
+  try {
+    const info = await probe(filePath);
+    return info.streams.some(stream => stream.codec_type === 'audio');
+  } catch (error) {
+    logger.warn('Could not probe video for audio, treating it as silent', { filePath, error: error.message });
+    return false;
+  }
+};
+
+module.exports = {
+  ffmpeg,
+  getFfmpegInfo,
+  probe,
+  hasAudioTrack
+};
+
@@ -0,0 +1,351 @@
+/**
+ * Resilient HTTP Client
+ * Shared layer for calls to external provider APIs: classifies failures, retries the ones worth
+ * retrying with jittered exponential backoff (honoring Retry-After), and guards the provider with
+ * a circuit breaker so an outage fails fast instead of piling up slow requests.
+ *
+ * Failures surface as ProviderError subclasses with a `kind`, an HTTP `status` for our own API
+ * responses and, where known, `retryAfter` (milliseconds) telling callers when to try again:
+ * - AuthError (auth): the provider rejected the API key, or none is configured
+ * - QuotaError (quota): credits or plan limits are used up
+ * - RateLimitError (rate-limit): too many requests, retried
+ * - ValidationError (validation): the provider rejected the request itself
+ * - TransientError (transient): timeouts, network errors and 5xx responses, retried
+ * - CircuitOpenError (transient): the breaker is open, no request was made
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+
+// Retry and breaker defaults, overridable per client
+const MAX_RETRIES = parseInt(process.env.PROVIDER_MAX_RETRIES) >= 0 ? parseInt(process.env.PROVIDER_MAX_RETRIES) : 3;
+const RETRY_BASE_DELAY = parseInt(process.env.PROVIDER_RETRY_BASE_DELAY) || 500;
+const RETRY_MAX_DELAY = parseInt(process.env.PROVIDER_RETRY_MAX_DELAY) || 10000;
+// A Retry-After longer than this is not waited out inside the request; the error is returned instead
+const MAX_RETRY_AFTER = parseInt(process.env.PROVIDER_MAX_RETRY_AFTER) || 30000;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.PROVIDER_CIRCUIT_THRESHOLD) || 5;
+const CIRCUIT_RESET_TIMEOUT = parseInt(process.env.PROVIDER_CIRCUIT_RESET_TIMEOUT) || 30000;
+
+// Network error codes meaning the request never reached the provider, so repeating it is always safe
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Messages of 401/403/429 responses that mean the account ran out of credits rather than a bad key or a burst
+const QUOTA_PATTERN = /quota|credit|billing|plan limit|insufficient/i;
+
+/**
+ * Base class of classified provider failures
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} classification
+   * @param {string} classification.kind - Failure kind (auth, quota, rate-limit, validation or transient)
+   * @param {number} classification.status - HTTP status our API answers with
+   * @param {boolean} classification.retryable - Whether repeating the request may succeed
+   * @param {Object} [details]
+   * @param {number} [details.providerStatus] - HTTP status the provider answered with
+   * @param {number} [details.retryAfter] - Milliseconds to wait before trying again
+   */
+  constructor(message, { kind, status, retryable }, { providerStatus = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.providerStatus = providerStatus;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class AuthError extends ProviderError {
+  constructor(message, details) {
+    super(message, { kind: 'auth', status: 503, retryable: false }, details);
+  }
+}
+
+class QuotaError extends ProviderError {
+  constructor(message, details) {
+    super(message, { kind: 'quota', status: 503, retryable: false }, details);
+  }
+}
+
+class RateLimitError extends ProviderError {
+  constructor(message, details) {
+    super(message, { kind: 'rate-limit', status: 429, retryable: true }, details);
+  }
+}
+
+class ValidationError extends ProviderError {
+  constructor(message, details) {
+    super(message, { kind: 'validation', status: 422, retryable: false }, details);
+  }
+}
+
+class TransientError extends ProviderError {
+  constructor(message, details) {
+    super(message, { kind: 'transient', status: 503, retryable: true }, details);
+  }
+}
+
+// Rejected by the breaker without a request; retrying right away would be rejected again
+class CircuitOpenError extends TransientError {
+  constructor(message, details) {
+    super(message, details);
+    this.retryable = false;
+  }
+}
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null if absent or unreadable
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Turns an axios error into a classified provider error
+ * @param {string} service - Display name of the provider, used in messages
+ * @param {Error} error - Error thrown by axios
+ * @returns {ProviderError} Classified error
+ */
+const classifyError = (service, error) => {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+
+  const response = error.response;
+  if (!response) {
+    const reason = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timed out' : 'could not be reached';
+    return new TransientError(`${service} ${reason}: ${error.message}`);
+  }
+
+  const status = response.status;
+  const detail = response.data?.message || response.data?.error || error.message;
+  const details = { providerStatus: status, retryAfter: parseRetryAfter(response.headers?.['retry-after']) };
+
+  if (status === 402 || ([401, 403, 429].includes(status) && QUOTA_PATTERN.test(detail))) {
+    return new QuotaError(`${service} quota exhausted: ${detail}`, details);
+  }
+  if (status === 401 || status === 403) {
+    return new AuthError(`${service} rejected the API key: ${detail}`, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(`${service} rate limit reached: ${detail}`, details);
+  }
+  if (status === 408 || status >= 500) {
+    return new TransientError(`${service} is temporarily unavailable (${status}): ${detail}`, details);
+  }
+  return new ValidationError(`${service} rejected the request: ${detail}`, details);
+};
+
+/**
+ * Checks whether a failed request may be sent again without risking a duplicate at the provider
+ * Reads can always be repeated; writes only when the provider certainly did not act on them
+ * @param {Object} error - Original axios error
+ * @param {boolean} idempotent - Whether the request can safely run twice
+ * @returns {boolean} True if the request may be repeated
+ */
+const isSafeToRepeat = (error, idempotent) => {
+  if (idempotent) {
+    return true;
+  }
+  const status = error.response?.status;
+  return status === 429 || status === 503 || UNSENT_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Computes the wait before a retry: full-jitter exponential backoff, or the provider's Retry-After
+ * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+ * @param {ProviderError} error - Classified failure
+ * @param {Object} options - Client options (baseDelay, maxDelay)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, error, { baseDelay, maxDelay }) => {
+  if (error.retryAfter !== null) {
+    return error.retryAfter;
+  }
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1)));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a circuit breaker
+ * CLOSED lets requests through and counts consecutive transient failures; at the threshold it
+ * turns OPEN and rejects requests until the reset timeout has passed. It then turns HALF_OPEN and
+ * lets a single trial request through: success closes the circuit, another failure reopens it.
+ * @param {Object} options
+ * @param {string} options.name - Name used in logs and errors
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeout] - Milliseconds the circuit stays open
+ * @returns {Object} Breaker with acquire(), recordSuccess(), recordFailure() and getState()
+ */
+const createCircuitBreaker = ({ name, failureThreshold = CIRCUIT_FAILURE_THRESHOLD, resetTimeout = CIRCUIT_RESET_TIMEOUT }) => {
+  let state = 'CLOSED';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const open = () => {
+    state = 'OPEN';
+    openedAt = Date.now();
+    trialInFlight = false;
+    logger.warn('Circuit breaker opened', { service: name, failures, resetTimeout });
+  };
+
+  /**
+   * Asks the breaker for permission to send a request
+   * @throws {CircuitOpenError} If the circuit is open, or half-open with its trial request in flight
+   */
+  const acquire = () => {
+    if (state === 'OPEN' && Date.now() - openedAt >= resetTimeout) {
+      state = 'HALF_OPEN';
+      logger.info('Circuit breaker half-open, trying a request', { service: name });
+    }
+
+    if (state === 'OPEN' || (state === 'HALF_OPEN' && trialInFlight)) {
+      const retryAfter = state === 'OPEN' ? Math.max(0, openedAt + resetTimeout - Date.now()) : resetTimeout;
+      throw new CircuitOpenError(
+        `${name} is temporarily unavailable after repeated failures; try again in ${Math.ceil(retryAfter / 1000)}s`,
+        { retryAfter }
+      );
+    }
+
+    if (state === 'HALF_OPEN') {
+      trialInFlight = true;
+    }
+  };
+
+  const recordSuccess = () => {
+    if (state !== 'CLOSED') {
+      logger.info('Circuit breaker closed', { service: name });
+    }
+    state = 'CLOSED';
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  };
+
+  const recordFailure = () => {
+    failures += 1;
+    if (state === 'HALF_OPEN' || (state === 'CLOSED' && failures >= failureThreshold)) {
+      open();
+    }
+  };
+
+  /**
+   * Describes the breaker, for the health endpoint
+   * @returns {Object} { name, state, consecutiveFailures, failureThreshold, openedAt, retryAt }
+   */
+  const getState = () => ({
+    name,
+    state: state === 'OPEN' && Date.now() - openedAt >= resetTimeout ? 'HALF_OPEN' : state,
+    consecutiveFailures: failures,
+    failureThreshold,
+    openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+    retryAt: openedAt ? new Date(openedAt + resetTimeout).toISOString() : null
+  });
+
+  return { acquire, recordSuccess, recordFailure, getState };
+};
+
+/**
+ * Creates an HTTP client for one provider, with its own circuit breaker
+ * @param {Object} options
+ * @param {string} options.name - Display name of the provider, used in logs and error messages
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - Backoff delay before the first retry, in milliseconds
+ * @param {number} [options.maxDelay] - Upper bound of the backoff delay, in milliseconds
+ * @param {number} [options.maxRetryAfter] - Longest Retry-After waited out inside a request
+ * @param {number} [options.failureThreshold] - Consecutive failed requests that open the circuit
+ * @param {number} [options.resetTimeout] - Milliseconds the circuit stays open
+ * @returns {Object} Client with request(config, options) and getState()
+ */
+const createResilientClient = ({
+  name,
+  maxRetries = MAX_RETRIES,
+  baseDelay = RETRY_BASE_DELAY,
+  maxDelay = RETRY_MAX_DELAY,
+  maxRetryAfter = MAX_RETRY_AFTER,
+  failureThreshold,
+  resetTimeout
+}) => {
+  const breaker = createCircuitBreaker({ name, failureThreshold, resetTimeout });
+
+  /**
+   * Sends a request, retrying rate limits and transient failures
+   * Non-idempotent requests (POST by default) are only repeated when the provider certainly did
+   * not act on them, so a retry never starts a second generation task
+   * @param {Object} config - axios request config
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent] - Whether the request can safely run twice (defaults to GET only)
+   * @returns {Promise<Object>} axios response
+   * @throws {ProviderError} Classified failure once retries are exhausted or not worthwhile
+   */
+  const request = async (config, { idempotent = (config.method || 'get').toLowerCase() === 'get' } = {}) => {
+    breaker.acquire();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.request(config);
+        breaker.recordSuccess();
+        return response;
+      } catch (rawError) {
+        const error = classifyError(name, rawError);
+        const canRetry = error.retryable &&
+          attempt <= maxRetries &&
+          isSafeToRepeat(rawError, idempotent) &&
+          (error.retryAfter === null || error.retryAfter <= maxRetryAfter);
+
+        if (!canRetry) {
+          // Only outages count against the provider; any 4xx answer proves it is up
+          if (error instanceof TransientError) {
+            breaker.recordFailure();
+          } else {
+            breaker.recordSuccess();
+          }
+          throw error;
+        }
+
+        const delay = getRetryDelay(attempt, error, { baseDelay, maxDelay });
+        logger.warn('Retrying provider request', {
+          service: name,
+          url: config.url,
+          attempt,
+          kind: error.kind,
+          providerStatus: error.providerStatus,
+          delay
+        });
+        await sleep(delay);
+      }
+    }
+  };
+
+  return { request, getState: breaker.getState };
+};
+
+module.exports = {
+  ProviderError,
+  AuthError,
+  QuotaError,
+  RateLimitError,
+  ValidationError,
+  TransientError,
+  CircuitOpenError,
+  classifyError,
+  parseRetryAfter,
+  createCircuitBreaker,
+  createResilientClient
+};
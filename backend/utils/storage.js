@@ -0,0 +1,201 @@
+/**
+ * Local Storage Module
+ * Embedded JSON-file persistence for server-side records
+ * Each collection is held in memory and written atomically to its own file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Use temporary directory for Vercel compatibility
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production'
+  ? path.join(os.tmpdir(), 'virtuoso-data')  // Vercel: use tmp directory
+  : path.join(__dirname, '../data'));       // Development: use data directory
+
+/**
+ * Ensures a directory inside the data directory exists
+ * @param {...string} segments - Path segments relative to the data directory
+ * @returns {string} Absolute path of the directory
+ */
+const ensureDataDir = (...segments) => {
+  const dir = path.join(DATA_DIR, ...segments);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    logger.info('Created data directory', { path: dir });
+  }
+  return dir;
+};
+
+/**
+ * Deep copies a record so callers cannot mutate stored state
+ * @param {Object} record - Stored record
+ * @returns {Object} Independent copy
+ */
+const clone = (record) => (record ? JSON.parse(JSON.stringify(record)) : null);
+
+/**
+ * Creates (or opens) a persistent collection of records
+ * Records are plain objects keyed by `id`; createdAt/updatedAt are maintained automatically
+ * @param {string} name - Collection name, used as the file name
+ * @returns {Object} Collection with list/get/find/insert/update/remove methods
+ */
+const createCollection = (name) => {
+  const filePath = path.join(ensureDataDir(), `${name}.json`);
+  const records = new Map();
+
+  // Load existing records from disk
+  if (fs.existsSync(filePath)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      stored.forEach(record => records.set(record.id, record));
+      logger.debug('Loaded collection', { name, count: records.size });
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it
+      const backupPath = `${filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(filePath, backupPath);
+      logger.error('Failed to load collection, starting empty', {
+        name,
+        backupPath,
+        error: error.message
+      });
+    }
+  }
+
+  // Writes are serialized; a pending write always picks up the latest state
+  let writeChain = Promise.resolve();
+  let writePending = false;
+
+  /**
+   * Schedules an atomic write of the collection to disk
+   * @returns {Promise<void>} Resolves when the scheduled write has finished
+   */
+  const persist = () => {
+    if (writePending) {
+      return writeChain;
+    }
+    writePending = true;
+
+    writeChain = writeChain
+      .then(async () => {
+        writePending = false;
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify([...records.values()], null, 2));
+        await fs.promises.rename(tempPath, filePath);
+      })
+      .catch((error) => {
+        logger.error('Failed to persist collection', { name, error: error.message });
+      });
+
+    return writeChain;
+  };
+
+  return {
+    /**
+     * Lists records, optionally filtered
+     * @param {Function} [predicate] - Filter function
+     * @returns {Object[]} Matching records in insertion order
+     */
+    list(predicate = () => true) {
+      return [...records.values()].filter(predicate).map(clone);
+    },
+
+    /**
+     * Gets a record by ID
+     * @param {string} id - Record identifier
+     * @returns {Object|null} Record or null if not found
+     */
+    get(id) {
+      return clone(records.get(id));
+    },
+
+    /**
+     * Finds the first record matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Object|null} Record or null if none matches
+     */
+    find(predicate) {
+      for (const record of records.values()) {
+        if (predicate(record)) {
+          return clone(record);
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Inserts a new record, generating an ID if none is given
+     * @param {Object} data - Record fields
+     * @returns {Object} Stored record
+     */
+    insert(data) {
+      const now = new Date().toISOString();
+      const record = {
+        id: data.id || crypto.randomUUID(),
+        ...data,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(record.id, record);
+      persist();
+      return clone(record);
+    },
+
+    /**
+     * Updates a record with new field values or an updater function
+     * @param {string} id - Record identifier
+     * @param {Object|Function} changes - Fields to merge, or function receiving a copy and returning the new record
+     * @returns {Object|null} Updated record or null if not found
+     */
+    update(id, changes) {
+      const existing = records.get(id);
+      if (!existing) {
+        return null;
+      }
+
+      const next = typeof changes === 'function'
+        ? changes(clone(existing))
+        : { ...existing, ...changes };
+
+      const record = {
+        ...next,
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+      records.set(id, record);
+      persist();
+      return clone(record);
+    },
+
+    /**
+     * Removes a record
+     * @param {string} id - Record identifier
+     * @returns {boolean} True if a record was removed
+     */
+    remove(id) {
+      const removed = records.delete(id);
+      if (removed) {
+        persist();
+      }
+      return removed;
+    },
+
+    /**
+     * Waits for pending writes to reach disk
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return writeChain;
+    }
+  };
+};
+
+module.exports = {
+  DATA_DIR,
+  ensureDataDir,
+  createCollection
+};
+
@@ -12,30 +12,37 @@ const API = {
   baseURL: window.location.origin,
 
   /**
-   * Initiates image generation with uploaded files and color scheme
+   * Initiates image generation with uploaded files and brand palette
    * @param {File} logoFile - Logo image file
    * @param {File} prototypeFile - Prototype design image file
-   * @param {string} colorScheme - Hex color code (e.g., #FF5733)
+   * @param {Object[]} palette - Colors with roles, e.g. [{ role: 'primary', hex: '#FF5733' }]
    * @param {string} imageStyle - Selected image style (realistic, comic, etc.)
    * @param {string} orientation - Image orientation (landscape or portrait)
+   * @param {Object} brand - Brand kit ({ brandId, logoId }); its logo is used when logoFile is null
+   * @param {string} projectId - Project to add the image to (optional)
    * @returns {Promise<Object>} Response with task_id and status
    */
-  async generateImage(logoFile, prototypeFile, colorScheme, imageStyle = 'realistic', orientation = 'landscape') {
+  async generateImage(logoFile, prototypeFile, palette, imageStyle = 'realistic', orientation = 'landscape', brand = null, projectId = null) {
     console.log('API: Initiating image generation', { 
-      logo: logoFile.name, 
+      logo: logoFile ? logoFile.name : null, 
       prototype: prototypeFile.name, 
-      colorScheme,
+      palette,
       imageStyle,
-      orientation
+      orientation,
+      brand,
+      projectId
     });
 
     // Create FormData for multipart/form-data request
     const formData = new FormData();
-    formData.append('logo', logoFile);
+    this.appendLogo(formData, logoFile, brand);
     formData.append('prototype', prototypeFile);
-    formData.append('colorScheme', colorScheme);
+    formData.append('palette', JSON.stringify(palette));
     formData.append('imageStyle', imageStyle);
     formData.append('orientation', orientation);
+    if (projectId) {
+      formData.append('projectId', projectId);
+    }
 
     try {
       const response = await fetch(`${this.baseURL}/api/generate-image`, {
@@ -57,6 +64,117 @@ const API = {
     }
   },
 
+  /**
+   * Initiates a batch of image generations, one per color/style/orientation combination
+   * @param {File} logoFile - Logo image file
+   * @param {File} prototypeFile - Prototype design image file
+   * @param {string[]} colors - Hex color codes
+   * @param {string[]} styles - Image styles
+   * @param {string[]} orientations - Image orientations
+   * @param {Object[]} palette - Secondary and accent colors shared by every variation
+   * @param {Object} brand - Brand kit ({ brandId, logoId }); its logo is used when logoFile is null
+   * @param {string} projectId - Project to add the images to (optional)
+   * @returns {Promise<Object>} Response with batch_id and one child task per combination
+   */
+  async generateImageBatch(logoFile, prototypeFile, colors, styles, orientations, palette = [], brand = null, projectId = null) {
+    console.log('API: Initiating batch image generation', { colors, styles, orientations, palette, brand, projectId });
+
+    const formData = new FormData();
+    this.appendLogo(formData, logoFile, brand);
+    formData.append('prototype', prototypeFile);
+    formData.append('colors', JSON.stringify(colors));
+    formData.append('styles', JSON.stringify(styles));
+    formData.append('orientations', JSON.stringify(orientations));
+    formData.append('palette', JSON.stringify(palette));
+    if (projectId) {
+      formData.append('projectId', projectId);
+    }
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/generate-image-batch`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to start batch generation');
+      }
+
+      console.log('API: Batch generation initiated', data);
+      return data;
+    } catch (error) {
+      console.error('API: Batch generation failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Adds the logo to a generation form: the uploaded file, or the brand kit reference
+   * @param {FormData} formData - Form being built
+   * @param {File} logoFile - Uploaded logo file (takes precedence over the brand logo)
+   * @param {Object} brand - Brand kit ({ brandId, logoId })
+   */
+  appendLogo(formData, logoFile, brand) {
+    if (logoFile) {
+      formData.append('logo', logoFile);
+    }
+    if (brand && brand.brandId) {
+      formData.append('brandId', brand.brandId);
+      if (!logoFile && brand.logoId) {
+        formData.append('logoId', brand.logoId);
+      }
+    }
+  },
+
+  /**
+   * Subscribes to the status stream of a whole batch until no child is running
+   * Uses one connection for all children, so large batches stay within browser connection limits
+   * @param {string} batchId - Batch identifier
+   * @param {Function} onTaskUpdate - Called with each child status payload ({ task_id, status, imageUrl, error })
+   * @param {number} timeout - Maximum time to wait in milliseconds (default: 5 minutes)
+   * @returns {Promise<Object>} Final batch with aggregated status and children
+   */
+  watchBatch(batchId, onTaskUpdate, timeout = 300000) {
+    console.log('API: Watching batch status', { batchId, timeout });
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${this.baseURL}/api/batches/${batchId}/events`);
+
+      const finish = (callback, value) => {
+        clearTimeout(timer);
+        source.close();
+        callback(value);
+      };
+
+      const timer = setTimeout(() => {
+        finish(reject, new Error('Batch generation timed out after 5 minutes'));
+      }, timeout);
+
+      source.addEventListener('status', (event) => {
+        onTaskUpdate(JSON.parse(event.data));
+      });
+
+      source.addEventListener('batch', (event) => {
+        const batch = JSON.parse(event.data);
+        console.log('API: Batch status received', { batchId, status: batch.status, counts: batch.counts });
+
+        if (batch.status !== 'PROCESSING') {
+          finish(resolve, batch);
+        }
+      });
+
+      source.onerror = () => {
+        // CONNECTING means the browser is retrying; CLOSED means the server refused the stream
+        if (source.readyState === EventSource.CLOSED) {
+          console.error('API: Batch status stream closed', { batchId });
+          finish(reject, new Error('Lost connection to batch status updates'));
+        }
+      };
+    });
+  },
+
   /**
    * Polls the status of an image generation task
    * @param {string} taskId - Task identifier from initial generation request
@@ -82,45 +200,132 @@ const API = {
   },
 
   /**
-   * Polls image status with automatic retry until completion or timeout
+   * Waits for an image generation task to finish
+   * Status updates are pushed by the server over Server-Sent Events
    * @param {string} taskId - Task identifier
    * @param {number} timeout - Maximum time to wait in milliseconds (default: 5 minutes)
    * @param {Function} onProgress - Callback function for status updates
    * @returns {Promise<Object>} Final result with imageUrl
    */
   async pollImageStatus(taskId, timeout = 300000, onProgress = null) {
-    console.log('API: Starting image status polling', { taskId, timeout });
+    console.log('API: Watching image status', { taskId, timeout });
+    return this.watchTask(taskId, 'Image', timeout, onProgress);
+  },
+
+  /**
+   * Refines a generated image with an instruction; the result is a new version of the image
+   * @param {string} assetId - Asset ID of the image to refine
+   * @param {string} instruction - Requested change (e.g. "make the background warmer")
+   * @returns {Promise<Object>} Response with the refinement task_id and its parentTaskId
+   */
+  async refineImage(assetId, instruction) {
+    console.log('API: Refining image', { assetId, instruction });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/assets/${assetId}/refine`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ instruction })
+      });
 
-    const startTime = Date.now();
-    const pollInterval = 2000; // Poll every 2 seconds
+      const data = await response.json();
 
-    while (true) {
-      // Check for timeout
-      if (Date.now() - startTime > timeout) {
-        throw new Error('Image generation timed out after 5 minutes');
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to refine image');
       }
 
-      // Check status
-      const result = await this.checkImageStatus(taskId);
+      console.log('API: Image refinement initiated', data);
+      return data;
+    } catch (error) {
+      console.error('API: Image refinement request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Loads the version tree of a generated image
+   * @param {string} assetId - Asset ID of any version of the image
+   * @returns {Promise<Object>} { root, currentTaskId }; nodes carry task_id, status, instruction, imageUrl and children
+   */
+  async getImageVersions(assetId) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/assets/${assetId}/versions`);
+      const data = await response.json();
 
-      // Call progress callback if provided
-      if (onProgress) {
-        onProgress(result.status);
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load image versions');
       }
 
-      // Handle completion
-      if (result.status === 'COMPLETED') {
-        console.log('API: Image generation completed', result);
-        return result;
+      return data;
+    } catch (error) {
+      console.error('API: Loading image versions failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Runs a generation job again with the settings (and seed) it recorded
+   * @param {string} taskId - Task of the job to repeat
+   * @param {number} [seed] - Seed to use instead of the recorded one
+   * @returns {Promise<Object>} Response with the new task_id and regeneratedFrom
+   */
+  async regenerateJob(taskId, seed) {
+    console.log('API: Regenerating job', { taskId, seed });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/jobs/${taskId}/regenerate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(seed === undefined ? {} : { seed })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to regenerate');
       }
 
-      // Handle failure
-      if (result.status === 'FAILED') {
-        throw new Error('Image generation failed');
+      console.log('API: Regeneration initiated', data);
+      return data;
+    } catch (error) {
+      console.error('API: Regeneration request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Starts variations of an image job: same settings, a new seed each
+   * @param {string} taskId - Task of the image job to vary
+   * @param {number} count - Number of variations
+   * @returns {Promise<Object>} Batch with batch_id and one child per variation
+   */
+  async createVariations(taskId, count) {
+    console.log('API: Creating variations', { taskId, count });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/jobs/${taskId}/variations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ count })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to start variations');
       }
 
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      console.log('API: Variations started', data);
+      return data;
+    } catch (error) {
+      console.error('API: Variations request failed', error);
+      throw error;
     }
   },
 
@@ -193,48 +398,860 @@ const API = {
   },
 
   /**
-   * Polls video status with automatic retry until completion or timeout
+   * Waits for a video generation task to finish
+   * Status updates are pushed by the server over Server-Sent Events
    * @param {string} taskId - Task identifier
    * @param {number} timeout - Maximum time to wait in milliseconds (default: 10 minutes)
    * @param {Function} onProgress - Callback function for status updates
    * @returns {Promise<Object>} Final result with videoUrl
    */
   async pollVideoStatus(taskId, timeout = 600000, onProgress = null) {
-    console.log('API: Starting video status polling', { taskId, timeout });
+    console.log('API: Watching video status', { taskId, timeout });
+    return this.watchTask(taskId, 'Video', timeout, onProgress);
+  },
+
+  /**
+   * Fetches the shot limits and transitions offered for sequences
+   * @returns {Promise<Object>} { maxShots, durations, transitions, transitionDefaults, transitionDuration, promptLimit, overlayTextLimit }
+   */
+  async getSequenceOptions() {
+    console.log('API: Fetching sequence options');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/sequences/options`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load sequence options');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Sequence options request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initiates a sequence: one clip per shot, stitched into one video
+   * @param {Object[]} shots - Shots ({ imageUrl, videoContentStyle, prompt, duration, transition })
+   * @param {Object} transition - Default transition between shots ({ type, duration })
+   * @param {string} imageStyle - The image style every shot is aligned with
+   * @returns {Promise<Object>} Response with task_id, status and per-shot status
+   */
+  async generateSequence(shots, transition, imageStyle = 'realistic') {
+    console.log('API: Initiating sequence generation', { shots: shots.length, transition, imageStyle });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/generate-sequence`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ shots, transition, imageStyle })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to generate sequence');
+      }
+
+      console.log('API: Sequence generation initiated', data);
+      return data;
+    } catch (error) {
+      console.error('API: Sequence generation failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Waits for a sequence to be generated and stitched
+   * @param {string} taskId - Sequence task ID
+   * @param {number} timeout - Maximum time to wait in milliseconds (default: 20 minutes)
+   * @param {Function} onProgress - Called with the status and the update (carrying `progress` and `shots`)
+   * @returns {Promise<Object>} Final result with videoUrl
+   */
+  async pollSequence(taskId, timeout = 1200000, onProgress = null) {
+    console.log('API: Watching sequence status', { taskId, timeout });
+    return this.watchTask(taskId, 'Sequence', timeout, onProgress);
+  },
+
+  /**
+   * Lists saved storyboards
+   * @returns {Promise<Object[]>} Storyboards with their scenes and timeline
+   */
+  async listStoryboards() {
+    console.log('API: Listing storyboards');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/storyboards`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load storyboards');
+      }
+
+      return data.storyboards;
+    } catch (error) {
+      console.error('API: Listing storyboards failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves a storyboard: creates it, or updates it when an ID is given
+   * @param {string|null} storyboardId - Storyboard to update (null to create one)
+   * @param {Object} storyboard - Fields ({ name, description, transition, scenes })
+   * @returns {Promise<Object>} Saved storyboard
+   */
+  async saveStoryboard(storyboardId, storyboard) {
+    console.log('API: Saving storyboard', { storyboardId, scenes: storyboard.scenes && storyboard.scenes.length });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/storyboards${storyboardId ? `/${storyboardId}` : ''}`, {
+        method: storyboardId ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(storyboard)
+      });
 
-    const startTime = Date.now();
-    const pollInterval = 2000; // Poll every 2 seconds
+      const data = await response.json();
 
-    while (true) {
-      // Check for timeout
-      if (Date.now() - startTime > timeout) {
-        throw new Error('Video generation timed out after 10 minutes');
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save storyboard');
       }
 
-      // Check status
-      const result = await this.checkVideoStatus(taskId);
+      return data.storyboard;
+    } catch (error) {
+      console.error('API: Saving storyboard failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a storyboard
+   * @param {string} storyboardId - Storyboard ID
+   * @returns {Promise<Object>} Response data
+   */
+  async deleteStoryboard(storyboardId) {
+    console.log('API: Deleting storyboard', { storyboardId });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/storyboards/${storyboardId}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
 
-      // Call progress callback if provided
-      if (onProgress) {
-        onProgress(result.status);
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to delete storyboard');
       }
 
-      // Handle completion
-      if (result.status === 'COMPLETED') {
-        console.log('API: Video generation completed', result);
-        return result;
+      return data;
+    } catch (error) {
+      console.error('API: Storyboard deletion failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Renders a storyboard for a product image, as a sequence task
+   * @param {string} storyboardId - Storyboard ID
+   * @param {string} imageUrl - Product image every scene starts from
+   * @param {string} imageStyle - The image style every scene is aligned with
+   * @returns {Promise<Object>} Response with task_id, status and per-shot status
+   */
+  async renderStoryboard(storyboardId, imageUrl, imageStyle = 'realistic') {
+    console.log('API: Rendering storyboard', { storyboardId, imageUrl, imageStyle });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/storyboards/${storyboardId}/render`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ imageUrl, imageStyle })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to render storyboard');
       }
 
-      // Handle failure
-      if (result.status === 'FAILED') {
-        throw new Error('Video generation failed');
+      console.log('API: Storyboard render initiated', data);
+      return data;
+    } catch (error) {
+      console.error('API: Storyboard render failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Subscribes to the server's status stream for a task until it finishes
+   * The browser reconnects automatically if the stream drops mid-task
+   * @param {string} taskId - Task identifier
+   * @param {string} label - Task label used in error messages (Image, Video, Sequence or Post-production)
+   * @param {number} timeout - Maximum time to wait in milliseconds, counted from when the task leaves the queue
+   * @param {Function} onProgress - Called with the status and the full update for each change
+   * @returns {Promise<Object>} Final status payload; rejects with `error.cancelled` set if the task is cancelled,
+   *   and with `error.taskStatus` set whenever the task itself ended (FAILED or CANCELLED)
+   */
+  watchTask(taskId, label, timeout, onProgress = null) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${this.baseURL}/api/tasks/${taskId}/events`);
+
+      const finish = (callback, value) => {
+        clearTimeout(timer);
+        source.close();
+        callback(value);
+      };
+
+      const startTimer = () => setTimeout(() => {
+        finish(reject, new Error(`${label} generation timed out after ${Math.round(timeout / 60000)} minutes`));
+      }, timeout);
+      let timer = startTimer();
+
+      source.addEventListener('status', (event) => {
+        const result = JSON.parse(event.data);
+        console.log(`API: ${label} status received`, { taskId, status: result.status, queue: result.queue });
+
+        // Waiting for a free provider slot does not count towards the timeout
+        if (result.status === 'QUEUED') {
+          clearTimeout(timer);
+          timer = startTimer();
+        }
+
+        // Call progress callback if provided
+        if (onProgress) {
+          onProgress(result.status, result);
+        }
+
+        // Handle completion
+        if (result.status === 'COMPLETED') {
+          console.log(`API: ${label} generation completed`, result);
+          finish(resolve, result);
+        }
+
+        // Handle failure
+        if (result.status === 'FAILED') {
+          const error = new Error(result.error || `${label} generation failed`);
+          error.taskStatus = result.status;
+          finish(reject, error);
+        }
+
+        // Handle cancellation; callers tell it apart from failures by the `cancelled` flag
+        if (result.status === 'CANCELLED') {
+          const error = new Error(`${label} generation was cancelled`);
+          error.cancelled = true;
+          error.taskStatus = result.status;
+          finish(reject, error);
+        }
+      });
+
+      source.onerror = () => {
+        // CONNECTING means the browser is retrying; CLOSED means the server refused the stream
+        if (source.readyState === EventSource.CLOSED) {
+          console.error(`API: ${label} status stream closed`, { taskId });
+          finish(reject, new Error(`Lost connection to ${label.toLowerCase()} status updates`));
+        }
+      };
+    });
+  },
+
+  /**
+   * Cancels a running task (image, video, sequence or post-production)
+   * Its status stream then reports CANCELLED, which ends the watchTask of the task
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<Object>} Status of the cancelled task
+   */
+  async cancelTask(taskId) {
+    console.log('API: Cancelling task', { taskId });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/tasks/${taskId}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to cancel task');
       }
 
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      return data;
+    } catch (error) {
+      console.error('API: Task cancellation failed', error);
+      throw error;
     }
   },
 
+  /**
+   * Loads the style registry (image styles, orientations and video content styles)
+   * @returns {Promise<Object>} { imageStyles, orientations, videoStyles, defaults }
+   */
+  async getStyles() {
+    console.log('API: Loading style registry');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/styles`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load styles');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Loading style registry failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists saved brand kits
+   * @returns {Promise<Object[]>} Brands with palette, defaults and logos
+   */
+  async listBrands() {
+    console.log('API: Listing brands');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/brands`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load brands');
+      }
+
+      return data.brands;
+    } catch (error) {
+      console.error('API: Listing brands failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves a new brand kit
+   * @param {string} name - Brand name
+   * @param {File} logoFile - Logo image file (optional)
+   * @param {Object[]} palette - Named colors ({ name, hex })
+   * @param {Object} defaults - Default imageStyle, orientation and videoContentStyle
+   * @returns {Promise<Object>} Created brand
+   */
+  async createBrand(name, logoFile, palette, defaults) {
+    console.log('API: Creating brand', { name, palette, defaults });
+
+    const formData = new FormData();
+    formData.append('name', name);
+    if (logoFile) {
+      formData.append('logos', logoFile);
+    }
+    formData.append('palette', JSON.stringify(palette));
+    Object.entries(defaults).forEach(([field, value]) => formData.append(field, value));
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/brands`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save brand');
+      }
+
+      console.log('API: Brand created', data.brand);
+      return data.brand;
+    } catch (error) {
+      console.error('API: Brand creation failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a brand kit
+   * @param {string} brandId - Brand identifier
+   * @returns {Promise<Object>} Response
+   */
+  async deleteBrand(brandId) {
+    console.log('API: Deleting brand', { brandId });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/brands/${brandId}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to delete brand');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Brand deletion failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists projects for the history gallery, most recently active first
+   * @returns {Promise<Object[]>} Project summaries (name, counts, thumbnailUrl, lastActivityAt)
+   */
+  async listProjects() {
+    try {
+      const response = await fetch(`${this.baseURL}/api/projects`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load projects');
+      }
+
+      return data.projects;
+    } catch (error) {
+      console.error('API: Listing projects failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches a project with its inputs and every generated image and video
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} Project
+   */
+  async getProject(projectId) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/projects/${projectId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load project');
+      }
+
+      return data.project;
+    } catch (error) {
+      console.error('API: Loading project failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a project
+   * @param {string} name - Project name
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(name) {
+    console.log('API: Creating project', { name });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/projects`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to create project');
+      }
+
+      return data.project;
+    } catch (error) {
+      console.error('API: Project creation failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Renames a project
+   * @param {string} projectId - Project identifier
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Updated project
+   */
+  async renameProject(projectId, name) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/projects/${projectId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to rename project');
+      }
+
+      return data.project;
+    } catch (error) {
+      console.error('API: Project rename failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a project (its generations stay in the job history)
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} Response
+   */
+  async deleteProject(projectId) {
+    console.log('API: Deleting project', { projectId });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/projects/${projectId}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to delete project');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Project deletion failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Downloads a stored file as a File, so it can be sent again like an upload
+   * @param {string} url - Asset URL (/api/assets/:id)
+   * @param {string} name - File name to give it
+   * @returns {Promise<File>} File
+   */
+  async fetchAssetFile(url, name) {
+    const response = await fetch(this.resolveAssetUrl(url));
+    if (!response.ok) {
+      throw new Error(`Failed to load ${name}`);
+    }
+    const blob = await response.blob();
+    return new File([blob], name, { type: blob.type });
+  },
+
+  /**
+   * Fetches the fonts, positions and layer defaults of the overlay editor
+   * @returns {Promise<Object>} { fonts, positions, layerTypes, defaultSafeArea, maxLayers }
+   */
+  async getOverlayOptions() {
+    console.log('API: Fetching overlay options');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/overlays/options`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load overlay options');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Overlay options request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Composites text, CTA and logo layers onto a stored image
+   * @param {string} assetId - Asset ID of the source image
+   * @param {Object[]} layers - Overlay layers in drawing order
+   * @param {Object[]} palette - Colors with roles the layer colors refer to
+   * @param {Object} brand - Brand kit ({ brandId, logoId }) supplying the logo, or null
+   * @param {File} logoFile - Logo file used when no brand is selected
+   * @returns {Promise<Object>} Response with the new asset and its imageUrl
+   */
+  async applyOverlay(assetId, layers, palette, brand = null, logoFile = null) {
+    console.log('API: Applying overlay', { assetId, layers: layers.length });
+
+    const formData = new FormData();
+    formData.append('layers', JSON.stringify(layers));
+    formData.append('palette', JSON.stringify(palette));
+    if (brand) {
+      formData.append('brandId', brand.brandId);
+      if (brand.logoId) {
+        formData.append('logoId', brand.logoId);
+      }
+    } else if (logoFile && layers.some(layer => layer.type === 'logo')) {
+      formData.append('logo', logoFile);
+    }
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/assets/${assetId}/overlay`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to apply overlay');
+      }
+
+      console.log('API: Overlay applied', data.asset);
+      return data;
+    } catch (error) {
+      console.error('API: Overlay request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the platform formats and packs offered for export
+   * @returns {Promise<Object>} { formats, packs, fitModes, defaultPack }
+   */
+  async getExportOptions() {
+    console.log('API: Fetching export formats');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/exports/formats`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load export formats');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Export formats request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Renders a stored image into a pack of platform sizes
+   * @param {string} assetId - Asset ID of the source image
+   * @param {Object} options - { pack, fit, focalPoint: { x, y }, background }
+   * @param {Object[]} palette - Colors with roles the background may refer to
+   * @param {Object} brand - Brand kit ({ brandId }), or null
+   * @returns {Promise<Object>} Response with the ZIP asset, its manifest and downloadUrl
+   */
+  async exportForPlatforms(assetId, options, palette, brand = null) {
+    console.log('API: Exporting for platforms', { assetId, ...options });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/assets/${assetId}/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...options,
+          palette,
+          ...(brand && { brandId: brand.brandId })
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to export image');
+      }
+
+      console.log('API: Export pack ready', { files: data.manifest.files.length });
+      return data;
+    } catch (error) {
+      console.error('API: Export request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Starts rendering intro/end cards, a watermark, captions and music onto a stored video
+   * @param {string} assetId - Asset ID of the source video
+   * @param {Object} options - { intro, outro, watermark, captions, music } sections (false to skip one)
+   * @param {Object[]} palette - Colors with roles used for the cards
+   * @param {Object} brand - Brand kit ({ brandId, logoId }) supplying the logo, or null
+   * @param {File} logoFile - Logo file used when no brand is selected
+   * @returns {Promise<Object>} Response containing the post-production task_id
+   */
+  async startPostProduction(assetId, options, palette, brand = null, logoFile = null) {
+    console.log('API: Starting post-production', { assetId, ...options });
+
+    const formData = new FormData();
+    Object.entries(options).forEach(([section, value]) => {
+      formData.append(section, JSON.stringify(value));
+    });
+    formData.append('palette', JSON.stringify(palette));
+    if (brand) {
+      formData.append('brandId', brand.brandId);
+      if (brand.logoId) {
+        formData.append('logoId', brand.logoId);
+      }
+    } else if (logoFile) {
+      formData.append('logo', logoFile);
+    }
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/assets/${assetId}/post-production`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to start post-production');
+      }
+
+      console.log('API: Post-production started', data);
+      return data;
+    } catch (error) {
+      console.error('API: Post-production request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Follows a post-production render until it finishes
+   * @param {string} taskId - Post-production task ID
+   * @param {number} timeout - Maximum time to wait in milliseconds (default: 10 minutes)
+   * @param {Function} onProgress - Called with the status and the update (carrying `progress`)
+   * @returns {Promise<Object>} Final result with videoUrl
+   */
+  async pollPostProduction(taskId, timeout = 600000, onProgress = null) {
+    return this.watchTask(taskId, 'Post-production', timeout, onProgress);
+  },
+
+  /**
+   * Lists the tracks of the music library
+   * @returns {Promise<Object[]>} Tracks ({ id, title, artist, duration, url, ... })
+   */
+  async listTracks() {
+    console.log('API: Listing music tracks');
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/music`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load music tracks');
+      }
+
+      return data.tracks;
+    } catch (error) {
+      console.error('API: Listing music tracks failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Adds a track to the music library
+   * @param {File} file - Audio file
+   * @param {string} title - Track title (the server falls back to the file name)
+   * @returns {Promise<Object>} Created track
+   */
+  async uploadTrack(file, title = '') {
+    console.log('API: Uploading music track', { file: file.name, title });
+
+    const formData = new FormData();
+    formData.append('track', file);
+    formData.append('title', title);
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/music`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to upload track');
+      }
+
+      console.log('API: Music track added', data.track);
+      return data.track;
+    } catch (error) {
+      console.error('API: Music track upload failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Removes a track from the music library
+   * @param {string} trackId - Track identifier
+   * @returns {Promise<Object>} Response
+   */
+  async deleteTrack(trackId) {
+    console.log('API: Deleting music track', { trackId });
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/music/${trackId}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to delete track');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('API: Music track deletion failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Extracts the asset ID from a stable asset URL
+   * @param {string} url - Result URL
+   * @returns {string|null} Asset ID, or null for provider URLs
+   */
+  getAssetId(url) {
+    const match = /\/api\/assets\/([0-9a-f-]{36})/i.exec(url || '');
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Builds the URL of a brand logo file (for previews)
+   * @param {string} brandId - Brand identifier
+   * @param {string} logoId - Logo identifier
+   * @returns {string} Logo URL
+   */
+  getBrandLogoUrl(brandId, logoId) {
+    return `${this.baseURL}/api/brands/${brandId}/logos/${logoId}`;
+  },
+
+  /**
+   * Resolves a result URL for display
+   * Generated outputs are mirrored by the server and returned as stable relative
+   * /api/assets/:id URLs; provider URLs (from before mirroring) pass through unchanged
+   * @param {string} url - Result URL from a status update
+   * @returns {string} Absolute URL
+   */
+  resolveAssetUrl(url) {
+    return url && url.startsWith('/') ? `${this.baseURL}${url}` : url;
+  },
+
+  /**
+   * Builds the download link of a result URL
+   * Stored assets are sent as attachments; other URLs are linked directly
+   * @param {string} url - Result URL from a status update
+   * @returns {string} Download URL
+   */
+  getDownloadUrl(url) {
+    const resolved = this.resolveAssetUrl(url);
+    return url && url.startsWith('/api/assets/') ? `${resolved}?download=1` : resolved;
+  },
+
+  /**
+   * Builds the download URL of the subtitles of a captioned video
+   * @param {string} assetId - Asset ID of the finished video
+   * @param {string} format - Subtitle format (srt or vtt)
+   * @returns {string} Subtitle download URL
+   */
+  getSubtitleUrl(assetId, format) {
+    return `${this.baseURL}/api/assets/${assetId}/captions.${format}?download=1`;
+  },
+
   /**
    * Health check endpoint to verify API connectivity
    * @returns {Promise<Object>} Health check response
@@ -4,17 +4,62 @@
  * Handles user interactions and coordinates API calls with UI updates
  */
 
+// localStorage key of the generations still running, so a reload can pick them up again
+const ACTIVE_TASKS_KEY = 'virtuoso.activeTasks';
+
 // Application State
 const AppState = {
   logoFile: null,
   prototypeFile: null,
   colorScheme: '#00D4FF',
+  // Optional palette colors next to the primary colorScheme (null when unused)
+  paletteColors: { secondary: null, accent: null },
   imageStyle: 'realistic',
   orientation: 'landscape',
   videoContentStyle: 'showcase',
   generatedImageUrl: null,
   imageTaskId: null,
-  videoTaskId: null
+  // Version tree of the current image (original generation and its refinements)
+  imageVersions: null,
+  // Running refinement or regeneration of the current image
+  refineTaskId: null,
+  videoTaskId: null,
+  // Clip returned by the provider, before post-production
+  rawVideoUrl: null,
+  // Running post-production render
+  postProductionTaskId: null,
+  // Sequence mode (several shots stitched into one video)
+  sequenceMode: false,
+  sequenceShots: [],
+  // Storyboard mode (a saved, reusable scene plan rendered as a sequence)
+  storyboardMode: false,
+  storyboards: [],
+  storyboardId: null,
+  storyboardScenes: [],
+  storyboardTransition: null,
+  // Image the overlay editor composites onto (the clean generated image)
+  overlaySourceUrl: null,
+  // Point (fractions of the image) that platform export crops are centered on
+  exportFocalPoint: { x: 0.5, y: 0.5 },
+  // Compare mode (batch generation)
+  batchMode: false,
+  batchColors: [],
+  batchStyles: [],
+  batchOrientations: [],
+  batchId: null,
+  // Finished variations, offered as first frames of sequence shots
+  batchImages: [],
+  // Defaults from the style registry (GET /api/styles)
+  styleDefaults: { imageStyle: 'realistic', orientation: 'landscape', videoContentStyle: 'showcase' },
+  // Brand kits
+  brands: [],
+  brandId: null,
+  brandLogoId: null,
+  // Music library tracks offered in post-production
+  tracks: [],
+  // Project (campaign) new generations are saved to; created with the first generation
+  projectId: null,
+  projectName: null
 };
 
 /**
@@ -28,9 +73,19 @@ document.addEventListener('DOMContentLoaded', () => {
     .then(data => console.log('App: Backend API is healthy', data))
     .catch(err => console.warn('App: Backend API health check failed', err));
   
+  // Render style options from the registry, then load saved brand kits
+  loadStyles().then(() => loadBrands());
+  loadOverlayOptions();
+  loadExportOptions();
+  loadTracks();
+  loadSequenceOptions().then(() => loadStoryboards());
+  
   // Set up event listeners
   setupEventListeners();
   
+  // Pick up generations that were still running when the page was closed or reloaded
+  resumeActiveTasks();
+  
   console.log('App: Initialization complete');
 });
 
@@ -40,6 +95,10 @@ document.addEventListener('DOMContentLoaded', () => {
 function setupEventListeners() {
   console.log('App: Setting up event listeners');
   
+  // Project and history gallery
+  document.getElementById('historyBtn').addEventListener('click', handleToggleHistory);
+  document.getElementById('renameProjectBtn').addEventListener('click', handleRenameProject);
+  
   // File input listeners
   document.getElementById('logoInput').addEventListener('change', handleLogoUpload);
   document.getElementById('prototypeInput').addEventListener('change', handlePrototypeUpload);
@@ -51,29 +110,82 @@ function setupEventListeners() {
   // Color scheme listener
   document.getElementById('colorScheme').addEventListener('input', handleColorSchemeChange);
   
-  // Style selector listeners (chip buttons)
-  document.querySelectorAll('.style-chip').forEach(chip => {
-    chip.addEventListener('click', handleStyleChange);
+  // Palette editor listeners
+  document.querySelectorAll('.palette-add-btn').forEach(btn => {
+    btn.addEventListener('click', handleAddPaletteColor);
   });
-  
-  // Orientation toggle listeners
-  document.querySelectorAll('.orientation-btn').forEach(btn => {
-    btn.addEventListener('click', handleOrientationChange);
+  document.querySelectorAll('.palette-remove-btn').forEach(btn => {
+    btn.addEventListener('click', handleRemovePaletteColor);
+  });
+  document.querySelectorAll('.palette-input').forEach(input => {
+    input.addEventListener('input', handlePaletteColorChange);
   });
   
+  // Brand kit listeners
+  document.getElementById('brandSelect').addEventListener('change', handleBrandChange);
+  document.getElementById('saveBrandBtn').addEventListener('click', handleSaveBrand);
+  document.getElementById('deleteBrandBtn').addEventListener('click', handleDeleteBrand);
+  
+  // Compare mode listeners
+  document.getElementById('batchModeToggle').addEventListener('change', handleBatchModeToggle);
+  document.getElementById('addColorBtn').addEventListener('click', handleAddBatchColor);
+  
   // Generate image button
   document.getElementById('generateImageBtn').addEventListener('click', handleGenerateImage);
   
   // Image retry button
   document.getElementById('retryImageBtn').addEventListener('click', handleGenerateImage);
   
+  // Cancel the running image generation
+  document.getElementById('cancelImageBtn').addEventListener('click', handleCancelImage);
+  
+  // Image refinement
+  document.getElementById('refineImageBtn').addEventListener('click', handleRefineImage);
+  document.getElementById('refineInstruction').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      handleRefineImage();
+    }
+  });
+  document.getElementById('versionTree').addEventListener('click', handleSelectVersion);
+  
+  // Cancel the running refinement or regeneration
+  document.getElementById('cancelRefineBtn').addEventListener('click', handleCancelRefine);
+  
+  // Regenerate and variations
+  document.getElementById('regenerateImageBtn').addEventListener('click', handleRegenerateImage);
+  document.getElementById('variationsBtn').addEventListener('click', handleCreateVariations);
+  
   // Generate video button
   document.getElementById('generateVideoBtn').addEventListener('click', handleShowVideoConfig);
   
-  // Video content style listeners
-  document.querySelectorAll('.video-style-card').forEach(card => {
-    card.addEventListener('click', handleVideoStyleChange);
-  });
+  // Overlay editor
+  document.getElementById('overlayBtn').addEventListener('click', handleToggleOverlayEditor);
+  document.getElementById('overlayEditor').addEventListener('input', handleOverlayChange);
+  document.getElementById('applyOverlayBtn').addEventListener('click', handleApplyOverlay);
+  document.getElementById('resetOverlayBtn').addEventListener('click', handleResetOverlay);
+  
+  // Platform export
+  document.getElementById('exportBtn').addEventListener('click', handleToggleExportPanel);
+  document.getElementById('exportPack').addEventListener('change', (e) => UI.renderExportFormats(e.target.value));
+  document.getElementById('generatedImage').addEventListener('click', handleSetFocalPoint);
+  document.getElementById('downloadExportBtn').addEventListener('click', handleExportForPlatforms);
+  
+  // Sequence mode
+  document.getElementById('sequenceModeToggle').addEventListener('change', handleSequenceModeToggle);
+  document.getElementById('addShotBtn').addEventListener('click', handleAddShot);
+  document.getElementById('shotList').addEventListener('change', handleShotChange);
+  document.getElementById('shotList').addEventListener('click', handleRemoveShot);
+  document.getElementById('sequenceTransition').addEventListener('change', updateSequenceSummary);
+  
+  // Storyboard mode
+  document.getElementById('storyboardModeToggle').addEventListener('change', handleStoryboardModeToggle);
+  document.getElementById('storyboardSelect').addEventListener('change', handleStoryboardChange);
+  document.getElementById('saveStoryboardBtn').addEventListener('click', handleSaveStoryboard);
+  document.getElementById('deleteStoryboardBtn').addEventListener('click', handleDeleteStoryboard);
+  document.getElementById('addSceneBtn').addEventListener('click', handleAddScene);
+  document.getElementById('sceneList').addEventListener('change', handleSceneChange);
+  document.getElementById('sceneList').addEventListener('click', handleRemoveScene);
+  document.getElementById('storyboardTransition').addEventListener('change', handleStoryboardTransitionChange);
   
   // Start video generation button
   document.getElementById('startVideoBtn').addEventListener('click', handleGenerateVideo);
@@ -81,10 +193,66 @@ function setupEventListeners() {
   // Video retry button
   document.getElementById('retryVideoBtn').addEventListener('click', handleShowVideoConfig);
   
+  // Cancel the running video, sequence or storyboard render
+  document.getElementById('cancelVideoBtn').addEventListener('click', handleCancelVideo);
+  
+  // Video post-production
+  document.getElementById('postProductionBtn').addEventListener('click', handleTogglePostProduction);
+  document.getElementById('renderVideoBtn').addEventListener('click', handleRenderPostProduction);
+  document.getElementById('cancelPostProductionBtn').addEventListener('click', handleCancelPostProduction);
+  document.getElementById('showRawVideoBtn').addEventListener('click', () => UI.setResultVideo(AppState.rawVideoUrl));
+  
+  // Captions
+  document.getElementById('ppCaptionMode').addEventListener('change', (e) => UI.setCaptionMode(e.target.value));
+  document.getElementById('addCaptionLineBtn').addEventListener('click', handleAddCaptionLine);
+  document.getElementById('captionLines').addEventListener('click', handleRemoveCaptionLine);
+  
+  // Music library
+  document.getElementById('ppMusicTrack').addEventListener('change', handleTrackChange);
+  document.getElementById('uploadTrackBtn').addEventListener('click', () => document.getElementById('trackInput').click());
+  document.getElementById('trackInput').addEventListener('change', handleTrackUpload);
+  document.getElementById('deleteTrackBtn').addEventListener('click', handleDeleteTrack);
+  
   // Create new project button
   document.getElementById('createNewBtn').addEventListener('click', handleCreateNew);
 }
 
+/**
+ * Loads the style registry and renders the style, orientation and video style options
+ * Listeners are attached here because the options only exist once rendered
+ */
+async function loadStyles() {
+  try {
+    const registry = await API.getStyles();
+    
+    AppState.styleDefaults = registry.defaults;
+    AppState.imageStyle = registry.defaults.imageStyle;
+    AppState.orientation = registry.defaults.orientation;
+    AppState.videoContentStyle = registry.defaults.videoContentStyle;
+    UI.renderStyleRegistry(registry, AppState);
+    
+    // Style selector listeners (chip buttons)
+    document.querySelectorAll('.style-chip').forEach(chip => {
+      chip.addEventListener('click', handleStyleChange);
+    });
+    
+    // Orientation toggle listeners
+    document.querySelectorAll('.orientation-btn').forEach(btn => {
+      btn.addEventListener('click', handleOrientationChange);
+    });
+    
+    // Video content style listeners
+    document.querySelectorAll('.video-style-card').forEach(card => {
+      card.addEventListener('click', handleVideoStyleChange);
+    });
+    
+    console.log('App: Style registry loaded', registry.defaults);
+  } catch (error) {
+    console.error('App: Failed to load style registry', error);
+    alert('Could not load styles from the server. Please reload the page.');
+  }
+}
+
 /**
  * Handles logo file upload
  * @param {Event} event - File input change event
@@ -175,6 +343,7 @@ function handlePrototypeUpload(event) {
 function handleRemoveLogo() {
   console.log('App: Removing logo');
   AppState.logoFile = null;
+  AppState.brandLogoId = null;
   document.getElementById('logoInput').value = '';
   UI.hideImagePreview('logoPreview');
   checkGenerateButtonState();
@@ -191,6 +360,198 @@ function handleRemovePrototype() {
   checkGenerateButtonState();
 }
 
+/**
+ * Loads the saved brand kits into the brand selector
+ * @param {string|null} selectedId - Brand to keep selected
+ */
+async function loadBrands(selectedId = AppState.brandId) {
+  try {
+    AppState.brands = await API.listBrands();
+    UI.renderBrandOptions(AppState.brands, selectedId);
+    console.log('App: Brands loaded', { count: AppState.brands.length });
+  } catch (error) {
+    console.warn('App: Failed to load brands', error);
+  }
+}
+
+/**
+ * Handles brand selection
+ * Pre-fills the logo, color, styles and orientation from the brand kit
+ * @param {Event} event - Select change event
+ */
+function handleBrandChange(event) {
+  const brand = AppState.brands.find(b => b.id === event.target.value);
+  console.log('App: Brand changed', { brandId: brand ? brand.id : null });
+  
+  UI.setBrandSelected(!!brand);
+  
+  if (!brand) {
+    AppState.brandId = null;
+    if (AppState.brandLogoId) {
+      AppState.brandLogoId = null;
+      UI.hideImagePreview('logoPreview');
+    }
+    checkGenerateButtonState();
+    return;
+  }
+  
+  AppState.brandId = brand.id;
+  const palette = assignPaletteRoles(brand.palette);
+  const colorFor = (role) => {
+    const entry = palette.find(c => c.role === role);
+    return entry ? entry.hex : null;
+  };
+  AppState.colorScheme = colorFor('primary') || AppState.colorScheme;
+  AppState.paletteColors = { secondary: colorFor('secondary'), accent: colorFor('accent') };
+  AppState.imageStyle = brand.defaults.imageStyle;
+  AppState.orientation = brand.defaults.orientation;
+  AppState.videoContentStyle = brand.defaults.videoContentStyle;
+  UI.applySelections(AppState);
+  
+  // Compare mode starts from the brand's primary color
+  if (AppState.batchMode) {
+    AppState.batchColors = [AppState.colorScheme];
+    AppState.batchStyles = [AppState.imageStyle];
+    AppState.batchOrientations = [AppState.orientation];
+    UI.renderBatchColors(AppState.batchColors, handleRemoveBatchColor);
+    updateBatchSummary();
+  }
+  
+  // The brand logo replaces any uploaded logo
+  AppState.logoFile = null;
+  document.getElementById('logoInput').value = '';
+  AppState.brandLogoId = brand.defaultLogoId;
+  if (brand.defaultLogoId) {
+    UI.showImagePreview('logoPreview', 'logoPreviewImg', API.getBrandLogoUrl(brand.id, brand.defaultLogoId));
+  } else {
+    UI.hideImagePreview('logoPreview');
+  }
+  
+  checkGenerateButtonState();
+}
+
+/**
+ * Saves the current logo, color and selections as a new brand kit
+ */
+async function handleSaveBrand() {
+  const name = prompt('Brand name:');
+  
+  if (!name || !name.trim()) {
+    return;
+  }
+  
+  const palette = getPalette().map(entry => ({
+    ...entry,
+    name: entry.role.charAt(0).toUpperCase() + entry.role.slice(1)
+  }));
+  
+  try {
+    const brand = await API.createBrand(name.trim(), AppState.logoFile, palette, {
+      imageStyle: AppState.imageStyle,
+      orientation: AppState.orientation,
+      videoContentStyle: AppState.videoContentStyle
+    });
+    
+    console.log('App: Brand saved', { brandId: brand.id });
+    await loadBrands(brand.id);
+    
+    // Switch to the saved brand so later generations reuse its stored logo
+    handleBrandChange({ target: document.getElementById('brandSelect') });
+  } catch (error) {
+    console.error('App: Saving brand failed', error);
+    alert(error.message || 'Failed to save brand. Please try again.');
+  }
+}
+
+/**
+ * Deletes the selected brand kit
+ */
+async function handleDeleteBrand() {
+  const brand = AppState.brands.find(b => b.id === AppState.brandId);
+  
+  if (!brand || !confirm(`Delete brand "${brand.name}" and its saved logos?`)) {
+    return;
+  }
+  
+  try {
+    await API.deleteBrand(brand.id);
+    console.log('App: Brand deleted', { brandId: brand.id });
+    
+    const select = document.getElementById('brandSelect');
+    select.value = '';
+    handleBrandChange({ target: select });
+    await loadBrands(null);
+  } catch (error) {
+    console.error('App: Deleting brand failed', error);
+    alert(error.message || 'Failed to delete brand. Please try again.');
+  }
+}
+
+/**
+ * Gives brand colors roles the way the server does: explicit roles first,
+ * then primary, secondary and accent in palette order
+ * @param {Object[]} colors - Brand palette entries ({ name, hex, role? })
+ * @returns {Object[]} Entries with roles (extra colors are dropped)
+ */
+function assignPaletteRoles(colors) {
+  const free = ['primary', 'secondary', 'accent'].filter(role => !colors.some(c => c.role === role));
+  return colors
+    .map(c => (c.role ? c : { ...c, role: free.shift() }))
+    .filter(c => c.role);
+}
+
+/**
+ * Builds the palette sent with generation requests
+ * @returns {Object[]} Colors with roles, primary first
+ */
+function getPalette() {
+  const palette = [{ role: 'primary', hex: AppState.colorScheme.toUpperCase() }];
+  Object.entries(AppState.paletteColors).forEach(([role, hex]) => {
+    if (hex) {
+      palette.push({ role, hex: hex.toUpperCase() });
+    }
+  });
+  return palette;
+}
+
+/**
+ * Adds an optional palette color (secondary or accent)
+ * @param {Event} event - Click event on a palette add button
+ */
+function handleAddPaletteColor(event) {
+  const role = event.currentTarget.dataset.role;
+  const hex = document.getElementById(`${role}Color`).value.toUpperCase();
+  
+  AppState.paletteColors[role] = hex;
+  UI.setPaletteColor(role, hex);
+  console.log('App: Palette color added', { role, hex });
+}
+
+/**
+ * Removes an optional palette color
+ * @param {Event} event - Click event on a palette remove button
+ */
+function handleRemovePaletteColor(event) {
+  const role = event.currentTarget.dataset.role;
+  
+  AppState.paletteColors[role] = null;
+  UI.setPaletteColor(role, null);
+  console.log('App: Palette color removed', { role });
+}
+
+/**
+ * Handles changes to an optional palette color
+ * @param {Event} event - Color input change event
+ */
+function handlePaletteColorChange(event) {
+  const role = event.target.dataset.role;
+  const hex = event.target.value.toUpperCase();
+  
+  AppState.paletteColors[role] = hex;
+  document.getElementById(`${role}ColorValue`).textContent = hex;
+  console.log('App: Palette color changed', { role, hex });
+}
+
 /**
  * Handles color scheme changes
  * @param {Event} event - Color input change event
@@ -210,6 +571,13 @@ function handleStyleChange(event) {
   const chip = event.currentTarget;
   const style = chip.dataset.style;
   
+  // In compare mode chips toggle independently
+  if (AppState.batchMode) {
+    AppState.batchStyles = toggleBatchOption(AppState.batchStyles, style, chip);
+    updateBatchSummary();
+    return;
+  }
+  
   // Update state
   AppState.imageStyle = style;
   
@@ -230,6 +598,13 @@ function handleOrientationChange(event) {
   const btn = event.currentTarget;
   const orientation = btn.dataset.orientation;
   
+  // In compare mode orientations toggle independently
+  if (AppState.batchMode) {
+    AppState.batchOrientations = toggleBatchOption(AppState.batchOrientations, orientation, btn);
+    updateBatchSummary();
+    return;
+  }
+  
   // Update state
   AppState.orientation = orientation;
   
@@ -242,12 +617,106 @@ function handleOrientationChange(event) {
   console.log('App: Orientation changed', { orientation });
 }
 
+/**
+ * Handles switching compare mode on or off
+ * Compare mode starts from the current single selection
+ * @param {Event} event - Checkbox change event
+ */
+function handleBatchModeToggle(event) {
+  AppState.batchMode = event.target.checked;
+  console.log('App: Compare mode changed', { enabled: AppState.batchMode });
+  
+  if (AppState.batchMode) {
+    AppState.batchColors = [AppState.colorScheme];
+    AppState.batchStyles = [AppState.imageStyle];
+    AppState.batchOrientations = [AppState.orientation];
+    UI.renderBatchColors(AppState.batchColors, handleRemoveBatchColor);
+  } else {
+    // Restore single selection highlighting
+    document.querySelectorAll('.style-chip').forEach(c => {
+      c.classList.toggle('selected', c.dataset.style === AppState.imageStyle);
+    });
+    document.querySelectorAll('.orientation-btn').forEach(b => {
+      b.classList.toggle('selected', b.dataset.orientation === AppState.orientation);
+    });
+  }
+  
+  UI.setBatchMode(AppState.batchMode);
+  updateBatchSummary();
+}
+
+/**
+ * Toggles an option in a compare-mode selection list
+ * At least one option always stays selected
+ * @param {string[]} list - Current selection
+ * @param {string} value - Option to toggle
+ * @param {HTMLElement} element - Option element to highlight
+ * @returns {string[]} New selection
+ */
+function toggleBatchOption(list, value, element) {
+  if (list.includes(value)) {
+    if (list.length === 1) {
+      return list;
+    }
+    element.classList.remove('selected');
+    return list.filter(item => item !== value);
+  }
+  
+  element.classList.add('selected');
+  return [...list, value];
+}
+
+/**
+ * Adds the current picker color to the compare-mode colors
+ */
+function handleAddBatchColor() {
+  const color = document.getElementById('colorScheme').value.toUpperCase();
+  
+  if (!AppState.batchColors.map(c => c.toUpperCase()).includes(color)) {
+    AppState.batchColors.push(color);
+    UI.renderBatchColors(AppState.batchColors, handleRemoveBatchColor);
+    updateBatchSummary();
+  }
+  
+  console.log('App: Compare color added', { color, colors: AppState.batchColors });
+}
+
+/**
+ * Removes a color from the compare-mode colors
+ * At least one color always stays selected
+ * @param {string} color - Hex color code to remove
+ */
+function handleRemoveBatchColor(color) {
+  if (AppState.batchColors.length === 1) {
+    return;
+  }
+  
+  AppState.batchColors = AppState.batchColors.filter(c => c !== color);
+  UI.renderBatchColors(AppState.batchColors, handleRemoveBatchColor);
+  updateBatchSummary();
+}
+
+/**
+ * Updates the generate button label with the number of variations
+ */
+function updateBatchSummary() {
+  const label = document.querySelector('#generateImageBtn .btn-text');
+  
+  if (!AppState.batchMode) {
+    UI.setText(label, 'Generate Image');
+    return;
+  }
+  
+  const count = AppState.batchColors.length * AppState.batchStyles.length * AppState.batchOrientations.length;
+  UI.setText(label, `Generate ${count} Variation${count === 1 ? '' : 's'}`);
+}
+
 /**
  * Checks if generate button should be enabled
- * Enables button only when both files are selected
+ * Enables button only when a logo (uploaded or from the brand kit) and the prototype are selected
  */
 function checkGenerateButtonState() {
-  const canGenerate = AppState.logoFile && AppState.prototypeFile;
+  const canGenerate = (AppState.logoFile || AppState.brandLogoId) && AppState.prototypeFile;
   
   if (canGenerate) {
     UI.enableButton('generateImageBtn');
@@ -258,6 +727,14 @@ function checkGenerateButtonState() {
   }
 }
 
+/**
+ * Gets the brand kit reference sent with generation requests
+ * @returns {Object|null} { brandId, logoId } or null without a brand
+ */
+function getBrandSelection() {
+  return AppState.brandId ? { brandId: AppState.brandId, logoId: AppState.brandLogoId } : null;
+}
+
 /**
  * Handles image generation workflow
  */
@@ -265,11 +742,16 @@ async function handleGenerateImage() {
   console.log('App: Starting image generation workflow');
   
   // Validate state
-  if (!AppState.logoFile || !AppState.prototypeFile) {
+  if ((!AppState.logoFile && !AppState.brandLogoId) || !AppState.prototypeFile) {
     alert('Please upload both logo and prototype images');
     return;
   }
   
+  // Compare mode generates a grid of variations instead
+  if (AppState.batchMode) {
+    return handleGenerateBatch();
+  }
+  
   try {
     // Disable generate button during processing
     UI.disableButton('generateImageBtn');
@@ -283,36 +765,27 @@ async function handleGenerateImage() {
     const initResult = await API.generateImage(
       AppState.logoFile,
       AppState.prototypeFile,
-      AppState.colorScheme,
+      getPalette(),
       AppState.imageStyle,
-      AppState.orientation
+      AppState.orientation,
+      getBrandSelection(),
+      await ensureProject()
     );
     
     // Store task ID
     AppState.imageTaskId = initResult.task_id;
     console.log('App: Image generation task started', { taskId: AppState.imageTaskId });
     
-    // Poll for completion
-    console.log('App: Polling for image completion');
-    const result = await API.pollImageStatus(
-      AppState.imageTaskId,
-      300000, // 5 minutes timeout
-      (status) => {
-        // Update UI with progress
-        UI.updateImageLoadingStatus(status);
-      }
-    );
-    
-    // Store generated image URL
-    AppState.generatedImageUrl = result.imageUrl;
-    
-    // Show result
-    UI.showImageResult(result.imageUrl);
-    console.log('App: Image generation completed successfully');
+    await followImageTask(AppState.imageTaskId);
     
   } catch (error) {
-    console.error('App: Image generation failed', error);
-    UI.showImageError(error.message || 'Failed to generate image. Please try again.');
+    if (error.cancelled) {
+      console.log('App: Image generation cancelled');
+      UI.showImageCancelled();
+    } else {
+      console.error('App: Image generation failed', error);
+      UI.showImageError(error.message || 'Failed to generate image. Please try again.');
+    }
   } finally {
     // Re-enable generate button
     UI.enableButton('generateImageBtn');
@@ -320,122 +793,1831 @@ async function handleGenerateImage() {
 }
 
 /**
- * Handles video content style selection
- * @param {Event} event - Click event on video style card
+ * Follows an image generation until it finishes, then shows the image
+ * The task is remembered while it runs, so a reload can resume it
+ * @param {string} taskId - Image task ID
  */
-function handleVideoStyleChange(event) {
-  const card = event.currentTarget;
-  const style = card.dataset.videoStyle;
+async function followImageTask(taskId) {
+  rememberActiveTask('image', { taskId, kind: 'image' });
+  UI.enableButton('cancelImageBtn');
   
-  // Update state
-  AppState.videoContentStyle = style;
+  console.log('App: Polling for image completion');
+  const result = await watchActiveTask('image', taskId, API.pollImageStatus(
+    taskId,
+    300000, // 5 minutes timeout
+    (status, update) => {
+      // Update UI with progress
+      UI.updateImageLoadingStatus(formatTaskStatus(status, update));
+    }
+  ));
   
-  // Update UI - remove selected class from all, add to clicked
-  document.querySelectorAll('.video-style-card').forEach(c => {
-    c.classList.remove('selected');
-  });
-  card.classList.add('selected');
+  // Store generated image URL
+  AppState.generatedImageUrl = result.imageUrl;
   
-  console.log('App: Video content style changed', { style });
+  // Show result
+  UI.showImageResult(result.imageUrl, result.aspectCheck);
+  loadVersionTree();
+  console.log('App: Image generation completed successfully', { aspectCheck: result.aspectCheck });
 }
 
 /**
- * Shows video configuration section
+ * Cancels the running image generation
+ * The status stream then reports CANCELLED, which ends followImageTask
  */
-function handleShowVideoConfig() {
-  console.log('App: Showing video configuration');
-  UI.showVideoConfig();
-  UI.scrollToSection('videoSection');
+async function handleCancelImage() {
+  if (!AppState.imageTaskId) {
+    return;
+  }
+  
+  console.log('App: Cancelling image generation', { taskId: AppState.imageTaskId });
+  
+  try {
+    UI.disableButton('cancelImageBtn');
+    UI.updateImageLoadingStatus('Cancelling...');
+    await API.cancelTask(AppState.imageTaskId);
+  } catch (error) {
+    // Usually the generation finished in the meantime; its result arrives as usual
+    console.error('App: Image cancellation failed', error);
+    UI.enableButton('cancelImageBtn');
+  }
 }
 
 /**
- * Handles video generation workflow
+ * Describes a task status for the loading states, with the queue position while the task waits
+ * for a free provider slot
+ * @param {string} status - Task status
+ * @param {Object} [update] - Full status update
+ * @returns {string} Status text, e.g. "queued, position 2"
  */
-async function handleGenerateVideo() {
-  console.log('App: Starting video generation workflow');
-  
-  // Validate that we have a generated image
-  if (!AppState.generatedImageUrl) {
-    alert('No generated image available. Please generate an image first.');
-    return;
+function formatTaskStatus(status, update) {
+  return update && update.queue ? `queued, position ${update.queue.position}` : status;
+}
+
+/**
+ * Gets the project generations are saved to, creating it on the first generation
+ * It is named after the prototype file; it can be renamed later
+ * @returns {Promise<string>} Project ID
+ */
+async function ensureProject() {
+  if (!AppState.projectId) {
+    const baseName = AppState.prototypeFile.name.replace(/\.[^.]+$/, '');
+    const project = await API.createProject(`${baseName} · ${new Date().toLocaleDateString()}`);
+    AppState.projectId = project.id;
+    AppState.projectName = project.name;
+    UI.setProject(project);
+    console.log('App: Project created', { projectId: project.id });
   }
+  return AppState.projectId;
+}
+
+/**
+ * Handles batch (compare mode) generation workflow
+ * Each variation fills its grid cell as soon as it finishes
+ */
+async function handleGenerateBatch() {
+  console.log('App: Starting batch generation workflow');
   
   try {
-    // Get user inputs
-    const duration = parseInt(document.getElementById('videoDuration').value);
-    const videoContentStyle = AppState.videoContentStyle;
-    const imageStyle = AppState.imageStyle; // Pass image style to align video with it
-    
-    console.log('App: Video generation parameters', { duration, videoContentStyle, imageStyle });
-    
-    // Disable start button during processing
-    UI.disableButton('startVideoBtn');
-    
-    // Show loading state
-    UI.showVideoLoading();
-    
-    // Initiate video generation
-    console.log('App: Calling API to generate video');
-    const initResult = await API.generateVideo(
-      AppState.generatedImageUrl,
-      duration,
-      videoContentStyle,
-      imageStyle
-    );
-    
-    // Store task ID
-    AppState.videoTaskId = initResult.task_id;
-    console.log('App: Video generation task started', { taskId: AppState.videoTaskId });
+    UI.disableButton('generateImageBtn');
     
-    // Poll for completion
-    console.log('App: Polling for video completion');
-    const result = await API.pollVideoStatus(
-      AppState.videoTaskId,
-      600000, // 10 minutes timeout
-      (status) => {
-        // Update UI with progress
-        UI.updateVideoLoadingStatus(status);
-      }
+    const batch = await API.generateImageBatch(
+      AppState.logoFile,
+      AppState.prototypeFile,
+      AppState.batchColors,
+      AppState.batchStyles,
+      AppState.batchOrientations,
+      getPalette().filter(entry => entry.role !== 'primary'),
+      getBrandSelection(),
+      await ensureProject()
     );
     
-    // Show result
-    UI.showVideoResult(result.videoUrl);
-    console.log('App: Video generation completed successfully');
+    await showBatch(batch);
     
   } catch (error) {
-    console.error('App: Video generation failed', error);
-    UI.showVideoError(error.message || 'Failed to generate video. Please try again.');
+    console.error('App: Batch generation failed', error);
+    alert(error.message || 'Failed to start batch generation. Please try again.');
   } finally {
-    // Re-enable start button
-    UI.enableButton('startVideoBtn');
+    UI.enableButton('generateImageBtn');
   }
 }
 
 /**
- * Handles creating a new project (reset application)
+ * Shows a started batch in the variations grid and follows it until every child finished
+ * @param {Object} batch - Batch description (batch_id, total, counts, children)
  */
-function handleCreateNew() {
-  console.log('App: Creating new project');
+async function showBatch(batch) {
+  AppState.batchId = batch.batch_id;
+  console.log('App: Batch started', { batchId: AppState.batchId, total: batch.total });
   
-  // Confirm with user
-  const confirmed = confirm('Are you sure you want to start a new project? Current progress will be lost.');
+  UI.showBatchGrid(batch.children, handleSelectBatchResult);
+  UI.scrollToSection('batchSection');
   
-  if (confirmed) {
-    // Reset application state
-    AppState.logoFile = null;
-    AppState.prototypeFile = null;
-    AppState.colorScheme = '#00D4FF';
-    AppState.imageStyle = 'realistic';
-    AppState.orientation = 'landscape';
-    AppState.videoContentStyle = 'showcase';
-    AppState.generatedImageUrl = null;
-    AppState.imageTaskId = null;
-    AppState.videoTaskId = null;
-    
-    // Reset UI
-    UI.resetApp();
-    
-    console.log('App: Application reset complete');
+  const updateSummary = (counts) => {
+    const finished = (counts.COMPLETED || 0) + (counts.FAILED || 0) + (counts.CANCELLED || 0);
+    UI.setBatchSummary(`${finished} of ${batch.total} variations finished`);
+  };
+  updateSummary(batch.counts);
+  
+  // One stream for the whole batch; each update fills its grid cell
+  const finished = await API.watchBatch(AppState.batchId, (update) => {
+    if (update.imageUrl) {
+      rememberBatchImage(batch.children, update);
+    }
+    UI.updateBatchCell(update.task_id, {
+      status: update.status,
+      imageUrl: update.imageUrl,
+      error: update.error,
+      aspectCheck: update.aspectCheck,
+      queue: update.queue
+    });
+  });
+  
+  // Fill any cell whose final update arrived with the closing batch event
+  finished.children.forEach(child => {
+    if (child.task_id) {
+      UI.updateBatchCell(child.task_id, child);
+    }
+  });
+  updateSummary(finished.counts);
+  console.log('App: Batch finished', { batchId: AppState.batchId, status: finished.status });
+}
+
+/**
+ * Records a finished variation so sequence shots can start from it
+ * @param {Object[]} children - Batch children (colorScheme, imageStyle, orientation, task_id)
+ * @param {Object} update - Child status update with its imageUrl
+ */
+function rememberBatchImage(children, update) {
+  const child = children.find(entry => entry.task_id === update.task_id);
+  if (!child || AppState.batchImages.some(image => image.url === update.imageUrl)) {
+    return;
+  }
+  AppState.batchImages.push({
+    url: update.imageUrl,
+    label: `${child.colorScheme} · ${child.imageStyle} · ${child.orientation}`
+  });
+}
+
+/**
+ * Handles choosing one variation from the grid to continue with
+ * @param {Object} child - Batch child (colorScheme, imageStyle, orientation, task_id)
+ * @param {string} imageUrl - URL of the generated variation
+ * @param {Object} aspectCheck - Aspect ratio verification of the variation, if any
+ */
+function handleSelectBatchResult(child, imageUrl, aspectCheck) {
+  console.log('App: Variation selected', { taskId: child.task_id, imageUrl });
+  
+  AppState.generatedImageUrl = imageUrl;
+  AppState.imageTaskId = child.task_id;
+  AppState.imageStyle = child.imageStyle;
+  
+  UI.show('imageSection');
+  UI.showImageResult(imageUrl, aspectCheck);
+  UI.scrollToSection('imageSection');
+  loadVersionTree();
+}
+
+/**
+ * Loads and draws the version tree of the current image
+ */
+async function loadVersionTree() {
+  const assetId = API.getAssetId(AppState.generatedImageUrl);
+  if (!assetId) {
+    AppState.imageVersions = null;
+    UI.renderVersionTree(null);
+    return;
+  }
+  
+  try {
+    const { root } = await API.getImageVersions(assetId);
+    AppState.imageVersions = root;
+    UI.renderVersionTree(root, AppState.imageTaskId);
+  } catch (error) {
+    console.warn('App: Failed to load image versions', error);
+    AppState.imageVersions = null;
+    UI.renderVersionTree(null);
+  }
+}
+
+/**
+ * Finds a version in the version tree
+ * @param {Object} node - Version to search from
+ * @param {string} taskId - Task of the wanted version
+ * @returns {Object|null} Version or null if not in the tree
+ */
+function findVersion(node, taskId) {
+  if (!node || node.task_id === taskId) {
+    return node;
+  }
+  for (const child of node.children) {
+    const found = findVersion(child, taskId);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Refines the current image with the typed instruction and shows the new version
+ */
+async function handleRefineImage() {
+  const instruction = document.getElementById('refineInstruction').value.trim();
+  const assetId = API.getAssetId(AppState.generatedImageUrl);
+  if (!instruction) {
+    alert('Describe the change you want, e.g. "make the background warmer".');
+    return;
+  }
+  if (!assetId) {
+    alert('Refinement needs an image stored on the server. Please generate the image again.');
+    return;
+  }
+  
+  console.log('App: Refining image', { assetId, instruction });
+  
+  try {
+    UI.disableButton('refineImageBtn');
+    UI.setText('refineStatus', 'Refining...');
+    
+    const initResult = await API.refineImage(assetId, instruction);
+    loadVersionTree();
+    
+    await followImageVersion(initResult.task_id, 'refine');
+    document.getElementById('refineInstruction').value = '';
+    console.log('App: Image refinement completed', { taskId: initResult.task_id });
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('App: Image refinement cancelled');
+      UI.setText('refineStatus', 'Refinement cancelled.');
+    } else {
+      console.error('App: Image refinement failed', error);
+      UI.setText('refineStatus', `Refinement failed: ${error.message}`);
+    }
+  } finally {
+    UI.enableButton('refineImageBtn');
+    loadVersionTree();
+  }
+}
+
+/**
+ * Runs the current image's generation again with the same settings and seed
+ * With a seeded provider the same image comes back; otherwise a new take on the same settings
+ */
+async function handleRegenerateImage() {
+  if (!AppState.imageTaskId) {
+    return;
+  }
+  
+  console.log('App: Regenerating image', { taskId: AppState.imageTaskId });
+  
+  try {
+    UI.disableButton('regenerateImageBtn');
+    UI.setText('refineStatus', 'Regenerating...');
+    
+    const initResult = await API.regenerateJob(AppState.imageTaskId);
+    await followImageVersion(initResult.task_id, 'regenerate');
+    loadVersionTree();
+    console.log('App: Image regenerated', { taskId: initResult.task_id, from: initResult.regeneratedFrom });
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('App: Image regeneration cancelled');
+      UI.setText('refineStatus', 'Regeneration cancelled.');
+    } else {
+      console.error('App: Image regeneration failed', error);
+      UI.setText('refineStatus', `Regeneration failed: ${error.message}`);
+    }
+  } finally {
+    UI.enableButton('regenerateImageBtn');
+  }
+}
+
+/**
+ * Follows a refinement or regeneration of the current image until it finishes, then shows the new version
+ * The task is remembered while it runs, so a reload can resume it
+ * @param {string} taskId - Image task ID
+ * @param {string} kind - refine or regenerate (also the slot it is remembered in)
+ */
+async function followImageVersion(taskId, kind) {
+  const label = kind === 'refine' ? 'Refining...' : 'Regenerating...';
+  rememberActiveTask(kind, { taskId, kind });
+  AppState.refineTaskId = taskId;
+  UI.enableButton('cancelRefineBtn');
+  UI.show('cancelRefineBtn');
+  
+  let result;
+  try {
+    result = await watchActiveTask(kind, taskId, API.pollImageStatus(
+      taskId,
+      300000, // 5 minutes timeout
+      (status, update) => UI.setText('refineStatus', `${label} (${formatTaskStatus(status, update).toLowerCase()})`)
+    ));
+  } finally {
+    UI.hide('cancelRefineBtn');
+  }
+  
+  AppState.generatedImageUrl = result.imageUrl;
+  AppState.imageTaskId = taskId;
+  AppState.overlaySourceUrl = null;
+  UI.showImageResult(result.imageUrl, result.aspectCheck);
+  UI.setText('refineStatus', '');
+}
+
+/**
+ * Cancels the running refinement or regeneration
+ * The status stream then reports CANCELLED, which ends followImageVersion
+ */
+async function handleCancelRefine() {
+  if (!AppState.refineTaskId) {
+    return;
+  }
+  
+  console.log('App: Cancelling image refinement', { taskId: AppState.refineTaskId });
+  
+  try {
+    UI.disableButton('cancelRefineBtn');
+    UI.setText('refineStatus', 'Cancelling...');
+    await API.cancelTask(AppState.refineTaskId);
+  } catch (error) {
+    // Usually the refinement finished in the meantime; its result arrives as usual
+    console.error('App: Image refinement cancellation failed', error);
+    UI.enableButton('cancelRefineBtn');
+  }
+}
+
+/**
+ * Starts variations of the current image (same settings, new seeds) in the variations grid
+ */
+async function handleCreateVariations() {
+  if (!AppState.imageTaskId) {
+    return;
+  }
+  
+  const count = parseInt(document.getElementById('variationCount').value);
+  console.log('App: Creating variations', { taskId: AppState.imageTaskId, count });
+  
+  try {
+    UI.disableButton('variationsBtn');
+    UI.setText('refineStatus', '');
+    const batch = await API.createVariations(AppState.imageTaskId, count);
+    await showBatch(batch);
+  } catch (error) {
+    console.error('App: Variations failed', error);
+    UI.setText('refineStatus', `Variations failed: ${error.message}`);
+  } finally {
+    UI.enableButton('variationsBtn');
+  }
+}
+
+/**
+ * Shows the version clicked in the version tree; video, overlays and exports then use it
+ * @param {MouseEvent} e - Click event inside the version tree
+ */
+function handleSelectVersion(e) {
+  const button = e.target.closest('.version-node');
+  if (!button) {
+    return;
+  }
+  
+  const version = findVersion(AppState.imageVersions, button.dataset.taskId);
+  if (!version || !version.imageUrl) {
+    return;
+  }
+  
+  console.log('App: Version selected', { taskId: version.task_id });
+  AppState.generatedImageUrl = version.imageUrl;
+  AppState.imageTaskId = version.task_id;
+  AppState.overlaySourceUrl = null;
+  UI.showImageResult(version.imageUrl, version.aspectCheck);
+  UI.renderVersionTree(AppState.imageVersions, AppState.imageTaskId);
+}
+
+/**
+ * Loads the fonts and positions offered by the overlay editor
+ */
+async function loadOverlayOptions() {
+  try {
+    const options = await API.getOverlayOptions();
+    UI.renderOverlayOptions(options);
+    console.log('App: Overlay options loaded', { fonts: options.fonts.length });
+  } catch (error) {
+    console.warn('App: Failed to load overlay options', error);
+    UI.hide('overlayBtn');
+  }
+}
+
+/**
+ * Gets the logo shown in the overlay preview
+ * @returns {string|null} Brand logo URL, an object URL of the uploaded logo, or null
+ */
+function getOverlayLogoUrl() {
+  if (AppState.brandId && AppState.brandLogoId) {
+    return API.getBrandLogoUrl(AppState.brandId, AppState.brandLogoId);
+  }
+  return AppState.logoFile ? URL.createObjectURL(AppState.logoFile) : null;
+}
+
+/**
+ * Opens or closes the overlay editor for the current image
+ */
+async function handleToggleOverlayEditor() {
+  if (!UI.isHidden('overlayEditor')) {
+    UI.hide('overlayEditor');
+    return;
+  }
+  
+  if (!API.getAssetId(AppState.generatedImageUrl)) {
+    alert('Overlays need an image stored on the server. Please generate the image again.');
+    return;
+  }
+  
+  console.log('App: Opening overlay editor', { imageUrl: AppState.generatedImageUrl });
+  AppState.overlaySourceUrl = AppState.generatedImageUrl;
+  
+  const logoUrl = getOverlayLogoUrl();
+  UI.renderOverlayColors(getPalette());
+  UI.setOverlayLogoAvailable(!!logoUrl);
+  UI.show('overlayEditor');
+  
+  try {
+    await UI.loadOverlayPreview(API.resolveAssetUrl(AppState.overlaySourceUrl), logoUrl);
+    handleOverlayChange();
+  } catch (error) {
+    console.error('App: Failed to load overlay preview', error);
+  }
+}
+
+/**
+ * Redraws the overlay preview after any editor change
+ */
+function handleOverlayChange() {
+  UI.renderOverlayPreview(UI.getOverlayLayers(), getPalette());
+}
+
+/**
+ * Composites the editor's layers on the server and shows the new image
+ */
+async function handleApplyOverlay() {
+  const layers = UI.getOverlayLayers();
+  if (layers.length === 0) {
+    alert('Enable at least one layer with text, or the logo.');
+    return;
+  }
+  
+  console.log('App: Applying overlay', { layers });
+  
+  try {
+    UI.disableButton('applyOverlayBtn');
+    
+    const result = await API.applyOverlay(
+      API.getAssetId(AppState.overlaySourceUrl),
+      layers,
+      getPalette(),
+      getBrandSelection(),
+      AppState.logoFile
+    );
+    
+    UI.setResultImage(result.imageUrl);
+    console.log('App: Overlay applied', { imageUrl: result.imageUrl });
+  } catch (error) {
+    console.error('App: Overlay failed', error);
+    alert(`Failed to apply overlay: ${error.message}`);
+  } finally {
+    UI.enableButton('applyOverlayBtn');
+  }
+}
+
+/**
+ * Shows the image without overlays again
+ */
+function handleResetOverlay() {
+  UI.setResultImage(AppState.overlaySourceUrl || AppState.generatedImageUrl);
+}
+
+/**
+ * Loads the platform formats and packs offered by the export panel
+ */
+async function loadExportOptions() {
+  try {
+    const options = await API.getExportOptions();
+    UI.renderExportOptions(options);
+    console.log('App: Export formats loaded', { formats: options.formats.length, packs: options.packs.length });
+  } catch (error) {
+    console.warn('App: Failed to load export formats', error);
+    UI.hide('exportBtn');
+  }
+}
+
+/**
+ * Opens or closes the export panel for the current image
+ */
+function handleToggleExportPanel() {
+  if (!UI.isHidden('exportPanel')) {
+    UI.hide('exportPanel');
+    UI.setFocalPoint(null);
+    return;
+  }
+  
+  if (!API.getAssetId(UI.getResultImageUrl())) {
+    alert('Exports need an image stored on the server. Please generate the image again.');
+    return;
+  }
+  
+  console.log('App: Opening export panel', { imageUrl: UI.getResultImageUrl() });
+  UI.renderExportBackgrounds(getPalette());
+  UI.setFocalPoint(AppState.exportFocalPoint);
+  UI.show('exportPanel');
+}
+
+/**
+ * Moves the export focal point to where the result image was clicked
+ * @param {MouseEvent} e - Click event on the result image
+ */
+function handleSetFocalPoint(e) {
+  if (UI.isHidden('exportPanel')) {
+    return;
+  }
+  
+  const rect = e.target.getBoundingClientRect();
+  AppState.exportFocalPoint = {
+    x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+    y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+  };
+  UI.setFocalPoint(AppState.exportFocalPoint);
+  console.log('App: Focal point set', AppState.exportFocalPoint);
+}
+
+/**
+ * Renders the shown image into the selected platform sizes and downloads the ZIP
+ */
+async function handleExportForPlatforms() {
+  const imageUrl = UI.getResultImageUrl();
+  const settings = UI.getExportSettings();
+  
+  console.log('App: Exporting for platforms', { imageUrl, ...settings, focalPoint: AppState.exportFocalPoint });
+  
+  try {
+    UI.disableButton('downloadExportBtn');
+    UI.setText('exportHint', 'Rendering sizes...');
+    
+    const result = await API.exportForPlatforms(
+      API.getAssetId(imageUrl),
+      { ...settings, focalPoint: AppState.exportFocalPoint },
+      getPalette(),
+      getBrandSelection()
+    );
+    
+    const padded = result.manifest.files.filter(file => file.fit === 'pad').length;
+    UI.setText('exportHint', `${result.manifest.files.length} sizes exported (${padded} padded). Click the image to move the focal point.`);
+    window.location.href = API.resolveAssetUrl(result.downloadUrl);
+  } catch (error) {
+    console.error('App: Export failed', error);
+    UI.setText('exportHint', 'Click the image to set the focal point crops are centered on.');
+    alert(`Failed to export: ${error.message}`);
+  } finally {
+    UI.enableButton('downloadExportBtn');
+  }
+}
+
+/**
+ * Handles video content style selection
+ * @param {Event} event - Click event on video style card
+ */
+function handleVideoStyleChange(event) {
+  const card = event.currentTarget;
+  const style = card.dataset.videoStyle;
+  
+  // Update state
+  AppState.videoContentStyle = style;
+  
+  // Update UI - remove selected class from all, add to clicked
+  document.querySelectorAll('.video-style-card').forEach(c => {
+    c.classList.remove('selected');
+  });
+  card.classList.add('selected');
+  
+  console.log('App: Video content style changed', { style });
+}
+
+/**
+ * Shows video configuration section
+ */
+function handleShowVideoConfig() {
+  console.log('App: Showing video configuration');
+  UI.showVideoConfig();
+  
+  // The current image may have changed since the shots were set up
+  if (AppState.sequenceMode) {
+    renderSequenceEditor();
+  }
+  UI.scrollToSection('videoSection');
+}
+
+/**
+ * Loads the shot limits and transitions offered by the sequence editor
+ */
+async function loadSequenceOptions() {
+  try {
+    const options = await API.getSequenceOptions();
+    UI.renderSequenceOptions(options);
+    console.log('App: Sequence options loaded', { maxShots: options.maxShots });
+  } catch (error) {
+    console.warn('App: Failed to load sequence options', error);
+    UI.hide('sequenceModeConfig');
+    UI.hide('storyboardModeConfig');
+  }
+}
+
+/**
+ * Lists the images a sequence shot can start from
+ * @returns {Object[]} First frames ({ url, label }): the current image, then finished variations
+ */
+function getFrameOptions() {
+  const frames = AppState.generatedImageUrl ? [{ url: AppState.generatedImageUrl, label: 'Current image' }] : [];
+  AppState.batchImages.forEach(image => {
+    if (!frames.some(frame => frame.url === image.url)) {
+      frames.push(image);
+    }
+  });
+  return frames;
+}
+
+/**
+ * Re-renders the shot rows; shots whose first frame is gone start from the first available frame
+ */
+function renderSequenceEditor() {
+  const frames = getFrameOptions();
+  AppState.sequenceShots.forEach(shot => {
+    if (!frames.some(frame => frame.url === shot.imageUrl) && frames.length > 0) {
+      shot.imageUrl = frames[0].url;
+    }
+  });
+  
+  UI.renderShots(AppState.sequenceShots, frames);
+  updateSequenceSummary();
+}
+
+/**
+ * Shows the number of shots and the approximate length of the stitched video
+ */
+function updateSequenceSummary() {
+  const options = UI.sequenceOptions;
+  const defaultTransition = document.getElementById('sequenceTransition').value;
+  const shots = AppState.sequenceShots;
+  
+  // Every transition except a cut overlaps two shots
+  const overlap = shots.slice(0, -1).reduce((total, shot) => {
+    return total + ((shot.transition || defaultTransition) === 'cut' ? 0 : options.transitionDefaults.duration);
+  }, 0);
+  const length = shots.reduce((total, shot) => total + shot.duration, 0) - overlap;
+  
+  UI.setText('sequenceSummary', `${shots.length} shots · about ${Math.round(length)}s`);
+  document.getElementById('addShotBtn').disabled = shots.length >= options.maxShots;
+}
+
+/**
+ * Handles switching sequence mode on or off
+ * A new sequence starts with two shots of the current image and content style
+ * @param {Event} event - Checkbox change event
+ */
+function handleSequenceModeToggle(event) {
+  AppState.sequenceMode = event.target.checked;
+  console.log('App: Sequence mode changed', { enabled: AppState.sequenceMode });
+  
+  // Sequence and storyboard mode replace each other
+  if (AppState.sequenceMode && AppState.storyboardMode) {
+    document.getElementById('storyboardModeToggle').checked = false;
+    AppState.storyboardMode = false;
+    UI.setStoryboardMode(false);
+  }
+  
+  if (AppState.sequenceMode && AppState.sequenceShots.length === 0) {
+    const shot = {
+      imageUrl: AppState.generatedImageUrl,
+      videoContentStyle: AppState.videoContentStyle,
+      duration: UI.sequenceOptions.durations[0],
+      prompt: ''
+    };
+    AppState.sequenceShots = [{ ...shot }, { ...shot }];
+  }
+  
+  UI.setSequenceMode(AppState.sequenceMode);
+  if (AppState.sequenceMode) {
+    renderSequenceEditor();
+  }
+}
+
+/**
+ * Adds a shot that continues from the last one
+ */
+function handleAddShot() {
+  const last = AppState.sequenceShots[AppState.sequenceShots.length - 1];
+  AppState.sequenceShots.push({ ...last, prompt: '', transition: undefined });
+  renderSequenceEditor();
+  console.log('App: Shot added', { shots: AppState.sequenceShots.length });
+}
+
+/**
+ * Stores edits made in the shot rows
+ */
+function handleShotChange() {
+  AppState.sequenceShots = UI.getSequenceShots();
+  updateSequenceSummary();
+}
+
+/**
+ * Removes a shot when its remove button is clicked
+ * @param {MouseEvent} e - Click event inside the shot list
+ */
+function handleRemoveShot(e) {
+  const button = e.target.closest('.shot-remove');
+  if (!button) {
+    return;
+  }
+  
+  AppState.sequenceShots = UI.getSequenceShots();
+  AppState.sequenceShots.splice(parseInt(button.dataset.index), 1);
+  renderSequenceEditor();
+  console.log('App: Shot removed', { shots: AppState.sequenceShots.length });
+}
+
+/**
+ * Handles video generation workflow
+ */
+async function handleGenerateVideo() {
+  console.log('App: Starting video generation workflow');
+  
+  // Validate that we have a generated image
+  if (!AppState.generatedImageUrl) {
+    alert('No generated image available. Please generate an image first.');
+    return;
+  }
+  
+  // Sequence mode generates and stitches several shots instead
+  if (AppState.sequenceMode) {
+    await handleGenerateSequence();
+    return;
+  }
+  
+  // Storyboard mode renders the storyboard's scenes from the current image
+  if (AppState.storyboardMode) {
+    await handleRenderStoryboard();
+    return;
+  }
+  
+  try {
+    // Get user inputs
+    const duration = parseInt(document.getElementById('videoDuration').value);
+    const videoContentStyle = AppState.videoContentStyle;
+    const imageStyle = AppState.imageStyle; // Pass image style to align video with it
+    
+    console.log('App: Video generation parameters', { duration, videoContentStyle, imageStyle });
+    
+    // Disable start button during processing
+    UI.disableButton('startVideoBtn');
+    
+    // Show loading state
+    UI.showVideoLoading();
+    
+    // Initiate video generation
+    console.log('App: Calling API to generate video');
+    const initResult = await API.generateVideo(
+      AppState.generatedImageUrl,
+      duration,
+      videoContentStyle,
+      imageStyle
+    );
+    
+    // Store task ID
+    AppState.videoTaskId = initResult.task_id;
+    console.log('App: Video generation task started', { taskId: AppState.videoTaskId });
+    
+    await followVideoTask(AppState.videoTaskId);
+    
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('App: Video generation cancelled');
+      UI.showVideoCancelled();
+    } else {
+      console.error('App: Video generation failed', error);
+      UI.showVideoError(error.message || 'Failed to generate video. Please try again.');
+    }
+  } finally {
+    // Re-enable start button
+    UI.enableButton('startVideoBtn');
+  }
+}
+
+/**
+ * Follows a video generation until it finishes, then shows the video
+ * The task is remembered while it runs, so a reload can resume it
+ * @param {string} taskId - Video task ID
+ */
+async function followVideoTask(taskId) {
+  rememberActiveTask('video', { taskId, kind: 'video' });
+  UI.enableButton('cancelVideoBtn');
+  
+  console.log('App: Polling for video completion');
+  const result = await watchActiveTask('video', taskId, API.pollVideoStatus(
+    taskId,
+    600000, // 10 minutes timeout
+    (status, update) => {
+      // Update UI with progress
+      UI.updateVideoLoadingStatus(formatTaskStatus(status, update));
+    }
+  ));
+  
+  // Show result
+  AppState.rawVideoUrl = result.videoUrl;
+  UI.showVideoResult(result.videoUrl);
+  console.log('App: Video generation completed successfully');
+}
+
+/**
+ * Cancels the running video generation, sequence or storyboard render
+ * Cancelling a sequence also cancels the clips it is waiting for
+ */
+async function handleCancelVideo() {
+  if (!AppState.videoTaskId) {
+    return;
+  }
+  
+  console.log('App: Cancelling video generation', { taskId: AppState.videoTaskId });
+  
+  try {
+    UI.disableButton('cancelVideoBtn');
+    UI.updateVideoLoadingStatus('Cancelling...');
+    await API.cancelTask(AppState.videoTaskId);
+  } catch (error) {
+    // Usually the generation finished in the meantime; its result arrives as usual
+    console.error('App: Video cancellation failed', error);
+    UI.enableButton('cancelVideoBtn');
+  }
+}
+
+/**
+ * Handles sequence generation workflow
+ * Shows the status of every shot while the clips are generated, then the stitched video
+ */
+async function handleGenerateSequence() {
+  const shots = UI.getSequenceShots();
+  const transition = { type: document.getElementById('sequenceTransition').value };
+  
+  console.log('App: Starting sequence generation workflow', { shots, transition });
+  
+  try {
+    UI.showVideoLoading();
+    UI.updateVideoLoadingStatus('Submitting shots');
+    
+    const initResult = await API.generateSequence(shots, transition, AppState.imageStyle);
+    await followSequence(initResult);
+    console.log('App: Sequence generation completed successfully');
+    
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('App: Sequence generation cancelled');
+      UI.showVideoCancelled();
+    } else {
+      console.error('App: Sequence generation failed', error);
+      UI.showVideoError(error.message || 'Failed to generate sequence. Please try again.');
+    }
+  } finally {
+    UI.enableButton('startVideoBtn');
+  }
+}
+
+/**
+ * Follows a sequence task until its video is stitched
+ * Shows the status of every shot on the way, then the video
+ * @param {Object} initResult - Sequence task returned when it was started
+ */
+async function followSequence(initResult) {
+  const taskId = initResult.task_id;
+  AppState.videoTaskId = taskId;
+  UI.renderShotStatus(initResult.shots);
+  console.log('App: Sequence started', { taskId });
+  rememberActiveTask('video', { taskId, kind: 'sequence' });
+  UI.enableButton('cancelVideoBtn');
+  
+  const result = await watchActiveTask('video', taskId, API.pollSequence(
+    taskId,
+    1200000, // 20 minutes timeout
+    (status, update) => {
+      UI.updateVideoLoadingStatus(update.progress ? `${update.progress.step} (${update.progress.percent}%)` : status);
+      if (update.shots) {
+        UI.renderShotStatus(update.shots);
+      }
+    }
+  ));
+  
+  AppState.rawVideoUrl = result.videoUrl;
+  UI.showVideoResult(result.videoUrl);
+}
+
+/**
+ * Loads saved storyboards into the storyboard select
+ * @param {string|null} [selectedId] - Storyboard to keep selected
+ */
+async function loadStoryboards(selectedId = AppState.storyboardId) {
+  try {
+    AppState.storyboards = await API.listStoryboards();
+    UI.renderStoryboardOptions(AppState.storyboards, selectedId);
+    console.log('App: Storyboards loaded', { count: AppState.storyboards.length });
+  } catch (error) {
+    console.warn('App: Failed to load storyboards', error);
+    UI.hide('storyboardModeConfig');
+  }
+}
+
+/**
+ * Starts a new storyboard with two scenes in the current content style
+ */
+function startNewStoryboard() {
+  const scene = {
+    videoContentStyle: AppState.videoContentStyle,
+    duration: UI.sequenceOptions.durations[0],
+    cameraNotes: '',
+    overlayText: ''
+  };
+  
+  AppState.storyboardId = null;
+  AppState.storyboardScenes = [{ ...scene }, { ...scene }];
+  AppState.storyboardTransition = { ...UI.sequenceOptions.transitionDefaults };
+}
+
+/**
+ * Re-renders the scene rows and timeline of the storyboard editor
+ */
+function renderStoryboardEditor() {
+  document.getElementById('storyboardTransition').value = AppState.storyboardTransition.type;
+  UI.renderScenes(AppState.storyboardScenes);
+  updateStoryboardSummary();
+}
+
+/**
+ * Redraws the timeline and shows the number of scenes and the length of the spot
+ * Matches the server's timeline: every transition except a cut overlaps two scenes
+ */
+function updateStoryboardSummary() {
+  const options = UI.sequenceOptions;
+  const scenes = AppState.storyboardScenes;
+  
+  let start = 0;
+  const timeline = scenes.map((scene, index) => {
+    const transition = index < scenes.length - 1 ? (scene.transition || AppState.storyboardTransition) : null;
+    const timed = { ...scene, start: Math.round(start * 100) / 100 };
+    if (transition && transition.type !== 'cut') {
+      start -= transition.duration || options.transitionDefaults.duration;
+    }
+    start += scene.duration;
+    return timed;
+  });
+  const totalDuration = Math.round(start * 100) / 100;
+  
+  UI.renderStoryboardTimeline(timeline, totalDuration);
+  UI.setText('storyboardSummary', `${scenes.length} scenes · ${totalDuration}s`);
+  document.getElementById('addSceneBtn').disabled = scenes.length >= options.maxShots;
+}
+
+/**
+ * Handles switching storyboard mode on or off
+ * @param {Event} event - Checkbox change event
+ */
+function handleStoryboardModeToggle(event) {
+  AppState.storyboardMode = event.target.checked;
+  console.log('App: Storyboard mode changed', { enabled: AppState.storyboardMode });
+  
+  if (AppState.storyboardMode && AppState.sequenceMode) {
+    document.getElementById('sequenceModeToggle').checked = false;
+    AppState.sequenceMode = false;
+    UI.setSequenceMode(false);
+  }
+  
+  if (AppState.storyboardMode && AppState.storyboardScenes.length === 0) {
+    startNewStoryboard();
+  }
+  
+  UI.setStoryboardMode(AppState.storyboardMode);
+  if (AppState.storyboardMode) {
+    renderStoryboardEditor();
+  }
+}
+
+/**
+ * Handles storyboard selection: loads a saved storyboard into the editor, or starts a new one
+ * @param {Event} event - Select change event
+ */
+function handleStoryboardChange(event) {
+  const storyboard = AppState.storyboards.find(s => s.id === event.target.value);
+  console.log('App: Storyboard changed', { storyboardId: storyboard ? storyboard.id : null });
+  
+  if (storyboard) {
+    AppState.storyboardId = storyboard.id;
+    AppState.storyboardScenes = storyboard.scenes;
+    AppState.storyboardTransition = storyboard.transition;
+  } else {
+    startNewStoryboard();
+  }
+  
+  UI.toggle('deleteStoryboardBtn', !!storyboard);
+  renderStoryboardEditor();
+}
+
+/**
+ * Adds a scene that continues from the last one
+ */
+function handleAddScene() {
+  const last = AppState.storyboardScenes[AppState.storyboardScenes.length - 1];
+  AppState.storyboardScenes.push({ ...last, cameraNotes: '', overlayText: '', transition: undefined });
+  renderStoryboardEditor();
+  console.log('App: Scene added', { scenes: AppState.storyboardScenes.length });
+}
+
+/**
+ * Stores edits made in the scene rows
+ * The editor only picks transition types, so saved transition durations are kept while the type is unchanged
+ */
+function handleSceneChange() {
+  const previous = AppState.storyboardScenes;
+  AppState.storyboardScenes = UI.getStoryboardScenes().map((scene, index) => {
+    const saved = previous[index] && previous[index].transition;
+    return saved && scene.transition && saved.type === scene.transition.type ? { ...scene, transition: saved } : scene;
+  });
+  updateStoryboardSummary();
+}
+
+/**
+ * Removes a scene when its remove button is clicked
+ * @param {MouseEvent} e - Click event inside the scene list
+ */
+function handleRemoveScene(e) {
+  const button = e.target.closest('.shot-remove');
+  if (!button) {
+    return;
+  }
+  
+  handleSceneChange();
+  AppState.storyboardScenes.splice(parseInt(button.dataset.index), 1);
+  renderStoryboardEditor();
+  console.log('App: Scene removed', { scenes: AppState.storyboardScenes.length });
+}
+
+/**
+ * Handles a new default transition between scenes
+ * @param {Event} event - Select change event
+ */
+function handleStoryboardTransitionChange(event) {
+  AppState.storyboardTransition = { type: event.target.value };
+  updateStoryboardSummary();
+}
+
+/**
+ * Saves the storyboard in the editor: updates the selected one, or asks for a name and creates it
+ * @returns {Promise<Object|null>} Saved storyboard, or null if saving was cancelled or failed
+ */
+async function handleSaveStoryboard() {
+  const existing = AppState.storyboards.find(s => s.id === AppState.storyboardId);
+  const name = existing ? existing.name : prompt('Storyboard name:');
+  
+  if (!name || !name.trim()) {
+    return null;
+  }
+  
+  try {
+    const storyboard = await API.saveStoryboard(AppState.storyboardId, {
+      name: name.trim(),
+      transition: AppState.storyboardTransition,
+      scenes: AppState.storyboardScenes
+    });
+    
+    console.log('App: Storyboard saved', { storyboardId: storyboard.id });
+    AppState.storyboardId = storyboard.id;
+    AppState.storyboardScenes = storyboard.scenes;
+    AppState.storyboardTransition = storyboard.transition;
+    await loadStoryboards(storyboard.id);
+    return storyboard;
+  } catch (error) {
+    console.error('App: Saving storyboard failed', error);
+    alert(error.message || 'Failed to save storyboard. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Deletes the selected storyboard
+ */
+async function handleDeleteStoryboard() {
+  const storyboard = AppState.storyboards.find(s => s.id === AppState.storyboardId);
+  
+  if (!storyboard || !confirm(`Delete storyboard "${storyboard.name}"?`)) {
+    return;
+  }
+  
+  try {
+    await API.deleteStoryboard(storyboard.id);
+    console.log('App: Storyboard deleted', { storyboardId: storyboard.id });
+    
+    const select = document.getElementById('storyboardSelect');
+    select.value = '';
+    handleStoryboardChange({ target: select });
+    await loadStoryboards(null);
+  } catch (error) {
+    console.error('App: Deleting storyboard failed', error);
+    alert(error.message || 'Failed to delete storyboard. Please try again.');
+  }
+}
+
+/**
+ * Handles storyboard rendering workflow
+ * Renders run from the saved storyboard, so pending edits are saved first
+ */
+async function handleRenderStoryboard() {
+  const storyboard = await handleSaveStoryboard();
+  if (!storyboard) {
+    return;
+  }
+  
+  console.log('App: Starting storyboard render workflow', { storyboardId: storyboard.id });
+  
+  try {
+    UI.showVideoLoading();
+    UI.updateVideoLoadingStatus('Submitting scenes');
+    
+    const initResult = await API.renderStoryboard(storyboard.id, AppState.generatedImageUrl, AppState.imageStyle);
+    await followSequence(initResult);
+    console.log('App: Storyboard render completed successfully');
+    
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('App: Storyboard render cancelled');
+      UI.showVideoCancelled();
+    } else {
+      console.error('App: Storyboard render failed', error);
+      UI.showVideoError(error.message || 'Failed to render storyboard. Please try again.');
+    }
+  } finally {
+    UI.enableButton('startVideoBtn');
+  }
+}
+
+/**
+ * Opens or closes the post-production panel for the generated video
+ */
+function handleTogglePostProduction() {
+  if (!UI.isHidden('postProductionPanel')) {
+    UI.hide('postProductionPanel');
+    return;
+  }
+  
+  if (!API.getAssetId(AppState.rawVideoUrl)) {
+    alert('Post-production needs a video stored on the server. Please generate the video again.');
+    return;
+  }
+  
+  UI.show('postProductionPanel');
+}
+
+/**
+ * Adds a caption line starting where the last one ends
+ */
+function handleAddCaptionLine() {
+  const lines = UI.getCaptionLines();
+  const start = lines.length > 0 ? Math.max(...lines.map(line => line.end || 0)) : 0;
+  UI.addCaptionLine({ start, end: start + 2, text: '' });
+}
+
+/**
+ * Removes a caption line when its remove button is clicked
+ * @param {MouseEvent} e - Click event inside the caption lines
+ */
+function handleRemoveCaptionLine(e) {
+  const button = e.target.closest('.shot-remove');
+  if (button) {
+    button.closest('.caption-row').remove();
+  }
+}
+
+/**
+ * Renders the intro/end cards, watermark, captions and music onto the generated clip and shows the final video
+ */
+async function handleRenderPostProduction() {
+  const options = UI.getPostProductionSettings();
+  if (!options.intro && !options.outro && !options.watermark && !options.captions && !options.music) {
+    alert('Enable an intro card, the end card, the watermark, captions or music.');
+    return;
+  }
+  if (options.captions && (options.captions.lines ? options.captions.lines.length === 0 : !options.captions.tagline)) {
+    alert('Enter a caption tagline or at least one caption line.');
+    return;
+  }
+  if (options.music && !options.music.trackId) {
+    alert('Choose a music track or upload one.');
+    return;
+  }
+  
+  console.log('App: Starting post-production', options);
+  
+  try {
+    UI.disableButton('renderVideoBtn');
+    UI.setSubtitleLinks(null);
+    UI.updatePostProductionStatus('CREATED');
+    
+    const initResult = await API.startPostProduction(
+      API.getAssetId(AppState.rawVideoUrl),
+      options,
+      getPalette(),
+      getBrandSelection(),
+      AppState.logoFile
+    );
+    
+    await followPostProduction(initResult.task_id, !!options.captions);
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('App: Post-production cancelled');
+      UI.updatePostProductionStatus('CANCELLED');
+    } else {
+      console.error('App: Post-production failed', error);
+      UI.setText('postProductionStatus', '');
+      alert(`Failed to render the final video: ${error.message}`);
+    }
+  } finally {
+    UI.enableButton('renderVideoBtn');
+  }
+}
+
+/**
+ * Follows a post-production render until it finishes, then shows the final video
+ * The task is remembered while it runs, so a reload can resume it
+ * @param {string} taskId - Post-production task ID
+ * @param {boolean} withCaptions - Whether the render has captions, whose subtitle files are then linked
+ */
+async function followPostProduction(taskId, withCaptions) {
+  rememberActiveTask('postprocess', { taskId, kind: 'postprocess', withCaptions });
+  AppState.postProductionTaskId = taskId;
+  UI.enableButton('cancelPostProductionBtn');
+  UI.show('cancelPostProductionBtn');
+  
+  let result;
+  try {
+    result = await watchActiveTask('postprocess', taskId, API.pollPostProduction(
+      taskId,
+      600000, // 10 minutes timeout
+      (status, update) => UI.updatePostProductionStatus(status, update.progress && update.progress.percent)
+    ));
+  } finally {
+    UI.hide('cancelPostProductionBtn');
+  }
+  
+  UI.setResultVideo(result.videoUrl);
+  UI.setSubtitleLinks(withCaptions ? result.assetId : null);
+  UI.updatePostProductionStatus('COMPLETED');
+  console.log('App: Post-production completed', { videoUrl: result.videoUrl });
+}
+
+/**
+ * Cancels the running post-production render
+ * The status stream then reports CANCELLED, which ends followPostProduction
+ */
+async function handleCancelPostProduction() {
+  if (!AppState.postProductionTaskId) {
+    return;
+  }
+  
+  console.log('App: Cancelling post-production', { taskId: AppState.postProductionTaskId });
+  
+  try {
+    UI.disableButton('cancelPostProductionBtn');
+    UI.setText('postProductionStatus', 'Cancelling...');
+    await API.cancelTask(AppState.postProductionTaskId);
+  } catch (error) {
+    // Usually the render finished in the meantime; its result arrives as usual
+    console.error('App: Post-production cancellation failed', error);
+    UI.enableButton('cancelPostProductionBtn');
+  }
+}
+
+/**
+ * Loads the music library into the track picker
+ * @param {string|null} [selectedId] - Track to select afterwards
+ */
+async function loadTracks(selectedId = null) {
+  try {
+    AppState.tracks = await API.listTracks();
+    UI.renderTrackOptions(AppState.tracks, selectedId);
+    UI.setTrackPreview(AppState.tracks.find(track => track.id === selectedId) || null);
+    console.log('App: Music tracks loaded', { count: AppState.tracks.length });
+  } catch (error) {
+    console.warn('App: Failed to load music tracks', error);
+  }
+}
+
+/**
+ * Handles track selection: previews the track and turns music on
+ * @param {Event} event - Select change event
+ */
+function handleTrackChange(event) {
+  const track = AppState.tracks.find(t => t.id === event.target.value) || null;
+  console.log('App: Music track changed', { trackId: track ? track.id : null });
+  
+  UI.setTrackPreview(track);
+  document.getElementById('ppMusicEnabled').checked = !!track;
+}
+
+/**
+ * Adds the selected audio file to the music library and selects it
+ * @param {Event} event - File input change event
+ */
+async function handleTrackUpload(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  
+  if (!file) {
+    return;
+  }
+  
+  try {
+    UI.disableButton('uploadTrackBtn');
+    const track = await API.uploadTrack(file);
+    console.log('App: Music track uploaded', { trackId: track.id });
+    
+    await loadTracks(track.id);
+    document.getElementById('ppMusicEnabled').checked = true;
+  } catch (error) {
+    console.error('App: Uploading track failed', error);
+    alert(error.message || 'Failed to upload track. Please try again.');
+  } finally {
+    UI.enableButton('uploadTrackBtn');
+  }
+}
+
+/**
+ * Removes the selected track from the music library
+ */
+async function handleDeleteTrack() {
+  const track = AppState.tracks.find(t => t.id === document.getElementById('ppMusicTrack').value);
+  
+  if (!track || !confirm(`Delete track "${track.title}" from the music library?`)) {
+    return;
+  }
+  
+  try {
+    await API.deleteTrack(track.id);
+    console.log('App: Music track deleted', { trackId: track.id });
+    
+    document.getElementById('ppMusicEnabled').checked = false;
+    await loadTracks(null);
+  } catch (error) {
+    console.error('App: Deleting track failed', error);
+    alert(error.message || 'Failed to delete track. Please try again.');
+  }
+}
+
+/**
+ * Shows or hides the history gallery, loading the saved projects when shown
+ */
+function handleToggleHistory() {
+  UI.toggle('historySection');
+  if (!UI.isHidden('historySection')) {
+    loadProjects();
+    UI.scrollToSection('historySection');
+  }
+}
+
+/**
+ * Loads the saved projects into the history gallery
+ */
+async function loadProjects() {
+  try {
+    const projects = await API.listProjects();
+    UI.renderProjectGallery(projects, handleOpenProject, handleDeleteProject);
+    console.log('App: Projects loaded', { count: projects.length });
+  } catch (error) {
+    console.warn('App: Failed to load projects', error);
+    UI.setText('historySummary', `Could not load projects: ${error.message}`);
+  }
+}
+
+/**
+ * Reopens a project: its inputs are restored so new images can be generated, and its images
+ * and videos are listed to continue from
+ * @param {string} projectId - Project identifier
+ */
+async function handleOpenProject(projectId) {
+  console.log('App: Opening project', { projectId });
+  
+  try {
+    const project = await API.getProject(projectId);
+    AppState.projectId = project.id;
+    AppState.projectName = project.name;
+    UI.setProject(project);
+    UI.renderProjectDetail(project, handleSelectProjectImage);
+    
+    const inputs = project.inputs;
+    if (inputs) {
+      // The stored reference images are sent again like fresh uploads
+      const [logoFile, prototypeFile] = await Promise.all([
+        inputs.logo ? API.fetchAssetFile(inputs.logo.url, inputs.logo.name || 'logo') : null,
+        inputs.prototype ? API.fetchAssetFile(inputs.prototype.url, inputs.prototype.name || 'prototype') : null
+      ]);
+      AppState.logoFile = logoFile;
+      AppState.prototypeFile = prototypeFile;
+      AppState.brandId = null;
+      AppState.brandLogoId = null;
+      document.getElementById('brandSelect').value = '';
+      UI.setBrandSelected(false);
+      if (logoFile) {
+        UI.showImagePreview('logoPreview', 'logoPreviewImg', API.resolveAssetUrl(inputs.logo.url));
+      }
+      if (prototypeFile) {
+        UI.showImagePreview('prototypePreview', 'prototypePreviewImg', API.resolveAssetUrl(inputs.prototype.url));
+      }
+      
+      const colorFor = (role) => {
+        const entry = inputs.palette.find(c => c.role === role);
+        return entry ? entry.hex : null;
+      };
+      AppState.colorScheme = colorFor('primary') || AppState.colorScheme;
+      AppState.paletteColors = { secondary: colorFor('secondary'), accent: colorFor('accent') };
+      AppState.imageStyle = inputs.imageStyle;
+      AppState.orientation = inputs.orientation;
+      UI.applySelections(AppState);
+      checkGenerateButtonState();
+    }
+  } catch (error) {
+    console.error('App: Opening project failed', error);
+    alert(error.message || 'Failed to open project.');
+  }
+}
+
+/**
+ * Continues from an image of the opened project: it becomes the current image, so videos,
+ * refinements, overlays and exports start from it
+ * @param {Object} item - Project image ({ task_id, url, settings })
+ */
+function handleSelectProjectImage(item) {
+  console.log('App: Project image selected', { taskId: item.task_id });
+  
+  AppState.generatedImageUrl = item.url;
+  AppState.imageTaskId = item.task_id;
+  AppState.imageStyle = item.settings.imageStyle;
+  AppState.overlaySourceUrl = null;
+  
+  UI.show('imageSection');
+  UI.showImageResult(item.url, null);
+  UI.scrollToSection('imageSection');
+  loadVersionTree();
+}
+
+/**
+ * Renames the current project
+ */
+async function handleRenameProject() {
+  const name = prompt('Project name:', AppState.projectName || '');
+  if (!name || !name.trim() || !AppState.projectId) {
+    return;
+  }
+  
+  try {
+    const project = await API.renameProject(AppState.projectId, name.trim());
+    AppState.projectName = project.name;
+    UI.setProject(project);
+    if (!UI.isHidden('historySection')) {
+      loadProjects();
+    }
+  } catch (error) {
+    console.error('App: Renaming project failed', error);
+    alert(error.message || 'Failed to rename project.');
+  }
+}
+
+/**
+ * Deletes a project from the history gallery; its files stay in the job history
+ * @param {string} projectId - Project identifier
+ */
+async function handleDeleteProject(projectId) {
+  if (!confirm('Delete this project from the history?')) {
+    return;
+  }
+  
+  try {
+    await API.deleteProject(projectId);
+    if (projectId === AppState.projectId) {
+      AppState.projectId = null;
+      AppState.projectName = null;
+      UI.setProject(null);
+      UI.renderProjectDetail(null);
+    }
+    loadProjects();
+  } catch (error) {
+    console.error('App: Deleting project failed', error);
+    alert(error.message || 'Failed to delete project.');
+  }
+}
+
+/**
+ * Handles starting a new project; the current one stays saved and can be reopened from History
+ */
+function handleCreateNew() {
+  console.log('App: Creating new project');
+  
+  // Confirm with user
+  const confirmed = confirm('Start a new project? The current one stays available under History.');
+  
+  if (confirmed) {
+    // Reset application state
+    AppState.logoFile = null;
+    AppState.prototypeFile = null;
+    AppState.colorScheme = '#00D4FF';
+    AppState.paletteColors = { secondary: null, accent: null };
+    AppState.imageStyle = AppState.styleDefaults.imageStyle;
+    AppState.orientation = AppState.styleDefaults.orientation;
+    AppState.videoContentStyle = AppState.styleDefaults.videoContentStyle;
+    AppState.generatedImageUrl = null;
+    AppState.imageTaskId = null;
+    AppState.imageVersions = null;
+    AppState.refineTaskId = null;
+    AppState.videoTaskId = null;
+    AppState.rawVideoUrl = null;
+    AppState.postProductionTaskId = null;
+    AppState.sequenceMode = false;
+    AppState.sequenceShots = [];
+    AppState.storyboardMode = false;
+    AppState.storyboardId = null;
+    AppState.storyboardScenes = [];
+    AppState.storyboardTransition = null;
+    AppState.overlaySourceUrl = null;
+    AppState.exportFocalPoint = { x: 0.5, y: 0.5 };
+    AppState.batchMode = false;
+    AppState.batchColors = [];
+    AppState.batchStyles = [];
+    AppState.batchOrientations = [];
+    AppState.batchId = null;
+    AppState.batchImages = [];
+    AppState.brandId = null;
+    AppState.brandLogoId = null;
+    AppState.projectId = null;
+    AppState.projectName = null;
+    
+    // Reset UI
+    UI.resetApp(AppState.styleDefaults);
+    
+    console.log('App: Application reset complete');
+  }
+}
+
+/**
+ * Reads the generations remembered as still running
+ * @returns {Object} Tasks by slot (`image`, `video`, `refine`, `regenerate`, `postprocess`),
+ *   each { taskId, kind, settings, startedAt }
+ */
+function loadActiveTasks() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_TASKS_KEY)) || {};
+  } catch (error) {
+    console.warn('App: Ignoring unreadable active tasks', error);
+    return {};
+  }
+}
+
+/**
+ * Writes the generations remembered as still running
+ * @param {Object} tasks - Tasks by slot
+ */
+function saveActiveTasks(tasks) {
+  try {
+    if (Object.keys(tasks).length > 0) {
+      localStorage.setItem(ACTIVE_TASKS_KEY, JSON.stringify(tasks));
+    } else {
+      localStorage.removeItem(ACTIVE_TASKS_KEY);
+    }
+  } catch (error) {
+    // Storage may be full or disabled (private browsing); the task then just cannot be resumed
+    console.warn('App: Could not persist active tasks', error);
+  }
+}
+
+/**
+ * Remembers a running generation with the settings needed to show it again after a reload
+ * @param {string} slot - Which result the task fills (image, video, refine, regenerate or postprocess)
+ * @param {Object} task - { taskId, kind } (kind: the slot, or sequence in the video slot)
+ */
+function rememberActiveTask(slot, task) {
+  const tasks = loadActiveTasks();
+  tasks[slot] = {
+    ...task,
+    settings: {
+      projectId: AppState.projectId,
+      projectName: AppState.projectName,
+      generatedImageUrl: AppState.generatedImageUrl,
+      imageTaskId: AppState.imageTaskId,
+      rawVideoUrl: AppState.rawVideoUrl,
+      imageStyle: AppState.imageStyle,
+      orientation: AppState.orientation,
+      videoContentStyle: AppState.videoContentStyle
+    },
+    startedAt: new Date().toISOString()
+  };
+  saveActiveTasks(tasks);
+}
+
+/**
+ * Forgets a generation once it finished
+ * @param {string} slot - Which result the task fills
+ * @param {string} taskId - Task ID; a newer task in the same slot is kept
+ */
+function forgetActiveTask(slot, taskId) {
+  const tasks = loadActiveTasks();
+  if (tasks[slot] && tasks[slot].taskId === taskId) {
+    delete tasks[slot];
+    saveActiveTasks(tasks);
+  }
+}
+
+/**
+ * Waits for a remembered generation and forgets it once the server reports it finished
+ * A client timeout or a lost status stream leaves the task running on the server, so it stays
+ * remembered and the next page load picks it up again
+ * @param {string} slot - Slot the task is remembered in
+ * @param {string} taskId - Task ID
+ * @param {Promise<Object>} watching - Pending watch of the task's status
+ * @returns {Promise<Object>} Final status payload
+ */
+async function watchActiveTask(slot, taskId, watching) {
+  try {
+    const result = await watching;
+    forgetActiveTask(slot, taskId);
+    return result;
+  } catch (error) {
+    if (error.taskStatus) {
+      forgetActiveTask(slot, taskId);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restores the settings a remembered generation was started with
+ * @param {Object} settings - Settings saved by rememberActiveTask
+ */
+function restoreTaskSettings(settings) {
+  AppState.projectId = settings.projectId;
+  AppState.projectName = settings.projectName;
+  AppState.generatedImageUrl = settings.generatedImageUrl;
+  AppState.imageTaskId = settings.imageTaskId;
+  AppState.rawVideoUrl = settings.rawVideoUrl;
+  AppState.imageStyle = settings.imageStyle;
+  AppState.orientation = settings.orientation;
+  AppState.videoContentStyle = settings.videoContentStyle;
+  UI.setProject(settings.projectId ? { name: settings.projectName } : null);
+}
+
+/**
+ * Resumes the generations that were still running when the page was closed or reloaded
+ * The server kept working on them; only the page lost track of them
+ */
+function resumeActiveTasks() {
+  const resumers = {
+    image: resumeImageTask,
+    video: resumeVideoTask,
+    refine: resumeImageVersionTask,
+    regenerate: resumeImageVersionTask,
+    postprocess: resumePostProductionTask
+  };
+  
+  // Oldest first: each task restores the settings it started with, which a newer task then replaces
+  Object.entries(loadActiveTasks())
+    .filter(([slot]) => resumers[slot])
+    .sort(([, a], [, b]) => a.startedAt.localeCompare(b.startedAt))
+    .forEach(([slot, task]) => resumers[slot](task));
+}
+
+/**
+ * Shows the image a remembered task started from, as the current image
+ */
+function showRestoredImage() {
+  if (AppState.generatedImageUrl) {
+    UI.show('imageSection');
+    UI.showImageResult(AppState.generatedImageUrl);
+    loadVersionTree();
+  }
+}
+
+/**
+ * Resumes a remembered image generation: shows the loading state, then the image
+ * @param {Object} task - Remembered task ({ taskId, settings })
+ */
+async function resumeImageTask(task) {
+  console.log('App: Resuming image generation', { taskId: task.taskId, startedAt: task.startedAt });
+  restoreTaskSettings(task.settings);
+  AppState.imageTaskId = task.taskId;
+  
+  try {
+    UI.disableButton('generateImageBtn');
+    UI.showImageLoading();
+    UI.updateImageLoadingStatus('Resuming...');
+    UI.scrollToSection('imageSection');
+    await followImageTask(task.taskId);
+  } catch (error) {
+    if (error.cancelled) {
+      UI.showImageCancelled();
+    } else {
+      console.error('App: Resumed image generation failed', error);
+      UI.showImageError(error.message || 'Failed to generate image. Please try again.');
+    }
+  } finally {
+    UI.enableButton('generateImageBtn');
+  }
+}
+
+/**
+ * Resumes a remembered video or sequence: shows the image it started from and the video
+ * loading state, then the video
+ * @param {Object} task - Remembered task ({ taskId, kind, settings })
+ */
+async function resumeVideoTask(task) {
+  console.log('App: Resuming video generation', { taskId: task.taskId, kind: task.kind, startedAt: task.startedAt });
+  restoreTaskSettings(task.settings);
+  AppState.videoTaskId = task.taskId;
+  showRestoredImage();
+  
+  try {
+    UI.show('videoSection');
+    UI.showVideoLoading();
+    UI.updateVideoLoadingStatus('Resuming...');
+    UI.scrollToSection('videoSection');
+    if (task.kind === 'sequence') {
+      await followSequence({ task_id: task.taskId, shots: [] });
+    } else {
+      await followVideoTask(task.taskId);
+    }
+  } catch (error) {
+    if (error.cancelled) {
+      UI.showVideoCancelled();
+    } else {
+      console.error('App: Resumed video generation failed', error);
+      UI.showVideoError(error.message || 'Failed to generate video. Please try again.');
+    }
+  } finally {
+    UI.enableButton('startVideoBtn');
+  }
+}
+
+/**
+ * Resumes a remembered refinement or regeneration: shows the image it started from, then the new version
+ * @param {Object} task - Remembered task ({ taskId, kind, settings })
+ */
+async function resumeImageVersionTask(task) {
+  console.log('App: Resuming image version', { taskId: task.taskId, kind: task.kind, startedAt: task.startedAt });
+  restoreTaskSettings(task.settings);
+  showRestoredImage();
+  
+  const button = task.kind === 'refine' ? 'refineImageBtn' : 'regenerateImageBtn';
+  try {
+    UI.disableButton(button);
+    UI.setText('refineStatus', 'Resuming...');
+    UI.scrollToSection('imageSection');
+    await followImageVersion(task.taskId, task.kind);
+  } catch (error) {
+    const label = task.kind === 'refine' ? 'Refinement' : 'Regeneration';
+    if (error.cancelled) {
+      UI.setText('refineStatus', `${label} cancelled.`);
+    } else {
+      console.error('App: Resumed image version failed', error);
+      UI.setText('refineStatus', `${label} failed: ${error.message}`);
+    }
+  } finally {
+    UI.enableButton(button);
+    loadVersionTree();
+  }
+}
+
+/**
+ * Resumes a remembered post-production render: shows the image and the generated clip with the
+ * post-production panel, then the final video
+ * @param {Object} task - Remembered task ({ taskId, withCaptions, settings })
+ */
+async function resumePostProductionTask(task) {
+  console.log('App: Resuming post-production', { taskId: task.taskId, startedAt: task.startedAt });
+  restoreTaskSettings(task.settings);
+  showRestoredImage();
+  
+  try {
+    UI.disableButton('renderVideoBtn');
+    UI.show('videoSection');
+    UI.showVideoResult(AppState.rawVideoUrl);
+    UI.show('postProductionPanel');
+    UI.setText('postProductionStatus', 'Resuming...');
+    UI.scrollToSection('videoSection');
+    await followPostProduction(task.taskId, task.withCaptions);
+  } catch (error) {
+    if (error.cancelled) {
+      UI.updatePostProductionStatus('CANCELLED');
+    } else {
+      console.error('App: Resumed post-production failed', error);
+      UI.setText('postProductionStatus', '');
+      alert(`Failed to render the final video: ${error.message}`);
+    }
+  } finally {
+    UI.enableButton('renderVideoBtn');
   }
 }
 
@@ -30,11 +30,16 @@ const UI = {
   /**
    * Toggles element visibility
    * @param {string|HTMLElement} element - Element ID or HTMLElement
+   * @param {boolean} [visible] - Shows (true) or hides (false) the element instead of flipping it
    */
-  toggle(element) {
+  toggle(element, visible) {
     const el = typeof element === 'string' ? document.getElementById(element) : element;
     if (el) {
-      el.classList.toggle('hidden');
+      if (visible === undefined) {
+        el.classList.toggle('hidden');
+      } else {
+        el.classList.toggle('hidden', !visible);
+      }
     }
   },
 
@@ -87,10 +92,13 @@ const UI = {
    */
   showImageLoading() {
     console.log('UI: Showing image loading state');
+    this.hide('batchSection');
     this.show('imageSection');
     this.show('imageLoading');
     this.hide('imageResult');
     this.hide('imageError');
+    // Enabled once the task is known (see followImageTask)
+    this.disableButton('cancelImageBtn');
   },
 
   /**
@@ -105,21 +113,223 @@ const UI = {
   /**
    * Shows image generation result
    * @param {string} imageUrl - URL of the generated image
+   * @param {Object} aspectCheck - Aspect ratio verification of the output, if any
    */
-  showImageResult(imageUrl) {
+  showImageResult(imageUrl, aspectCheck = null) {
     console.log('UI: Showing image result', { imageUrl });
     
     this.hide('imageLoading');
     this.hide('imageError');
+    this.hide('overlayEditor');
+    this.hide('exportPanel');
+    this.setFocalPoint(null);
     this.show('imageResult');
     
+    this.setResultImage(imageUrl);
+    this.setAspectNote('aspectNote', aspectCheck);
+  },
+
+  /**
+   * Draws the version tree of the current image: the original and its refinements, nested under
+   * the version they were refined from. Hidden while the image has no refinements.
+   * @param {Object|null} root - Root version ({ task_id, status, instruction, imageUrl, children }), or null to hide the tree
+   * @param {string} [currentTaskId] - Task of the version shown in the result
+   */
+  renderVersionTree(root, currentTaskId = null) {
+    const tree = document.getElementById('versionTree');
+    tree.innerHTML = '';
+    this.toggle(tree, !!root && root.children.length > 0);
+    if (!root) {
+      return;
+    }
+
+    const renderNode = (node, number) => {
+      const item = document.createElement('div');
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `version-node${node.task_id === currentTaskId ? ' current' : ''}${node.status === 'CANCELLED' ? ' cancelled' : ''}`;
+      button.dataset.taskId = node.task_id;
+      button.disabled = !node.imageUrl;
+      button.title = node.instruction || 'Original generation';
+
+      if (node.imageUrl) {
+        const thumbnail = document.createElement('img');
+        thumbnail.src = API.resolveAssetUrl(node.imageUrl);
+        thumbnail.alt = '';
+        button.appendChild(thumbnail);
+      }
+
+      const label = document.createElement('span');
+      const state = node.status === 'COMPLETED' ? '' : ` (${node.status.toLowerCase()})`;
+      label.textContent = `${number} · ${node.instruction || 'Original'}${state}`;
+      button.appendChild(label);
+      item.appendChild(button);
+
+      if (node.children.length > 0) {
+        const children = document.createElement('div');
+        children.className = 'version-children';
+        node.children.forEach((child, index) => children.appendChild(renderNode(child, `${number}.${index + 1}`)));
+        item.appendChild(children);
+      }
+      return item;
+    };
+
+    tree.appendChild(renderNode(root, 'v1'));
+  },
+
+  /**
+   * Describes the aspect ratio verification of an output
+   * @param {Object} aspectCheck - { expected, actual, action, croppedTo, reason }
+   * @returns {string|null} Note for the user, or null when the ratio matched
+   */
+  describeAspectCheck(aspectCheck) {
+    if (!aspectCheck) {
+      return null;
+    }
+    switch (aspectCheck.action) {
+      case 'cropped':
+        return `Auto-cropped to ${aspectCheck.expected}: the model returned ${aspectCheck.actual}, cropped to ${aspectCheck.croppedTo}.`;
+      case 'flagged':
+        return `Flagged: the model returned ${aspectCheck.actual} instead of ${aspectCheck.expected}.${aspectCheck.reason ? ` ${aspectCheck.reason}` : ''}`;
+      case 'unverified':
+        return `Aspect ratio not verified${aspectCheck.reason ? `: ${aspectCheck.reason}` : ''}.`;
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Shows or hides an aspect ratio note
+   * @param {string|HTMLElement} element - Note element
+   * @param {Object} aspectCheck - Aspect ratio verification, or null
+   */
+  setAspectNote(element, aspectCheck) {
+    const el = typeof element === 'string' ? document.getElementById(element) : element;
+    const note = this.describeAspectCheck(aspectCheck);
+
+    el.textContent = note || '';
+    el.classList.toggle('warning', !!aspectCheck && aspectCheck.action === 'flagged');
+    if (note) {
+      this.show(el);
+    } else {
+      this.hide(el);
+    }
+  },
+
+  /**
+   * Sets the displayed result image and its download link
+   * @param {string} imageUrl - URL of the image to show
+   */
+  setResultImage(imageUrl) {
     // Set image source
     const img = document.getElementById('generatedImage');
-    img.src = imageUrl;
+    img.src = API.resolveAssetUrl(imageUrl);
     
     // Set download link
     const downloadBtn = document.getElementById('downloadImageBtn');
-    downloadBtn.href = imageUrl;
+    downloadBtn.href = API.getDownloadUrl(imageUrl);
+  },
+
+  /**
+   * Gets the URL of the image currently shown in the result view
+   * @returns {string} Image URL (the generated image or its overlay version)
+   */
+  getResultImageUrl() {
+    return document.getElementById('generatedImage').src;
+  },
+
+  /**
+   * Fills the pack select of the export panel
+   * @param {Object} options - Export options from GET /api/exports/formats
+   */
+  renderExportOptions(options) {
+    this.exportOptions = options;
+
+    const packSelect = document.getElementById('exportPack');
+    packSelect.innerHTML = '';
+    options.packs.forEach(pack => {
+      const option = document.createElement('option');
+      option.value = pack.id;
+      option.textContent = pack.label;
+      packSelect.appendChild(option);
+    });
+    packSelect.value = options.defaultPack;
+
+    this.renderExportFormats(options.defaultPack);
+  },
+
+  /**
+   * Lists the sizes of the selected export pack
+   * @param {string} packId - Selected pack
+   */
+  renderExportFormats(packId) {
+    const list = document.getElementById('exportFormatList');
+    list.innerHTML = '';
+
+    const pack = this.exportOptions && this.exportOptions.packs.find(item => item.id === packId);
+    if (!pack) {
+      return;
+    }
+    pack.formats.forEach(formatId => {
+      const format = this.exportOptions.formats.find(item => item.id === formatId);
+      const item = document.createElement('li');
+      item.textContent = `${format.label} · ${format.width}×${format.height}`;
+      item.title = format.platform;
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Fills the pad color select of the export panel with the current palette
+   * Defaults to the secondary color, the brand's background color
+   * @param {Object[]} palette - Colors with roles ({ role, hex })
+   */
+  renderExportBackgrounds(palette) {
+    const select = document.getElementById('exportBackground');
+    const choices = [
+      ...palette.map(entry => ({ value: entry.role, label: `Pad with ${entry.role} (${entry.hex})` })),
+      { value: '#FFFFFF', label: 'Pad with white' },
+      { value: '#000000', label: 'Pad with black' }
+    ];
+
+    select.innerHTML = '';
+    choices.forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+    select.value = palette.some(entry => entry.role === 'secondary') ? 'secondary' : '#FFFFFF';
+  },
+
+  /**
+   * Reads the export panel settings
+   * @returns {Object} { pack, fit, background }
+   */
+  getExportSettings() {
+    return {
+      pack: document.getElementById('exportPack').value,
+      fit: document.getElementById('exportFit').value,
+      background: document.getElementById('exportBackground').value
+    };
+  },
+
+  /**
+   * Shows the focal point marker on the result image
+   * @param {Object|null} point - { x, y } as fractions of the image, or null to hide the marker
+   */
+  setFocalPoint(point) {
+    const marker = document.getElementById('focalMarker');
+    document.querySelector('.image-display').classList.toggle('focal-picking', !!point);
+
+    if (!point) {
+      this.hide(marker);
+      return;
+    }
+    marker.style.left = `${point.x * 100}%`;
+    marker.style.top = `${point.y * 100}%`;
+    this.show(marker);
   },
 
   /**
@@ -133,9 +343,389 @@ const UI = {
     this.hide('imageResult');
     this.show('imageError');
     
+    document.getElementById('imageError').classList.remove('cancelled');
+    this.setText('imageErrorTitle', 'Generation Failed');
     this.setText('imageErrorMessage', errorMessage);
   },
 
+  /**
+   * Shows that the image generation was cancelled
+   * Uses the error panel in a neutral style, so the user can start again from it
+   */
+  showImageCancelled() {
+    console.log('UI: Showing image cancelled');
+    
+    this.showImageError('The generation was stopped and its result discarded.');
+    document.getElementById('imageError').classList.add('cancelled');
+    this.setText('imageErrorTitle', 'Generation Cancelled');
+  },
+
+  /**
+   * Fills the font and position selects of the overlay editor
+   * @param {Object} options - Overlay options from GET /api/overlays/options
+   */
+  renderOverlayOptions(options) {
+    this.overlayOptions = options;
+
+    document.querySelectorAll('.overlay-layer').forEach(row => {
+      const defaults = options.layerTypes[row.dataset.type] || {};
+
+      const fontSelect = row.querySelector('.overlay-font');
+      if (fontSelect) {
+        fontSelect.innerHTML = '';
+        options.fonts.forEach(font => {
+          const option = document.createElement('option');
+          option.value = font.id;
+          option.textContent = font.label;
+          fontSelect.appendChild(option);
+        });
+        fontSelect.value = defaults.font;
+      }
+
+      const positionSelect = row.querySelector('.overlay-position');
+      positionSelect.innerHTML = '';
+      Object.keys(options.positions).forEach(position => {
+        const option = document.createElement('option');
+        option.value = position;
+        option.textContent = position.replace('-', ' ');
+        positionSelect.appendChild(option);
+      });
+      positionSelect.value = positionSelect.dataset.default;
+    });
+
+    // Captions in post-production use the same fonts
+    const captionFont = document.getElementById('ppCaptionFont');
+    captionFont.innerHTML = '';
+    options.fonts.forEach(font => {
+      const option = document.createElement('option');
+      option.value = font.id;
+      option.textContent = font.label;
+      captionFont.appendChild(option);
+    });
+    captionFont.value = options.layerTypes.text.font;
+  },
+
+  /**
+   * Fills the color selects of the overlay editor with the current palette
+   * Keeps each select's choice when it is still available
+   * @param {Object[]} palette - Colors with roles ({ role, hex })
+   */
+  renderOverlayColors(palette) {
+    const choices = [
+      ...palette.map(entry => ({ value: entry.role, label: `${entry.role} (${entry.hex})` })),
+      { value: '#FFFFFF', label: 'White' },
+      { value: '#000000', label: 'Black' }
+    ];
+
+    document.querySelectorAll('.overlay-color, .overlay-background').forEach(select => {
+      const current = select.value || select.dataset.default;
+      select.innerHTML = '';
+      choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.value;
+        option.textContent = choice.label;
+        select.appendChild(option);
+      });
+      select.value = choices.some(choice => choice.value === current) ? current : choices[0].value;
+    });
+  },
+
+  /**
+   * Enables or disables the logo layer of the overlay editor
+   * @param {boolean} available - Whether a logo (brand or upload) is available
+   */
+  setOverlayLogoAvailable(available) {
+    const row = document.querySelector('.overlay-layer[data-layer="logo"]');
+    const checkbox = row.querySelector('.overlay-enabled');
+    checkbox.disabled = !available;
+    if (!available) {
+      checkbox.checked = false;
+    }
+    row.classList.toggle('disabled', !available);
+    this.setText('overlayHint', available ? '' : 'Upload a logo or select a brand kit to add a logo lockup.');
+  },
+
+  /**
+   * Reads the enabled layers from the overlay editor, in drawing order
+   * @returns {Object[]} Layers for POST /api/assets/:id/overlay
+   */
+  getOverlayLayers() {
+    const layers = [];
+
+    document.querySelectorAll('.overlay-layer').forEach(row => {
+      if (!row.querySelector('.overlay-enabled').checked) {
+        return;
+      }
+
+      const layer = {
+        type: row.dataset.type,
+        position: row.querySelector('.overlay-position').value
+      };
+      if (layer.type === 'logo') {
+        layer.width = parseFloat(row.querySelector('.overlay-width').value);
+      } else {
+        layer.text = row.querySelector('.overlay-text').value.trim();
+        layer.font = row.querySelector('.overlay-font').value;
+        layer.color = row.querySelector('.overlay-color').value;
+        if (!layer.text) {
+          return;
+        }
+      }
+      if (layer.type === 'cta') {
+        layer.background = row.querySelector('.overlay-background').value;
+      }
+      layers.push(layer);
+    });
+
+    // Logos go underneath the text layers
+    return layers.sort((a, b) => (b.type === 'logo') - (a.type === 'logo'));
+  },
+
+  /**
+   * Loads the images drawn by the overlay preview
+   * @param {string} imageUrl - URL of the image being edited
+   * @param {string|null} logoUrl - URL of the logo, if any
+   * @returns {Promise<void>} Resolves once the images are loaded
+   */
+  loadOverlayPreview(imageUrl, logoUrl) {
+    const load = (url) => new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Failed to load ${url}`));
+      img.src = url;
+    });
+
+    return Promise.all([load(imageUrl), logoUrl ? load(logoUrl).catch(() => null) : null])
+      .then(([base, logo]) => {
+        this.overlayImages = { base, logo };
+      });
+  },
+
+  /**
+   * Draws the overlay preview
+   * Mirrors the server's layout rules (services/overlays.js): sizes are fractions of the
+   * image, and each layer is aligned and clamped inside its safe area
+   * @param {Object[]} layers - Layers from getOverlayLayers()
+   * @param {Object[]} palette - Colors with roles, for palette color references
+   */
+  renderOverlayPreview(layers, palette) {
+    if (!this.overlayImages || !this.overlayOptions) {
+      return;
+    }
+
+    const { base, logo } = this.overlayImages;
+    const canvas = document.getElementById('overlayPreview');
+    const ctx = canvas.getContext('2d');
+    const width = base.naturalWidth || base.width;
+    const height = base.naturalHeight || base.height;
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(base, 0, 0, width, height);
+
+    const resolveColor = (value) => {
+      const entry = palette.find(color => color.role === value);
+      return entry ? entry.hex : value;
+    };
+    const place = (align, total, size, margin) => {
+      const aligned = { start: margin, center: (total - size) / 2, end: total - size - margin }[align];
+      return Math.max(margin, Math.min(aligned, total - size - margin));
+    };
+    const safeArea = this.overlayOptions.defaultSafeArea;
+
+    layers.forEach(layer => {
+      const [alignX, alignY] = this.overlayOptions.positions[layer.position];
+
+      if (layer.type === 'logo') {
+        if (!logo) {
+          return;
+        }
+        const logoWidth = Math.round(layer.width * width);
+        const logoHeight = Math.round(logoWidth * logo.naturalHeight / logo.naturalWidth);
+        const x = place(alignX, width, logoWidth, safeArea * width);
+        const y = place(alignY, height, logoHeight, safeArea * height);
+        ctx.globalAlpha = layer.opacity === undefined ? 1 : layer.opacity;
+        ctx.drawImage(logo, x, y, logoWidth, logoHeight);
+        ctx.globalAlpha = 1;
+        return;
+      }
+
+      const defaults = this.overlayOptions.layerTypes[layer.type];
+      const font = this.overlayOptions.fonts.find(item => item.id === layer.font) || this.overlayOptions.fonts[0];
+      const fontSize = Math.round(defaults.size * height);
+      const padding = layer.type === 'cta' ? Math.round(fontSize * defaults.padding) : 0;
+
+      ctx.font = `${font.weight} ${fontSize}px ${font.css}`;
+      ctx.textBaseline = 'top';
+      const metrics = ctx.measureText(layer.text);
+      const textWidth = metrics.width;
+      const textHeight = metrics.actualBoundingBoxDescent || fontSize;
+      const x = place(alignX, width, textWidth, safeArea * width + padding);
+      const y = place(alignY, height, textHeight, safeArea * height + padding);
+
+      if (layer.type === 'cta') {
+        ctx.fillStyle = resolveColor(layer.background);
+        ctx.fillRect(x - padding, y - padding, textWidth + padding * 2, textHeight + padding * 2);
+      }
+      ctx.fillStyle = resolveColor(layer.color);
+      ctx.fillText(layer.text, x, y);
+    });
+  },
+
+  /**
+   * Toggles the compare-mode controls (multi-color list and add button)
+   * @param {boolean} enabled - Whether compare mode is on
+   */
+  setBatchMode(enabled) {
+    console.log('UI: Setting compare mode', { enabled });
+    if (enabled) {
+      this.show('addColorBtn');
+      this.show('batchColorList');
+    } else {
+      this.hide('addColorBtn');
+      this.hide('batchColorList');
+    }
+  },
+
+  /**
+   * Renders the list of colors selected for comparison
+   * @param {string[]} colors - Hex color codes
+   * @param {Function} onRemove - Called with a color when its swatch is clicked
+   */
+  renderBatchColors(colors, onRemove) {
+    const list = document.getElementById('batchColorList');
+    list.innerHTML = '';
+
+    colors.forEach(color => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = 'color-swatch';
+      swatch.title = 'Remove color';
+
+      const dot = document.createElement('span');
+      dot.className = 'color-swatch-dot';
+      dot.style.background = color;
+
+      swatch.append(dot, color.toUpperCase());
+      swatch.addEventListener('click', () => onRemove(color));
+      list.appendChild(swatch);
+    });
+  },
+
+  /**
+   * Gets the display label of a style chip or orientation button
+   * @param {string} selector - CSS selector of the option element
+   * @param {string} fallback - Value to use when no element matches
+   * @returns {string} Visible label
+   */
+  getOptionLabel(selector, fallback) {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.trim() : fallback;
+  },
+
+  /**
+   * Shows the variations grid with a loading cell per batch child
+   * @param {Object[]} children - Batch children ({ task_id, colorScheme, imageStyle, orientation })
+   * @param {Function} onSelect - Called with a child, its image URL and aspect check when "Use This" is clicked
+   */
+  showBatchGrid(children, onSelect) {
+    console.log('UI: Showing variations grid', { count: children.length });
+
+    this.hide('imageSection');
+    this.show('batchSection');
+
+    const grid = document.getElementById('batchGrid');
+    grid.innerHTML = '';
+
+    children.forEach(child => {
+      const cell = document.createElement('div');
+      cell.className = 'batch-cell';
+      cell.dataset.taskId = child.task_id || '';
+
+      const media = document.createElement('div');
+      media.className = 'batch-cell-media';
+      media.textContent = 'Queued...';
+
+      const meta = document.createElement('div');
+      meta.className = 'batch-cell-meta';
+      const dot = document.createElement('span');
+      dot.className = 'color-swatch-dot';
+      dot.style.background = child.colorScheme;
+      const styleLabel = this.getOptionLabel(`.style-chip[data-style="${child.imageStyle}"]`, child.imageStyle);
+      const orientationLabel = this.getOptionLabel(`.orientation-btn[data-orientation="${child.orientation}"]`, child.orientation);
+      // Variations share their settings, so the seed tells them apart
+      const seedLabel = Number.isInteger(child.seed) ? ` · seed ${child.seed}` : '';
+      meta.append(dot, `${styleLabel} · ${orientationLabel}${seedLabel}`);
+
+      const useBtn = document.createElement('button');
+      useBtn.type = 'button';
+      useBtn.className = 'btn btn-secondary hidden';
+      useBtn.textContent = 'Use This';
+      useBtn.addEventListener('click', () => onSelect(
+        child,
+        useBtn.dataset.imageUrl,
+        useBtn.dataset.aspectCheck ? JSON.parse(useBtn.dataset.aspectCheck) : null
+      ));
+
+      const note = document.createElement('p');
+      note.className = 'batch-cell-note hidden';
+
+      cell.append(media, meta, note, useBtn);
+      grid.appendChild(cell);
+
+      if (!child.task_id) {
+        this.updateBatchCell(cell, { status: 'FAILED', error: child.error });
+      }
+    });
+  },
+
+  /**
+   * Updates one cell of the variations grid
+   * @param {string|HTMLElement} cellOrTaskId - Cell element or the task ID it shows
+   * @param {Object} update - { status, imageUrl, error, aspectCheck, queue }
+   */
+  updateBatchCell(cellOrTaskId, { status, imageUrl, error, aspectCheck, queue }) {
+    const cell = typeof cellOrTaskId === 'string'
+      ? document.querySelector(`.batch-cell[data-task-id="${cellOrTaskId}"]`)
+      : cellOrTaskId;
+    if (!cell) {
+      return;
+    }
+
+    const media = cell.querySelector('.batch-cell-media');
+    const useBtn = cell.querySelector('.btn');
+
+    if (imageUrl) {
+      media.classList.remove('failed');
+      media.innerHTML = '';
+      const img = document.createElement('img');
+      img.src = API.resolveAssetUrl(imageUrl);
+      img.alt = 'Generated variation';
+      media.appendChild(img);
+      useBtn.dataset.imageUrl = imageUrl;
+      useBtn.dataset.aspectCheck = aspectCheck ? JSON.stringify(aspectCheck) : '';
+      this.setAspectNote(cell.querySelector('.batch-cell-note'), aspectCheck);
+      this.show(useBtn);
+    } else if (status === 'CANCELLED') {
+      media.classList.add('cancelled');
+      media.textContent = 'Cancelled';
+    } else if (error || status === 'FAILED') {
+      media.classList.add('failed');
+      media.textContent = error || 'Generation failed';
+    } else if (queue) {
+      media.textContent = `Queued, position ${queue.position}`;
+    } else if (status) {
+      media.textContent = `Status: ${status}`;
+    }
+  },
+
+  /**
+   * Sets the summary line above the variations grid
+   * @param {string} text - Summary text
+   */
+  setBatchSummary(text) {
+    this.setText('batchSummary', text);
+  },
+
   /**
    * Shows video section with configuration form
    */
@@ -149,7 +739,13 @@ const UI = {
     
     // Reset button state
     this.enableButton('startVideoBtn');
-    this.setText(document.querySelector('#startVideoBtn .btn-text'), 'Generate Video');
+    let buttonText = 'Generate Video';
+    if (document.getElementById('storyboardModeToggle').checked) {
+      buttonText = 'Render Storyboard';
+    } else if (document.getElementById('sequenceModeToggle').checked) {
+      buttonText = 'Generate Sequence';
+    }
+    this.setText(document.querySelector('#startVideoBtn .btn-text'), buttonText);
   },
 
   /**
@@ -162,6 +758,9 @@ const UI = {
     this.show('videoLoading');
     this.hide('videoResult');
     this.hide('videoError');
+    this.hide('shotStatusList');
+    // Enabled once the task is known (see followVideoTask and followSequence)
+    this.disableButton('cancelVideoBtn');
     
     // Disable the generate button during loading
     this.disableButton('startVideoBtn');
@@ -177,6 +776,284 @@ const UI = {
     this.setText('videoLoadingText', `Status: ${status}`);
   },
 
+  /**
+   * Switches the video configuration between a single clip and a sequence of shots
+   * @param {boolean} enabled - Whether sequence mode is on
+   */
+  setSequenceMode(enabled) {
+    console.log('UI: Setting sequence mode', { enabled });
+    this.toggle('sequenceEditor', enabled);
+    this.toggle('videoStyleConfig', !enabled);
+    this.toggle('videoDurationConfig', !enabled);
+    this.hide('shotStatusList');
+    this.setText(document.querySelector('#startVideoBtn .btn-text'), enabled ? 'Generate Sequence' : 'Generate Video');
+  },
+
+  /**
+   * Fills the default transition selects of the sequence and storyboard editors
+   * @param {Object} options - Sequence options from GET /api/sequences/options
+   */
+  renderSequenceOptions(options) {
+    this.sequenceOptions = options;
+
+    ['sequenceTransition', 'storyboardTransition'].forEach(id => {
+      const select = document.getElementById(id);
+      select.innerHTML = '';
+      options.transitions.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = type;
+        select.appendChild(option);
+      });
+      select.value = options.transitionDefaults.type;
+    });
+  },
+
+  /**
+   * Creates a small select for the rows of the sequence and storyboard editors
+   * @param {string} className - Class identifying the field in its row
+   * @param {string} label - Accessible label
+   * @param {Array<Array>} choices - [value, label] pairs
+   * @param {*} value - Selected value
+   * @returns {HTMLSelectElement} Select element
+   */
+  createSelect(className, label, choices, value) {
+    const select = document.createElement('select');
+    select.className = `overlay-select ${className}`;
+    select.setAttribute('aria-label', label);
+    choices.forEach(([optionValue, optionLabel]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionLabel;
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  },
+
+  /**
+   * Renders one editable row per shot
+   * @param {Object[]} shots - Shots ({ imageUrl, videoContentStyle, duration, prompt, transition })
+   * @param {Object[]} frames - First frames to choose from ({ url, label })
+   */
+  renderShots(shots, frames) {
+    const list = document.getElementById('shotList');
+    list.innerHTML = '';
+
+    shots.forEach((shot, index) => {
+      const row = document.createElement('div');
+      row.className = 'shot-row';
+
+      const label = document.createElement('span');
+      label.className = 'shot-label';
+      label.textContent = `Shot ${index + 1}`;
+
+      const frame = this.createSelect('shot-frame', 'First frame', frames.map(entry => [entry.url, entry.label]), shot.imageUrl);
+      const style = this.createSelect('shot-style', 'Content style',
+        (this.videoStyles || []).map(entry => [entry.id, entry.label]), shot.videoContentStyle);
+      const duration = this.createSelect('shot-duration', 'Duration',
+        this.sequenceOptions.durations.map(seconds => [seconds, `${seconds}s`]), shot.duration);
+
+      const prompt = document.createElement('input');
+      prompt.type = 'text';
+      prompt.className = 'overlay-input shot-prompt';
+      prompt.placeholder = 'Shot direction (optional)';
+      prompt.maxLength = this.sequenceOptions.promptLimit;
+      prompt.value = shot.prompt || '';
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'shot-remove';
+      remove.dataset.index = index;
+      remove.title = 'Remove shot';
+      remove.textContent = '×';
+      remove.disabled = shots.length <= 2;
+
+      row.append(label, frame, style, duration, prompt, remove);
+
+      // The transition leads into the next shot, so the last shot has none
+      if (index < shots.length - 1) {
+        row.appendChild(this.createSelect('shot-transition', 'Transition to the next shot',
+          [['', 'default transition'], ...this.sequenceOptions.transitions.map(type => [type, `then ${type}`])],
+          shot.transition || ''));
+      }
+
+      list.appendChild(row);
+    });
+  },
+
+  /**
+   * Reads the shot rows of the sequence editor
+   * @returns {Object[]} Shots ({ imageUrl, videoContentStyle, duration, prompt, transition? })
+   */
+  getSequenceShots() {
+    return Array.from(document.querySelectorAll('#shotList .shot-row')).map(row => {
+      const transition = row.querySelector('.shot-transition');
+      return {
+        imageUrl: row.querySelector('.shot-frame').value,
+        videoContentStyle: row.querySelector('.shot-style').value,
+        duration: parseInt(row.querySelector('.shot-duration').value),
+        prompt: row.querySelector('.shot-prompt').value.trim(),
+        ...(transition && transition.value && { transition: transition.value })
+      };
+    });
+  },
+
+  /**
+   * Shows the status of every shot while a sequence is generated
+   * @param {Object[]} shots - Shot status ({ index, status, error }) from the sequence task
+   */
+  renderShotStatus(shots) {
+    const list = document.getElementById('shotStatusList');
+    list.innerHTML = '';
+
+    shots.forEach(shot => {
+      const item = document.createElement('li');
+      item.className = `shot-status ${shot.status.toLowerCase()}`;
+      const status = shot.queue ? `QUEUED (position ${shot.queue.position})` : shot.status;
+      item.textContent = `Shot ${shot.index + 1}: ${shot.error ? `${status} (${shot.error})` : status}`;
+      list.appendChild(item);
+    });
+
+    this.show(list);
+  },
+
+  /**
+   * Switches the video configuration to the storyboard editor
+   * @param {boolean} enabled - Whether storyboard mode is on
+   */
+  setStoryboardMode(enabled) {
+    console.log('UI: Setting storyboard mode', { enabled });
+    this.toggle('storyboardEditor', enabled);
+    this.toggle('videoStyleConfig', !enabled);
+    this.toggle('videoDurationConfig', !enabled);
+    this.hide('shotStatusList');
+    this.setText(document.querySelector('#startVideoBtn .btn-text'), enabled ? 'Render Storyboard' : 'Generate Video');
+  },
+
+  /**
+   * Renders the storyboard select
+   * @param {Object[]} storyboards - Saved storyboards
+   * @param {string|null} selectedId - Selected storyboard (null for a new one)
+   */
+  renderStoryboardOptions(storyboards, selectedId) {
+    const select = document.getElementById('storyboardSelect');
+    select.innerHTML = '';
+
+    const blank = document.createElement('option');
+    blank.value = '';
+    blank.textContent = 'New storyboard';
+    select.appendChild(blank);
+
+    storyboards.forEach(storyboard => {
+      const option = document.createElement('option');
+      option.value = storyboard.id;
+      option.textContent = `${storyboard.name} (${storyboard.scenes.length} scenes)`;
+      select.appendChild(option);
+    });
+
+    select.value = selectedId || '';
+    this.toggle('deleteStoryboardBtn', !!selectedId);
+  },
+
+  /**
+   * Renders one editable row per storyboard scene
+   * @param {Object[]} scenes - Scenes ({ videoContentStyle, duration, cameraNotes, overlayText, transition })
+   */
+  renderScenes(scenes) {
+    const list = document.getElementById('sceneList');
+    list.innerHTML = '';
+
+    scenes.forEach((scene, index) => {
+      const row = document.createElement('div');
+      row.className = 'shot-row scene-row';
+
+      const label = document.createElement('span');
+      label.className = 'shot-label';
+      label.textContent = `Scene ${index + 1}`;
+
+      const style = this.createSelect('scene-style', 'Content style',
+        (this.videoStyles || []).map(entry => [entry.id, entry.label]), scene.videoContentStyle);
+      const duration = this.createSelect('scene-duration', 'Duration',
+        this.sequenceOptions.durations.map(seconds => [seconds, `${seconds}s`]), scene.duration);
+
+      const cameraNotes = document.createElement('input');
+      cameraNotes.type = 'text';
+      cameraNotes.className = 'overlay-input shot-prompt scene-camera';
+      cameraNotes.placeholder = 'Camera notes (optional)';
+      cameraNotes.maxLength = this.sequenceOptions.promptLimit;
+      cameraNotes.value = scene.cameraNotes || '';
+
+      const overlayText = document.createElement('input');
+      overlayText.type = 'text';
+      overlayText.className = 'overlay-input shot-prompt scene-overlay';
+      overlayText.placeholder = 'Overlay text (optional)';
+      overlayText.maxLength = this.sequenceOptions.overlayTextLimit;
+      overlayText.value = scene.overlayText || '';
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'shot-remove';
+      remove.dataset.index = index;
+      remove.title = 'Remove scene';
+      remove.textContent = '×';
+      remove.disabled = scenes.length <= 2;
+
+      row.append(label, style, duration, cameraNotes, overlayText, remove);
+
+      // The transition leads into the next scene, so the last scene has none
+      if (index < scenes.length - 1) {
+        row.appendChild(this.createSelect('scene-transition', 'Transition to the next scene',
+          [['', 'default transition'], ...this.sequenceOptions.transitions.map(type => [type, `then ${type}`])],
+          (scene.transition && scene.transition.type) || ''));
+      }
+
+      list.appendChild(row);
+    });
+  },
+
+  /**
+   * Reads the scene rows of the storyboard editor
+   * @returns {Object[]} Scenes ({ videoContentStyle, duration, cameraNotes, overlayText, transition? })
+   */
+  getStoryboardScenes() {
+    return Array.from(document.querySelectorAll('#sceneList .scene-row')).map(row => {
+      const transition = row.querySelector('.scene-transition');
+      return {
+        videoContentStyle: row.querySelector('.scene-style').value,
+        duration: parseInt(row.querySelector('.scene-duration').value),
+        cameraNotes: row.querySelector('.scene-camera').value.trim(),
+        overlayText: row.querySelector('.scene-overlay').value.trim(),
+        ...(transition && transition.value && { transition: { type: transition.value } })
+      };
+    });
+  },
+
+  /**
+   * Draws the storyboard timeline: one block per scene, placed by its start time
+   * @param {Object[]} scenes - Scenes with `start` and `duration` in seconds
+   * @param {number} totalDuration - Length of the spot in seconds
+   */
+  renderStoryboardTimeline(scenes, totalDuration) {
+    const timeline = document.getElementById('storyboardTimeline');
+    timeline.innerHTML = '';
+
+    scenes.forEach((scene, index) => {
+      const block = document.createElement('div');
+      block.className = 'timeline-scene';
+      block.style.left = `${(scene.start / totalDuration) * 100}%`;
+      block.style.width = `${(scene.duration / totalDuration) * 100}%`;
+      block.title = scene.overlayText || scene.cameraNotes || '';
+      block.textContent = `${index + 1} · ${scene.start}s`;
+
+      const detail = document.createElement('span');
+      detail.textContent = scene.overlayText || scene.videoContentStyle;
+      block.appendChild(detail);
+
+      timeline.appendChild(block);
+    });
+  },
+
   /**
    * Shows video generation result
    * Keeps config visible so user can regenerate with different options
@@ -189,19 +1066,191 @@ const UI = {
     this.hide('videoLoading');
     this.hide('videoError');
     this.show('videoResult');
+    this.hide('postProductionPanel');
+    this.setSubtitleLinks(null);
+    
+    this.setResultVideo(videoUrl);
     
+    // Re-enable the generate button for regeneration
+    this.enableButton('startVideoBtn');
+    this.setText(document.querySelector('#startVideoBtn .btn-text'), 'Regenerate Video');
+  },
+
+  /**
+   * Sets the displayed result video and its download link
+   * @param {string} videoUrl - URL of the video to show
+   */
+  setResultVideo(videoUrl) {
     // Set video source
     const video = document.getElementById('generatedVideo');
-    video.src = videoUrl;
+    video.src = API.resolveAssetUrl(videoUrl);
     video.load(); // Reload video element
     
     // Set download link
     const downloadBtn = document.getElementById('downloadVideoBtn');
-    downloadBtn.href = videoUrl;
-    
-    // Re-enable the generate button for regeneration
-    this.enableButton('startVideoBtn');
-    this.setText(document.querySelector('#startVideoBtn .btn-text'), 'Regenerate Video');
+    downloadBtn.href = API.getDownloadUrl(videoUrl);
+  },
+
+  /**
+   * Fills the track select of the post-production panel
+   * @param {Object[]} tracks - Music library tracks
+   * @param {string|null} selectedId - Track to select
+   */
+  renderTrackOptions(tracks, selectedId) {
+    const select = document.getElementById('ppMusicTrack');
+    select.innerHTML = '';
+
+    const blank = document.createElement('option');
+    blank.value = '';
+    blank.textContent = tracks.length > 0 ? 'Choose a track' : 'No tracks yet, upload one';
+    select.appendChild(blank);
+
+    tracks.forEach(track => {
+      const option = document.createElement('option');
+      option.value = track.id;
+      option.textContent = [
+        track.title,
+        track.artist && `– ${track.artist}`,
+        track.duration && `(${Math.floor(track.duration / 60)}:${String(Math.round(track.duration % 60)).padStart(2, '0')})`
+      ].filter(Boolean).join(' ');
+      select.appendChild(option);
+    });
+
+    select.value = selectedId || '';
+  },
+
+  /**
+   * Loads the selected track into the preview player
+   * @param {Object|null} track - Selected track, or null to hide the player
+   */
+  setTrackPreview(track) {
+    const preview = document.getElementById('musicPreview');
+    preview.pause();
+
+    if (track) {
+      preview.src = API.resolveAssetUrl(track.url);
+      this.show(preview);
+      this.show('deleteTrackBtn');
+    } else {
+      preview.removeAttribute('src');
+      this.hide(preview);
+      this.hide('deleteTrackBtn');
+    }
+  },
+
+  /**
+   * Switches the caption row between an auto-timed tagline and timed lines
+   * @param {string} mode - tagline or lines
+   */
+  setCaptionMode(mode) {
+    this.toggle('ppCaptionTagline', mode === 'tagline');
+    this.toggle('captionLinesEditor', mode === 'lines');
+    if (mode === 'lines' && !document.querySelector('#captionLines .caption-row')) {
+      this.addCaptionLine({ start: 0, end: 2, text: '' });
+    }
+  },
+
+  /**
+   * Appends a timed caption line to the caption editor
+   * @param {Object} line - { start, end, text } with times in seconds of the clip
+   */
+  addCaptionLine(line) {
+    const list = document.getElementById('captionLines');
+    const row = document.createElement('div');
+    row.className = 'shot-row caption-row';
+
+    const createTime = (className, label, value) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = `overlay-input caption-time ${className}`;
+      input.min = '0';
+      input.step = '0.1';
+      input.setAttribute('aria-label', label);
+      input.value = value;
+      return input;
+    };
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.className = 'overlay-input shot-prompt caption-text';
+    text.placeholder = 'Caption text';
+    text.maxLength = 120;
+    text.value = line.text;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'shot-remove';
+    remove.title = 'Remove line';
+    remove.textContent = '×';
+
+    row.append(createTime('caption-start', 'Start (s)', line.start), createTime('caption-end', 'End (s)', line.end), text, remove);
+    list.appendChild(row);
+  },
+
+  /**
+   * Reads the timed caption lines of the caption editor
+   * @returns {Object[]} Lines ({ start, end, text }), empty ones skipped
+   */
+  getCaptionLines() {
+    return Array.from(document.querySelectorAll('#captionLines .caption-row'))
+      .map(row => ({
+        start: parseFloat(row.querySelector('.caption-start').value),
+        end: parseFloat(row.querySelector('.caption-end').value),
+        text: row.querySelector('.caption-text').value.trim()
+      }))
+      .filter(line => line.text);
+  },
+
+  /**
+   * Shows or hides the subtitle downloads of a finished video
+   * @param {string|null} assetId - Asset ID of the captioned video, or null to hide the links
+   */
+  setSubtitleLinks(assetId) {
+    this.toggle('subtitleLinks', !!assetId);
+    if (assetId) {
+      document.getElementById('downloadSrtBtn').href = API.getSubtitleUrl(assetId, 'srt');
+      document.getElementById('downloadVttBtn').href = API.getSubtitleUrl(assetId, 'vtt');
+    }
+  },
+
+  /**
+   * Reads the post-production panel into request options
+   * Unchecked sections are sent as false so the server skips them
+   * @returns {Object} { intro, outro, watermark, captions, music }
+   */
+  getPostProductionSettings() {
+    const isChecked = (id) => document.getElementById(id).checked;
+    const value = (id) => document.getElementById(id).value.trim();
+    const captionStyle = { font: value('ppCaptionFont'), position: value('ppCaptionPosition') };
+
+    return {
+      intro: isChecked('ppIntroEnabled') ? { title: value('ppIntroTitle') } : false,
+      outro: isChecked('ppOutroEnabled')
+        ? { duration: parseFloat(value('ppOutroDuration')), tagline: value('ppTagline'), cta: value('ppCta') }
+        : false,
+      watermark: isChecked('ppWatermarkEnabled') ? { position: value('ppWatermarkPosition') } : false,
+      captions: isChecked('ppCaptionsEnabled')
+        ? value('ppCaptionMode') === 'lines'
+          ? { lines: this.getCaptionLines(), ...captionStyle }
+          : { tagline: value('ppCaptionTagline'), ...captionStyle }
+        : false,
+      music: isChecked('ppMusicEnabled') ? { trackId: value('ppMusicTrack') } : false
+    };
+  },
+
+  /**
+   * Shows the render state below the post-production panel
+   * @param {string} status - Job status (CREATED, PROCESSING, ...)
+   * @param {number} progress - Render progress in percent, if known
+   */
+  updatePostProductionStatus(status, progress) {
+    const messages = {
+      'CREATED': 'Queued for rendering...',
+      'PROCESSING': typeof progress === 'number' ? `Rendering... ${progress}%` : 'Rendering...',
+      'COMPLETED': 'Final video ready.',
+      'CANCELLED': 'Render cancelled.'
+    };
+    this.setText('postProductionStatus', messages[status] || '');
   },
 
   /**
@@ -217,6 +1266,8 @@ const UI = {
     this.hide('videoResult');
     this.show('videoError');
     
+    document.getElementById('videoError').classList.remove('cancelled');
+    this.setText('videoErrorTitle', 'Generation Failed');
     this.setText('videoErrorMessage', errorMessage);
     
     // Re-enable the generate button for retry
@@ -224,23 +1275,387 @@ const UI = {
     this.setText(document.querySelector('#startVideoBtn .btn-text'), 'Try Again');
   },
 
+  /**
+   * Shows that the video generation was cancelled
+   * Keeps config visible so user can start again
+   */
+  showVideoCancelled() {
+    console.log('UI: Showing video cancelled');
+    
+    this.showVideoError('The generation was stopped and its result discarded.');
+    document.getElementById('videoError').classList.add('cancelled');
+    this.setText('videoErrorTitle', 'Generation Cancelled');
+    this.setText(document.querySelector('#startVideoBtn .btn-text'), 'Generate Again');
+  },
+
+  /**
+   * Renders the style chips, orientation buttons and video style cards from the style registry
+   * @param {Object} registry - { imageStyles, orientations, videoStyles } from GET /api/styles
+   * @param {Object} selection - Selected { imageStyle, orientation, videoContentStyle }
+   */
+  renderStyleRegistry(registry, selection) {
+    // Kept for the shot rows of the sequence editor
+    this.videoStyles = registry.videoStyles;
+
+    console.log('UI: Rendering style registry', {
+      imageStyles: registry.imageStyles.length,
+      orientations: registry.orientations.length,
+      videoStyles: registry.videoStyles.length
+    });
+
+    const styleOptions = document.getElementById('styleOptions');
+    styleOptions.innerHTML = '';
+    registry.imageStyles.forEach(style => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'style-chip';
+      chip.dataset.style = style.id;
+      chip.title = style.description || '';
+      chip.textContent = style.label;
+      styleOptions.appendChild(chip);
+    });
+
+    const orientationToggle = document.getElementById('orientationToggle');
+    orientationToggle.innerHTML = '';
+    registry.orientations.forEach(orientation => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'orientation-btn';
+      btn.dataset.orientation = orientation.id;
+      btn.title = orientation.description || '';
+      btn.innerHTML = this.getAspectIcon(orientation.aspectRatio);
+      btn.append(orientation.label);
+      orientationToggle.appendChild(btn);
+    });
+
+    const videoStyleOptions = document.getElementById('videoStyleOptions');
+    videoStyleOptions.innerHTML = '';
+    registry.videoStyles.forEach(style => {
+      const card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'video-style-card';
+      card.dataset.videoStyle = style.id;
+
+      const icon = document.createElement('div');
+      icon.className = 'video-style-icon';
+      icon.textContent = style.icon || '🎬';
+
+      const info = document.createElement('div');
+      info.className = 'video-style-info';
+      const name = document.createElement('span');
+      name.className = 'video-style-name';
+      name.textContent = style.label;
+      const desc = document.createElement('span');
+      desc.className = 'video-style-desc';
+      desc.textContent = style.description || '';
+      info.append(name, desc);
+
+      card.append(icon, info);
+      videoStyleOptions.appendChild(card);
+    });
+
+    this.applySelections({
+      colorScheme: document.getElementById('colorScheme').value,
+      paletteColors: {},
+      ...selection
+    });
+  },
+
+  /**
+   * Builds a rectangle icon matching an aspect ratio (e.g. 16:9)
+   * @param {string} aspectRatio - Width:height ratio
+   * @returns {string} SVG markup fitting an 18px box
+   */
+  getAspectIcon(aspectRatio = '1:1') {
+    const [w, h] = aspectRatio.split(':').map(Number);
+    const scale = 16 / Math.max(w || 1, h || 1);
+    const width = Math.max(4, Math.round((w || 1) * scale));
+    const height = Math.max(4, Math.round((h || 1) * scale));
+
+    return `<svg width="${width + 2}" height="${height + 2}" viewBox="0 0 ${width + 2} ${height + 2}" fill="none" stroke="currentColor" stroke-width="1.5">
+      <rect x="1" y="1" width="${width}" height="${height}" rx="2"/>
+    </svg>`;
+  },
+
+  /**
+   * Shows or hides an optional palette color (secondary or accent) in the palette editor
+   * @param {string} role - Palette role (secondary or accent)
+   * @param {string|null} hex - Hex color code, or null to remove the color
+   */
+  setPaletteColor(role, hex) {
+    const row = `${role}ColorRow`;
+    const addButton = `add${role.charAt(0).toUpperCase()}${role.slice(1)}Btn`;
+
+    if (hex) {
+      document.getElementById(`${role}Color`).value = hex;
+      document.getElementById(`${role}ColorValue`).textContent = hex.toUpperCase();
+      this.show(row);
+      this.hide(addButton);
+    } else {
+      this.hide(row);
+      this.show(addButton);
+    }
+  },
+
+  /**
+   * Fills the brand selector with the saved brand kits
+   * @param {Object[]} brands - Brands ({ id, name })
+   * @param {string|null} selectedId - Brand to keep selected
+   */
+  renderBrandOptions(brands, selectedId) {
+    const select = document.getElementById('brandSelect');
+    select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No brand';
+    select.appendChild(none);
+
+    brands.forEach(brand => {
+      const option = document.createElement('option');
+      option.value = brand.id;
+      option.textContent = brand.name;
+      select.appendChild(option);
+    });
+
+    select.value = selectedId || '';
+    this.setBrandSelected(!!selectedId);
+  },
+
+  /**
+   * Shows the project new generations are saved to
+   * @param {Object|null} project - Current project ({ name }), or null before the first generation
+   */
+  setProject(project) {
+    this.setText('projectName', project ? project.name : 'New project');
+    this.toggle('renameProjectBtn', !!project);
+  },
+
+  /**
+   * Draws the history gallery: one card per project with its latest image
+   * @param {Object[]} projects - Project summaries (name, counts, thumbnailUrl, lastActivityAt)
+   * @param {Function} onOpen - Called with the project ID when a project is opened
+   * @param {Function} onDelete - Called with the project ID when a project is deleted
+   */
+  renderProjectGallery(projects, onOpen, onDelete) {
+    const gallery = document.getElementById('projectGallery');
+    gallery.innerHTML = '';
+    this.setText('historySummary', projects.length > 0 ? '' : 'No saved projects yet. Generate an image to start one.');
+
+    projects.forEach(project => {
+      const cell = document.createElement('div');
+      cell.className = 'batch-cell';
+
+      const media = document.createElement('div');
+      media.className = 'batch-cell-media';
+      if (project.thumbnailUrl) {
+        const img = document.createElement('img');
+        img.src = API.resolveAssetUrl(project.thumbnailUrl);
+        img.alt = project.name;
+        media.appendChild(img);
+      } else {
+        media.textContent = 'No images yet';
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'batch-cell-meta';
+      const lastActivity = new Date(project.lastActivityAt).toLocaleDateString();
+      meta.textContent = `${project.name} · ${project.counts.images} images, ${project.counts.videos} videos · ${lastActivity}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'post-production-row';
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'btn btn-secondary';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => onOpen(project.id));
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'brand-btn';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => onDelete(project.id));
+      actions.append(openBtn, deleteBtn);
+
+      cell.append(media, meta, actions);
+      gallery.appendChild(cell);
+    });
+  },
+
+  /**
+   * Draws the images and videos of an opened project
+   * @param {Object|null} project - Project with `images` and `videos`, or null to hide the detail
+   * @param {Function} onSelectImage - Called with an image item to continue from it
+   */
+  renderProjectDetail(project, onSelectImage) {
+    this.toggle('projectDetail', !!project);
+    if (!project) {
+      return;
+    }
+
+    this.setText('projectDetailTitle', project.name);
+
+    const images = document.getElementById('projectImages');
+    images.innerHTML = '';
+    project.images.forEach(item => {
+      const cell = document.createElement('div');
+      cell.className = 'batch-cell';
+
+      const media = document.createElement('div');
+      media.className = 'batch-cell-media';
+      if (item.url) {
+        const img = document.createElement('img');
+        img.src = API.resolveAssetUrl(item.url);
+        img.alt = '';
+        media.appendChild(img);
+      } else {
+        media.textContent = { FAILED: 'Failed', CANCELLED: 'Cancelled' }[item.status] || 'In progress...';
+        media.classList.toggle('failed', item.status === 'FAILED');
+        media.classList.toggle('cancelled', item.status === 'CANCELLED');
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'batch-cell-meta';
+      const dot = document.createElement('span');
+      dot.className = 'color-swatch-dot';
+      dot.style.background = item.settings.colorScheme;
+      const styleLabel = this.getOptionLabel(`.style-chip[data-style="${item.settings.imageStyle}"]`, item.settings.imageStyle);
+      const orientationLabel = this.getOptionLabel(`.orientation-btn[data-orientation="${item.settings.orientation}"]`, item.settings.orientation);
+      meta.append(dot, item.settings.instruction
+        ? `Refined: ${item.settings.instruction}`
+        : `${styleLabel} · ${orientationLabel}`);
+
+      cell.append(media, meta);
+      if (item.url) {
+        const useBtn = document.createElement('button');
+        useBtn.type = 'button';
+        useBtn.className = 'btn btn-secondary';
+        useBtn.textContent = 'Continue From This';
+        useBtn.addEventListener('click', () => onSelectImage(item));
+        cell.appendChild(useBtn);
+      }
+      images.appendChild(cell);
+    });
+
+    // Finished videos open in a new tab; the image they started from can be continued above.
+    // Cancelled videos are listed without a link, so stopped work stays visible in the history
+    const videos = document.getElementById('projectVideos');
+    videos.innerHTML = '';
+    const listed = project.videos.filter(item => item.url || item.status === 'CANCELLED');
+    listed.forEach((item, index) => {
+      const entry = document.createElement(item.url ? 'a' : 'span');
+      entry.className = item.url ? 'brand-btn' : 'brand-btn cancelled';
+      if (item.url) {
+        entry.href = API.resolveAssetUrl(item.url);
+        entry.target = '_blank';
+        entry.rel = 'noopener';
+      }
+      const kind = { sequence: 'Sequence', postprocess: 'Finished video' }[item.type] || 'Video';
+      const state = item.url ? '' : ' · cancelled';
+      entry.textContent = `${kind} ${listed.length - index} · ${new Date(item.createdAt).toLocaleString()}${state}`;
+      videos.appendChild(entry);
+    });
+  },
+
+  /**
+   * Shows the delete action only while a brand is selected
+   * @param {boolean} selected - Whether a brand is selected
+   */
+  setBrandSelected(selected) {
+    if (selected) {
+      this.show('deleteBrandBtn');
+    } else {
+      this.hide('deleteBrandBtn');
+    }
+  },
+
+  /**
+   * Syncs the palette, style, orientation and video style controls with a selection
+   * @param {Object} selection - { colorScheme, paletteColors, imageStyle, orientation, videoContentStyle }
+   */
+  applySelections({ colorScheme, paletteColors, imageStyle, orientation, videoContentStyle }) {
+    console.log('UI: Applying selections', { colorScheme, paletteColors, imageStyle, orientation, videoContentStyle });
+
+    document.getElementById('colorScheme').value = colorScheme;
+    document.getElementById('colorValue').textContent = colorScheme.toUpperCase();
+    Object.entries(paletteColors).forEach(([role, hex]) => this.setPaletteColor(role, hex));
+
+    document.querySelectorAll('.style-chip').forEach(chip => {
+      chip.classList.toggle('selected', chip.dataset.style === imageStyle);
+    });
+    document.querySelectorAll('.orientation-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.orientation === orientation);
+    });
+    document.querySelectorAll('.video-style-card').forEach(card => {
+      card.classList.toggle('selected', card.dataset.videoStyle === videoContentStyle);
+    });
+  },
+
   /**
    * Resets the entire application to initial state
+   * @param {Object} defaults - Default { imageStyle, orientation, videoContentStyle } from the style registry
    */
-  resetApp() {
+  resetApp(defaults) {
     console.log('UI: Resetting application');
     
     // Hide all sections except upload
+    this.hide('historySection');
+    this.renderProjectDetail(null);
+    this.setProject(null);
     this.hide('imageSection');
+    this.hide('batchSection');
     this.hide('videoSection');
+
+    // Reset compare mode
+    document.getElementById('batchModeToggle').checked = false;
+    this.setBatchMode(false);
+    document.getElementById('batchColorList').innerHTML = '';
+    document.getElementById('batchGrid').innerHTML = '';
+    this.setText(document.querySelector('#generateImageBtn .btn-text'), 'Generate Image');
+
+    // Reset sequence mode
+    document.getElementById('sequenceModeToggle').checked = false;
+    this.setSequenceMode(false);
+    document.getElementById('shotList').innerHTML = '';
+
+    // Reset storyboard mode
+    document.getElementById('storyboardModeToggle').checked = false;
+    this.setStoryboardMode(false);
+    document.getElementById('sceneList').innerHTML = '';
+    document.getElementById('storyboardSelect').value = '';
+    this.hide('deleteStoryboardBtn');
+
+    // Reset brand selection
+    document.getElementById('brandSelect').value = '';
+    this.setBrandSelected(false);
     
     // Reset image section
     this.hide('imageResult');
+    this.hide('overlayEditor');
+    document.querySelectorAll('.overlay-layer').forEach(row => {
+      row.querySelector('.overlay-enabled').checked = false;
+      const text = row.querySelector('.overlay-text');
+      if (text) {
+        text.value = '';
+      }
+    });
     this.hide('imageLoading');
     this.hide('imageError');
+    this.renderVersionTree(null);
+    this.setText('refineStatus', '');
+    document.getElementById('refineInstruction').value = '';
     
     // Reset video section
     this.hide('videoResult');
+    this.hide('postProductionPanel');
+    this.setText('postProductionStatus', '');
+    this.setSubtitleLinks(null);
+    document.getElementById('ppCaptionsEnabled').checked = false;
+    document.getElementById('ppCaptionTagline').value = '';
+    document.getElementById('captionLines').innerHTML = '';
+    document.getElementById('ppCaptionMode').value = 'tagline';
+    this.setCaptionMode('tagline');
+    document.getElementById('ppMusicEnabled').checked = false;
+    document.getElementById('musicPreview').pause();
     this.hide('videoLoading');
     this.hide('videoError');
     this.show('videoConfig');
@@ -254,23 +1669,25 @@ const UI = {
     // Reset color scheme (new default is cyan)
     document.getElementById('colorScheme').value = '#00D4FF';
     document.getElementById('colorValue').textContent = '#00D4FF';
+    this.setPaletteColor('secondary', null);
+    this.setPaletteColor('accent', null);
     
     // Reset style selection (chips)
     document.querySelectorAll('.style-chip').forEach(chip => {
       chip.classList.remove('selected');
     });
-    const realisticChip = document.querySelector('.style-chip[data-style="realistic"]');
-    if (realisticChip) {
-      realisticChip.classList.add('selected');
+    const defaultChip = document.querySelector(`.style-chip[data-style="${defaults.imageStyle}"]`);
+    if (defaultChip) {
+      defaultChip.classList.add('selected');
     }
     
     // Reset orientation selection
     document.querySelectorAll('.orientation-btn').forEach(btn => {
       btn.classList.remove('selected');
     });
-    const landscapeBtn = document.querySelector('.orientation-btn[data-orientation="landscape"]');
-    if (landscapeBtn) {
-      landscapeBtn.classList.add('selected');
+    const defaultBtn = document.querySelector(`.orientation-btn[data-orientation="${defaults.orientation}"]`);
+    if (defaultBtn) {
+      defaultBtn.classList.add('selected');
     }
     
     // Reset video configuration
@@ -280,9 +1697,9 @@ const UI = {
     document.querySelectorAll('.video-style-card').forEach(card => {
       card.classList.remove('selected');
     });
-    const showcaseCard = document.querySelector('.video-style-card[data-video-style="showcase"]');
-    if (showcaseCard) {
-      showcaseCard.classList.add('selected');
+    const defaultCard = document.querySelector(`.video-style-card[data-video-style="${defaults.videoContentStyle}"]`);
+    if (defaultCard) {
+      defaultCard.classList.add('selected');
     }
     
     // Disable generate button